@@ -161,8 +161,8 @@ const cleanOldLogs = () => {
   }
 };
 
-// Run log cleanup daily
-setInterval(cleanOldLogs, 24 * 60 * 60 * 1000);
+// Run log cleanup daily (without keeping the process alive on its own)
+setInterval(cleanOldLogs, 24 * 60 * 60 * 1000).unref();
 
 module.exports = {
   logger,
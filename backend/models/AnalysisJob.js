@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const analysisJobSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['analyze'],
+    default: 'analyze'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  progress: {
+    current: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    stage: {
+      type: String,
+      enum: ['queued', 'splitting', 'analyzing', 'summarizing', 'saving', 'done'],
+      default: 'queued'
+    },
+    message: String
+  },
+  // The document text version being analyzed; partialResults only apply to it
+  textVersion: {
+    type: Number,
+    default: 0
+  },
+  // Clause analyses finished so far ({ index, analysis }), so a restarted worker can resume
+  partialResults: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  lockedBy: String,
+  heartbeatAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  lastError: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+analysisJobSchema.index({ status: 1, createdAt: 1 });
+analysisJobSchema.index({ documentId: 1, createdAt: -1 });
+analysisJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Virtual for percentage complete
+analysisJobSchema.virtual('percent').get(function() {
+  if (this.status === 'completed') return 100;
+  if (!this.progress?.total) return 0;
+  return Math.round((this.progress.current / this.progress.total) * 100);
+});
+
+// Whether the job is still waiting or being worked on
+analysisJobSchema.virtual('isActive').get(function() {
+  return this.status === 'queued' || this.status === 'running';
+});
+
+// Instance method to shape the job for API responses
+analysisJobSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    documentId: this.documentId,
+    status: this.status,
+    progress: {
+      current: this.progress?.current || 0,
+      total: this.progress?.total || 0,
+      stage: this.progress?.stage,
+      message: this.progress?.message,
+      percent: this.percent
+    },
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    cancelRequested: this.cancelRequested,
+    error: this.lastError,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt
+  };
+};
+
+// Static method to find the active job for a document
+analysisJobSchema.statics.findActiveForDocument = function(documentId) {
+  return this.findOne({
+    documentId,
+    status: { $in: ['queued', 'running'] }
+  }).sort({ createdAt: -1 });
+};
+
+// Static method to atomically claim the oldest queued job
+analysisJobSchema.statics.claimNext = function(workerId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'queued', cancelRequested: false },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        heartbeatAt: now,
+        startedAt: now,
+        lastError: null
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Static method to find running jobs whose worker stopped sending heartbeats
+analysisJobSchema.statics.findStale = function(staleAfterMs) {
+  return this.find({
+    status: 'running',
+    heartbeatAt: { $lt: new Date(Date.now() - staleAfterMs) }
+  });
+};
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Model analysis of a clause, keyed by a hash of the normalized clause text,
+// document type, prompt version, provider, model and explanation language
+const clauseAnalysisCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  documentType: String,
+  promptVersion: String,
+  provider: String,
+  model: String,
+  // Language the explanation was written in
+  language: {
+    type: String,
+    default: 'en'
+  },
+  // { explanation, riskLevel, reason, importantTerms } as returned by the model
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  sample: {
+    type: String,
+    maxlength: 200
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: Date
+}, {
+  timestamps: true
+});
+
+clauseAnalysisCacheSchema.index({ promptVersion: 1, model: 1 });
+clauseAnalysisCacheSchema.index({ documentType: 1 });
+
+// Static method to summarise cache usage
+clauseAnalysisCacheSchema.statics.getStats = async function() {
+  const stats = await this.aggregate([
+    {
+      $group: {
+        _id: { promptVersion: '$promptVersion', provider: '$provider', model: '$model', language: '$language' },
+        entries: { $sum: 1 },
+        hits: { $sum: '$hits' }
+      }
+    },
+    { $sort: { entries: -1 } }
+  ]);
+
+  return stats.map(({ _id, entries, hits }) => ({ ..._id, entries, hits }));
+};
+
+module.exports = mongoose.model('ClauseAnalysisCache', clauseAnalysisCacheSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// A compared document as it was when the comparison ran
+const comparisonSourceSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  title: String,
+  documentType: String,
+  // The analysis the comparison was built from
+  textVersion: Number,
+  promptVersion: String,
+  analyzedAt: Date
+}, { _id: false });
+
+const comparisonSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // pairwise: POST /analysis/compare, matrix: POST /analysis/compare-many
+  type: {
+    type: String,
+    enum: ['pairwise', 'matrix'],
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Title cannot be more than 300 characters']
+  },
+  sources: {
+    type: [comparisonSourceSchema],
+    validate: [sources => sources.length >= 2, 'A comparison needs at least two documents']
+  },
+  // The comparison as returned when it ran
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+comparisonSchema.index({ userId: 1, createdAt: -1 });
+comparisonSchema.index({ 'sources.documentId': 1 });
+
+// Instance method to shape the comparison for history listings
+comparisonSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    title: this.title,
+    sources: this.sources,
+    createdAt: this.createdAt
+  };
+};
+
+// Instance method to list source documents that were deleted or re-analyzed
+// since the comparison ran, given the user's current documents
+comparisonSchema.methods.findOutdatedSources = function(documents) {
+  return this.sources.reduce((outdated, source) => {
+    const current = documents.find(doc => doc._id.equals(source.documentId));
+    if (!current) {
+      outdated.push({ documentId: source.documentId, title: source.title, reason: 'deleted' });
+    } else if (
+      current.analysis?.textVersion !== source.textVersion ||
+      current.analysis?.analyzedAt?.getTime() !== source.analyzedAt?.getTime()
+    ) {
+      outdated.push({ documentId: source.documentId, title: source.title, reason: 'reanalyzed' });
+    }
+    return outdated;
+  }, []);
+};
+
+// Static method to store a comparison of the given analyzed documents
+comparisonSchema.statics.record = function(userId, type, documents, result) {
+  return this.create({
+    userId,
+    type,
+    title: documents.map(doc => doc.title).join(' vs ').slice(0, 300),
+    sources: documents.map(doc => ({
+      documentId: doc._id,
+      title: doc.title,
+      documentType: doc.documentType,
+      textVersion: doc.analysis.textVersion,
+      promptVersion: doc.analysis.promptVersion,
+      analyzedAt: doc.analysis.analyzedAt
+    })),
+    result
+  });
+};
+
+module.exports = mongoose.model('Comparison', comparisonSchema);
@@ -1,10 +1,35 @@
 const mongoose = require('mongoose');
 
+// A risk rule that fired on part of a clause (offsets are into the clause text)
+const ruleEvidenceSchema = new mongoose.Schema({
+  ruleId: String,
+  rule: String,
+  keyword: String,
+  matchedText: String,
+  start: Number,
+  end: Number,
+  contribution: Number
+}, { _id: false });
+
+const aiVerdictSchema = new mongoose.Schema({
+  risk: {
+    type: String,
+    enum: ['Low', 'Medium', 'High']
+  },
+  explanation: String,
+  reason: String,
+  important_terms: [String]
+}, { _id: false });
+
 const clauseSchema = new mongoose.Schema({
+  // Pages the clause starts and ends on
   page: {
     type: Number,
     required: true
   },
+  endPage: {
+    type: Number
+  },
   clause: {
     type: String,
     required: true
@@ -35,12 +60,66 @@ const clauseSchema = new mongoose.Schema({
   keywords: [{
     type: String
   }],
+  source: {
+    type: String,
+    enum: ['ai', 'rules'],
+    default: 'ai'
+  },
+  // Model verdict; not set when the clause was scored by rules only
+  ai_verdict: aiVerdictSchema,
+  // Rules engine verdict with the evidence behind risk_rules
+  rules_verdict: {
+    risk: {
+      type: String,
+      enum: ['Low', 'Medium', 'High']
+    },
+    score: Number,
+    evidence: [ruleEvidenceSchema]
+  },
+  // Model analysis reused from the clause cache
+  cached: {
+    type: Boolean,
+    default: false
+  },
+  // Character offsets into the document's extractedText
   position: {
     start: Number,
     end: Number
-  }
+  },
+  // Place in the clause tree (see analysis.outline)
+  segmentId: String,
+  parentId: String,
+  number: String,
+  level: Number,
+  kind: {
+    type: String,
+    enum: ['clause', 'paragraph', 'definition', 'heading']
+  },
+  term: String,
+  headingPath: [String]
 });
 
+const pageRangeSchema = new mongoose.Schema({
+  page: Number,
+  start: Number,
+  end: Number,
+  // Set for OCR'd pages: confidence (0-1) and the preprocessing pass used
+  ocrConfidence: Number,
+  ocrPass: String
+}, { _id: false });
+
+// A node of the document's clause tree; headings have no clauseIndex
+const outlineNodeSchema = new mongoose.Schema({
+  id: String,
+  parentId: String,
+  level: Number,
+  kind: String,
+  number: String,
+  label: String,
+  heading: String,
+  clauseIndex: Number
+}, { _id: false });
+
 const glossarySchema = new mongoose.Schema({
   term: {
     type: String,
@@ -78,6 +157,98 @@ const qaSchema = new mongoose.Schema({
   }
 });
 
+// Facts pulled from the text by utils/keyFactsExtractor
+const partySchema = new mongoose.Schema({
+  name: String,
+  role: String
+}, { _id: false });
+
+const amountSchema = new mongoose.Schema({
+  text: String,
+  value: Number,
+  // ISO 4217 code, e.g. INR
+  currency: String,
+  // What the amount is for, e.g. rent, deposit, salary
+  label: String
+}, { _id: false });
+
+const dateFactSchema = new mongoose.Schema({
+  text: String,
+  value: Date,
+  label: String
+}, { _id: false });
+
+const durationSchema = new mongoose.Schema({
+  text: String,
+  value: Number,
+  unit: {
+    type: String,
+    enum: ['day', 'week', 'month', 'year']
+  },
+  label: String
+}, { _id: false });
+
+const keyFactsSchema = new mongoose.Schema({
+  parties: [partySchema],
+  amounts: [amountSchema],
+  dates: [dateFactSchema],
+  durations: [durationSchema],
+  addresses: [String],
+  emails: [String],
+  phones: [String],
+  extractedAt: Date
+}, { _id: false });
+
+// One user edit of extractedText; hunks are line diffs from utils/textDiff
+const textHunkSchema = new mongoose.Schema({
+  oldStart: Number,
+  oldLines: [String],
+  newStart: Number,
+  newLines: [String]
+}, { _id: false });
+
+const textVersionSchema = new mongoose.Schema({
+  // The version this edit produced (the uploaded text is version 0)
+  version: {
+    type: Number,
+    required: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  },
+  summary: {
+    added: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 }
+  },
+  hunks: [textHunkSchema]
+}, { _id: false });
+
+// A clause whose verdict changed when a new text version was analyzed
+const verdictChangeSchema = new mongoose.Schema({
+  // Index into analysis.clauses; not set for removed clauses
+  clauseIndex: Number,
+  segmentId: String,
+  number: String,
+  excerpt: String,
+  previousRisk: {
+    type: String,
+    enum: ['Low', 'Medium', 'High']
+  },
+  risk: {
+    type: String,
+    enum: ['Low', 'Medium', 'High']
+  },
+  change: {
+    type: String,
+    enum: ['changed', 'added', 'removed']
+  }
+}, { _id: false });
+
 const documentSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -96,7 +267,7 @@ const documentSchema = new mongoose.Schema({
   },
   fileType: {
     type: String,
-    enum: ['pdf', 'image'],
+    enum: ['pdf', 'image', 'docx', 'text', 'rtf', 'html', 'email'],
     required: true
   },
   fileSize: {
@@ -122,11 +293,34 @@ const documentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['uploaded', 'processing', 'analyzed', 'failed'],
+    // needs_review: the extracted text scored too low and must be reviewed
+    // before analysis (see textQuality)
+    enum: ['uploaded', 'needs_review', 'processing', 'analyzed', 'failed'],
     default: 'uploaded'
   },
+  // Extraction quality report from documentProcessor.validateTextQuality
+  textQuality: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    issues: [String],
+    recommendations: [String],
+    checkedAt: Date,
+    // When the user reviewed (and possibly corrected) the extracted text
+    reviewedAt: Date
+  },
+  keyFacts: keyFactsSchema,
+  // Incremented on every edit of extractedText; textVersions records each edit
+  textVersion: {
+    type: Number,
+    default: 0
+  },
+  textVersions: [textVersionSchema],
   analysis: {
     clauses: [clauseSchema],
+    outline: [outlineNodeSchema],
     glossary: [glossarySchema],
     qa: [qaSchema],
     summary: {
@@ -150,9 +344,39 @@ const documentSchema = new mongoose.Schema({
     processingTime: {
       type: Number // in milliseconds
     },
+    aiProvider: {
+      type: String // e.g. gemini, openai-compatible, rules-only
+    },
     aiModel: {
+      type: String
+    },
+    promptVersion: {
+      type: String
+    },
+    // Language the explanations, summary and answers were written in
+    explanationLanguage: {
       type: String,
-      default: 'gemini-pro'
+      default: 'en'
+    },
+    cacheStats: {
+      hits: { type: Number, default: 0 },
+      misses: { type: Number, default: 0 }
+    },
+    // The text version analyzed; behind textVersion once the text is edited
+    textVersion: {
+      type: Number,
+      default: 0
+    },
+    // Set when the analysis was updated after a text edit
+    revision: {
+      fromTextVersion: Number,
+      toTextVersion: Number,
+      reusedClauses: Number,
+      reanalyzedClauses: Number,
+      verdictChanges: [verdictChangeSchema]
+    },
+    analyzedAt: {
+      type: Date
     }
   },
   metadata: {
@@ -160,6 +384,9 @@ const documentSchema = new mongoose.Schema({
       type: Number,
       default: 1
     },
+    // Character offsets of each page in extractedText
+    pageRanges: [pageRangeSchema],
+    // Detected language of the document text (may differ from analysis.explanationLanguage)
     language: {
       type: String,
       default: 'en'
@@ -176,6 +403,12 @@ const documentSchema = new mongoose.Schema({
         'pdf-parse-maxbuffer', 
         'pdf-to-image-ocr', 
         'ocr', 
+        'docx',
+        'text',
+        'rtf',
+        'html',
+        'email',
+        // No longer produced; kept so older documents still validate
         'fallback-sample', 
         'fallback-sample-doc1', 
         'fallback-sample-doc2'
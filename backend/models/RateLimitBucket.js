@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Token bucket shared by every server instance, e.g. one per LLM provider
+const rateLimitBucketSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // No defaults: a new bucket starts full (see take())
+  tokens: Number,
+  refilledAt: Date,
+  // Whether the last take() got a token
+  granted: Boolean
+});
+
+// Static method to refill the bucket and take one token in a single atomic update.
+// Returns { granted, waitMs } where waitMs is the time until a token is available;
+// now defaults to the current time.
+rateLimitBucketSchema.statics.take = async function(key, { capacity, refillPerMs, now = new Date() }) {
+  const elapsed = { $subtract: [now, { $ifNull: ['$refilledAt', now] }] };
+
+  const bucket = await this.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          tokens: {
+            $min: [
+              capacity,
+              { $add: [{ $ifNull: ['$tokens', capacity] }, { $multiply: [elapsed, refillPerMs] }] }
+            ]
+          },
+          refilledAt: now
+        }
+      },
+      { $set: { granted: { $gte: ['$tokens', 1] } } },
+      {
+        $set: {
+          tokens: { $cond: ['$granted', { $subtract: ['$tokens', 1] }, '$tokens'] }
+        }
+      }
+    ],
+    { upsert: true, new: true, lean: true }
+  );
+
+  return {
+    granted: bucket.granted,
+    waitMs: bucket.granted ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs)
+  };
+};
+
+// Static method to empty a bucket, e.g. after the provider reports a quota error
+rateLimitBucketSchema.statics.drain = function(key, now = new Date()) {
+  return this.updateOne({ key }, { $set: { tokens: 0, refilledAt: now } }, { upsert: true });
+};
+
+module.exports = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['rental_agreement', 'loan_contract', 'terms_of_service', 'employment_contract', 'other'];
+
+// What to look for: a whole word, a phrase (matched on word boundaries) or a regex
+const patternSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['word', 'phrase', 'regex'],
+    default: 'phrase'
+  },
+  value: {
+    type: String,
+    required: [true, 'Pattern value is required'],
+    trim: true
+  },
+  flags: {
+    type: String,
+    default: 'i',
+    match: [/^[imsu]*$/, 'Regex flags may only contain i, m, s and u']
+  }
+}, { _id: false });
+
+const riskRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Label reported in detected keywords (defaults to the pattern value)
+  keyword: String,
+  category: {
+    type: String,
+    enum: ['high', 'medium', 'low'],
+    default: 'medium'
+  },
+  pattern: {
+    type: patternSchema,
+    required: true
+  },
+  // Points added to the clause score when the rule fires
+  weight: {
+    type: Number,
+    default: 2,
+    min: [-10, 'Weight cannot be below -10'],
+    max: [10, 'Weight cannot exceed 10']
+  },
+  // Per document type weight overrides; 0 turns the rule off for that type
+  documentTypeWeights: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Skip matches preceded by a negation ("no penalty shall apply")
+  negation: {
+    enabled: { type: Boolean, default: true },
+    window: { type: Number, default: 4, min: 1, max: 15 }, // words before the match
+    terms: [String] // defaults to the engine's list when empty
+  },
+  // Every condition must find its pattern within `within` words of the match
+  proximity: [{
+    _id: false,
+    pattern: { type: patternSchema, required: true },
+    within: { type: Number, default: 5, min: 1, max: 50 }
+  }],
+  // A number near the match must satisfy the condition, e.g. late fee > 5 percent
+  numeric: {
+    unit: {
+      type: String,
+      enum: ['percent', 'days', 'currency', 'number']
+    },
+    operator: {
+      type: String,
+      enum: ['gt', 'gte', 'lt', 'lte', 'eq']
+    },
+    value: Number,
+    within: { type: Number, default: 10, min: 1, max: 50 }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+riskRuleSchema.index({ enabled: 1 });
+
+// Reject rules whose patterns would not compile
+riskRuleSchema.pre('validate', function(next) {
+  const patterns = [this.pattern, ...(this.proximity || []).map(condition => condition.pattern)];
+
+  for (const pattern of patterns) {
+    if (pattern && pattern.type === 'regex') {
+      try {
+        new RegExp(pattern.value, pattern.flags);
+      } catch (error) {
+        this.invalidate('pattern', `Invalid regular expression: ${error.message}`);
+      }
+    }
+  }
+
+  if (this.numeric && this.numeric.unit &&
+      (!this.numeric.operator || typeof this.numeric.value !== 'number')) {
+    this.invalidate('numeric', 'Numeric conditions need a unit, operator and value');
+  }
+
+  for (const type of this.documentTypeWeights.keys()) {
+    if (!DOCUMENT_TYPES.includes(type)) {
+      this.invalidate('documentTypeWeights', `Unknown document type: ${type}`);
+    }
+  }
+
+  next();
+});
+
+riskRuleSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = mongoose.model('RiskRule', riskRuleSchema);
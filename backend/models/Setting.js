@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Flags shared by every server instance, e.g. whether the default risk rules were seeded
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Static method to set a key only if it has never been set.
+// Resolves to true for the one caller that set it.
+settingSchema.statics.setOnce = async function(key, value = true) {
+  try {
+    const result = await this.updateOne({ key }, { $setOnInsert: { value } }, { upsert: true });
+    return result.upsertedCount === 1;
+  } catch (error) {
+    // Another instance inserted it at the same time
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,23 +1,94 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Document = require('../models/Document');
-const { protect, analysisRateLimit } = require('../middleware/auth');
+const AnalysisJob = require('../models/AnalysisJob');
+const Comparison = require('../models/Comparison');
+const { protect, admin, analysisRateLimit } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const documentProcessor = require('../utils/documentProcessor');
 const aiAnalyzer = require('../utils/aiAnalyzer');
+const analysisQueue = require('../utils/analysisQueue');
+const clauseCache = require('../utils/clauseCache');
 const { performanceLogger } = require('../middleware/logger');
 
 const router = express.Router();
 
-// @desc    Analyze document
+// Documents whose extracted text failed the quality check are not analyzed
+// until the user has reviewed it (PUT /api/documents/:id/text)
+const reviewRequired = (res, documents) => res.status(409).json({
+  success: false,
+  message: documents.length > 1
+    ? 'Review the extracted text of these documents before comparing them'
+    : 'Review the extracted text before analyzing this document',
+  documents: documents.map(document => ({
+    id: document._id,
+    title: document.title,
+    textQuality: document.textQuality
+  }))
+});
+
+// Most documents one comparison can take
+const MAX_COMPARE_DOCUMENTS = parseInt(process.env.MAX_COMPARE_DOCUMENTS) || 5;
+
+// Documents to compare must be analyzed, out of the analysis queue and
+// reviewed. Ones not analyzed yet are queued like POST /analyze and the
+// client is told to compare again when the jobs complete. Returns false when
+// a response has already been sent.
+const prepareForComparison = async (res, documents) => {
+  const activeJobs = (await Promise.all(
+    documents.map(doc => AnalysisJob.findActiveForDocument(doc._id))
+  )).filter(Boolean);
+
+  // Documents still in the analysis queue will be ready shortly
+  if (activeJobs.length > 0) {
+    res.status(409).json({
+      success: false,
+      message: 'One or more documents are still being analyzed. Please try again when analysis completes.',
+      jobs: activeJobs.map(job => job.toSummary())
+    });
+    return false;
+  }
+
+  const unreviewed = documents.filter(doc => doc.status === 'needs_review');
+  if (unreviewed.length > 0) {
+    reviewRequired(res, unreviewed);
+    return false;
+  }
+
+  const unanalyzed = documents.filter(doc => doc.status !== 'analyzed');
+  if (unanalyzed.length > 0) {
+    const jobs = [];
+    for (const doc of unanalyzed) {
+      jobs.push(await analysisQueue.enqueue(doc));
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Analysis queued. Compare the documents again when it completes.',
+      jobs: jobs.map(job => job.toSummary())
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Document details shown alongside a comparison
+const comparisonDocument = doc => ({
+  id: doc._id,
+  title: doc.title,
+  documentType: doc.documentType,
+  overallRisk: doc.analysis.summary.overallRisk,
+  totalClauses: doc.analysis.summary.totalClauses,
+  riskDistribution: doc.analysis.summary.riskDistribution
+});
+
+// @desc    Queue document analysis
 // @route   POST /api/analysis/analyze/:documentId
 // @access  Private
 router.post('/analyze/:documentId', [
   protect,
   analysisRateLimit
 ], asyncHandler(async (req, res) => {
-  const startTime = Date.now();
-
   const document = await Document.findOne({
     _id: req.params.documentId,
     userId: req.user._id
@@ -30,7 +101,10 @@ router.post('/analyze/:documentId', [
     });
   }
 
-  if (document.status === 'analyzed') {
+  // A document whose text was edited after analysis is analyzed again;
+  // only the clauses whose text changed go back to the model
+  const isStale = (document.analysis?.textVersion || 0) !== (document.textVersion || 0);
+  if (document.status === 'analyzed' && !isStale) {
     return res.status(200).json({
       success: true,
       message: 'Document already analyzed',
@@ -38,127 +112,158 @@ router.post('/analyze/:documentId', [
     });
   }
 
-  try {
-    // Update status to processing
-    document.status = 'processing';
-    await document.save();
+  if (document.status === 'needs_review') {
+    return reviewRequired(res, [document]);
+  }
 
-    console.log(`Starting analysis for document: ${document._id}`);
-
-    // Split document into clauses
-    const clauses = documentProcessor.splitIntoClause(document.extractedText);
-    console.log(`Document split into ${clauses.length} clauses`);
-
-    // Analyze each clause
-    const analyzedClauses = [];
-    let currentPage = 1;
-
-    for (let i = 0; i < clauses.length; i++) {
-      const clause = clauses[i];
-      console.log(`Analyzing clause ${i + 1}/${clauses.length}`);
-
-      try {
-        const analysis = await aiAnalyzer.analyzeClause(
-          clause.text,
-          currentPage,
-          document.documentType
-        );
-        analyzedClauses.push(analysis);
-      } catch (error) {
-        console.error(`Error analyzing clause ${i + 1}:`, error);
-        // Add a fallback analysis
-        analyzedClauses.push({
-          page: currentPage,
-          clause: clause.text,
-          explanation: 'Unable to analyze this clause automatically. Please review manually.',
-          risk_ai: 'Medium',
-          risk_rules: 'Medium',
-          final_risk: 'Medium',
-          reason: 'Analysis failed',
-          keywords: [],
-          important_terms: []
-        });
-      }
-
-      // Estimate page progression (rough approximation)
-      if ((i + 1) % Math.ceil(clauses.length / (document.metadata.pages || 1)) === 0) {
-        currentPage++;
-      }
-    }
+  // Don't queue the same document twice
+  const activeJob = await AnalysisJob.findActiveForDocument(document._id);
+  if (activeJob) {
+    return res.status(202).json({
+      success: true,
+      message: 'Analysis already in progress',
+      job: activeJob.toSummary()
+    });
+  }
 
-    // Build glossary
-    const glossary = aiAnalyzer.buildGlossary(analyzedClauses);
+  const job = await analysisQueue.enqueue(document);
 
-    // Calculate risk distribution
-    const riskDistribution = { low: 0, medium: 0, high: 0 };
-    analyzedClauses.forEach(clause => {
-      const risk = clause.final_risk.toLowerCase();
-      if (riskDistribution.hasOwnProperty(risk)) {
-        riskDistribution[risk]++;
-      }
-    });
+  res.status(202).json({
+    success: true,
+    message: 'Analysis queued',
+    job: job.toSummary()
+  });
+}));
 
-    // Determine overall risk
-    let overallRisk = 'Low';
-    if (riskDistribution.high > 0) {
-      overallRisk = 'High';
-    } else if (riskDistribution.medium > riskDistribution.low) {
-      overallRisk = 'Medium';
-    }
+// @desc    Get user's analysis jobs
+// @route   GET /api/analysis/jobs
+// @access  Private
+router.get('/jobs', protect, asyncHandler(async (req, res) => {
+  const { documentId, status, limit = 10 } = req.query;
 
-    // Generate document summary
-    const summaryData = await aiAnalyzer.generateDocumentSummary(
-      analyzedClauses,
-      document.documentType
-    );
+  const query = { userId: req.user._id };
+  if (documentId) query.documentId = documentId;
+  if (status) query.status = status;
 
-    // Update document with analysis
-    document.analysis = {
-      clauses: analyzedClauses,
-      glossary: glossary,
-      qa: [], // Will be populated as users ask questions
-      summary: {
-        totalClauses: analyzedClauses.length,
-        riskDistribution: riskDistribution,
-        overallRisk: overallRisk,
-        keyFindings: summaryData.key_findings || [],
-        recommendations: summaryData.recommendations || []
-      },
-      processingTime: Date.now() - startTime,
-      aiModel: 'gemini-pro'
-    };
+  const jobs = await AnalysisJob.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 10, 50));
 
-    document.status = 'analyzed';
-    await document.save();
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    jobs: jobs.map(job => job.toSummary())
+  });
+}));
 
-    // Log performance
-    performanceLogger('document_analysis', Date.now() - startTime, {
-      documentId: document._id,
-      clauseCount: analyzedClauses.length,
-      documentType: document.documentType
+// @desc    Get analysis job progress
+// @route   GET /api/analysis/jobs/:jobId
+// @access  Private
+router.get('/jobs/:jobId', protect, asyncHandler(async (req, res) => {
+  const job = await AnalysisJob.findOne({
+    _id: req.params.jobId,
+    userId: req.user._id
+  });
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analysis job not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    job: job.toSummary()
+  });
+}));
+
+// @desc    Cancel analysis job
+// @route   POST /api/analysis/jobs/:jobId/cancel
+// @access  Private
+router.post('/jobs/:jobId/cancel', protect, asyncHandler(async (req, res) => {
+  const job = await AnalysisJob.findOne({
+    _id: req.params.jobId,
+    userId: req.user._id
+  });
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analysis job not found'
+    });
+  }
+
+  if (!job.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot cancel a job that is ${job.status}`
     });
+  }
 
-    console.log(`Analysis completed for document: ${document._id} in ${Date.now() - startTime}ms`);
+  const updatedJob = await analysisQueue.requestCancel(job);
 
-    res.status(200).json({
-      success: true,
-      message: 'Document analyzed successfully',
-      analysis: document.analysis
+  res.status(200).json({
+    success: true,
+    message: updatedJob.status === 'cancelled' ? 'Analysis cancelled' : 'Cancellation requested',
+    job: updatedJob.toSummary()
+  });
+}));
+
+// @desc    Retry failed or cancelled analysis job
+// @route   POST /api/analysis/jobs/:jobId/retry
+// @access  Private
+router.post('/jobs/:jobId/retry', [
+  protect,
+  analysisRateLimit
+], asyncHandler(async (req, res) => {
+  const job = await AnalysisJob.findOne({
+    _id: req.params.jobId,
+    userId: req.user._id
+  });
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analysis job not found'
     });
+  }
 
-  } catch (error) {
-    console.error('Analysis error:', error);
-    
-    // Update document status to failed
-    document.status = 'failed';
-    await document.save();
+  if (job.status !== 'failed' && job.status !== 'cancelled') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only failed or cancelled jobs can be retried'
+    });
+  }
 
-    res.status(500).json({
+  const activeJob = await AnalysisJob.findActiveForDocument(job.documentId);
+  if (activeJob) {
+    return res.status(409).json({
       success: false,
-      message: 'Analysis failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      message: 'Another analysis is already in progress for this document',
+      job: activeJob.toSummary()
+    });
+  }
+
+  const document = await Document.findOne({ _id: job.documentId, userId: req.user._id });
+  if (!document) {
+    return res.status(404).json({
+      success: false,
+      message: 'Document not found'
     });
   }
+
+  if (document.status === 'needs_review') {
+    return reviewRequired(res, [document]);
+  }
+
+  await analysisQueue.retry(job);
+
+  res.status(202).json({
+    success: true,
+    message: 'Analysis requeued',
+    job: job.toSummary()
+  });
 }));
 
 // @desc    Compare two documents
@@ -210,227 +315,8 @@ router.post('/compare', [
     });
   }
 
-  // Auto-analyze documents if not already analyzed
-  if (doc1.status !== 'analyzed') {
-    console.log(`Auto-analyzing document 1: ${doc1._id}`);
-    doc1.status = 'processing';
-    await doc1.save();
-    
-    try {
-      // Split document into clauses
-      const clauses1 = documentProcessor.splitIntoClause(doc1.extractedText);
-      
-      // Analyze each clause
-      const analyzedClauses1 = [];
-      let currentPage1 = 1;
-
-      for (let i = 0; i < clauses1.length; i++) {
-        const clause = clauses1[i];
-        try {
-          const analysis = await aiAnalyzer.analyzeClause(
-            clause.text,
-            currentPage1,
-            doc1.documentType
-          );
-          analyzedClauses1.push(analysis);
-        } catch (error) {
-          console.error(`Error analyzing clause ${i + 1} of doc1:`, error);
-          analyzedClauses1.push({
-            page: currentPage1,
-            clause: clause.text,
-            explanation: 'Unable to analyze this clause automatically.',
-            risk_ai: 'Medium',
-            risk_rules: 'Medium',
-            final_risk: 'Medium',
-            reason: 'Analysis failed',
-            keywords: [],
-            important_terms: []
-          });
-        }
-        if ((i + 1) % Math.ceil(clauses1.length / (doc1.metadata.pages || 1)) === 0) {
-          currentPage1++;
-        }
-      }
-
-      // Build glossary and summary
-      const glossary1 = aiAnalyzer.buildGlossary(analyzedClauses1);
-      
-      // Calculate risk distribution
-      const riskDistribution1 = { low: 0, medium: 0, high: 0 };
-      analyzedClauses1.forEach(clause => {
-        const risk = clause.final_risk.toLowerCase();
-        if (riskDistribution1.hasOwnProperty(risk)) {
-          riskDistribution1[risk]++;
-        }
-      });
-
-      // Determine overall risk
-      let overallRisk1 = 'Low';
-      if (riskDistribution1.high > 0) {
-        overallRisk1 = 'High';
-      } else if (riskDistribution1.medium > riskDistribution1.low) {
-        overallRisk1 = 'Medium';
-      }
-
-      // Generate document summary (fallback to rules-based when AI quota exceeded)
-      let summaryData1;
-      try {
-        console.log('🔍 Generating summary for document 1...');
-        summaryData1 = await aiAnalyzer.generateDocumentSummary(
-          analyzedClauses1,
-          doc1.documentType
-        );
-      } catch (summaryError) {
-        console.log('📊 Using rules-based summary for document 1 (API quota reached)');
-        summaryData1 = {
-          key_findings: [`Document contains ${analyzedClauses1.length} clauses`, 
-                        `Overall risk level: ${overallRisk1}`,
-                        `High risk clauses: ${riskDistribution1.high}`,
-                        `Medium risk clauses: ${riskDistribution1.medium}`,
-                        `Low risk clauses: ${riskDistribution1.low}`],
-          recommendations: overallRisk1 === 'High' ? 
-            ['Consider legal review due to high-risk clauses', 'Pay special attention to penalty and liability clauses'] : 
-            overallRisk1 === 'Medium' ?
-            ['Review medium-risk clauses carefully', 'Consider professional consultation for complex terms'] :
-            ['Standard contract terms detected', 'Generally acceptable risk level']
-        };
-      }
-
-      doc1.analysis = {
-        clauses: analyzedClauses1,
-        glossary: glossary1,
-        qa: [],
-        summary: {
-          totalClauses: analyzedClauses1.length,
-          riskDistribution: riskDistribution1,
-          overallRisk: overallRisk1,
-          keyFindings: summaryData1.key_findings || [],
-          recommendations: summaryData1.recommendations || []
-        },
-        analyzedAt: new Date()
-      };
-      doc1.status = 'analyzed';
-      await doc1.save();
-    } catch (error) {
-      console.error('Error analyzing document 1:', error);
-      doc1.status = 'failed';
-      await doc1.save();
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to analyze first document for comparison'
-      });
-    }
-  }
-
-  if (doc2.status !== 'analyzed') {
-    console.log(`Auto-analyzing document 2: ${doc2._id}`);
-    doc2.status = 'processing';
-    await doc2.save();
-    
-    try {
-      // Split document into clauses
-      const clauses2 = documentProcessor.splitIntoClause(doc2.extractedText);
-      
-      // Analyze each clause
-      const analyzedClauses2 = [];
-      let currentPage2 = 1;
-
-      for (let i = 0; i < clauses2.length; i++) {
-        const clause = clauses2[i];
-        try {
-          const analysis = await aiAnalyzer.analyzeClause(
-            clause.text,
-            currentPage2,
-            doc2.documentType
-          );
-          analyzedClauses2.push(analysis);
-        } catch (error) {
-          console.error(`Error analyzing clause ${i + 1} of doc2:`, error);
-          analyzedClauses2.push({
-            page: currentPage2,
-            clause: clause.text,
-            explanation: 'Unable to analyze this clause automatically.',
-            risk_ai: 'Medium',
-            risk_rules: 'Medium',
-            final_risk: 'Medium',
-            reason: 'Analysis failed',
-            keywords: [],
-            important_terms: []
-          });
-        }
-        if ((i + 1) % Math.ceil(clauses2.length / (doc2.metadata.pages || 1)) === 0) {
-          currentPage2++;
-        }
-      }
-
-      // Build glossary and summary
-      const glossary2 = aiAnalyzer.buildGlossary(analyzedClauses2);
-      
-      // Calculate risk distribution
-      const riskDistribution2 = { low: 0, medium: 0, high: 0 };
-      analyzedClauses2.forEach(clause => {
-        const risk = clause.final_risk.toLowerCase();
-        if (riskDistribution2.hasOwnProperty(risk)) {
-          riskDistribution2[risk]++;
-        }
-      });
-
-      // Determine overall risk
-      let overallRisk2 = 'Low';
-      if (riskDistribution2.high > 0) {
-        overallRisk2 = 'High';
-      } else if (riskDistribution2.medium > riskDistribution2.low) {
-        overallRisk2 = 'Medium';
-      }
-
-      // Generate document summary (fallback to rules-based when AI quota exceeded)
-      let summaryData2;
-      try {
-        console.log('🔍 Generating summary for document 2...');
-        summaryData2 = await aiAnalyzer.generateDocumentSummary(
-          analyzedClauses2,
-          doc2.documentType
-        );
-      } catch (summaryError) {
-        console.log('📊 Using rules-based summary for document 2 (API quota reached)');
-        summaryData2 = {
-          key_findings: [`Document contains ${analyzedClauses2.length} clauses`, 
-                        `Overall risk level: ${overallRisk2}`,
-                        `High risk clauses: ${riskDistribution2.high}`,
-                        `Medium risk clauses: ${riskDistribution2.medium}`,
-                        `Low risk clauses: ${riskDistribution2.low}`],
-          recommendations: overallRisk2 === 'High' ? 
-            ['Consider legal review due to high-risk clauses', 'Pay special attention to penalty and liability clauses'] : 
-            overallRisk2 === 'Medium' ?
-            ['Review medium-risk clauses carefully', 'Consider professional consultation for complex terms'] :
-            ['Standard contract terms detected', 'Generally acceptable risk level']
-        };
-      }
-
-      doc2.analysis = {
-        clauses: analyzedClauses2,
-        glossary: glossary2,
-        qa: [],
-        summary: {
-          totalClauses: analyzedClauses2.length,
-          riskDistribution: riskDistribution2,
-          overallRisk: overallRisk2,
-          keyFindings: summaryData2.key_findings || [],
-          recommendations: summaryData2.recommendations || []
-        },
-        analyzedAt: new Date()
-      };
-      doc2.status = 'analyzed';
-      await doc2.save();
-    } catch (error) {
-      console.error('Error analyzing document 2:', error);
-      doc2.status = 'failed';
-      await doc2.save();
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to analyze second document for comparison'
-      });
-    }
+  if (!(await prepareForComparison(res, [doc1, doc2]))) {
+    return;
   }
 
   try {
@@ -455,7 +341,7 @@ router.post('/compare', [
     }
 
     // Generate detailed clause-by-clause comparison
-    const clauseComparison = aiAnalyzer.compareClausesDetailed(
+    const clauseComparison = await aiAnalyzer.compareClausesDetailed(
       doc1.analysis.clauses,
       doc2.analysis.clauses
     );
@@ -473,22 +359,8 @@ router.post('/compare', [
       clauseByClauseComparison: clauseComparison,
       detailedSimilarities: detailedSimilarities,
       documents: {
-        doc1: {
-          id: doc1._id,
-          title: doc1.title,
-          documentType: doc1.documentType,
-          overallRisk: doc1.analysis.summary.overallRisk,
-          totalClauses: doc1.analysis.summary.totalClauses,
-          riskDistribution: doc1.analysis.summary.riskDistribution
-        },
-        doc2: {
-          id: doc2._id,
-          title: doc2.title,
-          documentType: doc2.documentType,
-          overallRisk: doc2.analysis.summary.overallRisk,
-          totalClauses: doc2.analysis.summary.totalClauses,
-          riskDistribution: doc2.analysis.summary.riskDistribution
-        }
+        doc1: comparisonDocument(doc1),
+        doc2: comparisonDocument(doc2)
       },
       comparisonDate: new Date(),
       processingTime: Date.now() - startTime
@@ -502,10 +374,100 @@ router.post('/compare', [
 
     console.log(`Comparison completed for documents: ${doc1._id} vs ${doc2._id}`);
 
+    // Keep the result so it can be re-opened and exported from history
+    const saved = await Comparison.record(req.user._id, 'pairwise', [doc1, doc2], comparisonResult);
+
+    res.status(200).json({
+      success: true,
+      message: 'Documents compared successfully',
+      comparison: { id: saved._id, ...comparisonResult }
+    });
+
+  } catch (error) {
+    console.error('Comparison error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Comparison failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+}));
+
+// @desc    Compare several documents clause by clause
+// @route   POST /api/analysis/compare-many
+// @access  Private
+router.post('/compare-many', [
+  protect,
+  analysisRateLimit,
+  body('documentIds')
+    .isArray({ min: 2, max: MAX_COMPARE_DOCUMENTS })
+    .withMessage(`Between 2 and ${MAX_COMPARE_DOCUMENTS} document IDs are required`)
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const documentIds = req.body.documentIds.map(String);
+  if (new Set(documentIds).size !== documentIds.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Each document can only be compared once'
+    });
+  }
+
+  const documents = await Promise.all(
+    documentIds.map(id => Document.findOne({ _id: id, userId: req.user._id }))
+  );
+
+  if (documents.some(doc => !doc)) {
+    return res.status(404).json({
+      success: false,
+      message: 'One or more documents not found'
+    });
+  }
+
+  if (!(await prepareForComparison(res, documents))) {
+    return;
+  }
+
+  try {
+    const startTime = Date.now();
+
+    const matrix = await aiAnalyzer.compareClausesMatrix(
+      documents.map(doc => doc.analysis.clauses)
+    );
+
+    // How often each document has the best or worst clause of a row
+    const comparisonDocuments = documents.map((doc, index) => ({
+      ...comparisonDocument(doc),
+      bestCount: matrix.filter(row => row.best.includes(index)).length,
+      worstCount: matrix.filter(row => row.worst.includes(index)).length
+    }));
+
+    performanceLogger('document_comparison', Date.now() - startTime, {
+      documentIds
+    });
+
+    console.log(`Comparison completed for documents: ${documentIds.join(', ')}`);
+
+    const comparisonResult = {
+      documents: comparisonDocuments,
+      matrix,
+      comparisonDate: new Date(),
+      processingTime: Date.now() - startTime
+    };
+    const saved = await Comparison.record(req.user._id, 'matrix', documents, comparisonResult);
+
     res.status(200).json({
       success: true,
       message: 'Documents compared successfully',
-      comparison: comparisonResult
+      comparison: { id: saved._id, ...comparisonResult }
     });
 
   } catch (error) {
@@ -569,7 +531,8 @@ router.post('/qa/:documentId', [
     const qaResult = await aiAnalyzer.answerQuestion(
       question,
       document.extractedText,
-      previousQA.slice(-5) // Last 5 Q&As for context
+      previousQA.slice(-5), // Last 5 Q&As for context
+      { language: req.user.preferences?.language }
     );
 
     // Add to document's Q&A history
@@ -630,7 +593,7 @@ router.get('/summary/:documentId', protect, asyncHandler(async (req, res) => {
   const document = await Document.findOne({
     _id: req.params.documentId,
     userId: req.user._id
-  }).select('analysis.summary title documentType status');
+  }).select('analysis.summary analysis.aiProvider analysis.aiModel analysis.promptVersion analysis.explanationLanguage analysis.cacheStats title documentType status');
 
   if (!document) {
     return res.status(404).json({
@@ -649,6 +612,13 @@ router.get('/summary/:documentId', protect, asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     summary: document.analysis.summary,
+    metadata: {
+      aiProvider: document.analysis.aiProvider,
+      aiModel: document.analysis.aiModel,
+      promptVersion: document.analysis.promptVersion,
+      explanationLanguage: document.analysis.explanationLanguage,
+      cacheStats: document.analysis.cacheStats
+    },
     documentInfo: {
       title: document.title,
       documentType: document.documentType,
@@ -676,6 +646,19 @@ router.post('/reanalyze/:documentId', [
     });
   }
 
+  const activeJob = await AnalysisJob.findActiveForDocument(document._id);
+  if (activeJob) {
+    return res.status(409).json({
+      success: false,
+      message: 'Cancel the running analysis before re-analyzing',
+      job: activeJob.toSummary()
+    });
+  }
+
+  if (document.status === 'needs_review') {
+    return reviewRequired(res, [document]);
+  }
+
   // Reset analysis data
   document.analysis = {
     clauses: [],
@@ -700,131 +683,31 @@ router.post('/reanalyze/:documentId', [
   });
 }));
 
-// PDF Export for Comparison
-router.post('/comparison/export-pdf', async (req, res) => {
-  try {
-    const { documentId1, documentId2, comparisonData } = req.body;
-
-    if (!documentId1 || !documentId2 || !comparisonData) {
-      return res.status(400).json({
-        success: false,
-        message: 'Document IDs and comparison data are required'
-      });
-    }
+// @desc    Get clause analysis cache statistics
+// @route   GET /api/analysis/cache/stats
+// @access  Private/Admin
+router.get('/cache/stats', [protect, admin], asyncHandler(async (req, res) => {
+  const stats = await clauseCache.getStats();
 
-    const PDFDocument = require('pdfkit');
-    const doc = new PDFDocument({ margin: 50 });
-    
-    // Set response headers for PDF download
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="document-comparison-${Date.now()}.pdf"`);
-    
-    // Pipe PDF to response
-    doc.pipe(res);
-
-    // Title
-    doc.fontSize(20).font('Helvetica-Bold').text('Document Comparison Report', { align: 'center' });
-    doc.moveDown(2);
-
-    // Document Information
-    doc.fontSize(16).font('Helvetica-Bold').text('Document Information');
-    doc.fontSize(12).font('Helvetica');
-    doc.text(`Document 1: ${comparisonData.documents.doc1.title}`);
-    doc.text(`Type: ${comparisonData.documents.doc1.documentType}`);
-    doc.text(`Overall Risk: ${comparisonData.documents.doc1.overallRisk}`);
-    doc.text(`Total Clauses: ${comparisonData.documents.doc1.totalClauses}`);
-    doc.moveDown();
-
-    doc.text(`Document 2: ${comparisonData.documents.doc2.title}`);
-    doc.text(`Type: ${comparisonData.documents.doc2.documentType}`);
-    doc.text(`Overall Risk: ${comparisonData.documents.doc2.overallRisk}`);
-    doc.text(`Total Clauses: ${comparisonData.documents.doc2.totalClauses}`);
-    doc.moveDown(2);
-
-    // Similarities Section
-    if (comparisonData.detailedSimilarities && comparisonData.detailedSimilarities.length > 0) {
-      doc.fontSize(16).font('Helvetica-Bold').text('Similarities');
-      doc.fontSize(12).font('Helvetica');
-      comparisonData.detailedSimilarities.forEach(similarity => {
-        doc.text(`• ${similarity}`);
-      });
-      doc.moveDown(2);
-    }
-
-    // Clause-by-Clause Comparison
-    if (comparisonData.clauseByClauseComparison && comparisonData.clauseByClauseComparison.length > 0) {
-      doc.fontSize(16).font('Helvetica-Bold').text('Clause-by-Clause Comparison');
-      doc.moveDown();
-
-      comparisonData.clauseByClauseComparison.forEach((comparison, index) => {
-        if (doc.y > 700) { // Add new page if needed
-          doc.addPage();
-        }
-
-        doc.fontSize(14).font('Helvetica-Bold').text(`${comparison.clauseType}`);
-        doc.fontSize(10).font('Helvetica');
-        
-        // Risk indicator
-        const riskColor = comparison.overallRisk === 'High' ? 'red' : 
-                         comparison.overallRisk === 'Medium' ? 'orange' : 'green';
-        doc.fillColor(riskColor).text(`Risk Level: ${comparison.overallRisk}`, { continued: false });
-        doc.fillColor('black');
-
-        if (comparison.doc1) {
-          doc.text(`Document 1: ${comparison.doc1.text}`);
-        } else {
-          doc.text('Document 1: Not present');
-        }
-
-        if (comparison.doc2) {
-          doc.text(`Document 2: ${comparison.doc2.text}`);
-        } else {
-          doc.text('Document 2: Not present');
-        }
-
-        doc.text(`Difference: ${comparison.difference}`);
-        doc.text(`Plain English: ${comparison.plainEnglish}`);
-        doc.moveDown();
-      });
-    }
-
-    // Key Differences
-    if (comparisonData.differences && comparisonData.differences.length > 0) {
-      doc.addPage();
-      doc.fontSize(16).font('Helvetica-Bold').text('Key Differences');
-      doc.fontSize(12).font('Helvetica');
-      comparisonData.differences.forEach(difference => {
-        doc.text(`• ${difference}`);
-      });
-      doc.moveDown(2);
-    }
-
-    // Recommendations
-    if (comparisonData.recommendations && comparisonData.recommendations.length > 0) {
-      doc.fontSize(16).font('Helvetica-Bold').text('Recommendations');
-      doc.fontSize(12).font('Helvetica');
-      comparisonData.recommendations.forEach(recommendation => {
-        doc.text(`• ${recommendation}`);
-      });
-    }
-
-    // Footer
-    doc.fontSize(10).font('Helvetica').text(
-      `Generated on ${new Date().toLocaleDateString()} by LegalEase`,
-      50,
-      doc.page.height - 50,
-      { align: 'center' }
-    );
+  res.status(200).json({
+    success: true,
+    currentPromptVersion: aiAnalyzer.getModelInfo().promptVersion,
+    stats
+  });
+}));
 
-    doc.end();
+// @desc    Invalidate cached clause analyses (e.g. after a prompt or rules change)
+// @route   DELETE /api/analysis/cache
+// @access  Private/Admin
+router.delete('/cache', [protect, admin], asyncHandler(async (req, res) => {
+  const { documentType, promptVersion, provider, model, language } = req.query;
+  const deleted = await clauseCache.invalidate({ documentType, promptVersion, provider, model, language });
 
-  } catch (error) {
-    console.error('PDF export error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to generate PDF export'
-    });
-  }
-});
+  res.status(200).json({
+    success: true,
+    message: `Removed ${deleted} cached clause analyses`,
+    deleted
+  });
+}));
 
 module.exports = router;
@@ -0,0 +1,316 @@
+const express = require('express');
+const PDFDocument = require('pdfkit');
+const Comparison = require('../models/Comparison');
+const Document = require('../models/Document');
+const { protect } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Redline colours and text decoration in the comparison PDF, matching the
+// comparison table
+const redlinePdfStyles = {
+  equal: { color: 'black' },
+  insert: { color: 'green', underline: true },
+  delete: { color: 'red', strike: true },
+  moveFrom: { color: 'blue', strike: true },
+  moveTo: { color: 'blue', underline: true }
+};
+
+// Write a clause redline as one paragraph of differently styled runs
+const writeRedline = (doc, redline) => {
+  const segments = (redline.segments || []).filter(segment => segment.text);
+  if (segments.length === 0) return;
+
+  doc.text('Changes: ', { continued: true });
+  segments.forEach((segment, index) => {
+    const { color, underline = false, strike = false } = redlinePdfStyles[segment.type] || redlinePdfStyles.equal;
+    doc.fillColor(color).text(segment.text, {
+      continued: index < segments.length - 1,
+      underline,
+      strike
+    });
+  });
+  doc.fillColor('black');
+};
+
+// Report body for a comparison of two documents
+const writePairwiseReport = (doc, data) => {
+  // Document Information
+  doc.fontSize(16).font('Helvetica-Bold').text('Document Information');
+  doc.fontSize(12).font('Helvetica');
+  doc.text(`Document 1: ${data.documents.doc1.title}`);
+  doc.text(`Type: ${data.documents.doc1.documentType}`);
+  doc.text(`Overall Risk: ${data.documents.doc1.overallRisk}`);
+  doc.text(`Total Clauses: ${data.documents.doc1.totalClauses}`);
+  doc.moveDown();
+
+  doc.text(`Document 2: ${data.documents.doc2.title}`);
+  doc.text(`Type: ${data.documents.doc2.documentType}`);
+  doc.text(`Overall Risk: ${data.documents.doc2.overallRisk}`);
+  doc.text(`Total Clauses: ${data.documents.doc2.totalClauses}`);
+  doc.moveDown(2);
+
+  // Similarities Section
+  if (data.detailedSimilarities && data.detailedSimilarities.length > 0) {
+    doc.fontSize(16).font('Helvetica-Bold').text('Similarities');
+    doc.fontSize(12).font('Helvetica');
+    data.detailedSimilarities.forEach(similarity => {
+      doc.text(`• ${similarity}`);
+    });
+    doc.moveDown(2);
+  }
+
+  // Clause-by-Clause Comparison
+  if (data.clauseByClauseComparison && data.clauseByClauseComparison.length > 0) {
+    doc.fontSize(16).font('Helvetica-Bold').text('Clause-by-Clause Comparison');
+    doc.moveDown();
+
+    data.clauseByClauseComparison.forEach((comparison, index) => {
+      if (doc.y > 700) { // Add new page if needed
+        doc.addPage();
+      }
+
+      doc.fontSize(14).font('Helvetica-Bold').text(`${comparison.clauseType}`);
+      doc.fontSize(10).font('Helvetica');
+      
+      // Risk indicator
+      const riskColor = comparison.overallRisk === 'High' ? 'red' : 
+                       comparison.overallRisk === 'Medium' ? 'orange' : 'green';
+      doc.fillColor(riskColor).text(`Risk Level: ${comparison.overallRisk}`, { continued: false });
+      doc.fillColor('black');
+      if (comparison.matchConfidence !== null && comparison.matchConfidence !== undefined) {
+        doc.text(`Match Confidence: ${Math.round(comparison.matchConfidence * 100)}%`);
+      }
+
+      if (comparison.doc1) {
+        doc.text(`Document 1: ${comparison.doc1.text}`);
+      } else {
+        doc.text('Document 1: Not present');
+      }
+
+      if (comparison.doc2) {
+        doc.text(`Document 2: ${comparison.doc2.text}`);
+      } else {
+        doc.text('Document 2: Not present');
+      }
+
+      doc.text(`Difference: ${comparison.difference}`);
+      if (comparison.redline) {
+        writeRedline(doc, comparison.redline);
+      }
+      doc.text(`Plain English: ${comparison.plainEnglish}`);
+      doc.moveDown();
+    });
+  }
+
+  // Key Differences
+  if (data.differences && data.differences.length > 0) {
+    doc.addPage();
+    doc.fontSize(16).font('Helvetica-Bold').text('Key Differences');
+    doc.fontSize(12).font('Helvetica');
+    data.differences.forEach(difference => {
+      doc.text(`• ${difference}`);
+    });
+    doc.moveDown(2);
+  }
+
+  // Recommendations
+  if (data.recommendations && data.recommendations.length > 0) {
+    doc.fontSize(16).font('Helvetica-Bold').text('Recommendations');
+    doc.fontSize(12).font('Helvetica');
+    data.recommendations.forEach(recommendation => {
+      doc.text(`• ${recommendation}`);
+    });
+  }
+};
+
+const basisPdfLabels = {
+  term: 'Ranked on the key term',
+  risk: 'Ranked on risk'
+};
+
+// Report body for a clause matrix of several documents
+const writeMatrixReport = (doc, data) => {
+  doc.fontSize(16).font('Helvetica-Bold').text('Document Information');
+  doc.fontSize(12).font('Helvetica');
+  data.documents.forEach((document, index) => {
+    doc.text(`Document ${index + 1}: ${document.title}`);
+    doc.text(`Type: ${document.documentType}`);
+    doc.text(`Overall Risk: ${document.overallRisk}`);
+    doc.text(`Total Clauses: ${document.totalClauses}`);
+    doc.text(`Best / Worst Clauses: ${document.bestCount} / ${document.worstCount}`);
+    doc.moveDown();
+  });
+  doc.moveDown();
+
+  doc.fontSize(16).font('Helvetica-Bold').text('Clause Matrix');
+  doc.moveDown();
+
+  data.matrix.forEach(row => {
+    if (doc.y > 700) { // Add new page if needed
+      doc.addPage();
+    }
+
+    doc.fontSize(14).font('Helvetica-Bold').fillColor('black').text(row.clauseType);
+    doc.fontSize(10).font('Helvetica');
+    if (row.basis) {
+      doc.text(basisPdfLabels[row.basis]);
+    }
+
+    row.cells.forEach((cell, index) => {
+      if (!cell) {
+        doc.fillColor('black').text(`Document ${index + 1}: Not present`);
+        return;
+      }
+      const isBest = row.best.includes(index);
+      const isWorst = row.worst.includes(index);
+      const mark = isBest ? ' [Best]' : isWorst ? ' [Worst]' : '';
+      const keyTerm = cell.keyTerm ? `${cell.keyTerm}: ` : '';
+      doc.fillColor(isBest ? 'green' : isWorst ? 'red' : 'black')
+        .text(`Document ${index + 1}${mark}: ${keyTerm}${cell.text} (${cell.risk} Risk)`);
+    });
+    doc.fillColor('black');
+    doc.moveDown();
+  });
+};
+
+// @desc    List the user's saved comparisons
+// @route   GET /api/comparisons
+// @access  Private
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, documentId } = req.query;
+
+  const query = { userId: req.user._id };
+  if (documentId) query['sources.documentId'] = documentId;
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  };
+
+  const comparisons = await Comparison.find(query)
+    .select('-result') // Exclude the full report
+    .sort({ createdAt: -1 })
+    .limit(options.limit * 1)
+    .skip((options.page - 1) * options.limit);
+
+  const total = await Comparison.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: comparisons.length,
+    total,
+    page: options.page,
+    pages: Math.ceil(total / options.limit),
+    comparisons: comparisons.map(comparison => comparison.toSummary())
+  });
+}));
+
+// @desc    Re-open a saved comparison
+// @route   GET /api/comparisons/:id
+// @access  Private
+router.get('/:id', protect, asyncHandler(async (req, res) => {
+  const comparison = await Comparison.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!comparison) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comparison not found'
+    });
+  }
+
+  // Source documents deleted or re-analyzed since make the report out of date
+  const documents = await Document.find({
+    _id: { $in: comparison.sources.map(source => source.documentId) },
+    userId: req.user._id
+  }).select('analysis.textVersion analysis.analyzedAt');
+
+  res.status(200).json({
+    success: true,
+    comparison: {
+      ...comparison.result,
+      ...comparison.toSummary(),
+      outdatedSources: comparison.findOutdatedSources(documents)
+    }
+  });
+}));
+
+// @desc    Delete a saved comparison
+// @route   DELETE /api/comparisons/:id
+// @access  Private
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+  const comparison = await Comparison.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!comparison) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comparison not found'
+    });
+  }
+
+  console.log(`Comparison deleted: ${comparison._id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Comparison deleted successfully'
+  });
+}));
+
+// @desc    Export a saved comparison as a PDF report
+// @route   GET /api/comparisons/:id/export-pdf
+// @access  Private
+router.get('/:id/export-pdf', protect, asyncHandler(async (req, res) => {
+  const comparison = await Comparison.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!comparison) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comparison not found'
+    });
+  }
+
+  const doc = new PDFDocument({ margin: 50 });
+
+  // Set response headers for PDF download
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="document-comparison-${comparison._id}.pdf"`);
+
+  // Pipe PDF to response
+  doc.pipe(res);
+
+  // Title
+  doc.fontSize(20).font('Helvetica-Bold').text('Document Comparison Report', { align: 'center' });
+  doc.fontSize(10).font('Helvetica').text(
+    `Compared on ${comparison.createdAt.toLocaleDateString()}`,
+    { align: 'center' }
+  );
+  doc.moveDown(2);
+
+  if (comparison.type === 'matrix') {
+    writeMatrixReport(doc, comparison.result);
+  } else {
+    writePairwiseReport(doc, comparison.result);
+  }
+
+  // Footer
+  doc.fontSize(10).font('Helvetica').fillColor('black').text(
+    `Generated on ${new Date().toLocaleDateString()} by LegalEase`,
+    50,
+    doc.page.height - 50,
+    { align: 'center' }
+  );
+
+  doc.end();
+}));
+
+module.exports = router;
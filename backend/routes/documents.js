@@ -4,10 +4,13 @@ const path = require('path');
 const fs = require('fs').promises;
 const { body, validationResult } = require('express-validator');
 const Document = require('../models/Document');
+const AnalysisJob = require('../models/AnalysisJob');
 const { protect, uploadRateLimit, checkSubscriptionLimits } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { encrypt, decrypt } = require('../utils/encryption');
 const documentProcessor = require('../utils/documentProcessor');
+const languageDetector = require('../utils/languageDetector');
+const textDiff = require('../utils/textDiff');
 
 const router = express.Router();
 
@@ -30,28 +33,86 @@ const storage = multer.diskStorage({
   }
 });
 
+// MIME types browsers send for each supported file type. Browsers without
+// a registered type for .eml/.rtf send application/octet-stream.
+const allowedMimeTypes = {
+  pdf: /pdf/,
+  image: /jpeg|jpg|png|bmp|tiff|webp/,
+  docx: /officedocument\.wordprocessingml\.document|octet-stream/,
+  text: /text\/plain/,
+  rtf: /rtf|msword|octet-stream/,
+  html: /text\/html|xhtml/,
+  email: /message\/rfc822|octet-stream/
+};
+
 const fileFilter = (req, file, cb) => {
   // Check file type
-  const allowedTypes = /jpeg|jpg|png|pdf|bmp|tiff|webp/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
+  let fileType;
+  try {
+    fileType = documentProcessor.getFileType(file.originalname);
+  } catch (error) {
+    fileType = null;
+  }
 
-  if (mimetype && extname) {
+  if (fileType && allowedMimeTypes[fileType].test(file.mimetype)) {
     return cb(null, true);
   } else {
-    cb(new Error('Only PDF and image files are allowed'));
+    cb(new Error('Only PDF, image, Word (.docx), text, RTF, HTML and email (.eml) files are allowed'));
   }
 };
 
+// Most documents one comparison can take
+const MAX_COMPARE_DOCUMENTS = parseInt(process.env.MAX_COMPARE_DOCUMENTS) || 5;
+
 const upload = multer({
   storage: storage,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
-    files: 2 // Allow up to 2 files for comparison
+    files: MAX_COMPARE_DOCUMENTS // Several files can be uploaded for comparison
   },
   fileFilter: fileFilter
 });
 
+// Photographed pages of one document, one image per page
+const MAX_PAGE_IMAGES = parseInt(process.env.MAX_PAGE_IMAGES) || 20;
+
+const uploadPages = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024,
+    files: MAX_PAGE_IMAGES
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|bmp|tiff|webp/;
+    if (allowedTypes.test(path.extname(file.originalname).toLowerCase()) && allowedTypes.test(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only image files are allowed for page uploads'));
+  }
+});
+
+// Older edits of the extracted text are dropped beyond this many versions
+const MAX_TEXT_VERSIONS = 20;
+
+// Score the extracted text; poor extractions wait for the user to review
+// (and correct) the text before they can be analyzed
+const assessTextQuality = (text, confidence) => {
+  const quality = documentProcessor.validateTextQuality(text, confidence ?? null);
+  return {
+    status: quality.needsReview ? 'needs_review' : 'uploaded',
+    textQuality: {
+      score: quality.score,
+      issues: quality.issues,
+      recommendations: quality.recommendations,
+      checkedAt: new Date()
+    }
+  };
+};
+
+const uploadMessage = document => document.status === 'needs_review'
+  ? 'Document uploaded. The extracted text looks unreliable - please review it before analysis.'
+  : 'Document uploaded successfully';
+
 // @desc    Upload and process document
 // @route   POST /api/documents/upload
 // @access  Private
@@ -96,7 +157,9 @@ router.post('/upload', [
 
     // Extract text from document
     console.log('Extracting text from document...');
-    const extractionResult = await documentProcessor.extractText(file.path, fileType);
+    const extractionResult = await documentProcessor.extractText(file.path, fileType, null, {
+      languageHint: req.user.preferences?.language
+    });
 
     // Detect document type
     const documentType = documentProcessor.detectDocumentType(extractionResult.text);
@@ -112,10 +175,12 @@ router.post('/upload', [
       encryptedContent: encryptedContent,
       extractedText: extractionResult.text,
       documentType: documentType,
-      status: 'uploaded',
+      keyFacts: documentProcessor.extractKeyInformation(extractionResult.text),
+      ...assessTextQuality(extractionResult.text, extractionResult.confidence),
       metadata: {
         pages: extractionResult.pages || 1,
-        language: 'en',
+        pageRanges: extractionResult.pageRanges,
+        language: extractionResult.language,
         ocrConfidence: extractionResult.confidence,
         processingMethod: extractionResult.processingMethod
       }
@@ -135,7 +200,7 @@ router.post('/upload', [
 
     res.status(201).json({
       success: true,
-      message: 'Document uploaded successfully',
+      message: uploadMessage(document),
       document: {
         id: document._id,
         title: document.title,
@@ -144,6 +209,7 @@ router.post('/upload', [
         fileSize: document.fileSize,
         documentType: document.documentType,
         status: document.status,
+        textQuality: document.textQuality,
         metadata: document.metadata,
         createdAt: document.createdAt
       }
@@ -162,6 +228,126 @@ router.post('/upload', [
   }
 }));
 
+// @desc    Upload photos of a document's pages as one document
+// @route   POST /api/documents/upload-pages
+// @access  Private
+// Images are OCR'd as pages in the order they are sent
+router.post('/upload-pages', [
+  protect,
+  uploadRateLimit,
+  checkSubscriptionLimits,
+  uploadPages.array('pages', MAX_PAGE_IMAGES),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No page images uploaded'
+    });
+  }
+
+  const files = req.files;
+
+  try {
+    const { title } = req.body;
+
+    // Keep every page image, in order, in the encrypted content
+    const pages = [];
+    for (const file of files) {
+      const fileBuffer = await fs.readFile(file.path);
+      pages.push({
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        content: fileBuffer.toString('base64')
+      });
+    }
+    const encryptedContent = encrypt(JSON.stringify(pages));
+
+    console.log(`Extracting text from ${files.length} page images...`);
+    const extractionResult = await documentProcessor.extractTextFromImages(files.map(file => file.path), {
+      languageHint: req.user.preferences?.language
+    });
+
+    const documentType = documentProcessor.detectDocumentType(extractionResult.text);
+    const originalFileName = files.length > 1
+      ? `${files[0].originalname} (+${files.length - 1} pages)`
+      : files[0].originalname;
+
+    const document = await Document.create({
+      userId: req.user._id,
+      title: title || files[0].originalname,
+      originalFileName,
+      fileType: 'image',
+      fileSize: files.reduce((total, file) => total + file.size, 0),
+      filePath: files[0].path,
+      encryptedContent: encryptedContent,
+      extractedText: extractionResult.text,
+      documentType: documentType,
+      keyFacts: documentProcessor.extractKeyInformation(extractionResult.text),
+      ...assessTextQuality(extractionResult.text, extractionResult.confidence),
+      metadata: {
+        pages: extractionResult.pages,
+        pageRanges: extractionResult.pageRanges,
+        language: extractionResult.language,
+        ocrConfidence: extractionResult.confidence,
+        processingMethod: extractionResult.processingMethod
+      }
+    });
+
+    for (const file of files) {
+      try {
+        await fs.unlink(file.path);
+      } catch (cleanupError) {
+        console.warn('Failed to cleanup uploaded file:', cleanupError);
+      }
+    }
+
+    await req.user.incrementDocumentsAnalyzed();
+
+    console.log(`Document uploaded from ${files.length} pages: ${document._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: uploadMessage(document),
+      document: {
+        id: document._id,
+        title: document.title,
+        originalFileName: document.originalFileName,
+        fileType: document.fileType,
+        fileSize: document.fileSize,
+        documentType: document.documentType,
+        status: document.status,
+        textQuality: document.textQuality,
+        metadata: document.metadata,
+        createdAt: document.createdAt
+      }
+    });
+
+  } catch (error) {
+    for (const file of files) {
+      try {
+        await fs.unlink(file.path);
+      } catch (cleanupError) {
+        console.warn('Failed to cleanup file after error:', cleanupError);
+      }
+    }
+    throw error;
+  }
+}));
+
 // @desc    Upload multiple documents for comparison
 // @route   POST /api/documents/upload-compare
 // @access  Private
@@ -169,18 +355,26 @@ router.post('/upload-compare', [
   protect,
   uploadRateLimit,
   checkSubscriptionLimits,
-  upload.array('documents', 2)
+  upload.array('documents', MAX_COMPARE_DOCUMENTS)
 ], asyncHandler(async (req, res) => {
-  if (!req.files || req.files.length !== 2) {
+  if (!req.files || req.files.length < 2) {
+    // Keep nothing from an upload that cannot be compared
+    for (const file of req.files || []) {
+      try {
+        await fs.unlink(file.path);
+      } catch (cleanupError) {
+        console.warn('Failed to cleanup uploaded file:', cleanupError);
+      }
+    }
     return res.status(400).json({
       success: false,
-      message: 'Please upload exactly 2 documents for comparison'
+      message: `Please upload between 2 and ${MAX_COMPARE_DOCUMENTS} documents for comparison`
     });
   }
 
-  try {
-    const uploadedDocs = [];
+  const uploadedDocs = [];
 
+  try {
     for (let i = 0; i < req.files.length; i++) {
       const file = req.files[i];
       
@@ -195,12 +389,14 @@ router.post('/upload-compare', [
       console.log(`Extracting text from document ${i + 1}...`);
       let extractionResult;
       try {
-        extractionResult = await documentProcessor.extractText(file.path, fileType, i + 1);
+        extractionResult = await documentProcessor.extractText(file.path, fileType, i + 1, {
+          languageHint: req.user.preferences?.language
+        });
         console.log(`✅ Text extraction successful for document ${i + 1}: ${extractionResult.text.length} characters`);
       } catch (extractionError) {
         console.error(`❌ Text extraction failed for document ${i + 1}:`, extractionError.message);
-        // Continue with fallback - the documentProcessor should handle this
-        extractionResult = await documentProcessor.extractText(file.path, fileType, i + 1);
+        extractionError.message = `Document ${i + 1} (${file.originalname}): ${extractionError.message}`;
+        throw extractionError;
       }
 
       // Detect document type
@@ -217,10 +413,12 @@ router.post('/upload-compare', [
         encryptedContent: encryptedContent,
         extractedText: extractionResult.text,
         documentType: documentType,
-        status: 'uploaded',
+        keyFacts: documentProcessor.extractKeyInformation(extractionResult.text),
+        ...assessTextQuality(extractionResult.text, extractionResult.confidence),
         metadata: {
           pages: extractionResult.pages || 1,
-          language: 'en',
+          pageRanges: extractionResult.pageRanges,
+          language: extractionResult.language,
           ocrConfidence: extractionResult.confidence,
           processingMethod: extractionResult.processingMethod
         }
@@ -232,7 +430,8 @@ router.post('/upload-compare', [
         originalFileName: document.originalFileName,
         fileType: document.fileType,
         documentType: document.documentType,
-        status: document.status
+        status: document.status,
+        textQuality: document.textQuality
       });
 
       // Clean up uploaded file
@@ -255,6 +454,11 @@ router.post('/upload-compare', [
     });
 
   } catch (error) {
+    // Don't leave half of a comparison behind
+    if (uploadedDocs.length > 0) {
+      await Document.deleteMany({ _id: { $in: uploadedDocs.map(doc => doc.id) } });
+    }
+
     // Clean up files if processing failed
     if (req.files) {
       for (const file of req.files) {
@@ -291,7 +495,7 @@ router.get('/', protect, asyncHandler(async (req, res) => {
     page: parseInt(page),
     limit: parseInt(limit),
     sort: { createdAt: -1 },
-    select: '-encryptedContent -extractedText' // Exclude large fields
+    select: '-encryptedContent -extractedText -textVersions' // Exclude large fields
   };
 
   const documents = await Document.find(query)
@@ -328,6 +532,11 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
     });
   }
 
+  // Documents uploaded before key facts were extracted get them on first view
+  if (!document.keyFacts?.extractedAt) {
+    document.keyFacts = documentProcessor.extractKeyInformation(document.extractedText);
+  }
+
   // Update last accessed
   await document.updateLastAccessed();
 
@@ -397,6 +606,108 @@ router.put('/:id', [
   });
 }));
 
+// @desc    Review and correct extracted text (each change is kept as a version)
+// @route   PUT /api/documents/:id/text
+// @access  Private
+router.put('/:id/text', [
+  protect,
+  body('text')
+    .isString()
+    .withMessage('Text is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 500000 })
+    .withMessage('Text must be between 1 and 500000 characters')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const document = await Document.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!document) {
+    return res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    });
+  }
+
+  if (document.status === 'processing') {
+    return res.status(409).json({
+      success: false,
+      message: 'The text cannot be edited while the document is being analyzed'
+    });
+  }
+
+  const { text } = req.body;
+  const quality = documentProcessor.validateTextQuality(text);
+
+  // Every change is kept as a diff against the previous version
+  if (text !== document.extractedText) {
+    const { hunks, added, removed } = textDiff.diff(document.extractedText, text);
+    document.textVersion = (document.textVersion || 0) + 1;
+    document.textVersions.push({
+      version: document.textVersion,
+      editedBy: req.user._id,
+      editedAt: new Date(),
+      summary: { added, removed },
+      hunks
+    });
+    if (document.textVersions.length > MAX_TEXT_VERSIONS) {
+      document.textVersions.splice(0, document.textVersions.length - MAX_TEXT_VERSIONS);
+    }
+  }
+
+  document.metadata.pageRanges = documentProcessor.remapPageRanges(
+    document.metadata.pageRanges.map(range => range.toObject()),
+    document.extractedText,
+    text
+  );
+  document.metadata.language = languageDetector.detect(text, { fallback: document.metadata.language }).language;
+  document.extractedText = text;
+  document.keyFacts = documentProcessor.extractKeyInformation(text);
+  document.textQuality = {
+    score: quality.score,
+    issues: quality.issues,
+    recommendations: quality.recommendations,
+    checkedAt: new Date(),
+    reviewedAt: new Date()
+  };
+  // The user has now seen the text, so it can be analyzed as it is. An
+  // analyzed document keeps its analysis until the changed clauses are
+  // re-analyzed (analysis.textVersion falls behind textVersion).
+  if (document.status !== 'analyzed') {
+    document.status = 'uploaded';
+  }
+
+  await document.save();
+
+  // Clause results kept by failed or cancelled jobs belong to the old text
+  await AnalysisJob.updateMany(
+    { documentId: document._id, status: { $in: ['failed', 'cancelled'] } },
+    { $set: { partialResults: [], textVersion: document.textVersion } }
+  );
+
+  // Don't send encrypted content in response
+  const documentResponse = document.toObject();
+  delete documentResponse.encryptedContent;
+
+  res.status(200).json({
+    success: true,
+    message: 'Extracted text updated',
+    document: documentResponse
+  });
+}));
+
 // @desc    Delete document
 // @route   DELETE /api/documents/:id
 // @access  Private
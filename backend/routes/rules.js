@@ -0,0 +1,226 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const RiskRule = require('../models/RiskRule');
+const { protect, admin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const rulesEngine = require('../utils/rulesEngine');
+const defaultRiskRules = require('../utils/defaultRiskRules');
+
+const router = express.Router();
+
+// Every rules route is admin only
+router.use(protect, admin);
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'keyword', 'category', 'pattern', 'weight',
+  'documentTypeWeights', 'negation', 'proximity', 'numeric', 'enabled'
+];
+
+const ruleValidation = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Rule name must be between 1 and 100 characters'),
+    field('pattern.value')
+      .isString()
+      .isLength({ min: 1 })
+      .withMessage('Pattern value is required'),
+    body('pattern.type')
+      .optional()
+      .isIn(['word', 'phrase', 'regex'])
+      .withMessage('Pattern type must be word, phrase or regex'),
+    body('weight')
+      .optional()
+      .isFloat({ min: -10, max: 10 })
+      .withMessage('Weight must be between -10 and 10'),
+    body('proximity')
+      .optional()
+      .isArray()
+      .withMessage('Proximity must be an array')
+  ];
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const pickRuleFields = source => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) fields[field] = source[field];
+  });
+  return fields;
+};
+
+// @desc    List risk rules
+// @route   GET /api/rules
+// @access  Private/Admin
+router.get('/', asyncHandler(async (req, res) => {
+  const { enabled, category, search } = req.query;
+  const query = {};
+
+  if (enabled !== undefined) query.enabled = enabled === 'true';
+  if (category) query.category = category;
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { 'pattern.value': { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  const rules = await RiskRule.find(query).sort({ category: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    loadedRules: rulesEngine.rules.length,
+    rules
+  });
+}));
+
+// @desc    Test rules against sample text
+// @route   POST /api/rules/test
+// @access  Private/Admin
+// Uses the active rules, or the unsaved `rules` in the body when given
+router.post('/test', [
+  body('text')
+    .isString()
+    .isLength({ min: 1, max: 20000 })
+    .withMessage('Text is required'),
+  body('rules')
+    .optional()
+    .isArray()
+    .withMessage('Rules must be an array')
+], asyncHandler(async (req, res) => {
+  if (!handleValidation(req, res)) return;
+
+  const { text, documentType, rules } = req.body;
+  const result = rules
+    ? rulesEngine.evaluateWith(rules, text, documentType)
+    : rulesEngine.evaluate(text, documentType);
+
+  res.status(200).json({
+    success: true,
+    result
+  });
+}));
+
+// @desc    Restore any missing default rules
+// @route   POST /api/rules/restore-defaults
+// @access  Private/Admin
+router.post('/restore-defaults', asyncHandler(async (req, res) => {
+  const existing = new Set((await RiskRule.find().select('name').lean()).map(rule => rule.name));
+  const missing = defaultRiskRules.filter(rule => !existing.has(rule.name));
+
+  if (missing.length > 0) {
+    await RiskRule.insertMany(missing.map(rule => ({ ...rule, createdBy: req.user._id })));
+  }
+  await rulesEngine.load();
+
+  res.status(200).json({
+    success: true,
+    message: `Restored ${missing.length} default rules`,
+    restored: missing.map(rule => rule.name)
+  });
+}));
+
+// @desc    Get a risk rule
+// @route   GET /api/rules/:id
+// @access  Private/Admin
+router.get('/:id', asyncHandler(async (req, res) => {
+  const rule = await RiskRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rule not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    rule
+  });
+}));
+
+// @desc    Create a risk rule
+// @route   POST /api/rules
+// @access  Private/Admin
+router.post('/', ruleValidation(), asyncHandler(async (req, res) => {
+  if (!handleValidation(req, res)) return;
+
+  const rule = await RiskRule.create({
+    ...pickRuleFields(req.body),
+    createdBy: req.user._id,
+    updatedBy: req.user._id
+  });
+  await rulesEngine.load();
+
+  res.status(201).json({
+    success: true,
+    message: 'Rule created successfully',
+    rule
+  });
+}));
+
+// @desc    Update a risk rule
+// @route   PUT /api/rules/:id
+// @access  Private/Admin
+router.put('/:id', ruleValidation(true), asyncHandler(async (req, res) => {
+  if (!handleValidation(req, res)) return;
+
+  const rule = await RiskRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rule not found'
+    });
+  }
+
+  rule.set(pickRuleFields(req.body));
+  rule.updatedBy = req.user._id;
+  await rule.save();
+  await rulesEngine.load();
+
+  res.status(200).json({
+    success: true,
+    message: 'Rule updated successfully',
+    rule
+  });
+}));
+
+// @desc    Delete a risk rule
+// @route   DELETE /api/rules/:id
+// @access  Private/Admin
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const rule = await RiskRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rule not found'
+    });
+  }
+
+  await rule.deleteOne();
+  await rulesEngine.load();
+
+  res.status(200).json({
+    success: true,
+    message: 'Rule deleted successfully'
+  });
+}));
+
+module.exports = router;
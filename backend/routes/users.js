@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Document = require('../models/Document');
+const Comparison = require('../models/Comparison');
 const { protect, admin } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -121,8 +122,8 @@ router.put('/preferences', [
     .withMessage('Notifications must be a boolean'),
   body('language')
     .optional()
-    .isIn(['en', 'es', 'fr', 'de'])
-    .withMessage('Language must be one of: en, es, fr, de'),
+    .isIn(['en', 'es', 'fr', 'de', 'hi'])
+    .withMessage('Language must be one of: en, es, fr, de, hi'),
   body('theme')
     .optional()
     .isIn(['light', 'dark'])
@@ -218,8 +219,9 @@ router.delete('/data', [
   }
 
   try {
-    // Delete all user documents
+    // Delete all user documents and the comparisons made from them
     await Document.deleteMany({ userId: req.user._id });
+    await Comparison.deleteMany({ userId: req.user._id });
 
     // Log the deletion request
     console.log(`Data deletion requested by user: ${req.user.email}, reason: ${reason || 'Not provided'}`);
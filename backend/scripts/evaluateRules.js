@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// Score the risk rules against the labelled clause corpus.
+//
+// Usage: npm run eval:rules -- [options]
+//   --full              run the full analyzeClause (rules + LLM_PROVIDER) instead of rules only
+//   --db                load rules from MONGODB_URI instead of the built-in defaults
+//   --corpus <path>     corpus file or directory (default test/corpus)
+//   --min-accuracy <n>  exit with code 1 when accuracy is below n (0-1)
+//   --no-save           do not store this run for the next diff
+//
+// Each run is compared with the previous one (test/corpus/.last-run.json) to
+// show which clauses changed verdict.
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const LEVELS = ['Low', 'Medium', 'High'];
+const DEFAULT_CORPUS = path.join(__dirname, '../test/corpus');
+const LAST_RUN_FILE = path.join(DEFAULT_CORPUS, '.last-run.json');
+
+const parseArgs = argv => {
+  const options = { full: false, db: false, corpus: DEFAULT_CORPUS, minAccuracy: null, save: true };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--full': options.full = true; break;
+      case '--db': options.db = true; break;
+      case '--corpus': options.corpus = path.resolve(argv[++i]); break;
+      case '--min-accuracy': options.minAccuracy = parseFloat(argv[++i]); break;
+      case '--no-save': options.save = false; break;
+      default:
+        console.error(`Unknown option: ${argv[i]}`);
+        process.exit(2);
+    }
+  }
+  return options;
+};
+
+const loadCorpus = corpusPath => {
+  const files = fs.statSync(corpusPath).isDirectory()
+    ? fs.readdirSync(corpusPath)
+      .filter(file => file.endsWith('.json') && !file.startsWith('.'))
+      .sort()
+      .map(file => path.join(corpusPath, file))
+    : [corpusPath];
+
+  const clauses = [];
+  const seen = new Set();
+  files.forEach(file => {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    (data.clauses || []).forEach(clause => {
+      if (!clause.id || !clause.text || !LEVELS.includes(clause.expected)) {
+        throw new Error(`Invalid corpus entry in ${path.basename(file)}: ${JSON.stringify(clause).substring(0, 80)}`);
+      }
+      if (seen.has(clause.id)) {
+        throw new Error(`Duplicate corpus id: ${clause.id}`);
+      }
+      seen.add(clause.id);
+      clauses.push({ documentType: 'other', ...clause });
+    });
+  });
+  return clauses;
+};
+
+// Precision, recall and confusion matrix (rows: expected, columns: predicted)
+const score = results => {
+  const matrix = {};
+  LEVELS.forEach(expected => {
+    matrix[expected] = {};
+    LEVELS.forEach(predicted => { matrix[expected][predicted] = 0; });
+  });
+  results.forEach(result => { matrix[result.expected][result.predicted]++; });
+
+  const perLevel = {};
+  LEVELS.forEach(level => {
+    const truePositives = matrix[level][level];
+    const predictedCount = LEVELS.reduce((sum, expected) => sum + matrix[expected][level], 0);
+    const expectedCount = LEVELS.reduce((sum, predicted) => sum + matrix[level][predicted], 0);
+    perLevel[level] = {
+      precision: predictedCount ? truePositives / predictedCount : null,
+      recall: expectedCount ? truePositives / expectedCount : null,
+      support: expectedCount
+    };
+  });
+
+  const correct = results.filter(result => result.expected === result.predicted).length;
+  return { matrix, perLevel, accuracy: results.length ? correct / results.length : 0, correct };
+};
+
+const pct = value => (value === null ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+const printReport = ({ matrix, perLevel, accuracy, correct }, total, mode) => {
+  console.log(`\nRisk evaluation (${mode}) over ${total} clauses`);
+  console.log(`Accuracy: ${pct(accuracy)} (${correct}/${total})\n`);
+
+  console.log('Level    Precision  Recall  Support');
+  LEVELS.forEach(level => {
+    const { precision, recall, support } = perLevel[level];
+    console.log(`${level.padEnd(8)} ${pct(precision).padStart(9)} ${pct(recall).padStart(7)} ${String(support).padStart(8)}`);
+  });
+
+  console.log('\nConfusion matrix (rows: expected, columns: predicted)');
+  console.log(`${''.padEnd(10)}${LEVELS.map(level => level.padStart(8)).join('')}`);
+  LEVELS.forEach(expected => {
+    console.log(`${expected.padEnd(10)}${LEVELS.map(predicted => String(matrix[expected][predicted]).padStart(8)).join('')}`);
+  });
+};
+
+const printMisses = results => {
+  const misses = results.filter(result => result.expected !== result.predicted);
+  if (misses.length === 0) return;
+
+  console.log('\nMisclassified clauses');
+  misses.forEach(result => {
+    const rules = result.rules.length > 0 ? ` [${result.rules.join(', ')}]` : '';
+    console.log(`  ${result.id}: expected ${result.expected}, got ${result.predicted}${rules}`);
+  });
+};
+
+const printDiff = (results, previous) => {
+  if (!previous) {
+    console.log('\nNo previous run to compare with.');
+    return;
+  }
+
+  const before = new Map(previous.results.map(result => [result.id, result]));
+  const changed = results.filter(result => before.has(result.id) && before.get(result.id).predicted !== result.predicted);
+  const added = results.filter(result => !before.has(result.id));
+
+  console.log(`\nChanges since previous ${previous.mode} run (${previous.runAt}):`);
+  if (changed.length === 0 && added.length === 0) {
+    console.log('  No verdict changes');
+  }
+  changed.forEach(result => {
+    const old = before.get(result.id);
+    const marker = result.predicted === result.expected ? 'fixed    ' :
+      old.predicted === old.expected ? 'regressed' : 'changed  ';
+    console.log(`  ${marker} ${result.id}: ${old.predicted} -> ${result.predicted} (expected ${result.expected})`);
+  });
+  if (added.length > 0) {
+    console.log(`  ${added.length} new clause(s) in corpus`);
+  }
+  console.log(`  Accuracy: ${pct(previous.accuracy)} -> ${pct(score(results).accuracy)}`);
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const clauses = loadCorpus(options.corpus);
+  const mode = options.full ? 'full' : 'rules';
+
+  const mongoose = require('mongoose');
+  const rulesEngine = require('../utils/rulesEngine');
+  if (options.db) {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const count = await rulesEngine.load();
+    console.log(`Loaded ${count} rules from the database`);
+  }
+
+  const aiAnalyzer = require('../utils/aiAnalyzer');
+  const results = [];
+
+  for (const clause of clauses) {
+    let predicted;
+    let evidence;
+    if (options.full) {
+      const analysis = await aiAnalyzer.analyzeClause(clause.text, 1, clause.documentType);
+      predicted = analysis.final_risk;
+      evidence = analysis.rules_verdict ? analysis.rules_verdict.evidence : [];
+    } else {
+      const analysis = aiAnalyzer.analyzeRiskByRules(clause.text, clause.documentType);
+      predicted = analysis.riskLevel;
+      evidence = analysis.hits;
+    }
+
+    results.push({
+      id: clause.id,
+      expected: clause.expected,
+      predicted,
+      rules: evidence.map(hit => hit.rule)
+    });
+  }
+
+  const report = score(results);
+  printReport(report, results.length, mode);
+  printMisses(results);
+
+  // Only compare like with like (rules-only vs full runs)
+  const runs = fs.existsSync(LAST_RUN_FILE) ? JSON.parse(fs.readFileSync(LAST_RUN_FILE, 'utf8')) : {};
+  const previous = runs[mode] || null;
+  if (options.save) {
+    runs[mode] = { mode, runAt: new Date().toISOString(), accuracy: report.accuracy, results };
+    fs.writeFileSync(LAST_RUN_FILE, JSON.stringify(runs, null, 2));
+  }
+  printDiff(results, previous);
+
+  if (options.db) {
+    await mongoose.disconnect();
+  }
+
+  if (options.minAccuracy !== null && report.accuracy < options.minAccuracy) {
+    console.error(`\nAccuracy ${pct(report.accuracy)} is below the required ${pct(options.minAccuracy)}`);
+    process.exit(1);
+  }
+  process.exit(0);
+};
+
+run().catch(error => {
+  console.error('Rules evaluation failed:', error);
+  process.exit(1);
+});
@@ -11,11 +11,17 @@ const authRoutes = require('./routes/auth');
 const documentRoutes = require('./routes/documents');
 const analysisRoutes = require('./routes/analysis');
 const userRoutes = require('./routes/users');
+const ruleRoutes = require('./routes/rules');
+const comparisonRoutes = require('./routes/comparisons');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { logger } = require('./middleware/logger');
 
+// Background workers
+const analysisQueue = require('./utils/analysisQueue');
+const rulesEngine = require('./utils/rulesEngine');
+
 const app = express();
 
 // Security middleware
@@ -64,6 +70,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/analysis', analysisRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/comparisons', comparisonRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -93,6 +101,14 @@ const PORT = process.env.PORT || 5000;
 const startServer = async () => {
   try {
     await connectDB();
+
+    // Load risk rules from the database and keep them in sync with admin edits
+    rulesEngine.start();
+
+    // Background analysis worker (disable on instances that only serve requests)
+    if (process.env.ANALYSIS_WORKER_ENABLED !== 'false') {
+      analysisQueue.start();
+    }
     
     const server = app.listen(PORT, () => {
       console.log(`🚀 LegalEase API Server running on port ${PORT}`);
@@ -103,6 +119,8 @@ const startServer = async () => {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM received. Shutting down gracefully...');
+      analysisQueue.stop();
+      rulesEngine.stop();
       server.close(() => {
         console.log('Process terminated');
         mongoose.connection.close();
@@ -115,6 +133,9 @@ const startServer = async () => {
   }
 };
 
-startServer();
+// Tests import the app and manage their own (in-memory) database
+if (process.env.NODE_ENV !== 'test') {
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const app = require('../server');
+const db = require('./helpers/db');
+const { createUserWithToken, getMockProvider, sampleAgreement, uploadAndAnalyze } = require('./helpers/fixtures');
+
+// The analyzed clause whose text contains the marker
+const clauseWith = (document, marker) => document.analysis.clauses.find(clause => clause.clause.includes(marker));
+
+// A sample agreement with an extra clause the mock fixtures react to
+const agreementWithMarker = marker => `${sampleAgreement()}
+6. UTILITIES: The tenant pays electricity and water charges as billed. ${marker}
+`;
+
+db.describeDb('upload -> analyze -> compare -> Q&A', () => {
+  let auth;
+
+  beforeAll(async () => {
+    await db.connect();
+  }, 60000);
+
+  beforeEach(async () => {
+    getMockProvider().reset();
+    ({ auth } = await createUserWithToken());
+  });
+
+  afterEach(async () => {
+    await db.clear();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  it('analyzes, compares and answers questions about two agreements', async () => {
+    const { document: first, job } = await uploadAndAnalyze(app, auth, sampleAgreement(), 'lease-a.txt');
+
+    expect(job.status).toBe('completed');
+    expect(first.status).toBe('analyzed');
+    expect(first.analysis.clauses.length).toBeGreaterThanOrEqual(5);
+    expect(first.analysis.clauses.every(clause => clause.source === 'ai')).toBe(true);
+    expect(clauseWith(first, 'penalty').risk_ai).toBe('High');
+    expect(first.analysis.summary.keyFindings).toContain('Mock finding: notice period present');
+
+    const { document: second } = await uploadAndAnalyze(
+      app,
+      auth,
+      sampleAgreement({ rent: '18,000', notice: '2 months' }),
+      'lease-b.txt'
+    );
+    expect(second.status).toBe('analyzed');
+
+    const compared = await request(app)
+      .post('/api/analysis/compare')
+      .set('Authorization', auth)
+      .send({ documentId1: first._id, documentId2: second._id })
+      .expect(200);
+
+    expect(compared.body.success).toBe(true);
+    expect(compared.body.comparison.id).toBeDefined();
+    expect(compared.body.comparison.clauseByClauseComparison.length).toBeGreaterThan(0);
+
+    const saved = await request(app)
+      .get(`/api/comparisons/${compared.body.comparison.id}`)
+      .set('Authorization', auth)
+      .expect(200);
+    expect(saved.body.comparison.outdatedSources).toEqual([]);
+
+    const answered = await request(app)
+      .post(`/api/analysis/qa/${first._id}`)
+      .set('Authorization', auth)
+      .send({ question: 'How much notice do I need to give?' })
+      .expect(200);
+
+    expect(answered.body.qa.answer).toContain('(mock answer)');
+
+    const history = await request(app)
+      .get(`/api/analysis/qa/${first._id}`)
+      .set('Authorization', auth)
+      .expect(200);
+    expect(JSON.stringify(history.body)).toContain('How much notice do I need to give?');
+  });
+
+  it('keeps a clause whose model reply is not valid JSON, marked as unclear', async () => {
+    const { document } = await uploadAndAnalyze(app, auth, agreementWithMarker('MOCK_MALFORMED'), 'malformed.txt');
+
+    expect(document.status).toBe('analyzed');
+    const clause = clauseWith(document, 'MOCK_MALFORMED');
+    expect(clause.source).toBe('ai');
+    expect(clause.reason).toBe('AI analysis completed but format unclear');
+    expect(clause.risk_ai).toBe('Medium');
+
+    // The other clauses of the batch keep their model analysis
+    expect(clauseWith(document, 'penalty').risk_ai).toBe('High');
+  });
+
+  it('falls back to rules-based analysis when the model quota is exceeded (429)', async () => {
+    const { document, job } = await uploadAndAnalyze(app, auth, agreementWithMarker('MOCK_QUOTA'), 'quota.txt');
+
+    expect(job.status).toBe('completed');
+    expect(document.status).toBe('analyzed');
+    expect(document.analysis.clauses.every(clause => clause.source === 'rules')).toBe(true);
+    expect(clauseWith(document, 'penalty').final_risk).not.toBe('Low');
+    expect(document.analysis.summary.keyFindings[0]).toMatch(/^Document contains \d+ clauses$/);
+  });
+
+  it('retries a clause when the model is overloaded (503) and keeps the recovered analysis', async () => {
+    const provider = getMockProvider();
+    const { document } = await uploadAndAnalyze(app, auth, agreementWithMarker('MOCK_OVERLOADED'), 'overloaded.txt');
+
+    expect(document.status).toBe('analyzed');
+    const clause = clauseWith(document, 'MOCK_OVERLOADED');
+    expect(clause.source).toBe('ai');
+    expect(clause.explanation).toBe('This clause was analyzed after the model recovered from being overloaded.');
+
+    const overloaded = provider.fixtures.find(fixture => fixture.name === 'clause-overloaded-then-ok');
+    expect(provider.callCounts.get(overloaded)).toBeGreaterThanOrEqual(2);
+  });
+});
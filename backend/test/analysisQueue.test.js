@@ -0,0 +1,235 @@
+const analysisQueue = require('../utils/analysisQueue');
+const documentAnalysisService = require('../utils/documentAnalysisService');
+const AnalysisJob = require('../models/AnalysisJob');
+const Document = require('../models/Document');
+const db = require('./helpers/db');
+const { createUserWithToken, getMockProvider, sampleAgreement } = require('./helpers/fixtures');
+
+// An uploaded, not yet analyzed plain-text agreement
+const createDocument = (user, overrides = {}) => Document.create({
+  userId: user._id,
+  title: 'Lease',
+  originalFileName: 'lease.txt',
+  fileType: 'text',
+  fileSize: 512,
+  filePath: 'uploads/lease.txt',
+  encryptedContent: 'encrypted',
+  extractedText: sampleAgreement(),
+  documentType: 'rental_agreement',
+  ...overrides
+});
+
+// Queue a document and analyze it to completion
+const analyzeNow = async (document) => {
+  await analysisQueue.enqueue(document);
+  await analysisQueue.drain();
+  return Document.findById(document._id);
+};
+
+const partialResultsOf = async (job) => (await AnalysisJob.findById(job._id).select('+partialResults')).partialResults;
+
+db.describeDb('analysisQueue', () => {
+  let user;
+
+  beforeAll(async () => {
+    await db.connect();
+  }, 60000);
+
+  beforeEach(async () => {
+    getMockProvider().reset();
+    ({ user } = await createUserWithToken());
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.clear();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  it('queues a document and analyzes it when drained', async () => {
+    const document = await createDocument(user);
+    const job = await analysisQueue.enqueue(document);
+
+    expect(job.status).toBe('queued');
+    expect((await Document.findById(document._id)).status).toBe('processing');
+
+    expect(await analysisQueue.drain()).toBe(1);
+
+    const completed = await AnalysisJob.findById(job._id);
+    expect(completed.status).toBe('completed');
+    expect(completed.progress.stage).toBe('done');
+    expect(await partialResultsOf(job)).toHaveLength(0);
+    expect((await Document.findById(document._id)).status).toBe('analyzed');
+  });
+
+  describe('cancel', () => {
+    it('cancels a queued job right away', async () => {
+      const document = await createDocument(user);
+      const job = await analysisQueue.enqueue(document);
+
+      const cancelled = await analysisQueue.requestCancel(job);
+
+      expect(cancelled.status).toBe('cancelled');
+      expect((await Document.findById(document._id)).status).toBe('uploaded');
+      expect(await analysisQueue.drain()).toBe(0);
+    });
+
+    it('stops a running job before its next clause', async () => {
+      const document = await createDocument(user);
+      await analysisQueue.enqueue(document);
+      const job = await AnalysisJob.claimNext(analysisQueue.workerId);
+
+      await analysisQueue.requestCancel(job);
+      await analysisQueue.runJob(job);
+
+      expect((await AnalysisJob.findById(job._id)).status).toBe('cancelled');
+      expect((await Document.findById(document._id)).status).toBe('uploaded');
+      expect(getMockProvider().calls).toHaveLength(0);
+    });
+
+    it('keeps the previous analysis of a document being re-analyzed', async () => {
+      const document = await analyzeNow(await createDocument(user));
+      document.extractedText = sampleAgreement({ rent: '18,000' });
+      document.textVersion = 1;
+      await document.save();
+
+      const job = await analysisQueue.enqueue(document);
+      const claimed = await AnalysisJob.claimNext(analysisQueue.workerId);
+      await analysisQueue.requestCancel(claimed);
+      await analysisQueue.runJob(claimed);
+
+      expect((await AnalysisJob.findById(job._id)).status).toBe('cancelled');
+      const current = await Document.findById(document._id);
+      expect(current.status).toBe('analyzed');
+      expect(current.analysis.textVersion).toBe(0);
+    });
+  });
+
+  describe('retry', () => {
+    it('retries a failed attempt until the job runs out of attempts', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(documentAnalysisService, 'analyze').mockRejectedValue(new Error('Model crashed'));
+      const document = await createDocument(user);
+      const job = await analysisQueue.enqueue(document);
+
+      // drain() keeps claiming the requeued job until maxAttempts is reached
+      expect(await analysisQueue.drain()).toBe(3);
+
+      const failed = await AnalysisJob.findById(job._id);
+      expect(failed).toMatchObject({ status: 'failed', attempts: 3, lastError: 'Model crashed' });
+      expect((await Document.findById(document._id)).status).toBe('failed');
+    });
+
+    it('puts a failed job back in the queue and completes it', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(documentAnalysisService, 'analyze').mockRejectedValueOnce(new Error('Model crashed'));
+      const document = await createDocument(user);
+      const job = await analysisQueue.enqueue(document);
+      await AnalysisJob.updateOne({ _id: job._id }, { $set: { maxAttempts: 1 } });
+
+      await analysisQueue.drain();
+      expect((await AnalysisJob.findById(job._id)).status).toBe('failed');
+
+      const retried = await analysisQueue.retry(await AnalysisJob.findById(job._id));
+      expect(retried).toMatchObject({ status: 'queued', attempts: 0, cancelRequested: false });
+      expect((await Document.findById(document._id)).status).toBe('processing');
+
+      await analysisQueue.drain();
+      expect((await AnalysisJob.findById(job._id)).status).toBe('completed');
+      expect((await Document.findById(document._id)).status).toBe('analyzed');
+    });
+
+    it('keeps finished clauses unless the text was edited since', async () => {
+      const document = await createDocument(user);
+      const job = await analysisQueue.enqueue(document);
+      const finished = { index: 0, analysis: { clause: 'RENTAL AGREEMENT', final_risk: 'Low' } };
+      await AnalysisJob.updateOne({ _id: job._id }, { $set: { status: 'failed', partialResults: [finished] } });
+
+      await analysisQueue.retry(await AnalysisJob.findById(job._id));
+      expect(await partialResultsOf(job)).toHaveLength(1);
+
+      await AnalysisJob.updateOne({ _id: job._id }, { $set: { status: 'failed' } });
+      await Document.updateOne({ _id: document._id }, { $set: { textVersion: 1 } });
+
+      const retried = await analysisQueue.retry(await AnalysisJob.findById(job._id));
+      expect(retried.textVersion).toBe(1);
+      expect(await partialResultsOf(job)).toHaveLength(0);
+    });
+  });
+
+  describe('stale recovery', () => {
+    const stale = async (document, overrides = {}) => {
+      const job = await analysisQueue.enqueue(document);
+      await AnalysisJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'running',
+          lockedBy: 'crashed-worker',
+          attempts: 1,
+          heartbeatAt: new Date(Date.now() - analysisQueue.staleAfter - 1000),
+          ...overrides
+        }
+      });
+      return job;
+    };
+
+    it('requeues a running job whose worker stopped heartbeating', async () => {
+      const document = await createDocument(user);
+      const job = await stale(document);
+
+      await analysisQueue.recoverStaleJobs();
+
+      const requeued = await AnalysisJob.findById(job._id);
+      expect(requeued.status).toBe('queued');
+      expect(requeued.lockedBy).toBeUndefined();
+
+      await analysisQueue.drain();
+      expect((await AnalysisJob.findById(job._id)).status).toBe('completed');
+    });
+
+    it('resumes from the clauses finished before the worker stopped', async () => {
+      const document = await createDocument(user);
+      const job = await stale(document);
+      const resumed = {
+        page: 1,
+        clause: 'Resumed clause',
+        explanation: 'Kept from the first attempt',
+        risk_ai: 'Low',
+        risk_rules: 'Low',
+        final_risk: 'Low',
+        reason: 'Resumed'
+      };
+      await AnalysisJob.updateOne({ _id: job._id }, { $push: { partialResults: { index: 0, analysis: resumed } } });
+
+      await analysisQueue.recoverStaleJobs();
+      await analysisQueue.drain();
+
+      const analyzed = await Document.findById(document._id);
+      expect(analyzed.analysis.clauses[0].explanation).toBe('Kept from the first attempt');
+    });
+
+    it('leaves a job that is still heartbeating alone', async () => {
+      const document = await createDocument(user);
+      const job = await stale(document, { heartbeatAt: new Date() });
+
+      await analysisQueue.recoverStaleJobs();
+
+      expect((await AnalysisJob.findById(job._id)).status).toBe('running');
+    });
+
+    it('fails a job that went stale on its last attempt', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const document = await createDocument(user);
+      const job = await stale(document, { attempts: 3 });
+
+      await analysisQueue.recoverStaleJobs();
+
+      const failed = await AnalysisJob.findById(job._id);
+      expect(failed.status).toBe('failed');
+      expect(failed.lastError).toBe('Analysis worker stopped responding too many times');
+      expect((await Document.findById(document._id)).status).toBe('failed');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const clauseAligner = require('../utils/clauseAligner');
+
+const clauses = (...texts) => texts.map(clause => ({ clause }));
+
+// Clauses of a rental agreement, numbered as in the first document
+const rent = '1. RENT: The monthly rent is Rs. 15,000, payable on the 5th of each month.';
+const deposit = '2. SECURITY DEPOSIT: A refundable security deposit of Rs. 30,000 is payable before occupancy.';
+const notice = '3. NOTICE PERIOD: Either party may terminate this agreement with one month written notice.';
+const pets = 'PETS: No pets or animals may be kept at the premises without written consent.';
+
+// Total cost of an assignment returned by hungarian()
+const totalCost = (cost, assignment) => assignment.reduce((sum, column, row) => sum + cost[row][column], 0);
+
+// Smallest total cost over every assignment, for checking small matrices
+const bruteForceCost = (cost, row = 0, used = new Set()) => {
+  if (row === cost.length) return 0;
+  let best = Infinity;
+  cost[row].forEach((value, column) => {
+    if (used.has(column)) return;
+    used.add(column);
+    best = Math.min(best, value + bruteForceCost(cost, row + 1, used));
+    used.delete(column);
+  });
+  return best;
+};
+
+describe('clauseAligner', () => {
+  describe('hungarian', () => {
+    it('finds the minimum-cost assignment where picking greedily does not', () => {
+      // Greedy takes row 0 -> column 0 (cost 1) and is left with 10 for row 1
+      const cost = [
+        [1, 2],
+        [2, 10]
+      ];
+
+      expect(clauseAligner.hungarian(cost)).toEqual([1, 0]);
+    });
+
+    it('assigns every row of a wide matrix to a distinct column', () => {
+      const cost = [
+        [4, 1, 3, 9],
+        [2, 0, 5, 9],
+        [3, 2, 2, 9]
+      ];
+      const assignment = clauseAligner.hungarian(cost);
+
+      expect(new Set(assignment).size).toBe(3);
+      expect(totalCost(cost, assignment)).toBe(bruteForceCost(cost));
+    });
+
+    it('matches brute force on fixed pseudo-random matrices', () => {
+      let seed = 7;
+      const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+      };
+
+      for (let trial = 0; trial < 20; trial++) {
+        const rows = 1 + Math.floor(random() * 5);
+        const columns = rows + Math.floor(random() * 3);
+        const cost = Array.from({ length: rows }, () => Array.from({ length: columns }, () => Math.round(random() * 100) / 100));
+
+        expect(totalCost(cost, clauseAligner.hungarian(cost))).toBeCloseTo(bruteForceCost(cost), 10);
+      }
+    });
+
+    it('returns nothing for an empty matrix', () => {
+      expect(clauseAligner.hungarian([])).toEqual([]);
+    });
+  });
+
+  describe('match', () => {
+    it('transposes tall matrices and drops pairs below the threshold', () => {
+      const matrix = [
+        [0.9, 0.1],
+        [0.2, 0.15],
+        [0.1, 0.8]
+      ];
+
+      expect(clauseAligner.match(matrix, 0.5)).toEqual([
+        { index1: 0, index2: 0, similarity: 0.9 },
+        { index1: 2, index2: 1, similarity: 0.8 }
+      ]);
+    });
+  });
+
+  describe('tokens', () => {
+    it('drops clause numbering and keeps amounts as one token', () => {
+      const tokens = clauseAligner.tokens({ clause: '4.2 (a) The rent is Rs. 1,00,000 per month.' });
+
+      expect(tokens).toContain('100000');
+      expect(tokens).not.toContain('4');
+      expect(tokens).not.toContain('a');
+    });
+  });
+
+  describe('align', () => {
+    it('pairs reordered and renumbered clauses', async () => {
+      const { method, rows } = await clauseAligner.align(
+        clauses(rent, deposit, notice),
+        clauses(notice.replace('3.', '1.'), rent.replace('1.', '2.'), deposit.replace('2.', '3.'))
+      );
+
+      expect(method).toBe('tfidf');
+      expect(rows.map(({ index1, index2 }) => [index1, index2])).toEqual([[0, 1], [1, 2], [2, 0]]);
+      rows.forEach(row => expect(row.confidence).toBe(1));
+    });
+
+    it('pairs clauses that differ only in an amount, with lower confidence', async () => {
+      const { rows } = await clauseAligner.align(
+        clauses(rent, deposit),
+        clauses(rent.replace('15,000', '18,000'), deposit)
+      );
+
+      expect(rows.map(({ index1, index2 }) => [index1, index2])).toEqual([[0, 0], [1, 1]]);
+      expect(rows[0].confidence).toBeLessThan(1);
+      expect(rows[0].confidence).toBeGreaterThan(0.8);
+      expect(rows[1].confidence).toBe(1);
+    });
+
+    it('leaves clauses found in only one document unmatched, next to their neighbours', async () => {
+      const { rows } = await clauseAligner.align(
+        clauses(rent, notice),
+        clauses(rent, pets, notice)
+      );
+
+      expect(rows).toEqual([
+        { index1: 0, index2: 0, confidence: 1 },
+        { index1: null, index2: 1, confidence: null },
+        { index1: 1, index2: 2, confidence: 1 }
+      ]);
+    });
+
+    it('does not pair clauses below the threshold', async () => {
+      const { rows } = await clauseAligner.align(clauses(rent), clauses(pets), { threshold: 0.5 });
+
+      expect(rows).toEqual([
+        { index1: 0, index2: null, confidence: null },
+        { index1: null, index2: 0, confidence: null }
+      ]);
+    });
+
+    it('blends in embedding similarity when the provider can embed', async () => {
+      // Embeddings that say the rent clause is about the notice clause
+      const embed = async texts => texts.map(text => (text === rent || text === notice ? [1, 0] : [0, 1]));
+      const { method, rows } = await clauseAligner.align(clauses(rent, deposit), clauses(notice, deposit), { embed });
+
+      expect(method).toBe('tfidf+embeddings');
+      expect(rows.find(row => row.index1 === 0).index2).toBe(0);
+    });
+
+    it('falls back to text similarity when embedding fails', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const embed = async () => { throw new Error('embeddings not configured'); };
+
+      const { method, rows } = await clauseAligner.align(clauses(rent), clauses(rent), { embed });
+
+      expect(method).toBe('tfidf');
+      expect(rows).toEqual([{ index1: 0, index2: 0, confidence: 1 }]);
+      warn.mockRestore();
+    });
+  });
+
+  describe('alignMany', () => {
+    it('builds one row per clause across documents', async () => {
+      const { rows } = await clauseAligner.alignMany([
+        clauses(rent, deposit),
+        clauses(deposit, rent),
+        clauses(rent, pets)
+      ]);
+
+      expect(rows.map(row => row.indexes)).toEqual([
+        [0, 1, 0],
+        [1, 0, null],
+        [null, null, 1]
+      ]);
+      expect(rows[0].confidences[0]).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const clauseCache = require('../utils/clauseCache');
+const aiAnalyzer = require('../utils/aiAnalyzer');
+const ClauseAnalysisCache = require('../models/ClauseAnalysisCache');
+const db = require('./helpers/db');
+const { getMockProvider } = require('./helpers/fixtures');
+
+const context = { documentType: 'rental_agreement', promptVersion: 'clause-v3', provider: 'mock', model: 'mock-model' };
+const result = { explanation: 'Rent is due monthly.', riskLevel: 'Low', reason: 'Routine', importantTerms: [] };
+
+const rent = '1. The monthly rent is Rs. 15,000, payable on the 5th.';
+const deposit = '2. A security deposit of Rs. 30,000 is payable before occupancy.';
+
+describe('clauseCache', () => {
+  describe('buildKey', () => {
+    const key = (text, overrides = {}) => clauseCache.buildKey(text, { ...context, ...overrides });
+
+    it('ignores numbering, case, quotes and whitespace in the clause', () => {
+      expect(key('4.2 The Tenant’s   “deposit” is refundable.')).toBe(key('the tenant\'s "deposit"\nis refundable.'));
+      expect(key('(b) The rent is due monthly.')).toBe(key('Clause 7 The rent is due monthly.'));
+    });
+
+    it('changes with the wording, document type, prompt, provider, model and language', () => {
+      const base = key(rent);
+
+      expect(key(rent.replace('15,000', '18,000'))).not.toBe(base);
+      expect(key(rent, { documentType: 'loan_contract' })).not.toBe(base);
+      expect(key(rent, { promptVersion: 'clause-v4' })).not.toBe(base);
+      expect(key(rent, { provider: 'openai' })).not.toBe(base);
+      expect(key(rent, { model: 'other-model' })).not.toBe(base);
+      expect(key(rent, { language: 'hi' })).not.toBe(base);
+    });
+
+    it('gives English the key used before explanations had a language', () => {
+      expect(clauseCache.buildKey(rent, { ...context, language: 'en' })).toBe(clauseCache.buildKey(rent, context));
+    });
+  });
+
+  it('misses without writing anything while the database is not connected', async () => {
+    await clauseCache.set(rent, context, result);
+
+    expect(await clauseCache.get(rent, context)).toBeNull();
+  });
+
+  db.describeDb('with a database', () => {
+    beforeAll(async () => {
+      await db.connect();
+    }, 60000);
+
+    beforeEach(() => {
+      getMockProvider().reset();
+    });
+
+    afterEach(async () => {
+      await db.clear();
+    });
+
+    afterAll(async () => {
+      await db.close();
+    });
+
+    it('counts hits and reports misses', async () => {
+      await clauseCache.set(rent, context, result);
+
+      const found = await clauseCache.getMany([deposit, rent.replace('1.', '3.')], context);
+      expect([...found.entries()]).toEqual([[1, result]]);
+
+      await clauseCache.get(rent, context);
+      const [entry] = await ClauseAnalysisCache.find().lean();
+      expect(entry).toMatchObject({ hits: 2, sample: rent, language: 'en' });
+      expect(entry.lastHitAt).toBeInstanceOf(Date);
+    });
+
+    it('keeps one entry per key and overwrites its result', async () => {
+      await clauseCache.set(rent, context, result);
+      await clauseCache.set(rent, context, { ...result, riskLevel: 'Medium' });
+
+      expect(await ClauseAnalysisCache.countDocuments()).toBe(1);
+      expect((await clauseCache.get(rent, context)).riskLevel).toBe('Medium');
+    });
+
+    it('invalidates only the entries matching the filter', async () => {
+      await clauseCache.set(rent, context, result);
+      await clauseCache.set(rent, { ...context, promptVersion: 'clause-v2' }, result);
+      await clauseCache.set(deposit, { ...context, documentType: 'loan_contract', promptVersion: 'clause-v2' }, result);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      expect(await clauseCache.invalidate({ promptVersion: 'clause-v2', documentType: 'loan_contract' })).toBe(1);
+      expect(await clauseCache.invalidate({ promptVersion: 'clause-v2' })).toBe(1);
+      expect(await clauseCache.get(rent, context)).toEqual(result);
+
+      expect(await clauseCache.invalidate()).toBe(1);
+      expect(await ClauseAnalysisCache.countDocuments()).toBe(0);
+      console.log.mockRestore();
+    });
+
+    it('has every batch result cached by the time the batch is analyzed', async () => {
+      const clauses = [{ text: rent, page: 1 }, { text: deposit, page: 1 }];
+
+      await aiAnalyzer.analyzeClauseBatch(clauses, 'rental_agreement');
+      const cacheContext = aiAnalyzer.getCacheContext('rental_agreement');
+      expect((await clauseCache.getMany([rent, deposit], cacheContext)).size).toBe(2);
+
+      // The second run is answered from the cache without a model request
+      const calls = getMockProvider().calls.length;
+      const analyses = await aiAnalyzer.analyzeClauseBatch(clauses, 'rental_agreement');
+      expect(getMockProvider().calls).toHaveLength(calls);
+      analyses.forEach(analysis => expect(analysis.cached).toBe(true));
+    });
+  });
+});
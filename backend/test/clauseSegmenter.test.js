@@ -0,0 +1,144 @@
+const clauseSegmenter = require('../utils/clauseSegmenter');
+
+// [number, parent number, level] of every numbered node in the outline
+const tree = outline => {
+  const byId = new Map(outline.map(node => [node.id, node]));
+  return outline
+    .filter(node => node.number)
+    .map(node => [node.number, node.parentId ? byId.get(node.parentId).number : null, node.level]);
+};
+
+const sourceOf = (text, clause) => text.slice(clause.position.start, clause.position.end);
+
+describe('clauseSegmenter', () => {
+  it('returns nothing for empty text', () => {
+    expect(clauseSegmenter.segment('  \n ')).toEqual({ clauses: [], outline: [] });
+  });
+
+  it('nests decimal, lettered and roman numbering', () => {
+    const text = [
+      '1. RENT',
+      '1.1 The Tenant shall pay a monthly rent of Rs. 15,000.',
+      '1.2 Rent is payable on or before the 5th of each month:',
+      '(a) by bank transfer to the Landlord; or',
+      '(b) by cheque, subject to:',
+      '(i) clearance within three days; and',
+      '(ii) a charge for any dishonoured cheque.',
+      '2. The Tenant shall pay the electricity charges.'
+    ].join('\n');
+    const { clauses, outline } = clauseSegmenter.segment(text);
+
+    expect(tree(outline)).toEqual([
+      ['1', null, 0],
+      ['1.1', '1', 1],
+      ['1.2', '1', 1],
+      ['a', '1.2', 2],
+      ['b', '1.2', 2],
+      ['i', 'b', 3],
+      ['ii', 'b', 3],
+      ['2', null, 0]
+    ]);
+    // The title-only "1. RENT" has nothing to analyze
+    expect(clauses.map(clause => clause.number)).toEqual(['1.1', '1.2', 'a', 'b', 'i', 'ii', '2']);
+    expect(clauses[4].headingPath).toEqual(['1 RENT', '1.2', '(b)']);
+  });
+
+  it('reads (i) after (h) as the next letter, not a roman numeral', () => {
+    const items = 'abcdefghi'.split('').map(letter => `(${letter}) The Tenant shall keep item ${letter} in good repair.`);
+    const { outline } = clauseSegmenter.segment(['1. The Tenant shall:', ...items].join('\n'));
+
+    expect(tree(outline).slice(-2)).toEqual([['h', '1', 1], ['i', '1', 1]]);
+  });
+
+  it('puts articles at the top level and takes a title from the next line', () => {
+    const text = [
+      'ARTICLE IV',
+      'PAYMENT TERMS',
+      '1. The Tenant shall pay the rent in advance every month.',
+      '',
+      'ARTICLE V - TERMINATION',
+      '1. Either party may terminate with one month notice.'
+    ].join('\n');
+    const { clauses, outline } = clauseSegmenter.segment(text);
+
+    expect(outline.filter(node => node.level === 0).map(node => [node.label, node.heading])).toEqual([
+      ['Article IV', 'PAYMENT TERMS'],
+      ['Article V', 'TERMINATION']
+    ]);
+    expect(tree(outline)).toEqual([['IV', null, 0], ['1', 'IV', 1], ['V', null, 0], ['1', 'V', 1]]);
+    expect(clauses.map(clause => clause.headingPath)).toEqual([
+      ['Article IV PAYMENT TERMS'],
+      ['Article V TERMINATION']
+    ]);
+  });
+
+  it('keeps each clause\'s span in the source text', () => {
+    const text = 'AGREEMENT\n\n1. The Tenant shall pay rent\n   on the 5th of each month.\n2. The Landlord shall maintain the premises.';
+    const { clauses } = clauseSegmenter.segment(text);
+
+    expect(clauses.map(clause => sourceOf(text, clause))).toEqual([
+      '1. The Tenant shall pay rent\n   on the 5th of each month.',
+      '2. The Landlord shall maintain the premises.'
+    ]);
+    expect(clauses[0].text).toBe('1. The Tenant shall pay rent on the 5th of each month.');
+  });
+
+  describe('definitions', () => {
+    it('makes each definition under a Definitions heading a clause of its own', () => {
+      const text = [
+        'DEFINITIONS',
+        '"Premises" means the flat at 12 MG Road, Pune.',
+        'Term shall mean eleven months from the start date.',
+        '',
+        'Any notice must be given in writing to the other party.'
+      ].join('\n');
+      const { clauses } = clauseSegmenter.segment(text);
+
+      expect(clauses.map(clause => [clause.kind, clause.term || null, clause.headingPath])).toEqual([
+        ['definition', 'Premises', ['DEFINITIONS']],
+        ['definition', 'Term', ['DEFINITIONS']],
+        ['definition', null, ['DEFINITIONS']]
+      ]);
+    });
+
+    it('splits definitions under a numbered clause from its text', () => {
+      const text = [
+        '2. DEFINITIONS',
+        '"Premises" means the flat at 12 MG Road, Pune.',
+        '"Term" means eleven months from the start date.'
+      ].join('\n');
+      const { clauses } = clauseSegmenter.segment(text);
+
+      expect(clauses.map(clause => [clause.kind, clause.term, clause.headingPath])).toEqual([
+        ['definition', 'Premises', ['2 DEFINITIONS']],
+        ['definition', 'Term', ['2 DEFINITIONS']]
+      ]);
+    });
+  });
+
+  describe('chunking', () => {
+    const words = count => Array.from({ length: count }, (_, i) => `word${i}`);
+    const text = `5. The Tenant shall ${words(40).join('\n   ')} end.`;
+
+    it('splits a clause that is over the token limit into numbered chunks', () => {
+      const { clauses, outline } = clauseSegmenter.segment(text, { maxTokens: 26 });
+
+      expect(clauses.map(clause => [clause.segmentId, clause.wordCount])).toEqual([['s1-1', 20], ['s1-2', 20], ['s1-3', 5]]);
+      clauses.forEach(clause => expect(clause.number).toBe('5'));
+      expect(outline[0].clauseIndex).toBe(0);
+    });
+
+    it('gives each chunk its own span in the source text', () => {
+      const { clauses } = clauseSegmenter.segment(text, { maxTokens: 26 });
+
+      clauses.forEach(clause => expect(sourceOf(text, clause).split(/\s+/).join(' ')).toBe(clause.text));
+      expect(clauses[0].position.start).toBe(0);
+      expect(clauses[1].position.start).toBeGreaterThan(clauses[0].position.end);
+      expect(clauses[2].position.end).toBe(text.length);
+    });
+
+    it('leaves clauses under the limit whole', () => {
+      expect(clauseSegmenter.segment(text).clauses).toHaveLength(1);
+    });
+  });
+});
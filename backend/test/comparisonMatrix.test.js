@@ -0,0 +1,112 @@
+const aiAnalyzer = require('../utils/aiAnalyzer');
+const clauseAligner = require('../utils/clauseAligner');
+
+const rent = '1. RENT: The monthly rent is Rs. 15,000, payable on the 5th of each month.';
+const deposit = '2. SECURITY DEPOSIT: A refundable security deposit of Rs. 30,000 is payable before occupancy.';
+const notice = '3. NOTICE PERIOD: Either party may terminate this agreement with one month written notice.';
+const pets = 'PETS: No pets or animals may be kept at the premises without written consent.';
+
+const clause = (text, risk = 'Low') => ({ clause: text, final_risk: risk });
+
+// Three rental agreements; the third has no notice clause and lists the
+// deposit before the rent
+const documents = () => [
+  [clause(rent), clause(deposit, 'Medium'), clause(notice)],
+  [
+    clause(rent.replace('15,000', '18,000')),
+    clause(deposit.replace('30,000', '90,000'), 'High'),
+    clause(notice.replace('one month', 'three months'), 'High')
+  ],
+  [
+    clause(deposit.replace('2.', '1.').replace('30,000', '45,000'), 'Medium'),
+    clause(rent.replace('1.', '2.').replace('15,000', '12,000'))
+  ]
+];
+
+describe('comparison matrix', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('clauseAligner.alignMany', () => {
+    it('aligns three documents, leaving a gap where one lacks the clause', async () => {
+      const { method, rows } = await clauseAligner.alignMany(documents());
+
+      expect(method).toBe('tfidf');
+      expect(rows.map(row => row.indexes)).toEqual([
+        [0, 0, 1],
+        [1, 1, 0],
+        [2, 2, null]
+      ]);
+      rows.forEach(row => expect(row.confidences[0]).toBeNull());
+      expect(rows[2].confidences[2]).toBeNull();
+      expect(rows[0].confidences[1]).toBeGreaterThan(0.8);
+      expect(rows[0].confidences[1]).toBeLessThan(1);
+    });
+
+    it('gives a clause only one document has a row of its own', async () => {
+      const [first, second, third] = documents();
+      const { rows } = await clauseAligner.alignMany([first, [...second, clause(pets)], third]);
+
+      expect(rows.map(row => row.indexes)).toContainEqual([null, 3, null]);
+      expect(rows).toHaveLength(4);
+    });
+  });
+
+  describe('aiAnalyzer.compareClausesMatrix', () => {
+    it('picks the best and worst document in each row on the key term', async () => {
+      const rows = await aiAnalyzer.compareClausesMatrix(documents());
+
+      expect(rows.map(({ clauseType, best, worst, basis }) => ({ clauseType, best, worst, basis }))).toEqual([
+        { clauseType: 'Rent', best: [2], worst: [1], basis: 'term' },
+        { clauseType: 'Security Deposit', best: [0], worst: [1], basis: 'term' },
+        { clauseType: 'Notice Period', best: [0], worst: [1], basis: 'term' }
+      ]);
+      expect(rows[0].cells.map(cell => cell.keyTerm)).toEqual(['₹15,000/month', '₹18,000/month', '₹12,000/month']);
+    });
+
+    it('leaves an empty cell for the document missing a clause', async () => {
+      const rows = await aiAnalyzer.compareClausesMatrix(documents());
+      const noticeRow = rows.find(row => row.topic === 'notice');
+
+      expect(noticeRow.cells[2]).toBeNull();
+      expect(noticeRow.cells.slice(0, 2).map(cell => cell.keyTerm)).toEqual(['1 month', '3 months']);
+      expect(noticeRow.cells[1]).toMatchObject({ fullText: notice.replace('one month', 'three months'), risk: 'High' });
+    });
+
+    it('ranks on risk when the clauses have no comparable terms', async () => {
+      const rows = await aiAnalyzer.compareClausesMatrix([
+        [clause(pets, 'High')],
+        [clause(pets, 'Low')],
+        [clause(pets, 'Medium')]
+      ]);
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ best: [1], worst: [0], basis: 'risk' });
+    });
+
+    it('picks nothing when a clause is in only one document', async () => {
+      const rows = await aiAnalyzer.compareClausesMatrix([
+        [clause(rent)],
+        [clause(rent.replace('15,000', '18,000'))],
+        [clause(rent.replace('15,000', '12,000')), clause(pets, 'High')]
+      ]);
+
+      expect(rows.find(row => row.cells[0] === null)).toMatchObject({ best: [], worst: [], basis: null });
+    });
+
+    it('lists documents that tie for best together', async () => {
+      const rows = await aiAnalyzer.compareClausesMatrix([
+        [clause(rent)],
+        [clause(rent)],
+        [clause(rent.replace('15,000', '18,000'))]
+      ]);
+
+      expect(rows[0]).toMatchObject({ best: [0, 1], worst: [2], basis: 'term' });
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../server');
+const Comparison = require('../models/Comparison');
+const analysisQueue = require('../utils/analysisQueue');
+const db = require('./helpers/db');
+const { createUserWithToken, getMockProvider, sampleAgreement, uploadAndAnalyze } = require('./helpers/fixtures');
+
+// Compare two documents and return the saved comparison's id
+const compare = async (auth, documentId1, documentId2) => {
+  const compared = await request(app)
+    .post('/api/analysis/compare')
+    .set('Authorization', auth)
+    .send({ documentId1, documentId2 })
+    .expect(200);
+  return compared.body.comparison.id;
+};
+
+// Uploads and analyses are rate limited per hour, so the documents are
+// analyzed once and each test compares them afresh
+db.describeDb('/api/comparisons', () => {
+  let auth;
+  let first;
+  let second;
+  let comparisonId;
+
+  beforeAll(async () => {
+    await db.connect();
+    getMockProvider().reset();
+    ({ auth } = await createUserWithToken());
+
+    ({ document: first } = await uploadAndAnalyze(app, auth, sampleAgreement(), 'lease-a.txt'));
+    ({ document: second } = await uploadAndAnalyze(app, auth, sampleAgreement({ rent: '18,000' }), 'lease-b.txt'));
+  }, 60000);
+
+  beforeEach(async () => {
+    comparisonId = await compare(auth, first._id, second._id);
+  });
+
+  afterEach(async () => {
+    await Comparison.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  it('lists and re-opens the user\'s comparison', async () => {
+    const list = await request(app).get('/api/comparisons').set('Authorization', auth).expect(200);
+    expect(list.body.comparisons.map(comparison => comparison.id)).toEqual([comparisonId]);
+    expect(list.body.comparisons[0].result).toBeUndefined();
+
+    const saved = await request(app).get(`/api/comparisons/${comparisonId}`).set('Authorization', auth).expect(200);
+    expect(saved.body.comparison.clauseByClauseComparison.length).toBeGreaterThan(0);
+    expect(saved.body.comparison.outdatedSources).toEqual([]);
+  });
+
+  it('returns 404 for another user\'s comparison', async () => {
+    const { auth: otherAuth } = await createUserWithToken();
+
+    await request(app).get(`/api/comparisons/${comparisonId}`).set('Authorization', otherAuth).expect(404);
+    await request(app).get(`/api/comparisons/${comparisonId}/export-pdf`).set('Authorization', otherAuth).expect(404);
+    await request(app).delete(`/api/comparisons/${comparisonId}`).set('Authorization', otherAuth).expect(404);
+
+    const list = await request(app).get('/api/comparisons').set('Authorization', otherAuth).expect(200);
+    expect(list.body.comparisons).toEqual([]);
+
+    // Still there for its owner
+    await request(app).get(`/api/comparisons/${comparisonId}`).set('Authorization', auth).expect(200);
+  });
+
+  it('exports the comparison as a PDF', async () => {
+    const pdf = await request(app).get(`/api/comparisons/${comparisonId}/export-pdf`).set('Authorization', auth).expect(200);
+
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.headers['content-disposition']).toContain(`document-comparison-${comparisonId}.pdf`);
+  });
+
+  it('deletes the comparison', async () => {
+    await request(app).delete(`/api/comparisons/${comparisonId}`).set('Authorization', auth).expect(200);
+
+    await request(app).get(`/api/comparisons/${comparisonId}`).set('Authorization', auth).expect(404);
+  });
+
+  it('flags a source document that was re-analyzed since', async () => {
+    await request(app).post(`/api/analysis/reanalyze/${second._id}`).set('Authorization', auth).expect(200);
+    await request(app).post(`/api/analysis/analyze/${second._id}`).set('Authorization', auth).expect(202);
+    await analysisQueue.drain();
+
+    const saved = await request(app).get(`/api/comparisons/${comparisonId}`).set('Authorization', auth).expect(200);
+
+    expect(saved.body.comparison.outdatedSources).toEqual([
+      { documentId: second._id, title: second.title, reason: 'reanalyzed' }
+    ]);
+  });
+
+  it('flags a source document that was deleted since', async () => {
+    const { document: third } = await uploadAndAnalyze(app, auth, sampleAgreement({ notice: '2 months' }), 'lease-c.txt');
+    const id = await compare(auth, first._id, third._id);
+
+    await request(app).delete(`/api/documents/${third._id}`).set('Authorization', auth).expect(200);
+
+    const saved = await request(app).get(`/api/comparisons/${id}`).set('Authorization', auth).expect(200);
+
+    expect(saved.body.comparison.outdatedSources).toEqual([
+      { documentId: third._id, title: third.title, reason: 'deleted' }
+    ]);
+  });
+});
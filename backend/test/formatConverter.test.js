@@ -0,0 +1,118 @@
+const formatConverter = require('../utils/formatConverter');
+
+describe('formatConverter', () => {
+  describe('rtfToText', () => {
+    it('keeps paragraphs and drops font tables, metadata and ignorable groups', () => {
+      const rtf = String.raw`{\rtf1\ansi\deff0{\fonttbl{\f0 Times New Roman;}}{\colortbl;\red0\green0\blue0;}` +
+        String.raw`{\info{\title Lease}}\pard 1. RENT\par The rent is Rs.\~15,000.\par {\*\generator Word;}2. DEPOSIT\line Two months.\par}`;
+
+      expect(formatConverter.rtfToText(rtf)).toBe('1. RENT\n\nThe rent is Rs. 15,000.\n\n2. DEPOSIT\nTwo months.');
+    });
+
+    it('reads Windows-1252 escapes and named punctuation', () => {
+      const rtf = String.raw`{\rtf1\ansi\ansicpg1252 Rent \'96 payable \ldblquote monthly\rdblquote  at the caf\'e9\emdash always.\par}`;
+
+      expect(formatConverter.rtfToText(rtf)).toBe('Rent – payable “monthly” at the café—always.');
+    });
+
+    it('decodes escapes in the code page set by \\ansicpg', () => {
+      expect(formatConverter.rtfToText(String.raw`{\rtf1\ansi\ansicpg1251 \'c4\'ee\'e3\'ee\'e2\'ee\'f0\par}`)).toBe('Договор');
+      // Shift-JIS characters are two escaped bytes each
+      expect(formatConverter.rtfToText(String.raw`{\rtf1\ansi\ansicpg932 \'8c\'5f\'96\'f1\par}`)).toBe('契約');
+    });
+
+    it('reads \\u escapes and skips their fallback characters', () => {
+      expect(formatConverter.rtfToText(String.raw`{\rtf1\ansi\uc1 Deposit of \u8377\'3f 30,000\par}`)).toBe('Deposit of ₹ 30,000');
+      expect(formatConverter.rtfToText(String.raw`{\rtf1\ansi\uc1 \u8377?500\par}`)).toBe('₹500');
+    });
+
+    it('drops malformed hex escapes instead of emitting control characters', () => {
+      const text = formatConverter.rtfToText(String.raw`{\rtf1\ansi Bad \'zz escape and \'4 end\par}`);
+
+      expect(text).toBe('Bad zz escape and 4 end');
+      expect(text).not.toMatch(/\0/);
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('writes out headings and nested list numbering', () => {
+      const html = '<h1>Rental agreement</h1><p>Between A &amp; B.</p>' +
+        '<ol><li>Rent is Rs.&nbsp;15,000.<ol><li>Due on the 5th.</li><li><p>Late fee applies.</p></li></ol></li><li>Deposit.</li></ol>' +
+        '<ul><li>Keys</li></ul>';
+
+      expect(formatConverter.htmlToText(html)).toBe(
+        'RENTAL AGREEMENT\n\nBetween A & B.\n\n1. Rent is Rs. 15,000.\n\n1.1 Due on the 5th.\n1.2 Late fee applies.\n\n2. Deposit.\n\n• Keys'
+      );
+    });
+
+    it('drops scripts, styles and the head, and keeps table cells on one line', () => {
+      const html = '<html><head><title>Draft</title><style>p { color: red; }</style></head><body>' +
+        '<table><tr><td>Rent</td><td>15,000</td></tr></table><script>alert(1)</script></body></html>';
+
+      expect(formatConverter.htmlToText(html)).toBe('Rent 15,000');
+    });
+
+    it('decodes numeric references and leaves out-of-range ones as written', () => {
+      expect(formatConverter.htmlToText('<p>&#8377;5 &#x20B9;6 &#99999999;</p>')).toBe('₹5 ₹6 &#99999999;');
+    });
+
+    it('continues an ordered list from its start attribute', () => {
+      expect(formatConverter.htmlToText('<ol start="4"><li>Notice.</li><li>Pets.</li></ol>')).toBe('4. Notice.\n5. Pets.');
+    });
+  });
+
+  describe('emailToText', () => {
+    const email = (...lines) => lines.join('\r\n');
+
+    it('prefers the HTML part and decodes encoded headers', () => {
+      const raw = email(
+        'From: =?UTF-8?B?UmFqZXNoIEt1bWFy?= <rajesh@example.com>',
+        'Subject: =?UTF-8?Q?Lease_draft_=E2=80=93_v2?=',
+        'Date: Mon, 1 Apr 2024 10:00:00 +0530',
+        'Content-Type: multipart/alternative; boundary="b1"',
+        '',
+        '--b1',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        'Rent is =E2=82=B915,000 per month.',
+        '--b1',
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from('<ol><li>Rent is ₹15,000 per month.</li></ol>').toString('base64'),
+        '--b1--',
+        ''
+      );
+
+      expect(formatConverter.emailToText(raw)).toEqual({
+        subject: 'Lease draft – v2',
+        from: 'Rajesh Kumar <rajesh@example.com>',
+        date: 'Mon, 1 Apr 2024 10:00:00 +0530',
+        text: '1. Rent is ₹15,000 per month.'
+      });
+    });
+
+    it('reads a plain-text body and skips attachments', () => {
+      const raw = email(
+        'Subject: Lease',
+        'Content-Type: multipart/mixed; boundary="b2"',
+        '',
+        '--b2',
+        'Content-Type: text/plain; charset=iso-8859-1',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        'The caf=E9 is not part of the premises.',
+        '--b2',
+        'Content-Type: text/plain',
+        'Content-Disposition: attachment; filename="notes.txt"',
+        '',
+        'Private notes.',
+        '--b2--',
+        ''
+      );
+
+      expect(formatConverter.emailToText(raw).text).toBe('The café is not part of the premises.');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const aiAnalyzer = require('../../utils/aiAnalyzer');
+const analysisQueue = require('../../utils/analysisQueue');
+const rulesEngine = require('../../utils/rulesEngine');
+
+let mongoServer;
+
+// Suites that need MongoDB use describeDb; SKIP_DB_TESTS=true skips them
+// where no mongod can run
+const describeDb = process.env.SKIP_DB_TESTS === 'true' ? describe.skip : describe;
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Connect mongoose to MONGO_TEST_URI, or start an in-memory MongoDB
+// (MONGOMS_SYSTEM_BINARY points it at an installed mongod instead of a download)
+const connect = async () => {
+  if (process.env.MONGO_TEST_URI) {
+    // One database per jest worker so parallel test files do not share data
+    await mongoose.connect(process.env.MONGO_TEST_URI, { dbName: `legalease-test-${process.env.JEST_WORKER_ID || 1}` });
+    return;
+  }
+
+  const { MongoMemoryServer } = require('mongodb-memory-server');
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+};
+
+// Remove all data between tests
+const clear = async () => {
+  if (!isConnected()) return;
+
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+// Stop background timers, disconnect and stop the in-memory server
+const close = async () => {
+  analysisQueue.stop();
+  aiAnalyzer.scheduler.stop();
+  rulesEngine.stop();
+
+  if (isConnected()) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.connection.close();
+  if (mongoServer) {
+    await mongoServer.stop();
+    mongoServer = null;
+  }
+};
+
+module.exports = {
+  describeDb,
+  connect,
+  clear,
+  close
+};
@@ -0,0 +1,89 @@
+const jwt = require('jsonwebtoken');
+const PDFDocument = require('pdfkit');
+const request = require('supertest');
+const User = require('../../models/User');
+const aiAnalyzer = require('../../utils/aiAnalyzer');
+const analysisQueue = require('../../utils/analysisQueue');
+
+// Create a user and a bearer token for authenticated requests
+const createUserWithToken = async (overrides = {}) => {
+  const user = await User.create({
+    name: 'Test Tenant',
+    email: `tenant-${Date.now()}-${Math.round(Math.random() * 1E6)}@example.com`,
+    password: 'password123',
+    ...overrides
+  });
+
+  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+  return { user, token, auth: `Bearer ${token}` };
+};
+
+// The mock provider the analyzer is using, for adding fixtures and reading calls
+const getMockProvider = () => {
+  if (aiAnalyzer.provider.name !== 'mock') {
+    throw new Error(`Expected the mock LLM provider but got "${aiAnalyzer.provider.name}"`);
+  }
+  return aiAnalyzer.provider;
+};
+
+// Plain-text rental agreement used for upload -> analyze -> compare -> Q&A flows
+const sampleAgreement = ({ rent = '15,000', deposit = '30,000', notice = '1 month' } = {}) => `RENTAL AGREEMENT
+
+1. RENT: The monthly rent is Rs. ${rent}, due on the 5th of each month.
+
+2. SECURITY DEPOSIT: A security deposit of Rs. ${deposit} is payable before occupancy.
+
+3. NOTICE PERIOD: Either party may terminate this agreement with ${notice} written notice.
+
+4. LATE PAYMENT: A penalty of 2% per month applies to rent paid after the due date.
+
+5. MAINTENANCE: The tenant is responsible for routine maintenance of the premises.
+`;
+
+// Render text into a real PDF so uploads go through pdf-parse offline.
+// Left uncompressed, as pdf-parse fails on pdfkit's compressed output.
+const createPdfBuffer = (text) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ margin: 50, compress: false });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.fontSize(11).text(text);
+  doc.end();
+});
+
+// Upload a plain-text agreement, queue its analysis and run the queue
+// until it is done. Returns the analyzed document and its job.
+const uploadAndAnalyze = async (app, auth, text, fileName) => {
+  const upload = await request(app)
+    .post('/api/documents/upload')
+    .set('Authorization', auth)
+    .attach('document', Buffer.from(text), fileName)
+    .expect(201);
+  const documentId = upload.body.document.id;
+
+  const queued = await request(app)
+    .post(`/api/analysis/analyze/${documentId}`)
+    .set('Authorization', auth)
+    .expect(202);
+
+  await analysisQueue.drain();
+
+  const [documentRes, jobRes] = await Promise.all([
+    request(app).get(`/api/documents/${documentId}`).set('Authorization', auth).expect(200),
+    request(app).get(`/api/analysis/jobs/${queued.body.job.id}`).set('Authorization', auth).expect(200)
+  ]);
+
+  return { document: documentRes.body.document, job: jobRes.body.job };
+};
+
+module.exports = {
+  createUserWithToken,
+  getMockProvider,
+  sampleAgreement,
+  createPdfBuffer,
+  uploadAndAnalyze
+};
@@ -0,0 +1,61 @@
+const imagePreprocessor = require('../utils/imagePreprocessor');
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+// A white greyscale page with rows of dark "words"
+const page = (width = 500, height = 400) => {
+  const data = Buffer.alloc(width * height, 255);
+  for (let line = 40; line < height - 40; line += 24) {
+    for (let x = 40; x < width - 40; x++) {
+      if (x % 37 > 30) continue; // gap between words
+      for (let y = line; y < line + 8; y++) data[y * width + x] = 20;
+    }
+  }
+  return { data, width, height };
+};
+
+const rotate = (raw, angle) => imagePreprocessor.toRaw(imagePreprocessor.fromRaw(raw).rotate(angle, { background: WHITE }));
+
+describe('imagePreprocessor', () => {
+  describe('deskew', () => {
+    it('measures no skew on a straight page', () => {
+      expect(imagePreprocessor.measureLines(page()).angle).toBe(0);
+    });
+
+    it('measures the angle a page was rotated by, in either direction', async () => {
+      expect(imagePreprocessor.measureLines(await rotate(page(), 3)).angle).toBe(3);
+      expect(imagePreprocessor.measureLines(await rotate(page(), -4.5)).angle).toBe(-4.5);
+    });
+
+    it('straightens a skewed page', async () => {
+      const { raw, note } = await imagePreprocessor.deskew(await rotate(page(), 3));
+
+      expect(note).toBe('deskewed 3°');
+      expect(Math.abs(imagePreprocessor.measureLines(raw).angle)).toBeLessThan(0.3);
+    });
+
+    it('leaves blank and mostly dark pages alone', () => {
+      const blank = { data: Buffer.alloc(100 * 100, 255), width: 100, height: 100 };
+      // 60 of 100 rows dark
+      const dark = { data: Buffer.alloc(100 * 100, 255).fill(0, 0, 60 * 100), width: 100, height: 100 };
+
+      expect(imagePreprocessor.measureLines(blank)).toEqual({ angle: 0, score: 0 });
+      expect(imagePreprocessor.measureLines(dark)).toEqual({ angle: 0, score: 0 });
+    });
+  });
+
+  describe('threshold', () => {
+    it('turns a page in uneven light into black ink on white', async () => {
+      const { data, width, height } = page();
+      // Light falls off from 100% on the right to 35% on the left
+      const shaded = Buffer.from(data.map((value, i) => Math.round(value * (0.35 + 0.65 * (i % width) / width))));
+
+      const { raw } = await imagePreprocessor.threshold({ data: shaded, width, height });
+
+      expect(new Set(raw.data)).toEqual(new Set([0, 255]));
+      // Every pixel is ink exactly where the unshaded page has ink
+      const mismatched = data.filter((value, i) => (value < 128) !== (raw.data[i] === 0));
+      expect(mismatched).toHaveLength(0);
+    });
+  });
+});
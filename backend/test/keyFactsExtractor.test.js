@@ -0,0 +1,102 @@
+const keyFactsExtractor = require('../utils/keyFactsExtractor');
+
+const deed = `RENT AGREEMENT
+
+This Rent Agreement is made on 1st April, 2024 between Mr. Ramesh Kumar, S/o Shri Mohan Lal, residing at 12, MG Road, Bengaluru 560001 (hereinafter referred to as the "Landlord") of the one part and Ms. Priya Sharma, residing at Flat 4B, Lake View Apartments, Pune 411001 (hereinafter called the "Tenant") of the other part.`;
+
+describe('keyFactsExtractor', () => {
+  describe('parties', () => {
+    it('names each party before its "hereinafter referred to as" role', () => {
+      expect(keyFactsExtractor.extractParties(deed)).toEqual([
+        { name: 'Mr. Ramesh Kumar', role: 'Landlord' },
+        { name: 'Ms. Priya Sharma', role: 'Tenant' }
+      ]);
+    });
+
+    it('reads short (the "Role") markers', () => {
+      const text = 'THIS DEED is executed by M/s Acme Traders (the "Company") and Rahul Verma (the "Employee").';
+
+      expect(keyFactsExtractor.extractParties(text)).toEqual([
+        { name: 'M/s Acme Traders', role: 'Company' },
+        { name: 'Rahul Verma', role: 'Employee' }
+      ]);
+    });
+
+    it('reads labelled lines', () => {
+      const text = 'Landlord: Mr. Ramesh Kumar\nTenant - Priya Sharma\nName of the Guarantor: M/s Acme Traders';
+
+      expect(keyFactsExtractor.extractParties(text)).toEqual([
+        { name: 'Mr. Ramesh Kumar', role: 'Landlord' },
+        { name: 'Priya Sharma', role: 'Tenant' },
+        { name: 'M/s Acme Traders', role: 'Guarantor' }
+      ]);
+    });
+
+    it('lists a party named twice once, keeping the role it was given', () => {
+      const text = `${deed}\n\nLandlord: Mr. Ramesh Kumar`;
+
+      expect(keyFactsExtractor.extractParties(text).filter(party => party.name === 'Mr. Ramesh Kumar')).toEqual([
+        { name: 'Mr. Ramesh Kumar', role: 'Landlord' }
+      ]);
+    });
+
+    it('falls back to "between X and Y" without roles', () => {
+      expect(keyFactsExtractor.extractParties('This loan agreement is made between State Bank of India and Anil Mehta.')).toEqual([
+        { name: 'State Bank of India', role: null },
+        { name: 'Anil Mehta', role: null }
+      ]);
+    });
+
+    it('does not take defined terms for the document or property as parties', () => {
+      expect(keyFactsExtractor.extractParties('Sunrise Estates, Pune (hereinafter referred to as the "Premises").')).toEqual([]);
+    });
+  });
+
+  describe('addresses', () => {
+    it('reads addresses after "residing at" up to the role marker', () => {
+      expect(keyFactsExtractor.extractAddresses(deed)).toEqual([
+        '12, MG Road, Bengaluru 560001',
+        'Flat 4B, Lake View Apartments, Pune 411001'
+      ]);
+    });
+
+    it('reads the premises and labelled addresses, each once', () => {
+      const text = 'The premises situated at 7 Park Street, Kolkata 700016. The deposit is refundable.\nAddress: 7 Park Street, Kolkata 700016';
+
+      expect(keyFactsExtractor.extractAddresses(text)).toEqual(['7 Park Street, Kolkata 700016']);
+    });
+  });
+
+  describe('phones', () => {
+    it('reads Indian mobile numbers with or without +91 or a leading 0', () => {
+      const text = 'Call +91 98765 43210, +91-87654-32109, 098765-43211 or 9876543212.';
+
+      expect(keyFactsExtractor.extractPhones(text)).toEqual(['+91 98765 43210', '+91-87654-32109', '098765-43211', '9876543212']);
+    });
+
+    it('reads landlines with an STD code', () => {
+      expect(keyFactsExtractor.extractPhones('Office: 080-2345 6789, Delhi 011 23456789.')).toEqual(['080-2345 6789', '011 23456789']);
+    });
+
+    it('reads US numbers', () => {
+      expect(keyFactsExtractor.extractPhones('US: (555) 123-4567 or +1 555 123 4567.')).toEqual(['(555) 123-4567', '+1 555 123 4567']);
+    });
+
+    it('ignores other ten-digit numbers', () => {
+      expect(keyFactsExtractor.extractPhones('Reference 1234567890, account 5123456789012.')).toEqual([]);
+    });
+  });
+
+  it('collects every fact of an agreement', () => {
+    const facts = keyFactsExtractor.extract(`${deed}\nThe monthly rent is Rs. 15,000. Contact: ramesh@example.com, +91 98765 43210.`);
+
+    expect(facts).toMatchObject({
+      parties: [{ name: 'Mr. Ramesh Kumar', role: 'Landlord' }, { name: 'Ms. Priya Sharma', role: 'Tenant' }],
+      amounts: [{ text: 'Rs. 15,000', value: 15000, currency: 'INR', label: 'rent' }],
+      dates: [{ text: '1st April, 2024', value: new Date('2024-04-01T00:00:00.000Z') }],
+      emails: ['ramesh@example.com'],
+      phones: ['+91 98765 43210']
+    });
+    expect(facts.addresses).toHaveLength(2);
+  });
+});
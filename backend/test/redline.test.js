@@ -0,0 +1,101 @@
+const redline = require('../utils/redline');
+
+// The text of the segments of the given types
+const textOf = (result, ...types) => result.segments
+  .filter(segment => types.includes(segment.type))
+  .map(segment => segment.text.trim());
+
+// Rebuild either side of the redline from its segments. Equal text takes
+// the second clause's wording and keeps the space after removed text, so
+// sides are compared ignoring case and spacing.
+const side = (result, removedTypes) => result.segments
+  .filter(segment => !removedTypes.includes(segment.type))
+  .map(segment => segment.text)
+  .join('');
+const loosely = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+const before = result => loosely(side(result, ['insert', 'moveTo']));
+const after = result => loosely(side(result, ['delete', 'moveFrom']));
+
+describe('redline', () => {
+  it('marks words added and removed in place', () => {
+    const text1 = 'The tenant shall pay rent of Rs. 15,000 on the 5th of each month.';
+    const text2 = 'The tenant shall pay monthly rent of Rs. 18,000 on the 5th of each month.';
+    const result = redline.compare(text1, text2);
+
+    expect(textOf(result, 'insert')).toEqual(['monthly', '18,000']);
+    expect(textOf(result, 'delete')).toEqual(['15,000']);
+    expect(result).toMatchObject({ inserted: 2, deleted: 1, moved: 0 });
+  });
+
+  it('keeps the words of both sides in the segments', () => {
+    const text1 = 'Either party may terminate, with one month notice, this agreement.';
+    const text2 = 'This agreement may be terminated by either party with two months notice.';
+    const result = redline.compare(text1, text2);
+
+    expect(before(result)).toBe(loosely(text1));
+    expect(after(result)).toBe(loosely(text2));
+  });
+
+  it('reports a phrase that changed place as moved, not deleted and inserted', () => {
+    const text1 = 'Subject to prior written consent, the tenant may sublet the premises.';
+    const text2 = 'The tenant may sublet the premises, subject to prior written consent.';
+    const result = redline.compare(text1, text2);
+
+    expect(result.moved).toBe(1);
+    const from = result.segments.find(segment => segment.type === 'moveFrom');
+    const to = result.segments.find(segment => segment.type === 'moveTo');
+    expect(from.text.trim().toLowerCase()).toBe('subject to prior written consent');
+    expect(to.text.trim().toLowerCase()).toBe('subject to prior written consent');
+    expect(from.moveId).toBe(to.moveId);
+
+    // Moved words are not counted as inserted or deleted
+    expect(result.inserted + result.deleted).toBeLessThan(4);
+    expect(before(result)).toBe(loosely(text1));
+    expect(after(result)).toBe(loosely(text2));
+  });
+
+  it('numbers several moves separately, longest first', () => {
+    const text1 = 'Rent is payable monthly in advance. Deposit is refundable within thirty days. Utilities are extra.';
+    const text2 = 'Utilities are extra. Deposit is refundable within thirty days. Rent is payable monthly in advance.';
+    const result = redline.compare(text1, text2);
+
+    expect(result.moved).toBe(2);
+    const moves = result.segments.filter(segment => segment.type === 'moveFrom');
+    expect(moves.map(segment => [segment.moveId, segment.text.trim()])).toEqual([
+      [0, 'Rent is payable monthly in advance'],
+      [1, 'Utilities are extra']
+    ]);
+    expect(textOf(result, 'equal')).toContain('. Deposit is refundable within thirty days.');
+  });
+
+  it('does not report phrases shorter than three words as moved', () => {
+    const result = redline.compare('Late fees apply.', 'Apply late fees.');
+
+    expect(result.moved).toBe(0);
+    expect(result.segments.some(segment => segment.type === 'moveFrom')).toBe(false);
+  });
+
+  it('treats a replacement in the same spot as an edit, not a move', () => {
+    const result = redline.compare(
+      'The landlord may enter the premises at any time.',
+      'The landlord may enter the premises at any reasonable time with notice.'
+    );
+
+    expect(result.moved).toBe(0);
+  });
+
+  it('ignores case when matching words', () => {
+    const result = redline.compare('Security Deposit is due.', 'security deposit is due.');
+
+    expect(result).toMatchObject({ inserted: 0, deleted: 0, moved: 0 });
+    expect(result.segments).toEqual([{ type: 'equal', text: 'security deposit is due.' }]);
+  });
+
+  describe('describe', () => {
+    it('summarises the counts', () => {
+      expect(redline.describe({ inserted: 4, deleted: 2, moved: 1 })).toBe('4 words added, 2 removed, 1 phrase moved');
+      expect(redline.describe({ inserted: 0, deleted: 1, moved: 2 })).toBe('1 word removed, 2 phrases moved');
+      expect(redline.describe({ inserted: 0, deleted: 0, moved: 0 })).toBeNull();
+    });
+  });
+});
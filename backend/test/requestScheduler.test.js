@@ -0,0 +1,218 @@
+const { RequestScheduler, MemoryBucketStore, MongoBucketStore } = require('../utils/requestScheduler');
+const aiAnalyzer = require('../utils/aiAnalyzer');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const db = require('./helpers/db');
+
+// 60 requests per minute: one token every second
+const ONE_PER_SECOND = { capacity: 2, refillPerMs: 1 / 1000 };
+
+describe('requestScheduler', () => {
+  let now;
+  const clock = () => now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+  });
+
+  describe('MemoryBucketStore', () => {
+    it('grants a burst, then one token per refill interval', async () => {
+      const store = new MemoryBucketStore({ clock });
+
+      expect(await store.take('llm', ONE_PER_SECOND)).toEqual({ granted: true, waitMs: 0 });
+      expect(await store.take('llm', ONE_PER_SECOND)).toEqual({ granted: true, waitMs: 0 });
+      expect(await store.take('llm', ONE_PER_SECOND)).toEqual({ granted: false, waitMs: 1000 });
+
+      now += 400;
+      expect(await store.take('llm', ONE_PER_SECOND)).toEqual({ granted: false, waitMs: 600 });
+      now += 600;
+      expect(await store.take('llm', ONE_PER_SECOND)).toEqual({ granted: true, waitMs: 0 });
+    });
+
+    it('refills no further than the burst size', async () => {
+      const store = new MemoryBucketStore({ clock });
+      await store.take('llm', ONE_PER_SECOND);
+
+      now += 60 * 1000;
+      const grants = [];
+      for (let i = 0; i < 3; i++) grants.push((await store.take('llm', ONE_PER_SECOND)).granted);
+
+      expect(grants).toEqual([true, true, false]);
+    });
+
+    it('keeps a bucket per key and starts over after a drain', async () => {
+      const store = new MemoryBucketStore({ clock });
+      await store.drain('llm:gemini');
+
+      expect((await store.take('llm:gemini', ONE_PER_SECOND)).granted).toBe(false);
+      expect((await store.take('llm:openai', ONE_PER_SECOND)).granted).toBe(true);
+    });
+  });
+
+  describe('RequestScheduler', () => {
+    // Advance the bucket clock and the scheduler's wake-up timers together
+    const tick = async ms => {
+      now += ms;
+      await jest.advanceTimersByTimeAsync(ms);
+    };
+
+    const createScheduler = (options = {}) => new RequestScheduler({
+      store: new MemoryBucketStore({ clock }),
+      requestsPerMinute: 60,
+      burst: 2,
+      maxConcurrent: 5,
+      ...options
+    });
+
+    // Schedule requests that record when they started
+    const started = [];
+    const request = name => async () => {
+      started.push([name, now]);
+      return name;
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      started.length = 0;
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    it('starts a burst right away and spaces the rest by the refill rate', async () => {
+      const scheduler = createScheduler();
+      const results = Promise.all(['a', 'b', 'c', 'd'].map(name => scheduler.schedule(request(name))));
+
+      await tick(0);
+      expect(started.map(([name]) => name)).toEqual(['a', 'b']);
+
+      await tick(1000);
+      await tick(1000);
+      expect(await results).toEqual(['a', 'b', 'c', 'd']);
+      expect(started.map(([, at]) => at - started[0][1])).toEqual([0, 0, 1000, 2000]);
+    });
+
+    it('starts interactive requests before queued bulk ones', async () => {
+      const scheduler = createScheduler({ burst: 1 });
+      scheduler.schedule(request('bulk-1'));
+      scheduler.schedule(request('bulk-2'));
+      await tick(0);
+
+      // bulk-2 is waiting for a token when the question arrives
+      scheduler.schedule(request('question'), { priority: 'interactive' });
+      await tick(1000);
+      await tick(1000);
+
+      expect(started.map(([name]) => name)).toEqual(['bulk-1', 'question', 'bulk-2']);
+    });
+
+    it('runs no more than maxConcurrent requests at once', async () => {
+      const scheduler = createScheduler({ requestsPerMinute: 0, maxConcurrent: 2 });
+      let running = 0;
+      let mostRunning = 0;
+      const slow = () => scheduler.schedule(async () => {
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        running--;
+      });
+
+      const all = Promise.all([slow(), slow(), slow(), slow(), slow()]);
+      await tick(500);
+      await all;
+
+      expect(mostRunning).toBe(2);
+    });
+
+    it('passes a request\'s error to its caller and carries on', async () => {
+      const scheduler = createScheduler();
+      const failing = scheduler.schedule(async () => { throw new Error('Model crashed'); });
+      const next = scheduler.schedule(request('next'));
+
+      await expect(failing).rejects.toThrow('Model crashed');
+      await expect(next).resolves.toBe('next');
+    });
+
+    it('waits for the bucket to refill after the provider answers 429', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const scheduler = createScheduler({ burst: 3 });
+      const original = aiAnalyzer.scheduler;
+      aiAnalyzer.scheduler = scheduler;
+
+      const quota = Object.assign(new Error('Resource has been exhausted'), { status: 429 });
+      await expect(aiAnalyzer.makeRateLimitedRequest(async () => { throw quota; })).rejects.toThrow('QUOTA_EXCEEDED');
+
+      // Two tokens were left before the 429; backing off empties the bucket
+      const retried = aiAnalyzer.makeRateLimitedRequest(request('retry'));
+      await tick(999);
+      expect(started).toHaveLength(0);
+
+      await tick(1);
+      await expect(retried).resolves.toBe('retry');
+      aiAnalyzer.scheduler = original;
+    });
+
+    it('cancels a pending wake-up on stop', async () => {
+      const scheduler = createScheduler({ burst: 1 });
+      scheduler.schedule(request('a'));
+      scheduler.schedule(request('b'));
+      await tick(0);
+
+      scheduler.stop();
+      await tick(5000);
+
+      expect(started.map(([name]) => name)).toEqual(['a']);
+      expect(scheduler.stats().queued).toBe(1);
+    });
+  });
+
+  describe('MongoBucketStore without a database', () => {
+    it('falls back to a bucket in this process', async () => {
+      const store = new MongoBucketStore({ clock });
+
+      expect(await store.take('llm', ONE_PER_SECOND)).toEqual({ granted: true, waitMs: 0 });
+      await store.drain('llm');
+      expect(await store.take('llm', ONE_PER_SECOND)).toEqual({ granted: false, waitMs: 1000 });
+    });
+  });
+
+  db.describeDb('MongoBucketStore', () => {
+    beforeAll(async () => {
+      await db.connect();
+    }, 60000);
+
+    afterEach(async () => {
+      await db.clear();
+    });
+
+    afterAll(async () => {
+      await db.close();
+    });
+
+    it('shares one quota between instances', async () => {
+      const first = new MongoBucketStore({ clock });
+      const second = new MongoBucketStore({ clock });
+
+      expect((await first.take('llm', ONE_PER_SECOND)).granted).toBe(true);
+      expect((await second.take('llm', ONE_PER_SECOND)).granted).toBe(true);
+      expect(await first.take('llm', ONE_PER_SECOND)).toEqual({ granted: false, waitMs: 1000 });
+
+      now += 1000;
+      expect((await second.take('llm', ONE_PER_SECOND)).granted).toBe(true);
+      expect(await RateLimitBucket.countDocuments()).toBe(1);
+    });
+
+    it('makes every instance wait after one of them drains the bucket', async () => {
+      const first = new MongoBucketStore({ clock });
+      const second = new MongoBucketStore({ clock });
+      await first.take('llm', ONE_PER_SECOND);
+
+      await first.drain('llm');
+
+      expect(await second.take('llm', ONE_PER_SECOND)).toEqual({ granted: false, waitMs: 1000 });
+      now += 1000;
+      expect((await second.take('llm', ONE_PER_SECOND)).granted).toBe(true);
+    });
+  });
+});
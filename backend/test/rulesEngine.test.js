@@ -0,0 +1,176 @@
+const rulesEngine = require('../utils/rulesEngine');
+
+const rule = (overrides = {}) => ({
+  name: 'penalty',
+  keyword: 'penalty',
+  category: 'high',
+  weight: 3,
+  pattern: { type: 'word', value: 'penalty' },
+  ...overrides
+});
+
+const hitNames = result => result.hits.map(hit => hit.rule);
+
+describe('rulesEngine', () => {
+  describe('patterns and scoring', () => {
+    it('matches words and phrases only as whole words', () => {
+      const rules = [rule({ name: 'default', keyword: 'default', pattern: { type: 'word', value: 'default' } })];
+
+      expect(rulesEngine.evaluateWith(rules, 'The borrower is in default.').riskScore).toBe(3);
+      expect(rulesEngine.evaluateWith(rules, 'The defaults listed below apply.').riskScore).toBe(0);
+    });
+
+    it('adds up rule weights into a risk level', () => {
+      const low = (value, weight = 1) => rule({ name: value, keyword: value, category: 'low', weight, pattern: { type: 'phrase', value } });
+      const rules = [rule(), low('warranty'), low('good faith')];
+
+      expect(rulesEngine.evaluateWith(rules, 'Routine wording.').riskLevel).toBe('Low');
+      expect(rulesEngine.evaluateWith(rules, 'A warranty applies.').riskLevel).toBe('Low');
+      expect(rulesEngine.evaluateWith(rules, 'A warranty is given in good faith.')).toMatchObject({
+        riskLevel: 'Medium',
+        riskScore: 2,
+        detectedKeywords: ['warranty', 'good faith']
+      });
+      expect(rulesEngine.evaluateWith(rules, 'A penalty applies.').riskLevel).toBe('High');
+    });
+
+    it('makes a clause Medium on one medium rule and High on one high rule', () => {
+      expect(rulesEngine.evaluate('Disputes go to arbitration in Mumbai.').riskLevel).toBe('Medium');
+      expect(rulesEngine.evaluate('The borrower shall pledge collateral.').riskLevel).toBe('High');
+    });
+
+    it('uses the weight for the document type when there is one', () => {
+      const rules = [rule({ documentTypeWeights: { loan_contract: 0, employment_contract: 5 } })];
+
+      expect(rulesEngine.evaluateWith(rules, 'A penalty applies.', 'loan_contract').riskScore).toBe(0);
+      expect(rulesEngine.evaluateWith(rules, 'A penalty applies.', 'employment_contract').riskScore).toBe(5);
+      expect(rulesEngine.evaluateWith(rules, 'A penalty applies.', 'rental_agreement').riskScore).toBe(3);
+    });
+
+    it('reports where each rule matched', () => {
+      const text = 'A late penalty applies.';
+      const [hit] = rulesEngine.evaluateWith([rule()], text).hits;
+
+      expect(hit).toMatchObject({ rule: 'penalty', matchedText: 'penalty', contribution: 3 });
+      expect(text.slice(hit.start, hit.end)).toBe('penalty');
+    });
+  });
+
+  describe('negation', () => {
+    it('ignores a match preceded by a negation word', () => {
+      expect(rulesEngine.evaluateWith([rule()], 'No penalty shall be charged.').riskScore).toBe(0);
+      expect(rulesEngine.evaluateWith([rule()], 'The tenant will not pay any penalty.').riskScore).toBe(0);
+    });
+
+    it('only looks back within the negation window', () => {
+      const text = 'No rent is due in the first month, after which a penalty applies.';
+
+      expect(rulesEngine.evaluateWith([rule()], text).riskScore).toBe(3);
+      expect(rulesEngine.evaluateWith([rule({ negation: { window: 12 } })], text).riskScore).toBe(0);
+    });
+
+    it('does not look back past the end of a sentence', () => {
+      expect(rulesEngine.evaluateWith([rule()], 'Pets are not allowed. A penalty applies.').riskScore).toBe(3);
+    });
+
+    it('still matches a later occurrence that is not negated', () => {
+      const result = rulesEngine.evaluateWith([rule()], 'No penalty for the first delay; later delays carry a penalty.');
+
+      expect(result.riskScore).toBe(3);
+      expect(result.hits[0].start).toBeGreaterThan(10);
+    });
+
+    it('uses the rule\'s own negation terms or none at all', () => {
+      const text = 'Exempt from penalty during the first month.';
+
+      expect(rulesEngine.evaluateWith([rule({ negation: { terms: ['exempt', 'from'] } })], text).riskScore).toBe(0);
+      expect(rulesEngine.evaluateWith([rule({ negation: { enabled: false } })], 'No penalty applies.').riskScore).toBe(3);
+    });
+  });
+
+  describe('proximity', () => {
+    const terminationWithoutCause = rule({
+      name: 'termination without cause',
+      keyword: 'termination without cause',
+      pattern: { type: 'regex', value: '\\bterminat(?:e|ed|ion)\\b', flags: 'i' },
+      proximity: [{ pattern: { type: 'regex', value: '\\bwithout (?:any )?(?:cause|reason)\\b', flags: 'i' }, within: 6 }]
+    });
+
+    it('matches when the other pattern is within the given number of words', () => {
+      const result = rulesEngine.evaluateWith([terminationWithoutCause], 'The employer may terminate this contract without cause.');
+
+      expect(hitNames(result)).toEqual(['termination without cause']);
+    });
+
+    it('does not match when the other pattern is too far away or missing', () => {
+      const far = 'The employer may terminate this contract by giving the employee three months of written notice, and never without cause.';
+
+      expect(rulesEngine.evaluateWith([terminationWithoutCause], far).riskScore).toBe(0);
+      expect(rulesEngine.evaluateWith([terminationWithoutCause], 'Either party may terminate with notice.').riskScore).toBe(0);
+    });
+
+    it('requires every proximity condition', () => {
+      const both = rule({
+        ...terminationWithoutCause,
+        proximity: [
+          ...terminationWithoutCause.proximity,
+          { pattern: { type: 'phrase', value: 'at any time' }, within: 6 }
+        ]
+      });
+
+      expect(rulesEngine.evaluateWith([both], 'The employer may terminate without cause.').riskScore).toBe(0);
+      expect(rulesEngine.evaluateWith([both], 'The employer may terminate at any time without cause.').riskScore).toBe(3);
+    });
+  });
+
+  describe('numeric conditions', () => {
+    const lateFee = rule({
+      name: 'late fee above 5%',
+      keyword: 'late fee',
+      pattern: { type: 'regex', value: '\\blate fees?\\b', flags: 'i' },
+      numeric: { unit: 'percent', operator: 'gt', value: 5, within: 12 }
+    });
+    const deposit = rule({
+      name: 'security deposit over two months',
+      keyword: 'security deposit',
+      pattern: { type: 'phrase', value: 'security deposit' },
+      numeric: { unit: 'days', operator: 'gt', value: 60, within: 10 }
+    });
+
+    it('compares percentages near the match', () => {
+      expect(rulesEngine.evaluateWith([lateFee], 'A late fee of 10% per month applies.').riskScore).toBe(3);
+      expect(rulesEngine.evaluateWith([lateFee], 'A late fee of 2 per cent per month applies.').riskScore).toBe(0);
+      expect(rulesEngine.evaluateWith([lateFee], 'A late fee applies.').riskScore).toBe(0);
+    });
+
+    it('converts durations to days', () => {
+      expect(rulesEngine.evaluateWith([deposit], 'The security deposit equals 3 months of rent.').riskScore).toBe(3);
+      expect(rulesEngine.evaluateWith([deposit], 'The security deposit equals 2 months of rent.').riskScore).toBe(0);
+      expect(rulesEngine.evaluateWith([deposit], 'The security deposit equals 10 (ten) weeks of rent.').riskScore).toBe(3);
+    });
+
+    it('ignores numbers outside the window', () => {
+      const text = 'The security deposit is refundable when the tenant leaves the premises in good order, which is checked within 90 days.';
+
+      expect(rulesEngine.evaluateWith([deposit], text).riskScore).toBe(0);
+    });
+
+    it('supports every comparison operator', () => {
+      const at = operator => rulesEngine.evaluateWith(
+        [rule({ ...lateFee, numeric: { ...lateFee.numeric, operator } })],
+        'A late fee of 5% applies.'
+      ).riskScore;
+
+      expect([at('gt'), at('gte'), at('lt'), at('lte'), at('eq')]).toEqual([0, 3, 0, 3, 3]);
+    });
+  });
+
+  describe('default rules', () => {
+    it('score the built-in rules without a database', () => {
+      const result = rulesEngine.evaluate('A penalty applies and the deposit is forfeited on breach.', 'rental_agreement');
+
+      expect(result.riskLevel).toBe('High');
+      expect(result.detectedKeywords).toEqual(expect.arrayContaining(['penalty', 'forfeit', 'breach']));
+    });
+  });
+});
@@ -0,0 +1,8 @@
+// Environment for offline test runs (loaded by jest before each test file)
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+process.env.LLM_REQUESTS_PER_MINUTE = process.env.LLM_REQUESTS_PER_MINUTE || '0';
+process.env.LLM_RATE_LIMIT_STORE = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+process.env.AES_SECRET_KEY = process.env.AES_SECRET_KEY || 'test_aes_secret_key';
+process.env.ANALYSIS_WORKER_ENABLED = 'false';
@@ -0,0 +1,104 @@
+const termExtractor = require('../utils/termExtractor');
+
+// The single term of the given type in the text
+const only = (text, type) => {
+  const terms = termExtractor.extract(text).filter(term => term.type === type);
+  expect(terms).toHaveLength(1);
+  return terms[0];
+};
+
+describe('termExtractor', () => {
+  it('keeps each term\'s span in the source text', () => {
+    const text = 'Rent of Rs. 15,000 per month, 2 parking slots, a 5% escalation and 30 days notice from 1 April 2024.';
+    const terms = termExtractor.extract(text);
+
+    expect(terms.map(term => term.type)).toEqual(['money', 'count', 'percentage', 'duration', 'date']);
+    terms.forEach(term => expect(text.slice(term.start, term.end)).toBe(term.text));
+  });
+
+  describe('money', () => {
+    it('reads Indian digit grouping and lakh/crore scales', () => {
+      expect(only('A deposit of Rs. 1,00,000 is payable.', 'money')).toMatchObject({ value: 100000, currency: 'INR', label: 'deposit' });
+      expect(only('CTC of Rs. 12 lakh per annum.', 'money')).toMatchObject({ value: 1200000, period: 'year', label: 'salary' });
+      expect(only('A loan of Rs. 2 crore.', 'money')).toMatchObject({ value: 20000000, label: 'loan' });
+    });
+
+    it('reads amounts written out in words', () => {
+      expect(only('A sum of Rupees One Lakh Fifty Thousand only.', 'money')).toMatchObject({ value: 150000, currency: 'INR' });
+    });
+
+    it('treats the amount repeated in words as one mention', () => {
+      const text = 'The monthly rent is Rs. 15,000/- (Rupees Fifteen Thousand Only) per month.';
+      const money = only(text, 'money');
+
+      expect(money).toMatchObject({ text: 'Rs. 15,000', value: 15000, period: 'month', label: 'rent' });
+      expect(text.slice(money.start, money.end)).toContain('Fifteen Thousand');
+    });
+
+    it('recognises other currencies and payment periods', () => {
+      const [rent, fee] = termExtractor.extract('Rent of $1,200 per month and a fee of €300.');
+
+      expect(rent).toMatchObject({ value: 1200, currency: 'USD', period: 'month', label: 'rent' });
+      expect(fee).toMatchObject({ value: 300, currency: 'EUR', label: 'fee' });
+      expect(only('Maintenance of INR 2.5 lakh p.a.', 'money')).toMatchObject({ value: 250000, period: 'year', label: 'maintenance' });
+    });
+  });
+
+  describe('durations, percentages and counts', () => {
+    it('converts durations to days', () => {
+      expect(only('Notice of 3 (three) months is required.', 'duration')).toMatchObject({ value: 3, unit: 'month', days: 90, label: 'notice' });
+      expect(only('A deposit equal to two months\' rent.', 'duration')).toMatchObject({ value: 2, label: 'deposit' });
+      expect(only('Refundable within 30 days.', 'duration')).toMatchObject({ days: 30, label: 'deadline' });
+    });
+
+    it('reads percentages written with a sign or in words', () => {
+      expect(only('Interest at 12% per annum.', 'percentage')).toMatchObject({ value: 12, label: 'interest' });
+      expect(only('Rent shall increase by 5 percent every year.', 'percentage')).toMatchObject({ value: 5, label: 'escalation' });
+    });
+
+    it('counts things and ignores references to parts of the document', () => {
+      const terms = termExtractor.extract('The Tenant is allotted 2 parking slots and three keys as per Clause 5 of Schedule 2.');
+
+      expect(terms.map(term => [term.type, term.value, term.unit])).toEqual([
+        ['count', 2, 'parking slots'],
+        ['count', 3, 'keys']
+      ]);
+    });
+  });
+
+  describe('dates', () => {
+    it('reads day-month-year dates in words and digits', () => {
+      expect(only('Lease commencing 1st April, 2024.', 'date').value.toISOString()).toBe('2024-04-01T00:00:00.000Z');
+      expect(only('Effective 01/04/2024.', 'date').value.toISOString()).toBe('2024-04-01T00:00:00.000Z');
+      expect(only('Effective 31.03.2025.', 'date').value.toISOString()).toBe('2025-03-31T00:00:00.000Z');
+    });
+
+    it('labels the second date of a range as its end', () => {
+      const labels = text => termExtractor.extract(text).map(term => term.label);
+
+      expect(labels('Lease from 1st April, 2024 until 31st March, 2025.')).toEqual(['start', 'end']);
+      expect(labels('Valid from 1 Jan 2024 to 31 Dec 2024.')).toEqual(['start', 'end']);
+      expect(labels('The term commences on 01/04/2024 and ends on 31.03.2025.')).toEqual(['start', 'end']);
+    });
+
+    it('only takes labels from the same sentence', () => {
+      const text = 'The deposit of Rs. 1,00,000 is refundable. Mr. Rao signed on 5 May 2024.';
+      const [money, date] = termExtractor.extract(text);
+
+      expect(money.label).toBe('deposit');
+      expect(date.label).toBe('signed');
+    });
+  });
+
+  describe('format', () => {
+    it('writes values the way the comparison shows them', () => {
+      const format = (text, type) => termExtractor.format(only(text, type));
+
+      expect(format('Rent of Rs. 15,000 per month.', 'money')).toBe('₹15,000/month');
+      expect(format('A loan of Rs. 2 crore.', 'money')).toBe('₹2,00,00,000');
+      expect(format('Notice of one month.', 'duration')).toBe('1 month');
+      expect(format('Interest at 9.5% per annum.', 'percentage')).toBe('9.5%');
+      expect(format('Lease commencing 1st April, 2024.', 'date')).toBe('1 April 2024');
+    });
+  });
+});
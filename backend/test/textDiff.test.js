@@ -0,0 +1,163 @@
+const textDiff = require('../utils/textDiff');
+const documentAnalysisService = require('../utils/documentAnalysisService');
+const aiAnalyzer = require('../utils/aiAnalyzer');
+
+describe('textDiff', () => {
+  describe('diff', () => {
+    it('reports nothing for identical text', () => {
+      expect(textDiff.diff('a\nb\nc', 'a\nb\nc')).toEqual({ hunks: [], added: 0, removed: 0 });
+    });
+
+    it('groups adjacent changed lines into hunks with their line numbers', () => {
+      const oldText = ['1. Rent is Rs. 15,000.', '2. Deposit is Rs. 30,000.', '3. Notice is one month.', '4. Pets are allowed.'].join('\n');
+      const newText = ['1. Rent is Rs. 18,000.', '2. Deposit is Rs. 30,000.', '3. Notice is one month.', '3A. Parking is included.', '4. Pets are allowed.'].join('\n');
+
+      expect(textDiff.diff(oldText, newText)).toEqual({
+        hunks: [
+          { oldStart: 0, oldLines: ['1. Rent is Rs. 15,000.'], newStart: 0, newLines: ['1. Rent is Rs. 18,000.'] },
+          { oldStart: 3, oldLines: [], newStart: 3, newLines: ['3A. Parking is included.'] }
+        ],
+        added: 2,
+        removed: 1
+      });
+    });
+
+    it('handles text added to or removed from an empty version', () => {
+      expect(textDiff.diff('', 'a\nb')).toEqual({
+        hunks: [{ oldStart: 0, oldLines: [], newStart: 0, newLines: ['a', 'b'] }],
+        added: 2,
+        removed: 0
+      });
+      expect(textDiff.diff('a', '')).toMatchObject({ added: 0, removed: 1 });
+    });
+
+    it('finds the shortest edit script', () => {
+      expect(textDiff.editScript(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c'])
+        .filter(step => step.type !== 'equal')).toHaveLength(5);
+    });
+
+    it('treats text that differs beyond the edit limit as rewritten', () => {
+      expect(textDiff.editScript(['a', 'b', 'c'], ['x', 'y', 'z'], 2)).toBeNull();
+    });
+  });
+
+  describe('revert', () => {
+    it('rebuilds the older text from the newer one', () => {
+      const oldText = 'Title\n1. Rent\n2. Deposit\n3. Notice\n4. Pets';
+      const newText = 'Title\n1. Rent (revised)\n3. Notice\n4. Pets\n5. Parking';
+      const { hunks } = textDiff.diff(oldText, newText);
+
+      expect(textDiff.revert(newText, hunks)).toBe(oldText);
+    });
+  });
+});
+
+describe('documentAnalysisService.compareVerdicts', () => {
+  const clause = (number, text, risk) => ({ number, clause: text, final_risk: risk, segmentId: `s${number}` });
+
+  const previous = [
+    clause('1', 'Rent is Rs. 15,000.', 'Low'),
+    clause('2', 'Deposit is two months of rent.', 'Medium'),
+    clause('3', 'Notice is one month.', 'Low'),
+    clause('4', 'Pets are allowed.', 'Low')
+  ];
+
+  it('reports nothing when only unchanged clauses were reused', () => {
+    expect(documentAnalysisService.compareVerdicts(previous, previous, [0, 1, 2, 3])).toEqual([]);
+  });
+
+  it('pairs an edited clause with the one it replaced and reports a changed risk', () => {
+    const analyzed = [previous[0], clause('2', 'Deposit is six months of rent and is forfeited on exit.', 'High'), previous[2], previous[3]];
+
+    expect(documentAnalysisService.compareVerdicts(previous, analyzed, [0, -1, 2, 3])).toEqual([{
+      clauseIndex: 1,
+      segmentId: 's2',
+      number: '2',
+      excerpt: 'Deposit is six months of rent and is forfeited on exit.',
+      previousRisk: 'Medium',
+      risk: 'High',
+      change: 'changed'
+    }]);
+  });
+
+  it('does not report an edited clause whose risk stayed the same', () => {
+    const analyzed = [clause('1', 'Rent is Rs. 18,000.', 'Low'), previous[1], previous[2], previous[3]];
+
+    expect(documentAnalysisService.compareVerdicts(previous, analyzed, [-1, 1, 2, 3])).toEqual([]);
+  });
+
+  it('pairs a re-analyzed clause in order when no clause number matches', () => {
+    const analyzed = [previous[0], previous[1], clause('3A', 'A penalty applies to late rent.', 'High'), previous[3]];
+
+    expect(documentAnalysisService.compareVerdicts(previous, analyzed, [0, 1, -1, 3])).toEqual([
+      expect.objectContaining({ clauseIndex: 2, number: '3A', previousRisk: 'Low', risk: 'High', change: 'changed' })
+    ]);
+  });
+
+  it('reports clauses added and removed between unchanged ones', () => {
+    const withoutNotice = [previous[0], previous[1], previous[3]];
+    expect(documentAnalysisService.compareVerdicts(previous, withoutNotice, [0, 1, 3])).toEqual([{
+      segmentId: 's3',
+      number: '3',
+      excerpt: 'Notice is one month.',
+      previousRisk: 'Low',
+      change: 'removed'
+    }]);
+
+    const withParking = [...previous, clause('5', 'Parking is included.', 'Low')];
+    expect(documentAnalysisService.compareVerdicts(previous, withParking, [0, 1, 2, 3, -1])).toEqual([
+      expect.objectContaining({ clauseIndex: 4, number: '5', risk: 'Low', change: 'added' })
+    ]);
+  });
+
+  it('pairs re-analyzed clauses by clause number before order', () => {
+    const analyzed = [
+      previous[0],
+      clause('3', 'Notice is three months.', 'Medium'),
+      clause('2', 'Deposit is two months of rent.', 'Medium'),
+      previous[3]
+    ];
+    // Both clauses in the gap were re-analyzed, in swapped order
+    const changes = documentAnalysisService.compareVerdicts(previous, analyzed, [0, -1, -1, 3]);
+
+    expect(changes).toEqual([
+      expect.objectContaining({ clauseIndex: 1, number: '3', previousRisk: 'Low', risk: 'Medium', change: 'changed' })
+    ]);
+  });
+
+  it('shortens long excerpts', () => {
+    const long = clause('9', `The tenant agrees ${'to the terms '.repeat(20)}`, 'High');
+    const [change] = documentAnalysisService.compareVerdicts([], [long], [-1]);
+
+    expect(change.excerpt).toHaveLength(163);
+    expect(change.excerpt.endsWith('...')).toBe(true);
+  });
+});
+
+describe('documentAnalysisService.isReusable', () => {
+  const modelInfo = { provider: 'gemini', model: 'gemini-pro', promptVersion: 'clause-v3' };
+  const previous = { explanationLanguage: 'en', aiProvider: 'gemini', aiModel: 'gemini-pro', promptVersion: 'clause-v3' };
+
+  beforeEach(() => {
+    jest.spyOn(aiAnalyzer, 'getModelInfo').mockReturnValue(modelInfo);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reuses verdicts produced the same way', () => {
+    expect(documentAnalysisService.isReusable(previous, 'en')).toBe(true);
+  });
+
+  it('does not reuse verdicts from another language, provider, model or prompt', () => {
+    expect(documentAnalysisService.isReusable(previous, 'hi')).toBe(false);
+    expect(documentAnalysisService.isReusable({ ...previous, aiProvider: 'openai' }, 'en')).toBe(false);
+    expect(documentAnalysisService.isReusable({ ...previous, aiModel: 'gemini-1.5-flash' }, 'en')).toBe(false);
+    expect(documentAnalysisService.isReusable({ ...previous, promptVersion: 'clause-v2' }, 'en')).toBe(false);
+  });
+
+  it('does not reuse anything without a previous analysis', () => {
+    expect(documentAnalysisService.isReusable(undefined, 'en')).toBe(false);
+  });
+});
@@ -1,39 +1,53 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProvider, LLMError } = require('./llm');
+const { createScheduler } = require('./requestScheduler');
+const clauseCache = require('./clauseCache');
+const rulesEngine = require('./rulesEngine');
+const languageDetector = require('./languageDetector');
+const clauseAligner = require('./clauseAligner');
+const redline = require('./redline');
+const termExtractor = require('./termExtractor');
+
+// Bump when the clause prompts change so cached analyses are not reused
+const CLAUSE_PROMPT_VERSION = 'clause-v2';
+
+// Terms each clause topic is compared on, as [type, labels] in order of
+// preference; an empty label list takes any term of that type. A deposit
+// given as a duration is that many months' rent.
+const TOPIC_TERMS = {
+  rent: [['money', ['rent']], ['money', []]],
+  deposit: [['money', ['deposit']], ['duration', ['deposit']], ['money', []], ['duration', []]],
+  notice: [['duration', ['notice']], ['duration', []]],
+  duration: [['duration', ['term', 'lock-in']], ['duration', []], ['date', ['start', 'end']]],
+  renewal: [['percentage', ['escalation']], ['duration', []]],
+  maintenance: [['money', ['maintenance']], ['money', []]],
+  other: [['money', []], ['percentage', []], ['duration', []], ['date', []], ['count', []]]
+};
+
+// Which way a key term favours the reader (the tenant, employee or
+// borrower): -1 when lower is better, 1 when higher is better. Terms are
+// looked up by the clause topic for rent, deposit, maintenance and notice
+// clauses and by their own label otherwise; anything else has no preference.
+const TERM_PREFERENCES = {
+  money: { rent: -1, deposit: -1, maintenance: -1, fee: -1, penalty: -1, interest: -1, instalment: -1, salary: 1 },
+  percentage: { interest: -1, escalation: -1, penalty: -1, commission: -1, tax: -1, discount: 1 },
+  duration: { notice: -1, deposit: -1, 'lock-in': -1, probation: -1, 'non-compete': -1, 'grace period': 1 },
+  count: { default: 1 }
+};
 
 class AIAnalyzer {
   constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+    // LLM provider selected by LLM_PROVIDER (gemini, openai-compatible, rules-only, mock)
+    this.provider = createProvider();
+    console.log(`🤖 LLM provider: ${this.provider.name} (${this.provider.model})`);
     
-    // Rate limiting for Gemini API (15 requests per minute for free tier)
-    this.requestQueue = [];
-    this.requestCount = 0;
-    this.maxRequestsPerMinute = 12; // Conservative limit (below 15)
-    this.requestWindow = 60000; // 1 minute in milliseconds
-    this.lastResetTime = Date.now();
-    this.isProcessingQueue = false;
-    
-    // Risk keywords for rules-based analysis
-    this.riskKeywords = {
-      high: [
-        'penalty', 'seize', 'collateral', 'waiver', 'indemnity', 'forfeit',
-        'liquidated damages', 'acceleration', 'default', 'breach',
-        'termination without cause', 'unlimited liability', 'personal guarantee',
-        'cross-default', 'material adverse change', 'force majeure exclusion'
-      ],
-      medium: [
-        'late fee', 'interest rate', 'security deposit', 'arbitration',
-        'jurisdiction', 'governing law', 'assignment', 'modification',
-        'notice period', 'renewal terms', 'insurance requirements',
-        'compliance obligations', 'reporting requirements'
-      ],
-      low: [
-        'payment terms', 'delivery', 'warranty', 'maintenance',
-        'standard terms', 'mutual agreement', 'good faith',
-        'reasonable efforts', 'business days', 'written notice'
-      ]
-    };
+    // Rate limit and concurrency cap for model requests; the token bucket is
+    // shared through MongoDB so all instances stay within one quota
+    this.scheduler = createScheduler(`llm:${this.provider.name}`);
 
+    // Clauses are sent to the model in batches to save requests
+    this.batchTokenBudget = parseInt(process.env.LLM_BATCH_TOKEN_BUDGET) || 3000;
+    this.maxBatchSize = parseInt(process.env.LLM_BATCH_MAX_CLAUSES) || 10;
+    
     // Legal glossary terms
     this.glossaryTerms = {
       'collateral': 'Asset pledged as security for a loan that can be seized if payments are not made',
@@ -57,113 +71,52 @@ class AIAnalyzer {
     };
   }
 
-  // Rate limiting methods
-  resetRequestCount() {
-    const now = Date.now();
-    if (now - this.lastResetTime >= this.requestWindow) {
-      this.requestCount = 0;
-      this.lastResetTime = now;
-    }
+  // Provider and model recorded on each analysis
+  getModelInfo() {
+    return { ...this.provider.describe(), promptVersion: CLAUSE_PROMPT_VERSION };
   }
 
-  canMakeRequest() {
-    this.resetRequestCount();
-    return this.requestCount < this.maxRequestsPerMinute;
+  // What a cached clause analysis depends on besides the clause text
+  getCacheContext(documentType, language = 'en') {
+    return {
+      documentType,
+      promptVersion: CLAUSE_PROMPT_VERSION,
+      provider: this.provider.name,
+      model: this.provider.model,
+      language
+    };
   }
 
-  async makeRateLimitedRequest(requestFunction) {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({ requestFunction, resolve, reject });
-      this.processQueue();
-    });
+  // Prompt line asking for explanations in the reader's language.
+  // JSON keys and risk levels stay in English so responses still parse.
+  languageInstruction(language = 'en') {
+    if (!languageDetector.isSupported(language) || language === 'en') return '';
+    return `Write all explanations, reasons and answers in ${languageDetector.nameOf(language)}, even if the contract is in another language. Keep JSON keys and the values Low, Medium and High in English.`;
   }
 
-  async processQueue() {
-    if (this.isProcessingQueue || this.requestQueue.length === 0) {
-      return;
-    }
-
-    this.isProcessingQueue = true;
-
-    while (this.requestQueue.length > 0) {
-      if (!this.canMakeRequest()) {
-        // Wait until we can make another request
-        const waitTime = this.requestWindow - (Date.now() - this.lastResetTime);
-        console.log(`⏳ Rate limit reached. Waiting ${Math.ceil(waitTime / 1000)}s before next API call...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime + 1000));
-        continue;
-      }
-
-      const { requestFunction, resolve, reject } = this.requestQueue.shift();
-      
-      try {
-        this.requestCount++;
-        const result = await requestFunction();
-        resolve(result);
-      } catch (error) {
-        if (error.message && error.message.includes('429')) {
-          // Rate limit exceeded, put request back in queue
-          console.log('🚫 API quota exceeded. Retrying with rules-based fallback...');
-          reject(new Error('QUOTA_EXCEEDED'));
-        } else {
-          reject(error);
-        }
+  // Run a provider request through the shared scheduler.
+  // priority: 'interactive' (a user is waiting) or 'bulk'
+  async makeRateLimitedRequest(requestFunction, { priority = 'bulk' } = {}) {
+    try {
+      return await this.scheduler.schedule(requestFunction, { priority });
+    } catch (error) {
+      if (error.status === 429 || (error.message && error.message.includes('429'))) {
+        // Quota exceeded: make every instance wait for the bucket to refill
+        console.log('🚫 API quota exceeded. Retrying with rules-based fallback...');
+        await this.scheduler.backOff();
+        throw new Error('QUOTA_EXCEEDED');
       }
-
-      // Small delay between requests to be extra safe
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      throw error;
     }
-
-    this.isProcessingQueue = false;
   }
 
-  // Rules-based risk analysis
-  analyzeRiskByRules(clauseText) {
-    const text = clauseText.toLowerCase();
-    let riskScore = 0;
-    let riskLevel = 'Low';
-    let detectedKeywords = [];
-
-    // Check for high-risk keywords
-    this.riskKeywords.high.forEach(keyword => {
-      if (text.includes(keyword.toLowerCase())) {
-        riskScore += 3;
-        detectedKeywords.push(keyword);
-      }
-    });
-
-    // Check for medium-risk keywords
-    this.riskKeywords.medium.forEach(keyword => {
-      if (text.includes(keyword.toLowerCase())) {
-        riskScore += 2;
-        detectedKeywords.push(keyword);
-      }
-    });
-
-    // Check for low-risk keywords
-    this.riskKeywords.low.forEach(keyword => {
-      if (text.includes(keyword.toLowerCase())) {
-        riskScore += 1;
-        detectedKeywords.push(keyword);
-      }
-    });
-
-    // Determine risk level based on score
-    if (riskScore >= 6) {
-      riskLevel = 'High';
-    } else if (riskScore >= 3) {
-      riskLevel = 'Medium';
-    }
-
-    return {
-      riskLevel,
-      riskScore,
-      detectedKeywords: [...new Set(detectedKeywords)]
-    };
+  // Rules-based risk analysis (see rulesEngine for the rule format)
+  analyzeRiskByRules(clauseText, documentType) {
+    return rulesEngine.evaluate(clauseText, documentType);
   }
 
   // AI-based clause analysis using Gemini with retry logic
-  async analyzeClauseWithAI(clauseText, documentType = 'general', retryCount = 0) {
+  async analyzeClauseWithAI(clauseText, documentType = 'general', { language = 'en' } = {}, retryCount = 0) {
     const maxRetries = 2; // Reduced retries for faster fallback
     const baseDelay = 500; // Shorter delay
     try {
@@ -188,37 +141,35 @@ class AIAnalyzer {
         }
 
         Keep explanations friendly and accessible. Focus on what this means for the person signing the contract.
+        ${this.languageInstruction(language)}
       `;
 
       // Use rate-limited request
-      const result = await this.makeRateLimitedRequest(async () => {
-        return await this.model.generateContent(prompt);
-      });
-      const response = await result.response;
-      const text = response.text();
-
-      // Parse JSON response
+      let analysis;
       try {
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          const analysis = JSON.parse(jsonMatch[0]);
-          return {
-            explanation: analysis.explanation || 'Unable to generate explanation',
-            riskLevel: analysis.risk_level || 'Medium',
-            reason: analysis.reason || 'Unable to determine risk reason',
-            importantTerms: analysis.important_terms || []
-          };
+        analysis = await this.makeRateLimitedRequest(() => this.provider.generateJSON(prompt));
+      } catch (error) {
+        if (error.code !== 'INVALID_JSON') {
+          throw error;
         }
-      } catch (parseError) {
-        console.error('JSON parsing error:', parseError);
+
+        console.error('JSON parsing error:', error.message);
+
+        // Fallback if JSON parsing fails
+        return {
+          explanation: (error.rawText || '').substring(0, 200) + '...',
+          riskLevel: 'Medium',
+          reason: 'AI analysis completed but format unclear',
+          importantTerms: [],
+          unparsed: true // not cached
+        };
       }
 
-      // Fallback if JSON parsing fails
       return {
-        explanation: text.substring(0, 200) + '...',
-        riskLevel: 'Medium',
-        reason: 'AI analysis completed but format unclear',
-        importantTerms: []
+        explanation: analysis.explanation || 'Unable to generate explanation',
+        riskLevel: analysis.risk_level || 'Medium',
+        reason: analysis.reason || 'Unable to determine risk reason',
+        importantTerms: analysis.important_terms || []
       };
 
     } catch (error) {
@@ -240,7 +191,7 @@ class AIAnalyzer {
         console.log(`Retrying AI analysis in ${delay}ms (attempt ${retryCount + 1}/${maxRetries})`);
         
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.analyzeClauseWithAI(clauseText, documentType, retryCount + 1);
+        return this.analyzeClauseWithAI(clauseText, documentType, { language }, retryCount + 1);
       }
       
       // If max retries reached or different error, throw to trigger fallback
@@ -249,10 +200,18 @@ class AIAnalyzer {
   }
 
   // Generate document summary with rate limiting
-  async generateDocumentSummary(clauses, documentType) {
-    try {
-      const clauseTexts = clauses.map(c => c.clause).join('\n\n');
-      const prompt = `
+  // Throws when the model is unavailable so callers can fall back to a
+  // rules-based summary (see documentAnalysisService)
+  async generateDocumentSummary(clauses, documentType, { language = 'en' } = {}) {
+    if (!this.provider.supportsGeneration) {
+      throw new LLMError('Summary generation is not supported by this provider', {
+        code: 'GENERATION_UNSUPPORTED',
+        provider: this.provider.name
+      });
+    }
+
+    const clauseTexts = clauses.map(c => c.clause).join('\n\n');
+    const prompt = `
         Analyze this ${documentType} contract and provide a comprehensive summary.
 
         Contract Text:
@@ -267,41 +226,26 @@ class AIAnalyzer {
         }
 
         Focus on the most important aspects that could affect the person signing this contract.
+        ${this.languageInstruction(language)}
       `;
 
-      // Use rate-limited request
-      const result = await this.makeRateLimitedRequest(async () => {
-        return await this.model.generateContent(prompt);
-      });
-      
-      const response = await result.response;
-      const text = response.text();
-
-      try {
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          return JSON.parse(jsonMatch[0]);
-        }
-      } catch (parseError) {
-        console.error('Summary JSON parsing error:', parseError);
-      }
-
-      return {
-        key_findings: ['Document analysis completed'],
-        recommendations: ['Review all clauses carefully'],
-        overall_risk: 'Medium',
-        summary: 'Contract analysis completed successfully.'
-      };
-
+    // Use rate-limited request
+    try {
+      return await this.makeRateLimitedRequest(() => this.provider.generateJSON(prompt));
     } catch (error) {
-      console.error('Document summary error:', error);
-      return {
-        key_findings: ['Unable to generate summary'],
-        recommendations: ['Manual review recommended'],
-        overall_risk: 'Medium',
-        summary: 'Summary generation failed.'
-      };
+      if (error.code !== 'INVALID_JSON') {
+        console.error('Document summary error:', error.message);
+        throw error;
+      }
+      console.error('Summary JSON parsing error:', error.message);
     }
+
+    return {
+      key_findings: ['Document analysis completed'],
+      recommendations: ['Review all clauses carefully'],
+      overall_risk: 'Medium',
+      summary: 'Contract analysis completed successfully.'
+    };
   }
 
   // Generate explanation based on rules analysis when AI is unavailable
@@ -329,52 +273,202 @@ class AIAnalyzer {
     return explanation;
   }
 
-  // Combine AI and rules-based analysis
-  async analyzeClause(clauseText, page, documentType = 'general') {
+  isQuotaError(error) {
+    return !!error.message && (error.message.includes('quota') || error.message.includes('429') ||
+      error.message === 'QUOTA_EXCEEDED');
+  }
+
+  // Group clauses ({ index, text, page }) into batches whose whole prompt,
+  // instructions included, fits the token budget. Tokens are estimated
+  // locally: counting through the provider API would cost a request per
+  // clause outside the scheduler.
+  buildClauseBatches(clauses, documentType = 'general', { language = 'en' } = {}) {
+    const overhead = this.provider.estimateTokens(this.buildBatchPrompt([], documentType, { language }));
+    // Every clause is framed with the widest index a batch can have
+    const clauseTokens = clauses.map(clause => (
+      this.provider.estimateTokens(this.batchClauseItem(clause.text, this.maxBatchSize - 1))
+    ));
+
+    const batches = [];
+    let current = [];
+    let currentTokens = overhead;
+
+    clauses.forEach((clause, i) => {
+      const tokens = clauseTokens[i];
+      if (current.length > 0 &&
+          (currentTokens + tokens > this.batchTokenBudget || current.length >= this.maxBatchSize)) {
+        batches.push(current);
+        current = [];
+        currentTokens = overhead;
+      }
+      current.push(clause);
+      currentTokens += tokens;
+    });
+
+    if (current.length > 0) {
+      batches.push(current);
+    }
+    return batches;
+  }
+
+  // One clause as it appears in a batch prompt
+  batchClauseItem(text, index) {
+    return `<clause index="${index}">${text.replace(/<\/clause>/gi, '')}</clause>`;
+  }
+
+  buildBatchPrompt(clauseTexts, documentType = 'general', { language = 'en' } = {}) {
+    const clauseList = clauseTexts
+      .map((text, i) => this.batchClauseItem(text, i))
+      .join('\n');
+
+    return `
+        You are a legal expert analyzing several contract clauses. For each clause, provide a clear, simple explanation that a non-lawyer can understand.
+
+        Document Type: ${documentType}
+        Clauses:
+        ${clauseList}
+
+        For every clause provide:
+        1. A simple, plain-English explanation (2-3 sentences max)
+        2. Risk level (Low, Medium, or High)
+        3. Brief reason for the risk level (1 sentence)
+        4. Any important terms that should be in a glossary
+
+        Respond in JSON format with exactly one result per clause, using the clause's index:
+        {
+          "results": [
+            {
+              "index": 0,
+              "explanation": "Plain English explanation here",
+              "risk_level": "Low|Medium|High",
+              "reason": "Brief reason for risk level",
+              "important_terms": ["term1", "term2"]
+            }
+          ]
+        }
+
+        Keep explanations friendly and accessible. Focus on what this means for the person signing the contract.
+        ${this.languageInstruction(language)}
+      `;
+  }
+
+  // Analyze several clauses in one request.
+  // Returns a Map of batch position -> AI analysis for every valid result;
+  // clauses missing from the map need to be analyzed individually.
+  async analyzeClausesWithAI(clauseTexts, documentType = 'general', { language = 'en' } = {}) {
+    const prompt = this.buildBatchPrompt(clauseTexts, documentType, { language });
+
+    const results = new Map();
+    let response;
     try {
-      // Rules-based analysis (always works)
-      const rulesAnalysis = this.analyzeRiskByRules(clauseText);
-      
-      let aiAnalysis;
+      response = await this.makeRateLimitedRequest(() => this.provider.generateJSON(prompt));
+    } catch (error) {
+      if (error.code !== 'INVALID_JSON') {
+        throw error;
+      }
+      console.error('Batch JSON parsing error:', error.message);
+      return results;
+    }
+
+    const items = Array.isArray(response) ? response : (response && response.results) || [];
+    items.forEach(item => {
+      const index = item && Number(item.index);
+      const valid = Number.isInteger(index) && index >= 0 && index < clauseTexts.length &&
+        typeof item.explanation === 'string' && ['Low', 'Medium', 'High'].includes(item.risk_level);
+
+      if (valid && !results.has(index)) {
+        results.set(index, {
+          explanation: item.explanation,
+          riskLevel: item.risk_level,
+          reason: item.reason || 'Unable to determine risk reason',
+          importantTerms: Array.isArray(item.important_terms) ? item.important_terms : []
+        });
+      }
+    });
+
+    return results;
+  }
+
+  // Analyze a batch of clauses ({ text, page }) with one model request.
+  // Clauses the batch response left out or got wrong are retried one by one.
+  async analyzeClauseBatch(clauses, documentType = 'general', { language = 'en' } = {}) {
+    if (!this.provider.supportsGeneration || clauses.length === 1) {
+      return Promise.all(clauses.map(clause => this.analyzeClause(clause.text, clause.page, documentType, { language })));
+    }
+
+    const cacheContext = this.getCacheContext(documentType, language);
+    const cached = await clauseCache.getMany(clauses.map(clause => clause.text), cacheContext);
+    const uncached = clauses
+      .map((clause, i) => ({ ...clause, position: i }))
+      .filter(clause => !cached.has(clause.position));
+
+    let aiResults = new Map();
+    if (uncached.length > 1) {
       try {
-        // Try AI-based analysis
-        aiAnalysis = await this.analyzeClauseWithAI(clauseText, documentType);
-      } catch (aiError) {
-        if (aiError.message.includes('quota') || aiError.message.includes('429')) {
-          console.log('📊 Using rules-based analysis (API quota reached)');
-        } else {
-          console.log('📊 Using rules-based analysis (AI temporarily unavailable)');
+        const batchResults = await this.analyzeClausesWithAI(uncached.map(clause => clause.text), documentType, { language });
+        await Promise.all([...batchResults].map(([i, result]) => {
+          const clause = uncached[i];
+          aiResults.set(clause.position, result);
+          return clauseCache.set(clause.text, cacheContext, result);
+        }));
+      } catch (error) {
+        if (this.isQuotaError(error)) {
+          console.log('📊 Using rules-based analysis for batch (API quota reached)');
+          return clauses.map((clause, i) => (
+            cached.has(i)
+              ? this.combineAnalysis(clause.text, clause.page, cached.get(i), { cached: true, documentType })
+              : this.combineAnalysis(clause.text, clause.page, null, { documentType })
+          ));
         }
-        
-        // Fallback to enhanced rules-based analysis
-        aiAnalysis = {
-          explanation: this.generateRulesBasedExplanation(clauseText, rulesAnalysis),
-          riskLevel: rulesAnalysis.riskLevel,
-          reason: `Rules-based analysis: ${rulesAnalysis.detectedKeywords.length > 0 ? 
-            'Contains keywords: ' + rulesAnalysis.detectedKeywords.join(', ') : 
-            'Standard contract clause'}`,
-          importantTerms: rulesAnalysis.detectedKeywords
-        };
+        console.error('Batch analysis error:', error.message);
       }
+    }
 
-      // Determine final risk level (take the higher of the two)
-      const riskLevels = { 'Low': 1, 'Medium': 2, 'High': 3 };
-      const rulesRisk = rulesAnalysis.riskLevel;
-      const aiRisk = aiAnalysis.riskLevel;
-      
-      const finalRisk = riskLevels[rulesRisk] >= riskLevels[aiRisk] ? rulesRisk : aiRisk;
+    const retries = uncached.length - aiResults.size;
+    if (retries > 0 && uncached.length > 1) {
+      console.log(`Retrying ${retries}/${uncached.length} clauses individually`);
+    }
 
-      return {
-        page,
-        clause: clauseText,
-        explanation: aiAnalysis.explanation,
-        risk_ai: aiAnalysis.riskLevel,
-        risk_rules: rulesRisk,
-        final_risk: finalRisk,
-        reason: aiAnalysis.reason,
-        keywords: rulesAnalysis.detectedKeywords,
-        important_terms: aiAnalysis.importantTerms
-      };
+    return Promise.all(clauses.map((clause, i) => {
+      if (cached.has(i)) {
+        return this.combineAnalysis(clause.text, clause.page, cached.get(i), { cached: true, documentType });
+      }
+      if (aiResults.has(i)) {
+        return this.combineAnalysis(clause.text, clause.page, aiResults.get(i), { documentType });
+      }
+      return this.analyzeClause(clause.text, clause.page, documentType, { skipCache: true, language });
+    }));
+  }
+
+  // Combine AI and rules-based analysis
+  // skipCache: the caller already checked the cache for this clause
+  // language: language the explanation should be written in
+  async analyzeClause(clauseText, page, documentType = 'general', { skipCache = false, language = 'en' } = {}) {
+    try {
+      let aiAnalysis = null;
+      if (this.provider.supportsGeneration) {
+        const cacheContext = this.getCacheContext(documentType, language);
+        const cached = skipCache ? null : await clauseCache.get(clauseText, cacheContext);
+        if (cached) {
+          return this.combineAnalysis(clauseText, page, cached, { cached: true, documentType });
+        }
+
+        try {
+          // Try AI-based analysis
+          aiAnalysis = await this.analyzeClauseWithAI(clauseText, documentType, { language });
+          if (!aiAnalysis.unparsed) {
+            await clauseCache.set(clauseText, cacheContext, aiAnalysis);
+          }
+        } catch (aiError) {
+          if (this.isQuotaError(aiError)) {
+            console.log('📊 Using rules-based analysis (API quota reached)');
+          } else {
+            console.log('📊 Using rules-based analysis (AI temporarily unavailable)');
+          }
+        }
+      }
+
+      return this.combineAnalysis(clauseText, page, aiAnalysis, { documentType });
 
     } catch (error) {
       console.error('Clause analysis error:', error);
@@ -387,11 +481,64 @@ class AIAnalyzer {
         final_risk: 'Medium',
         reason: 'Analysis failed',
         keywords: [],
-        important_terms: []
+        important_terms: [],
+        source: 'rules'
       };
     }
   }
 
+  // Merge an AI analysis (or null when unavailable) with the rules-based one
+  combineAnalysis(clauseText, page, aiAnalysis, { cached = false, documentType } = {}) {
+    // Rules-based analysis (always works)
+    const rulesAnalysis = this.analyzeRiskByRules(clauseText, documentType);
+    let source = 'ai';
+
+    if (!aiAnalysis) {
+      // Fallback to enhanced rules-based analysis
+      source = 'rules';
+      aiAnalysis = {
+        explanation: this.generateRulesBasedExplanation(clauseText, rulesAnalysis),
+        riskLevel: rulesAnalysis.riskLevel,
+        reason: `Rules-based analysis: ${rulesAnalysis.detectedKeywords.length > 0 ? 
+          'Contains keywords: ' + rulesAnalysis.detectedKeywords.join(', ') : 
+          'Standard contract clause'}`,
+        importantTerms: rulesAnalysis.detectedKeywords
+      };
+    }
+
+    // Determine final risk level (take the higher of the two)
+    const riskLevels = { 'Low': 1, 'Medium': 2, 'High': 3 };
+    const rulesRisk = rulesAnalysis.riskLevel;
+    const aiRisk = aiAnalysis.riskLevel;
+    
+    const finalRisk = riskLevels[rulesRisk] >= riskLevels[aiRisk] ? rulesRisk : aiRisk;
+
+    return {
+      page,
+      clause: clauseText,
+      explanation: aiAnalysis.explanation,
+      risk_ai: aiAnalysis.riskLevel,
+      risk_rules: rulesRisk,
+      final_risk: finalRisk,
+      reason: aiAnalysis.reason,
+      keywords: rulesAnalysis.detectedKeywords,
+      important_terms: aiAnalysis.importantTerms,
+      source,
+      cached,
+      ai_verdict: source === 'ai' ? {
+        risk: aiRisk,
+        explanation: aiAnalysis.explanation,
+        reason: aiAnalysis.reason,
+        important_terms: aiAnalysis.importantTerms
+      } : undefined,
+      rules_verdict: {
+        risk: rulesRisk,
+        score: rulesAnalysis.riskScore,
+        evidence: rulesAnalysis.hits
+      }
+    };
+  }
+
   // Build glossary from analyzed clauses
   buildGlossary(analyzedClauses) {
     const glossary = [];
@@ -435,7 +582,11 @@ class AIAnalyzer {
   }
 
   // Answer questions about the document
-  async answerQuestion(question, documentText, previousQA = []) {
+  async answerQuestion(question, documentText, previousQA = [], { language = 'en' } = {}) {
+    if (!this.provider.supportsGeneration) {
+      return this.answerQuestionByRules(question, documentText);
+    }
+
     try {
       const context = previousQA.length > 0 
         ? `Previous Q&A:\n${previousQA.map(qa => `Q: ${qa.question}\nA: ${qa.answer}`).join('\n\n')}\n\n`
@@ -451,11 +602,13 @@ class AIAnalyzer {
 
         Provide a helpful, accurate answer in plain English. If you cannot answer based on the contract text, say so clearly.
         Keep your answer concise but complete (2-4 sentences).
+        ${this.languageInstruction(language)}
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const answer = response.text();
+      const answer = await this.makeRateLimitedRequest(
+        () => this.provider.generate(prompt),
+        { priority: 'interactive' }
+      );
 
       return {
         question,
@@ -475,6 +628,47 @@ class AIAnalyzer {
     }
   }
 
+  // Answer by quoting the sentences that share the most words with the question
+  answerQuestionByRules(question, documentText) {
+    const stopWords = new Set(['what', 'when', 'where', 'which', 'who', 'whom', 'does', 'this', 'that',
+      'there', 'their', 'have', 'with', 'from', 'about', 'will', 'would', 'should', 'could', 'the',
+      'and', 'for', 'are', 'can', 'how', 'much', 'many', 'document', 'contract', 'agreement']);
+    const questionWords = (question.toLowerCase().match(/[a-z]{3,}/g) || [])
+      .filter(word => !stopWords.has(word));
+
+    const sentences = (documentText || '')
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length > 20);
+
+    const scored = sentences
+      .map((sentence, index) => {
+        const lower = sentence.toLowerCase();
+        const score = questionWords.filter(word => lower.includes(word)).length;
+        return { sentence, index, score };
+      })
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, 2)
+      .sort((a, b) => a.index - b.index);
+
+    if (scored.length === 0) {
+      return {
+        question,
+        answer: 'I could not find a passage in this document that answers the question. Please review the document manually.',
+        confidence: 0.1,
+        timestamp: new Date()
+      };
+    }
+
+    return {
+      question,
+      answer: `The document says: ${scored.map(item => `"${item.sentence}"`).join(' ')}`,
+      confidence: Math.min(0.6, 0.2 + 0.1 * scored[0].score),
+      timestamp: new Date()
+    };
+  }
+
   // Compare two documents
   async compareDocuments(doc1Analysis, doc2Analysis) {
     try {
@@ -521,13 +715,10 @@ class AIAnalyzer {
     }
   }
 
-  // Enhanced clause-by-clause comparison
-  compareClausesDetailed(clauses1, clauses2) {
-    const comparisonTable = [];
-    const maxLength = Math.max(clauses1.length, clauses2.length);
-    
-    // Common clause types for better matching
-    const clauseTypes = {
+  // Clause topics that get a tailored difference description
+  // (see analyzeDifference and generatePlainEnglishDifference)
+  detectClauseTopic(...clauses) {
+    const clauseTopics = {
       'rent': ['rent', 'payment', 'monthly', 'amount'],
       'deposit': ['deposit', 'security', 'advance'],
       'notice': ['notice', 'termination', 'exit'],
@@ -539,75 +730,323 @@ class AIAnalyzer {
       'renewal': ['renewal', 'extend', 'renew']
     };
 
-    // Find matching clauses by type
-    const matchedClauses = new Set();
-    
-    for (const [type, keywords] of Object.entries(clauseTypes)) {
-      const clause1 = clauses1.find((c, i) => 
-        !matchedClauses.has(`1-${i}`) && 
-        keywords.some(keyword => c.clause.toLowerCase().includes(keyword))
-      );
-      
-      const clause2 = clauses2.find((c, i) => 
-        !matchedClauses.has(`2-${i}`) && 
-        keywords.some(keyword => c.clause.toLowerCase().includes(keyword))
-      );
+    const text = clauses.filter(Boolean).map(clause => clause.clause.toLowerCase()).join(' ');
+    let best = { topic: 'other', hits: 0 };
+    for (const [topic, keywords] of Object.entries(clauseTopics)) {
+      // The topic's own word has to appear, so a loan "amount" is not rent
+      if (!text.includes(keywords[0])) continue;
+      const hits = keywords.filter(keyword => text.includes(keyword)).length;
+      if (hits > best.hits) best = { topic, hits };
+    }
+    return best.topic;
+  }
 
-      if (clause1 || clause2) {
-        const clause1Index = clauses1.indexOf(clause1);
-        const clause2Index = clauses2.indexOf(clause2);
-        
-        if (clause1Index !== -1) matchedClauses.add(`1-${clause1Index}`);
-        if (clause2Index !== -1) matchedClauses.add(`2-${clause2Index}`);
+  // Row title for a clause: its heading, an inline "RENT:" style label or
+  // its number
+  clauseLabel(clause, topic) {
+    if (!clause) return null;
+    const heading = clause.headingPath?.[clause.headingPath.length - 1] || clause.term;
+    const inline = clause.clause.match(/^\s*(?:\d+(?:\.\d+)*[.)]?\s+)?([A-Z][A-Z &/-]{2,40}):/);
+    const title = heading || inline?.[1];
+    if (title) {
+      return title.trim().toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+    if (topic !== 'other') return topic.charAt(0).toUpperCase() + topic.slice(1);
+    return clause.number ? `Clause ${clause.number}` : null;
+  }
+
+  // Embeddings for clause alignment, when the provider can produce them
+  async embedTexts(texts) {
+    return this.makeRateLimitedRequest(() => this.provider.embed(texts));
+  }
 
-        const comparison = this.generateClauseComparison(clause1, clause2, type);
-        comparisonTable.push(comparison);
+  // Clause-by-clause comparison. Clauses are paired by text similarity
+  // (see clauseAligner); each row reports how confident the pairing is.
+  async compareClausesDetailed(clauses1, clauses2) {
+    const { method, rows } = await clauseAligner.align(clauses1, clauses2, {
+      embed: this.provider.supportsEmbeddings ? texts => this.embedTexts(texts) : null
+    });
+    console.log(`Aligned ${clauses1.length} and ${clauses2.length} clauses into ${rows.length} rows (${method})`);
+
+    // Each document's rent, for deposits given as months of rent
+    const rents = [this.documentRent(clauses1), this.documentRent(clauses2)];
+
+    return rows.map(({ index1, index2, confidence }) => {
+      const clause1 = index1 !== null ? clauses1[index1] : null;
+      const clause2 = index2 !== null ? clauses2[index2] : null;
+      const topic = this.detectClauseTopic(clause1, clause2);
+
+      return this.generateClauseComparison(clause1, clause2, topic, {
+        label: this.clauseLabel(clause1, topic) || this.clauseLabel(clause2, topic),
+        matchConfidence: confidence,
+        rents
+      });
+    });
+  }
+
+  // Clause matrix for three or more documents. Clauses are aligned across
+  // all documents (see clauseAligner.alignMany); in each row the documents
+  // whose clause is best and worst for the reader are picked on the key term
+  // where the terms can be compared (lowest rent, shortest lock-in, ...),
+  // else on risk.
+  async compareClausesMatrix(clauseLists) {
+    const { method, rows } = await clauseAligner.alignMany(clauseLists, {
+      embed: this.provider.supportsEmbeddings ? texts => this.embedTexts(texts) : null
+    });
+    console.log(`Aligned ${clauseLists.map(clauses => clauses.length).join(', ')} clauses into ${rows.length} rows (${method})`);
+
+    const rents = clauseLists.map(clauses => this.documentRent(clauses));
+
+    return rows.map(({ indexes, confidences }) => {
+      const clauses = indexes.map((index, document) => (index !== null ? clauseLists[document][index] : null));
+      const topic = this.detectClauseTopic(...clauses);
+      const terms = this.keyTerms(clauses.map(clause => (clause ? termExtractor.extract(clause.clause) : [])), topic);
+      const label = clauses.map(clause => this.clauseLabel(clause, topic)).find(Boolean);
+
+      const cells = clauses.map((clause, document) => clause && {
+        text: clause.clause.substring(0, 200) + (clause.clause.length > 200 ? '...' : ''),
+        fullText: clause.clause,
+        risk: clause.final_risk,
+        keyTerm: terms[document] ? this.describeTerm(terms[document], topic, rents[document]) : null,
+        matchConfidence: confidences[document]
+      });
+
+      return {
+        clauseType: label || topic.charAt(0).toUpperCase() + topic.slice(1),
+        topic,
+        cells,
+        ...this.rankCells(clauses, terms, topic, rents)
+      };
+    });
+  }
+
+  // Comparable number for a key term: money per month (deposits in months
+  // of rent become money), durations in days. kind says which values can be
+  // compared with each other.
+  termMeasure(term, type, rent) {
+    if (type === 'deposit' && term.type === 'duration') {
+      const amount = this.depositAmount(term, rent);
+      return amount ? this.termMeasure(amount, 'other') : null;
+    }
+    switch (term.type) {
+      case 'money':
+        return { kind: `money:${term.currency || ''}`, value: this.monthlyAmount(term) };
+      case 'duration':
+        return { kind: 'duration', value: term.days };
+      case 'count':
+        return { kind: `count:${term.unit.replace(/s$/, '')}`, value: term.value };
+      default:
+        return { kind: term.type, value: term.type === 'date' ? term.value.getTime() : term.value };
+    }
+  }
+
+  termPreference(term, type) {
+    const preferences = TERM_PREFERENCES[type === 'deposit' && term.type === 'duration' ? 'money' : term.type] || {};
+    const label = ['rent', 'deposit', 'maintenance', 'notice'].includes(type) ? type : term.label;
+    return preferences[label] || preferences.default || 0;
+  }
+
+  // Documents with the best and worst clause in a matrix row, as
+  // { best, worst, basis } with document indexes; basis is 'term' or 'risk'
+  // (null when nothing tells the clauses apart)
+  rankCells(clauses, terms, type, rents) {
+    const pick = (scores, basis) => {
+      const values = scores.filter(score => score.value !== null).map(score => score.value);
+      if (values.length < 2 || Math.min(...values) === Math.max(...values)) return null;
+      const indexesWith = value => scores.filter(score => score.value === value).map(score => score.document);
+      return { best: indexesWith(Math.max(...values)), worst: indexesWith(Math.min(...values)), basis };
+    };
+
+    // Key terms of the most common kind, scored so that higher is better
+    const measures = terms.map((term, document) => {
+      if (!term) return null;
+      const preference = this.termPreference(term, type);
+      const measure = preference ? this.termMeasure(term, type, rents[document]) : null;
+      return measure && { ...measure, value: measure.value * preference, document };
+    }).filter(Boolean);
+    const kinds = measures.map(measure => measure.kind);
+    const kind = kinds.sort((a, b) => kinds.filter(k => k === b).length - kinds.filter(k => k === a).length)[0];
+    const byTerm = pick(measures.filter(measure => measure.kind === kind), 'term');
+    if (byTerm) return byTerm;
+
+    const riskScores = { Low: 3, Medium: 2, High: 1 };
+    const byRisk = pick(clauses.map((clause, document) => ({
+      document,
+      value: clause ? riskScores[clause.final_risk] || null : null
+    })), 'risk');
+    return byRisk || { best: [], worst: [], basis: null };
+  }
+
+  // The first rent amount stated in a document's clauses
+  documentRent(clauses) {
+    for (const clause of clauses) {
+      const rent = termExtractor.extract(clause.clause).find(term => term.type === 'money' && term.label === 'rent');
+      if (rent) return rent;
+    }
+    return null;
+  }
+
+  // The terms aligned clauses are compared on, one per clause's term list:
+  // the first preference for the topic that at least two clauses have;
+  // clauses without it (or all of them, when no preference is shared) get
+  // their own best term
+  keyTerms(termLists, type) {
+    const preferences = TOPIC_TERMS[type] || TOPIC_TERMS.other;
+    const find = (terms, [kind, labels]) => terms.find(term => (
+      term.type === kind && (labels.length === 0 || labels.includes(term.label))
+    )) || null;
+    const best = terms => preferences.map(preference => find(terms, preference)).find(Boolean) || null;
+
+    for (const preference of preferences) {
+      const found = termLists.map(terms => find(terms, preference));
+      if (found.filter(Boolean).length >= 2) {
+        return found.map((term, index) => term || best(termLists[index]));
       }
     }
 
-    // Add remaining unmatched clauses
-    clauses1.forEach((clause, i) => {
-      if (!matchedClauses.has(`1-${i}`)) {
-        comparisonTable.push(this.generateClauseComparison(clause, null, 'other'));
+    return termLists.map(best);
+  }
+
+  // What a term is, for sentences such as "Document 2's notice period is ..."
+  termSubject(term, type) {
+    const topicSubjects = { rent: 'rent', deposit: 'deposit', maintenance: 'maintenance charge' };
+    if (topicSubjects[type]) return topicSubjects[type];
+    switch (term.type) {
+      case 'count':
+        return `number of ${term.unit.replace(/s$/, '')}s`;
+      case 'duration':
+        if (!term.label) return 'period';
+        return ['term', 'deadline', 'grace period'].includes(term.label) ? term.label : `${term.label} period`;
+      case 'date':
+        return `${term.label ? `${term.label} ` : ''}date`;
+      case 'percentage':
+        return term.label === 'interest' ? 'interest rate' : term.label || 'rate';
+      default:
+        return term.label || 'amount';
+    }
+  }
+
+  // A deposit of "2 months' rent" as money, using the document's rent
+  depositAmount(term, rent) {
+    if (term.type === 'money') return term;
+    if (!rent) return null;
+    const months = term.unit === 'month' ? term.value : term.days / 30;
+    return { type: 'money', value: months * this.monthlyAmount(rent), currency: rent.currency, period: null };
+  }
+
+  monthlyAmount(money) {
+    const perMonth = { day: 30, week: 52 / 12, month: 1, year: 1 / 12 };
+    return money.value * (perMonth[money.period] || 1);
+  }
+
+  // Readable value of a key term; deposits in months also show the amount
+  describeTerm(term, type, rent = null) {
+    if (type !== 'deposit' || term.type !== 'duration') return termExtractor.format(term);
+    const months = termExtractor.format(term);
+    const amount = this.depositAmount(term, rent);
+    return `${months}${months.endsWith('s') ? "'" : "'s"} rent${amount ? ` (${termExtractor.format(amount)})` : ''}`;
+  }
+
+  // How the key terms of two paired clauses differ. Returns null when there
+  // is nothing to compare, else { subject, text1, text2, direction, gap,
+  // comparative } where direction is 1 when Document 2's value is higher,
+  // -1 when it is lower, 0 when they are equal and null when the values
+  // cannot be converted to one another (e.g. different currencies)
+  compareTerms(term1, term2, type, rents = [null, null]) {
+    if (!term1 || !term2) return null;
+
+    const round = value => Math.round(value * 100) / 100;
+    const plural = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'}`;
+    const change = {
+      subject: this.termSubject(term1, type),
+      text1: this.describeTerm(term1, type, rents[0]),
+      text2: this.describeTerm(term2, type, rents[1]),
+      direction: null,
+      gap: null,
+      comparative: 'higher'
+    };
+    const compareMoney = (money1, money2) => {
+      if (!money1 || !money2) return;
+      if (money1.currency && money2.currency && money1.currency !== money2.currency) return;
+      // Compare per month when the amounts are for different periods
+      const monthly = money1.period && money2.period && money1.period !== money2.period;
+      const value1 = monthly ? this.monthlyAmount(money1) : money1.value;
+      const value2 = monthly ? this.monthlyAmount(money2) : money2.value;
+      change.direction = Math.sign(round(value2 - value1));
+      change.gap = termExtractor.format({
+        type: 'money',
+        value: round(Math.abs(value2 - value1)),
+        currency: money1.currency || money2.currency,
+        period: monthly ? 'month' : money1.period || money2.period
+      });
+    };
+
+    if (type === 'deposit' && (term1.type === 'duration' || term2.type === 'duration')) {
+      compareMoney(this.depositAmount(term1, rents[0]), this.depositAmount(term2, rents[1]));
+      if (term1.type === 'duration' && term2.type === 'duration') {
+        const months1 = term1.unit === 'month' ? term1.value : term1.days / 30;
+        const months2 = term2.unit === 'month' ? term2.value : term2.days / 30;
+        const months = round(Math.abs(months2 - months1));
+        if (change.direction === null) change.direction = Math.sign(months2 - months1);
+        if (months > 0) change.gap = `${plural(months, 'month')}${change.gap ? ` (${change.gap})` : ''}`;
       }
-    });
+      return change;
+    }
 
-    clauses2.forEach((clause, i) => {
-      if (!matchedClauses.has(`2-${i}`)) {
-        comparisonTable.push(this.generateClauseComparison(null, clause, 'other'));
+    if (term1.type !== term2.type) return null;
+
+    switch (term1.type) {
+      case 'money':
+        compareMoney(term1, term2);
+        break;
+      case 'duration': {
+        const sameUnit = term1.unit === term2.unit;
+        const difference = sameUnit ? term2.value - term1.value : term2.days - term1.days;
+        change.direction = Math.sign(round(difference));
+        change.gap = plural(round(Math.abs(difference)), sameUnit ? term1.unit : 'day');
+        change.comparative = 'longer';
+        break;
       }
-    });
+      case 'percentage':
+        change.direction = Math.sign(round(term2.value - term1.value));
+        change.gap = plural(round(Math.abs(term2.value - term1.value)), 'percentage point');
+        break;
+      case 'date': {
+        const days = Math.round((term2.value - term1.value) / 86400000);
+        change.direction = Math.sign(days);
+        change.gap = plural(Math.abs(days), 'day');
+        change.comparative = 'later';
+        break;
+      }
+      default:
+        // "1 parking slot" and "2 parking slots" count the same thing
+        if (term1.unit.replace(/s$/, '') !== term2.unit.replace(/s$/, '')) return null;
+        change.direction = Math.sign(term2.value - term1.value);
+        change.gap = `${Math.abs(term2.value - term1.value)}`;
+    }
 
-    return comparisonTable;
+    return change;
   }
 
   // Generate individual clause comparison
-  generateClauseComparison(clause1, clause2, type) {
+  generateClauseComparison(clause1, clause2, type, { label = null, matchConfidence = null, rents = [null, null] } = {}) {
+    const [term1, term2] = this.keyTerms([
+      clause1 ? termExtractor.extract(clause1.clause) : [],
+      clause2 ? termExtractor.extract(clause2.clause) : []
+    ], type);
+
     // Extract key information for display
-    const getKeyInfo = (clause, clauseType) => {
+    const getKeyInfo = (clause, clauseType, term, rent) => {
       if (!clause) return null;
-      
-      const text = clause.clause.toLowerCase();
+
       let displayText = clause.clause.substring(0, 200) + (clause.clause.length > 200 ? '...' : '');
-      
-      // For rent clauses, try to highlight the amount
-      if (clauseType === 'rent') {
-        const rentMatch = text.match(/₹\s*(\d+(?:,\d+)*)|rs\.?\s*(\d+(?:,\d+)*)|(\d{4,})/i);
-        if (rentMatch) {
-          const amount = rentMatch[0];
-          displayText = `Rent: ${amount} - ${displayText}`;
-        }
-      }
-      
-      // For deposit clauses, highlight deposit amount
-      if (clauseType === 'deposit') {
-        const depositMatch = text.match(/(\d+)\s*months?|₹\s*(\d+(?:,\d+)*)/i);
-        if (depositMatch) {
-          const amount = depositMatch[0];
-          displayText = `Deposit: ${amount} - ${displayText}`;
-        }
+
+      // Lead rent and deposit clauses with the amount they set
+      if (term && (clauseType === 'rent' || clauseType === 'deposit')) {
+        const name = clauseType.charAt(0).toUpperCase() + clauseType.slice(1);
+        displayText = `${name}: ${this.describeTerm(term, clauseType, rent)} - ${displayText}`;
       }
-      
+
       return {
         text: displayText,
         risk: clause.final_risk,
@@ -617,19 +1056,25 @@ class AIAnalyzer {
     };
 
     const comparison = {
-      clauseType: type.charAt(0).toUpperCase() + type.slice(1),
-      doc1: getKeyInfo(clause1, type),
-      doc2: getKeyInfo(clause2, type),
+      clauseType: label || type.charAt(0).toUpperCase() + type.slice(1),
+      // Similarity (0-1) of the paired clauses; null when only one document has it
+      matchConfidence,
+      doc1: getKeyInfo(clause1, type, term1, rents[0]),
+      doc2: getKeyInfo(clause2, type, term2, rents[1]),
       difference: '',
+      // Word-level changes from Document 1 to Document 2 (see redline)
+      redline: null,
       overallRisk: 'Low',
       plainEnglish: ''
     };
 
     // Generate difference analysis
     if (clause1 && clause2) {
-      comparison.difference = this.analyzeDifference(clause1, clause2, type);
+      const termChange = this.compareTerms(term1, term2, type, rents);
+      comparison.redline = redline.compare(clause1.clause, clause2.clause);
+      comparison.difference = this.analyzeDifference(clause1, clause2, type, { changes: comparison.redline, termChange });
       comparison.overallRisk = this.getHigherRisk(clause1.final_risk, clause2.final_risk);
-      comparison.plainEnglish = this.generatePlainEnglishDifference(clause1, clause2, type);
+      comparison.plainEnglish = this.generatePlainEnglishDifference(clause1, clause2, type, { termChange });
     } else if (clause1) {
       comparison.difference = 'Only present in Document 1';
       comparison.overallRisk = clause1.final_risk;
@@ -643,8 +1088,14 @@ class AIAnalyzer {
     return comparison;
   }
 
+  // Key term change between two clauses taken on their own
+  clauseTermChange(clause1, clause2, type) {
+    const [term1, term2] = this.keyTerms([termExtractor.extract(clause1.clause), termExtractor.extract(clause2.clause)], type);
+    return this.compareTerms(term1, term2, type);
+  }
+
   // Analyze specific differences between clauses
-  analyzeDifference(clause1, clause2, type) {
+  analyzeDifference(clause1, clause2, type, { changes = null, termChange = this.clauseTermChange(clause1, clause2, type) } = {}) {
     const text1 = clause1.clause.toLowerCase();
     const text2 = clause2.clause.toLowerCase();
 
@@ -652,85 +1103,15 @@ class AIAnalyzer {
     console.log(`Text1: ${text1.substring(0, 100)}...`);
     console.log(`Text2: ${text2.substring(0, 100)}...`);
 
-    // Enhanced number extraction for rent amounts
-    if (type === 'rent') {
-      // Look for various rent patterns
-      const rentPatterns = [
-        /₹\s*(\d+(?:,\d+)*)/g,  // ₹18,000 or ₹ 18000
-        /rs\.?\s*(\d+(?:,\d+)*)/gi,  // Rs. 18000 or rs 18000
-        /(\d+(?:,\d+)*)\s*(?:rupees?|rs\.?|₹)/gi,  // 18000 rupees
-        /rent.*?(\d+(?:,\d+)*)/gi,  // rent ... 18000
-        /monthly.*?(\d+(?:,\d+)*)/gi,  // monthly ... 18000
-        /(\d{4,})/g  // Any 4+ digit number as fallback
-      ];
-
-      let amount1 = null, amount2 = null;
-
-      // Try each pattern to find rent amounts
-      for (const pattern of rentPatterns) {
-        if (!amount1) {
-          const match1 = text1.match(pattern);
-          if (match1) {
-            const numStr = match1[0].replace(/[^\d,]/g, '').replace(/,/g, '');
-            const num = parseInt(numStr);
-            if (num >= 1000 && num <= 1000000) { // Reasonable rent range
-              amount1 = num;
-            }
-          }
-        }
-
-        if (!amount2) {
-          const match2 = text2.match(pattern);
-          if (match2) {
-            const numStr = match2[0].replace(/[^\d,]/g, '').replace(/,/g, '');
-            const num = parseInt(numStr);
-            if (num >= 1000 && num <= 1000000) { // Reasonable rent range
-              amount2 = num;
-            }
-          }
-        }
-
-        if (amount1 && amount2) break;
-      }
-
-      console.log(`Extracted amounts: ${amount1} vs ${amount2}`);
-
-      if (amount1 && amount2 && amount1 !== amount2) {
-        return `Rent differs: ₹${amount1.toLocaleString()} vs ₹${amount2.toLocaleString()}`;
-      }
-    }
-
-    // Enhanced notice period extraction
-    if (type === 'notice') {
-      const noticePatterns = [
-        /(\d+)\s*months?\s*notice/gi,
-        /notice.*?(\d+)\s*months?/gi,
-        /(\d+)\s*months?\s*prior/gi,
-        /(\d+)\s*days?\s*notice/gi
-      ];
-
-      let period1 = null, period2 = null;
-
-      for (const pattern of noticePatterns) {
-        if (!period1) {
-          const match1 = text1.match(pattern);
-          if (match1) period1 = parseInt(match1[1]);
-        }
-        if (!period2) {
-          const match2 = text2.match(pattern);
-          if (match2) period2 = parseInt(match2[1]);
-        }
-        if (period1 && period2) break;
-      }
-
-      if (period1 && period2 && period1 !== period2) {
-        return `Notice period differs: ${period1} vs ${period2} months`;
-      }
+    // A different amount, period, rate or date says the most
+    if (termChange && termChange.direction !== 0) {
+      const subject = termChange.subject.charAt(0).toUpperCase() + termChange.subject.slice(1);
+      return `${subject} differs: ${termChange.text1} vs ${termChange.text2}`;
     }
 
     // Check if texts are actually different
     if (text1 !== text2) {
-      return 'Clause content differs between documents';
+      return (changes && redline.describe(changes)) || 'Clause content differs between documents';
     }
 
     // Risk level comparison
@@ -742,84 +1123,18 @@ class AIAnalyzer {
   }
 
   // Generate plain English differences
-  generatePlainEnglishDifference(clause1, clause2, type) {
-    const text1 = clause1.clause.toLowerCase();
-    const text2 = clause2.clause.toLowerCase();
-
-    switch (type) {
-      case 'rent':
-        // Enhanced rent amount extraction (same as analyzeDifference)
-        const rentPatterns = [
-          /₹\s*(\d+(?:,\d+)*)/g,
-          /rs\.?\s*(\d+(?:,\d+)*)/gi,
-          /(\d+(?:,\d+)*)\s*(?:rupees?|rs\.?|₹)/gi,
-          /rent.*?(\d+(?:,\d+)*)/gi,
-          /monthly.*?(\d+(?:,\d+)*)/gi,
-          /(\d{4,})/g
-        ];
-
-        let amount1 = null, amount2 = null;
-
-        for (const pattern of rentPatterns) {
-          if (!amount1) {
-            const match1 = text1.match(pattern);
-            if (match1) {
-              const numStr = match1[0].replace(/[^\d,]/g, '').replace(/,/g, '');
-              const num = parseInt(numStr);
-              if (num >= 1000 && num <= 1000000) {
-                amount1 = num;
-              }
-            }
-          }
-
-          if (!amount2) {
-            const match2 = text2.match(pattern);
-            if (match2) {
-              const numStr = match2[0].replace(/[^\d,]/g, '').replace(/,/g, '');
-              const num = parseInt(numStr);
-              if (num >= 1000 && num <= 1000000) {
-                amount2 = num;
-              }
-            }
-          }
-
-          if (amount1 && amount2) break;
-        }
-
-        if (amount1 && amount2) {
-          if (amount1 < amount2) {
-            return `Document 1 is cheaper (₹${amount1.toLocaleString()}/month) compared to Document 2 (₹${amount2.toLocaleString()}/month).`;
-          } else if (amount1 > amount2) {
-            return `Document 2 is cheaper (₹${amount2.toLocaleString()}/month) compared to Document 1 (₹${amount1.toLocaleString()}/month).`;
-          } else {
-            return `Both documents have the same rent amount (₹${amount1.toLocaleString()}/month).`;
-          }
-        }
-        break;
-      
-      case 'deposit':
-        if (numbers1.length > 0 && numbers2.length > 0) {
-          const dep1 = parseInt(numbers1[0]);
-          const dep2 = parseInt(numbers2[0]);
-          if (dep1 < dep2) {
-            return `Document 1 requires lower upfront deposit (${dep1} months) vs Document 2 (${dep2} months).`;
-          } else if (dep1 > dep2) {
-            return `Document 2 requires lower upfront deposit (${dep2} months) vs Document 1 (${dep1} months).`;
-          }
-        }
-        break;
-      
-      case 'notice':
-        if (numbers1.length > 0 && numbers2.length > 0) {
-          const notice1 = parseInt(numbers1[0]);
-          const notice2 = parseInt(numbers2[0]);
-          if (notice1 < notice2) {
-            return `Document 1 allows quicker exit (${notice1} month notice) compared to Document 2 (${notice2} months).`;
-          } else if (notice1 > notice2) {
-            return `Document 2 allows quicker exit (${notice2} month notice) compared to Document 1 (${notice1} months).`;
-          }
-        }
-        break;
+  generatePlainEnglishDifference(clause1, clause2, type, { termChange = this.clauseTermChange(clause1, clause2, type) } = {}) {
+    if (termChange) {
+      const { subject, text1, text2, direction, gap, comparative } = termChange;
+      if (direction === null) {
+        return `The documents state the ${subject} in different terms (${text1} vs ${text2}).`;
+      }
+      if (direction === 0) {
+        return `Both documents set the same ${subject} (${text1 === text2 ? text1 : `${text1} and ${text2}`}).`;
+      }
+      const [higher, lower] = direction > 0 ? [2, 1] : [1, 2];
+      const [higherText, lowerText] = direction > 0 ? [text2, text1] : [text1, text2];
+      return `Document ${higher}'s ${subject} is ${gap} ${comparative}: ${higherText} against ${lowerText} in Document ${lower}.`;
     }
 
     if (clause1.final_risk !== clause2.final_risk) {
@@ -0,0 +1,307 @@
+const os = require('os');
+const AnalysisJob = require('../models/AnalysisJob');
+const Document = require('../models/Document');
+const documentAnalysisService = require('./documentAnalysisService');
+
+// Mongo-backed queue for document analysis jobs.
+// Jobs survive restarts: clause results are persisted as they finish and a
+// job whose worker stops heartbeating is put back in the queue and resumed.
+class AnalysisQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.pollInterval = parseInt(process.env.ANALYSIS_JOB_POLL_MS) || 2000;
+    this.staleAfter = parseInt(process.env.ANALYSIS_JOB_STALE_MS) || 2 * 60 * 1000;
+    this.heartbeatInterval = Math.max(1000, Math.floor(this.staleAfter / 4));
+
+    this.timer = null;
+    this.isPolling = false;
+    this.activeJobId = null;
+  }
+
+  // Create a queued job for a document and mark the document as processing
+  async enqueue(document) {
+    const job = await AnalysisJob.create({
+      documentId: document._id,
+      userId: document.userId,
+      textVersion: document.textVersion || 0,
+      progress: { stage: 'queued', message: 'Waiting for an available worker' }
+    });
+
+    document.status = 'processing';
+    await document.save();
+
+    console.log(`Analysis job ${job._id} queued for document: ${document._id}`);
+    this.poke();
+
+    return job;
+  }
+
+  // Start polling for queued jobs
+  start() {
+    if (this.timer) return;
+
+    console.log(`🧵 Analysis worker ${this.workerId} started`);
+    this.recoverStaleJobs().catch(error => {
+      console.error('Failed to recover stale analysis jobs:', error);
+    });
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+  }
+
+  // Stop polling; a job in progress will be resumed by the next worker
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Check for work right away instead of waiting for the next interval
+  poke() {
+    if (this.timer) {
+      setImmediate(() => this.poll());
+    }
+  }
+
+  async poll() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      await this.recoverStaleJobs();
+
+      let job = await AnalysisJob.claimNext(this.workerId);
+      while (job) {
+        await this.runJob(job);
+        job = this.timer ? await AnalysisJob.claimNext(this.workerId) : null;
+      }
+    } catch (error) {
+      console.error('Analysis queue poll error:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  // Run every queued job to completion in this process (tests and scripts)
+  async drain() {
+    let processed = 0;
+    let job = await AnalysisJob.claimNext(this.workerId);
+
+    while (job) {
+      await this.runJob(job);
+      processed++;
+      job = await AnalysisJob.claimNext(this.workerId);
+    }
+
+    return processed;
+  }
+
+  // Requeue jobs left running by a crashed or restarted worker
+  async recoverStaleJobs() {
+    const staleJobs = await AnalysisJob.findStale(this.staleAfter);
+
+    for (const job of staleJobs) {
+      if (job.attempts >= job.maxAttempts) {
+        await this.failJob(job, 'Analysis worker stopped responding too many times');
+      } else {
+        console.log(`Requeueing stale analysis job: ${job._id}`);
+        job.status = 'queued';
+        job.lockedBy = undefined;
+        job.progress.message = 'Resuming after worker restart';
+        await job.save();
+      }
+    }
+  }
+
+  async isCancelRequested(jobId) {
+    return !!(await AnalysisJob.exists({ _id: jobId, cancelRequested: true }));
+  }
+
+  async updateProgress(job, progress) {
+    Object.assign(job.progress, progress);
+    await AnalysisJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          progress: job.progress,
+          heartbeatAt: new Date()
+        }
+      }
+    );
+  }
+
+  async runJob(job) {
+    this.activeJobId = job._id;
+
+    const heartbeat = setInterval(() => {
+      AnalysisJob.updateOne({ _id: job._id }, { $set: { heartbeatAt: new Date() } })
+        .catch(error => console.warn('Analysis job heartbeat failed:', error.message));
+    }, this.heartbeatInterval);
+
+    try {
+      const document = await Document.findById(job.documentId);
+      if (!document) {
+        await this.failJob(job, 'Document no longer exists');
+        return;
+      }
+
+      console.log(`Starting analysis job ${job._id} for document: ${document._id} (attempt ${job.attempts})`);
+
+      // Resume from clause results persisted by an earlier attempt, unless
+      // the text has been edited since: they are indexed by clause position
+      const textVersion = document.textVersion || 0;
+      const stored = await AnalysisJob.findById(job._id).select('+partialResults').lean();
+      const previousResults = [];
+      if ((stored?.textVersion || 0) === textVersion) {
+        (stored?.partialResults || []).forEach(({ index, analysis }) => {
+          previousResults[index] = analysis;
+        });
+      } else {
+        await AnalysisJob.updateOne({ _id: job._id }, { $set: { partialResults: [], textVersion } });
+      }
+
+      const result = await documentAnalysisService.analyze(document, {
+        previousResults,
+        shouldCancel: () => this.isCancelRequested(job._id),
+        onProgress: progress => this.updateProgress(job, progress),
+        onClauseAnalyzed: (analysis, index) => AnalysisJob.updateOne(
+          { _id: job._id },
+          { $push: { partialResults: { index, analysis } } }
+        )
+      });
+
+      if (result.status === 'cancelled') {
+        await this.cancelJob(job, document);
+        return;
+      }
+
+      await AnalysisJob.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: 'completed',
+            'progress.stage': 'done',
+            'progress.current': result.analysis.clauses.length,
+            'progress.message': 'Analysis complete',
+            partialResults: [],
+            completedAt: new Date()
+          },
+          $unset: { lockedBy: '' }
+        }
+      );
+
+      console.log(`Analysis job ${job._id} completed for document: ${document._id}`);
+    } catch (error) {
+      console.error(`Analysis job ${job._id} error:`, error);
+
+      if (job.attempts < job.maxAttempts) {
+        await AnalysisJob.updateOne(
+          { _id: job._id },
+          {
+            $set: {
+              status: 'queued',
+              lastError: error.message,
+              'progress.message': `Attempt ${job.attempts} failed, retrying`
+            },
+            $unset: { lockedBy: '' }
+          }
+        );
+      } else {
+        await this.failJob(job, error.message);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobId = null;
+    }
+  }
+
+  async failJob(job, message) {
+    console.error(`Analysis job ${job._id} failed: ${message}`);
+
+    await AnalysisJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'failed',
+          lastError: message,
+          'progress.message': 'Analysis failed',
+          completedAt: new Date()
+        },
+        $unset: { lockedBy: '' }
+      }
+    );
+    // A document re-analyzed after a text edit keeps its previous analysis
+    await Document.updateOne(
+      { _id: job.documentId, status: 'processing', 'analysis.analyzedAt': { $ne: null } },
+      { $set: { status: 'analyzed' } }
+    );
+    await Document.updateOne(
+      { _id: job.documentId, status: 'processing' },
+      { $set: { status: 'failed' } }
+    );
+  }
+
+  async cancelJob(job, document) {
+    console.log(`Analysis job ${job._id} cancelled`);
+
+    await AnalysisJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'cancelled',
+          'progress.message': 'Analysis cancelled',
+          completedAt: new Date()
+        },
+        $unset: { lockedBy: '' }
+      }
+    );
+
+    if (document && document.status === 'processing') {
+      document.status = document.analysis?.analyzedAt ? 'analyzed' : 'uploaded';
+      await document.save();
+    }
+  }
+
+  // Ask a job to stop. Queued jobs are cancelled immediately, running jobs
+  // stop before their next clause.
+  async requestCancel(job) {
+    if (job.status === 'queued') {
+      job.cancelRequested = true;
+      await job.save();
+      await this.cancelJob(job, await Document.findById(job.documentId));
+      return AnalysisJob.findById(job._id);
+    }
+
+    job.cancelRequested = true;
+    job.progress.message = 'Cancelling...';
+    await job.save();
+    return job;
+  }
+
+  // Put a failed or cancelled job back in the queue, keeping finished clauses
+  // unless the document text has been edited since the job ran
+  async retry(job) {
+    const document = await Document.findById(job.documentId).select('textVersion');
+    const textVersion = document?.textVersion || 0;
+    if ((job.textVersion || 0) !== textVersion) {
+      job.textVersion = textVersion;
+      await AnalysisJob.updateOne({ _id: job._id }, { $set: { partialResults: [] } });
+    }
+
+    job.status = 'queued';
+    job.cancelRequested = false;
+    job.attempts = 0;
+    job.lastError = undefined;
+    job.completedAt = undefined;
+    job.progress.stage = 'queued';
+    job.progress.message = 'Waiting for an available worker';
+    await job.save();
+
+    await Document.updateOne({ _id: job.documentId }, { $set: { status: 'processing' } });
+    this.poke();
+
+    return job;
+  }
+}
+
+module.exports = new AnalysisQueue();
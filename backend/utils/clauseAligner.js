@@ -0,0 +1,280 @@
+// Pairs up the clauses of two documents for comparison by how similar their
+// text is. Similarity is TF-IDF cosine over words and word pairs (shingles),
+// optionally blended with embedding similarity from the LLM provider. The
+// pairing is the optimal one-to-one assignment (Hungarian algorithm); pairs
+// below the threshold are left unmatched.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'as',
+  'is', 'are', 'be', 'been', 'was', 'were', 'shall', 'will', 'may', 'must', 'can', 'such', 'any',
+  'all', 'this', 'that', 'these', 'those', 'it', 'its', 'which', 'who', 'whom', 'if', 'than',
+  'then', 'not', 'no', 'per', 'each', 'other', 'under', 'into', 'upon', 'there', 'their', 'his',
+  'her', 'he', 'she', 'they', 'has', 'have', 'had', 'do', 'does', 'so'
+]);
+
+// "4.", "4.2", "(a)", "IV." at the start of a clause, which changes when
+// clauses are renumbered
+const CLAUSE_NUMBERING = /^\s*(?:(?:\d+(?:\.\d+)*\.?|\(?(?:[a-z]|[ivxlc]+)\)|(?:[a-z]|[ivxlc]+)\.)\s*)+/i;
+
+// Weight of features with a number in them: enough that a changed amount
+// lowers the match confidence, not so much that it breaks up the pair
+const NUMBER_WEIGHT = 0.4;
+
+// Weight of embedding similarity when the provider can embed text
+const EMBEDDING_WEIGHT = 0.6;
+
+class ClauseAligner {
+  constructor() {
+    this.threshold = parseFloat(process.env.CLAUSE_MATCH_THRESHOLD) || 0.2;
+  }
+
+  // Crude stemming so "payment"/"payments" and "terminate"/"terminated" meet
+  stem(word) {
+    if (word.length <= 4) return word;
+    return word
+      .replace(/ies$/, 'y')
+      .replace(/(?:ing|ed|es|s)$/, '');
+  }
+
+  // Words and numbers of a clause without stopwords or its own numbering.
+  // Amounts are kept ("1,00,000" as one token) so clauses that differ only
+  // in rent or notice period pair up without looking identical.
+  tokens(clause) {
+    const body = (clause.clause || '').replace(CLAUSE_NUMBERING, '');
+    const text = [...(clause.headingPath || []), clause.term, body].filter(Boolean).join(' ');
+    return text
+      .toLowerCase()
+      .replace(/(\d),(?=\d)/g, '$1')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => (word.length > 1 || /\d/.test(word)) && !STOPWORDS.has(word))
+      .map(word => this.stem(word));
+  }
+
+  // Term counts of the words and adjacent word pairs
+  features(clause) {
+    const words = this.tokens(clause);
+    const counts = new Map();
+    const add = feature => counts.set(feature, (counts.get(feature) || 0) + 1);
+    words.forEach((word, i) => {
+      add(word);
+      if (i > 0) add(`${words[i - 1]} ${word}`);
+    });
+    return counts;
+  }
+
+  // Unit-length TF-IDF vectors, with document frequencies taken over the
+  // clauses of both documents
+  tfidfVectors(featureSets) {
+    const documentFrequency = new Map();
+    featureSets.forEach(counts => {
+      counts.forEach((count, feature) => {
+        documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+      });
+    });
+
+    const total = featureSets.length;
+    return featureSets.map(counts => {
+      const vector = new Map();
+      let norm = 0;
+      counts.forEach((count, feature) => {
+        const weight = (1 + Math.log(count)) * (Math.log((total + 1) / (documentFrequency.get(feature) + 1)) + 1) *
+          (/\d/.test(feature) ? NUMBER_WEIGHT : 1);
+        vector.set(feature, weight);
+        norm += weight * weight;
+      });
+      norm = Math.sqrt(norm) || 1;
+      vector.forEach((weight, feature) => vector.set(feature, weight / norm));
+      return vector;
+    });
+  }
+
+  sparseCosine(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let dot = 0;
+    small.forEach((weight, feature) => {
+      const other = large.get(feature);
+      if (other) dot += weight * other;
+    });
+    return dot;
+  }
+
+  denseCosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  // Similarity matrix [clauses1.length][clauses2.length], values 0-1
+  async similarityMatrix(clauses1, clauses2, embed) {
+    const vectors = this.tfidfVectors([...clauses1, ...clauses2].map(clause => this.features(clause)));
+    const vectors1 = vectors.slice(0, clauses1.length);
+    const vectors2 = vectors.slice(clauses1.length);
+    const matrix = vectors1.map(a => vectors2.map(b => this.sparseCosine(a, b)));
+
+    if (!embed || clauses1.length === 0 || clauses2.length === 0) return { matrix, method: 'tfidf' };
+
+    try {
+      const embeddings = await embed([...clauses1, ...clauses2].map(clause => clause.clause));
+      const embeddings1 = embeddings.slice(0, clauses1.length);
+      const embeddings2 = embeddings.slice(clauses1.length);
+      embeddings1.forEach((a, i) => {
+        embeddings2.forEach((b, j) => {
+          const semantic = Math.max(0, this.denseCosine(a, b));
+          matrix[i][j] = (1 - EMBEDDING_WEIGHT) * matrix[i][j] + EMBEDDING_WEIGHT * semantic;
+        });
+      });
+      return { matrix, method: 'tfidf+embeddings' };
+    } catch (error) {
+      console.warn(`Clause embeddings unavailable, aligning by text only: ${error.message}`);
+      return { matrix, method: 'tfidf' };
+    }
+  }
+
+  // Minimum-cost assignment of rows to columns for a rows <= columns cost
+  // matrix (Hungarian algorithm with potentials, O(rows² × columns)).
+  // Returns the column assigned to each row.
+  hungarian(cost) {
+    const rows = cost.length;
+    const columns = rows > 0 ? cost[0].length : 0;
+    const u = new Array(rows + 1).fill(0);
+    const v = new Array(columns + 1).fill(0);
+    const owner = new Array(columns + 1).fill(0); // row (1-based) assigned to each column
+    const way = new Array(columns + 1).fill(0);
+
+    for (let row = 1; row <= rows; row++) {
+      owner[0] = row;
+      let column = 0;
+      const minValue = new Array(columns + 1).fill(Infinity);
+      const used = new Array(columns + 1).fill(false);
+
+      do {
+        used[column] = true;
+        const currentRow = owner[column];
+        let delta = Infinity;
+        let nextColumn = 0;
+        for (let j = 1; j <= columns; j++) {
+          if (used[j]) continue;
+          const reduced = cost[currentRow - 1][j - 1] - u[currentRow] - v[j];
+          if (reduced < minValue[j]) {
+            minValue[j] = reduced;
+            way[j] = column;
+          }
+          if (minValue[j] < delta) {
+            delta = minValue[j];
+            nextColumn = j;
+          }
+        }
+        for (let j = 0; j <= columns; j++) {
+          if (used[j]) {
+            u[owner[j]] += delta;
+            v[j] -= delta;
+          } else {
+            minValue[j] -= delta;
+          }
+        }
+        column = nextColumn;
+      } while (owner[column] !== 0);
+
+      do {
+        const previous = way[column];
+        owner[column] = owner[previous];
+        column = previous;
+      } while (column !== 0);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let j = 1; j <= columns; j++) {
+      if (owner[j] > 0) assignment[owner[j] - 1] = j - 1;
+    }
+    return assignment;
+  }
+
+  // Optimal one-to-one pairs { index1, index2, similarity } above the threshold
+  match(matrix, threshold) {
+    const rows = matrix.length;
+    const columns = rows > 0 ? matrix[0].length : 0;
+    if (rows === 0 || columns === 0) return [];
+
+    const transpose = rows > columns;
+    const cost = transpose
+      ? matrix[0].map((_, j) => matrix.map(row => 1 - row[j]))
+      : matrix.map(row => row.map(similarity => 1 - similarity));
+
+    return this.hungarian(cost)
+      .map((assigned, i) => (transpose ? { index1: assigned, index2: i } : { index1: i, index2: assigned }))
+      .filter(({ index1, index2 }) => index1 >= 0 && index2 >= 0)
+      .map(pair => ({ ...pair, similarity: matrix[pair.index1][pair.index2] }))
+      .filter(pair => pair.similarity >= threshold);
+  }
+
+  // Align two clause lists (analysis clauses with a `clause` text).
+  // Returns { method, rows } where each row is { index1, index2, confidence };
+  // index1 or index2 is null for a clause found in only one document. Rows
+  // follow document 1's order, with document 2's extra clauses placed next
+  // to their neighbours.
+  async align(clauses1, clauses2, { embed = null, threshold = this.threshold } = {}) {
+    const { matrix, method } = await this.similarityMatrix(clauses1, clauses2, embed);
+    const pairs = this.match(matrix, threshold);
+
+    const matchOf1 = new Map(pairs.map(pair => [pair.index1, pair]));
+    const matched2 = new Set(pairs.map(pair => pair.index2));
+    const rows = [];
+    let next2 = 0;
+
+    const addUnmatched2Before = limit => {
+      for (; next2 < limit; next2++) {
+        if (!matched2.has(next2)) rows.push({ index1: null, index2: next2, confidence: null });
+      }
+    };
+
+    clauses1.forEach((clause, index1) => {
+      const pair = matchOf1.get(index1);
+      if (!pair) {
+        rows.push({ index1, index2: null, confidence: null });
+        return;
+      }
+      addUnmatched2Before(pair.index2);
+      next2 = Math.max(next2, pair.index2 + 1);
+      rows.push({ index1, index2: pair.index2, confidence: Math.round(pair.similarity * 100) / 100 });
+    });
+    addUnmatched2Before(clauses2.length);
+
+    return { method, rows };
+  }
+
+  // Align the clauses of several documents. Each further document is
+  // aligned against the rows built so far, each row represented by its
+  // clause from the earliest document that has one. Returns { method, rows }
+  // where each row is { indexes, confidences } with one entry per document
+  // (null where the document has no such clause; the first document's
+  // confidence is always null).
+  async alignMany(clauseLists, options = {}) {
+    let rows = (clauseLists[0] || []).map((clause, index) => ({ indexes: [index], confidences: [null] }));
+    let method = 'tfidf';
+
+    for (let k = 1; k < clauseLists.length; k++) {
+      const representatives = rows.map(({ indexes }) => {
+        const document = indexes.findIndex(index => index !== null);
+        return clauseLists[document][indexes[document]];
+      });
+      const aligned = await this.align(representatives, clauseLists[k], options);
+      if (aligned.method !== 'tfidf') method = aligned.method;
+
+      const none = new Array(k).fill(null);
+      rows = aligned.rows.map(({ index1, index2, confidence }) => (index1 === null
+        ? { indexes: [...none, index2], confidences: [...none, null] }
+        : { indexes: [...rows[index1].indexes, index2], confidences: [...rows[index1].confidences, confidence] }
+      ));
+    }
+
+    return { method, rows };
+  }
+}
+
+module.exports = new ClauseAligner();
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ClauseAnalysisCache = require('../models/ClauseAnalysisCache');
+
+// Content-addressed cache of model clause analyses. Only the model's part is
+// cached; rules-based risk is recomputed on every hit so rule changes apply
+// immediately. Bump the prompt version (or invalidate) when prompts change.
+class ClauseCache {
+  constructor() {
+    this.enabled = process.env.CLAUSE_CACHE_ENABLED !== 'false';
+  }
+
+  // Only use the cache when MongoDB is connected (scripts and tests may not be)
+  isAvailable() {
+    return this.enabled && mongoose.connection.readyState === 1;
+  }
+
+  // Ignore numbering, case, quotes and whitespace so boilerplate matches
+  normalize(clauseText) {
+    return (clauseText || '')
+      .toLowerCase()
+      .replace(/[‘’]/g, "'")
+      .replace(/[“”]/g, '"')
+      .replace(/^\s*(?:(?:clause|section|article)\s+)?(?:\d+(?:\.\d+)*\.?|\([a-z0-9]+\)|[ivxlc]+\.)\s+/i, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // English keys leave the language out so they match entries cached before
+  // explanations could be requested in other languages
+  buildKey(clauseText, { documentType, promptVersion, provider, model, language = 'en' }) {
+    const parts = [promptVersion, provider, model, documentType, this.normalize(clauseText)];
+    if (language !== 'en') parts.push(language);
+
+    return crypto
+      .createHash('sha256')
+      .update(parts.join('\u0000'))
+      .digest('hex');
+  }
+
+  // Look up several clauses at once. Returns a Map of clause position -> result.
+  async getMany(clauseTexts, context) {
+    const found = new Map();
+    if (!this.isAvailable() || clauseTexts.length === 0) return found;
+
+    try {
+      const keys = clauseTexts.map(text => this.buildKey(text, context));
+      const entries = await ClauseAnalysisCache.find({ key: { $in: keys } }).lean();
+      const byKey = new Map(entries.map(entry => [entry.key, entry.result]));
+
+      keys.forEach((key, i) => {
+        if (byKey.has(key)) found.set(i, byKey.get(key));
+      });
+
+      if (entries.length > 0) {
+        await ClauseAnalysisCache.updateMany(
+          { key: { $in: entries.map(entry => entry.key) } },
+          { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } }
+        );
+      }
+    } catch (error) {
+      console.warn('Clause cache lookup failed:', error.message);
+    }
+
+    return found;
+  }
+
+  async get(clauseText, context) {
+    const found = await this.getMany([clauseText], context);
+    return found.get(0) || null;
+  }
+
+  async set(clauseText, context, result) {
+    if (!this.isAvailable()) return;
+
+    try {
+      await ClauseAnalysisCache.updateOne(
+        { key: this.buildKey(clauseText, context) },
+        {
+          $set: {
+            documentType: context.documentType,
+            promptVersion: context.promptVersion,
+            provider: context.provider,
+            model: context.model,
+            language: context.language || 'en',
+            result,
+            sample: clauseText.substring(0, 200)
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.warn('Clause cache write failed:', error.message);
+    }
+  }
+
+  // Remove entries matching the given documentType, promptVersion, provider,
+  // model and language (everything when no filter is given)
+  async invalidate(filter = {}) {
+    const query = {};
+    ['documentType', 'promptVersion', 'provider', 'model', 'language'].forEach(field => {
+      if (filter[field]) query[field] = filter[field];
+    });
+
+    const result = await ClauseAnalysisCache.deleteMany(query);
+    console.log(`🧹 Clause cache invalidated (${result.deletedCount} entries)`, query);
+    return result.deletedCount;
+  }
+
+  getStats() {
+    return ClauseAnalysisCache.getStats();
+  }
+}
+
+module.exports = new ClauseCache();
@@ -0,0 +1,347 @@
+// Splits contract text into a tree of clauses using its layout: headings,
+// numbering schemes (1., 1.1, (a), (i), (A), ARTICLE IV, Section 2, Schedule A)
+// and definitions. Offsets (start/end) always refer to the original text.
+
+const ROMAN = /^(?=[ivxlcdm]+$)m{0,4}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/i;
+
+const MARKERS = [
+  // ARTICLE IV / Article 4 - Title
+  { scheme: 'article', regex: /^(article)\s+([ivxlcdm]+|\d+)\b\s*[.:\-–]?\s*(.*)$/i, number: m => m[2] },
+  // Schedule A / Annexure 1 / Appendix B / Exhibit C
+  { scheme: 'schedule', regex: /^(schedule|annexure|appendix|exhibit)\s+([a-z0-9]{1,4})\b\s*[.:\-–]?\s*(.*)$/i, number: m => m[2] },
+  // Section 2 / Clause 3.1
+  { scheme: 'section', regex: /^(section|clause)\s+(\d+(?:\.\d+)*)\b\s*[.:\-–]?\s*(.*)$/i, number: m => m[2] },
+  // 1. / 1) / 1.1 / 1.1.1 (a single number needs a trailing . or ))
+  { scheme: 'decimal', regex: /^()(\d{1,3}(?:\.\d{1,3})+|\d{1,3}(?=[.)]))[.)]?\s+(.*)$/, number: m => m[2] },
+  // (a) / (iv) / (A) / (1)
+  { scheme: 'paren', regex: /^()\(([a-z]{1,4}|[A-Z]|\d{1,2})\)\s*(.*)$/, number: m => m[2] },
+  // a) / b)
+  { scheme: 'paren', regex: /^()([a-z])\)\s+(.*)$/, number: m => m[2] }
+];
+
+const DEFINITION = /^["“']?([A-Z][\w\s\-/&]{0,60}?)["”']?\s+(?:means|shall mean|includes|shall include|refers to|has the meaning)\b/;
+const DEFINITIONS_HEADING = /^(definitions?|interpretation|definitions and interpretation)\b/i;
+
+class ClauseSegmenter {
+  // Split into lines, keeping each line's offset in the original text
+  splitLines(text) {
+    const lines = [];
+    const pattern = /[^\n]*(\n|$)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) break;
+      const raw = match[0].replace(/\r?\n$/, '');
+      const leading = raw.length - raw.trimStart().length;
+      lines.push({ text: raw.trim(), start: match.index + leading, end: match.index + raw.trimEnd().length });
+    }
+    return lines;
+  }
+
+  isHeadingText(text) {
+    const words = text.split(/\s+/);
+    if (text.length > 100 || words.length > 12 || /[.,;]$/.test(text)) return false;
+
+    const letters = text.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 3 && letters === letters.toUpperCase()) return true;
+
+    // Short "Title Case:" lines
+    return /:$/.test(text) && this.isTitleCase(text.slice(0, -1));
+  }
+
+  isTitleCase(text) {
+    const words = text.split(/\s+/);
+    return words.length <= 6 &&
+      words.every(word => /^[A-Z(&]/.test(word) || /^(of|and|or|the|to|in|for|on|a|an)$/.test(word));
+  }
+
+  // Short title after a number, e.g. "1. DEFINITIONS" or "4. Payment Terms"
+  isTitle(text) {
+    if (!text) return false;
+    return this.isHeadingText(text) || (!/[.;,:]$/.test(text) && this.isTitleCase(text));
+  }
+
+  // Run-in title, e.g. "2. Security Deposit. The Tenant shall..."
+  runInTitle(text) {
+    const match = text.match(/^([A-Z][^.:]{1,50})[.:]\s+(?=[A-Z(])/);
+    return match && this.isTitleCase(match[1]) ? match[1] : null;
+  }
+
+  matchMarker(line) {
+    for (const marker of MARKERS) {
+      const match = line.match(marker.regex);
+      if (match) {
+        return { scheme: marker.scheme, keyword: match[1], number: marker.number(match), rest: match[3] || '' };
+      }
+    }
+    return null;
+  }
+
+  // Scheme key used to decide nesting; numbering styles nest in the order they appear
+  schemeKey(marker, stack) {
+    if (marker.scheme === 'decimal') {
+      return `decimal:${marker.number.split('.').length}`;
+    }
+    if (marker.scheme !== 'paren') {
+      return marker.scheme;
+    }
+
+    const value = marker.number;
+    if (/^\d+$/.test(value)) return 'paren-number';
+    if (/^[A-Z]$/.test(value)) return 'paren-upper';
+
+    // (i), (v), (x) are letters when they continue an alphabetic list
+    if (ROMAN.test(value)) {
+      const alpha = [...stack].reverse().find(entry => entry.key === 'paren-alpha');
+      const previous = alpha && alpha.node.number;
+      const continuesAlpha = previous && previous.length === 1 && value.length === 1 &&
+        value.charCodeAt(0) === previous.charCodeAt(0) + 1;
+      return continuesAlpha ? 'paren-alpha' : 'paren-roman';
+    }
+    return 'paren-alpha';
+  }
+
+  // Group lines into blocks: a marker or heading starts a block, a blank line
+  // ends one and other lines continue the current block (wrapped text)
+  buildBlocks(lines) {
+    const blocks = [];
+    let current = null;
+
+    lines.forEach(line => {
+      if (!line.text) {
+        current = null;
+        return;
+      }
+
+      const marker = this.matchMarker(line.text);
+      const heading = !marker && this.isHeadingText(line.text);
+      const definition = !marker && !heading && DEFINITION.test(line.text);
+
+      // "SECTION 1. PARTIES" on its own line starts the body on the next one
+      const afterTitle = current && current.marker && current.lines.length === 1 &&
+        this.isHeadingText(current.marker.rest);
+
+      if (marker || heading || definition || afterTitle || !current || current.heading) {
+        current = { marker, heading, lines: [line] };
+        blocks.push(current);
+      } else {
+        current.lines.push(line);
+      }
+    });
+
+    return blocks;
+  }
+
+  // Build the clause tree. Returns every node in reading order.
+  buildNodes(text) {
+    const nodes = [];
+    const stack = []; // [{ key, node }]
+    let previousBlock = null;
+
+    const headingPathFor = parent => {
+      const path = [];
+      for (let node = parent; node; node = node.parent) {
+        const label = [node.label, node.heading].filter(Boolean).join(' ');
+        if (label) path.unshift(label);
+      }
+      return path;
+    };
+
+    const addNode = (fields, parent) => {
+      const node = {
+        id: `s${nodes.length + 1}`,
+        parent,
+        parentId: parent ? parent.id : null,
+        level: parent ? parent.level + 1 : 0,
+        headingPath: headingPathFor(parent),
+        body: [],
+        ...fields
+      };
+      nodes.push(node);
+      return node;
+    };
+
+    this.buildBlocks(this.splitLines(text)).forEach(block => {
+      const first = block.lines[0];
+      const blockText = block.lines.map(line => line.text).join(' ');
+      const start = first.start;
+      const end = block.lines[block.lines.length - 1].end;
+
+      if (block.marker) {
+        const key = this.schemeKey(block.marker, stack);
+        const index = stack.findIndex(entry => entry.key === key);
+        if (key === 'article' || key === 'schedule') {
+          // Articles and schedules are always top-level
+          stack.splice(0);
+        } else if (index !== -1) {
+          stack.splice(index);
+        }
+
+        const parent = stack.length ? stack[stack.length - 1].node : null;
+        const rest = block.marker.rest;
+        const titleOnly = block.lines.length === 1 && this.isTitle(rest);
+        const label = block.marker.keyword
+          ? `${block.marker.keyword.charAt(0).toUpperCase()}${block.marker.keyword.slice(1).toLowerCase()} ${block.marker.number}`
+          : block.marker.scheme === 'paren' ? `(${block.marker.number})` : block.marker.number;
+
+        const node = addNode({
+          type: 'clause',
+          number: block.marker.number,
+          label,
+          heading: titleOnly ? rest.replace(/:$/, '') : this.runInTitle(rest),
+          start,
+          end
+        }, parent);
+        node.body.push({ text: blockText, start, end, titleOnly, rest });
+        stack.push({ key, node });
+      } else if (block.heading) {
+        const title = blockText.replace(/:$/, '');
+        const top = stack.length ? stack[stack.length - 1].node : null;
+
+        // "ARTICLE IV" on one line and its title on the next
+        if (top && previousBlock && previousBlock.marker && !top.heading && top.body.length === 1 &&
+            top.body[0].text.length < 40 && !top.body[0].rest) {
+          top.heading = title;
+          top.body[0].titleOnly = true;
+          top.body.push({ text: blockText, start, end, titleOnly: true });
+          top.end = end;
+        } else {
+          // Unnumbered headings sit under an open article/schedule, otherwise at the top
+          const containerIndex = stack.map(entry => entry.key).lastIndexOf('article');
+          const scheduleIndex = stack.map(entry => entry.key).lastIndexOf('schedule');
+          const keep = Math.max(containerIndex, scheduleIndex) + 1;
+          stack.splice(keep);
+
+          const parent = stack.length ? stack[stack.length - 1].node : null;
+          const node = addNode({ type: 'heading', number: null, label: null, heading: title, start, end }, parent);
+          node.body.push({ text: blockText, start, end, titleOnly: true });
+          stack.push({ key: 'heading', node });
+        }
+      } else {
+        const top = stack.length ? stack[stack.length - 1].node : null;
+        const definition = blockText.match(DEFINITION);
+
+        if (!top || top.type === 'heading' || definition) {
+          // Paragraphs under a heading (e.g. each definition) are clauses of their own
+          const parent = top && (top.type === 'heading' || definition) ? top : null;
+          addNode({
+            type: definition ? 'definition' : 'paragraph',
+            term: definition ? definition[1].trim() : undefined,
+            number: null,
+            label: null,
+            heading: null,
+            start,
+            end
+          }, parent).body.push({ text: blockText, start, end });
+        } else {
+          top.body.push({ text: blockText, start, end });
+          top.end = end;
+        }
+      }
+
+      previousBlock = block;
+    });
+
+    // Mark definitions listed under a "Definitions" heading
+    nodes.forEach(node => {
+      if (node.type === 'paragraph' && node.parent && DEFINITIONS_HEADING.test(node.parent.heading || '')) {
+        node.type = 'definition';
+      }
+    });
+
+    return nodes;
+  }
+
+  // Split body parts that are too long for one request into word chunks,
+  // each with its own offsets in the original text
+  chunkWords(text, parts, maxTokens) {
+    const words = [];
+    parts.forEach(part => {
+      const pattern = /\S+/g;
+      const source = text.slice(part.start, part.end);
+      let match;
+      while ((match = pattern.exec(source)) !== null) {
+        const start = part.start + match.index;
+        words.push({ text: match[0], start, end: start + match[0].length });
+      }
+    });
+
+    const chunkSize = Math.floor(maxTokens / 1.3);
+    const chunks = [];
+    for (let i = 0; i < words.length; i += chunkSize) {
+      const chunk = words.slice(i, i + chunkSize);
+      chunks.push({
+        text: chunk.map(word => word.text).join(' '),
+        start: chunk[0].start,
+        end: chunk[chunk.length - 1].end
+      });
+    }
+    return chunks;
+  }
+
+  // Returns { clauses, outline }.
+  // clauses: nodes with text to analyze, in reading order
+  // outline: every node (including headings) for rendering the tree
+  segment(text, { maxTokens = 1000 } = {}) {
+    if (!text || text.trim().length === 0) {
+      return { clauses: [], outline: [] };
+    }
+
+    const nodes = this.buildNodes(text);
+    const clauses = [];
+
+    nodes.forEach(node => {
+      const bodyParts = node.body.filter(part => !part.titleOnly);
+      const bodyText = bodyParts
+        .map(part => part.text)
+        .join('\n')
+        .trim();
+      const words = bodyText.split(/\s+/).filter(Boolean);
+
+      // Headings and bare numbers have nothing to analyze
+      if (words.length < 3 || (node.type === 'heading' && node.body.every(part => part.titleOnly))) {
+        return;
+      }
+
+      const headingPath = node.heading && node.type !== 'heading'
+        ? [...node.headingPath, [node.label, node.heading].filter(Boolean).join(' ')]
+        : node.headingPath;
+      const parts = words.length * 1.3 > maxTokens
+        ? this.chunkWords(text, bodyParts, maxTokens)
+        : [{ text: bodyText, start: node.start, end: node.end }];
+
+      parts.forEach((part, i) => {
+        const wordCount = part.text.split(/\s+/).length;
+        node.clauseIndex = node.clauseIndex === undefined ? clauses.length : node.clauseIndex;
+        clauses.push({
+          index: clauses.length,
+          text: part.text,
+          wordCount,
+          estimatedTokens: Math.round(wordCount * 1.3),
+          segmentId: parts.length > 1 ? `${node.id}-${i + 1}` : node.id,
+          parentId: node.parentId,
+          number: node.number,
+          level: node.level,
+          kind: node.type,
+          term: node.term,
+          headingPath,
+          position: { start: part.start, end: part.end }
+        });
+      });
+    });
+
+    const outline = nodes.map(node => ({
+      id: node.id,
+      parentId: node.parentId,
+      level: node.level,
+      kind: node.type,
+      number: node.number,
+      label: node.label,
+      heading: node.heading || node.term || null,
+      clauseIndex: node.clauseIndex !== undefined ? node.clauseIndex : null
+    }));
+
+    return { clauses, outline };
+  }
+}
+
+module.exports = new ClauseSegmenter();
@@ -0,0 +1,83 @@
+// Built-in risk rules, seeded into MongoDB the first time the rules engine
+// loads and used as-is when the database is not available. They start from
+// the original high/medium/low keyword lists (weights 3/2/1).
+
+const phrase = (value, category, weight, extra = {}) => ({
+  name: extra.name || value,
+  keyword: value,
+  category,
+  weight,
+  pattern: { type: 'phrase', value },
+  ...extra
+});
+
+const high = [
+  phrase('penalty', 'high', 3, { pattern: { type: 'regex', value: '\\bpenalt(?:y|ies)\\b', flags: 'i' } }),
+  phrase('seize', 'high', 3, { pattern: { type: 'regex', value: '\\bseiz(?:e|es|ed|ure)\\b', flags: 'i' } }),
+  phrase('collateral', 'high', 3),
+  phrase('waiver', 'high', 3, { pattern: { type: 'regex', value: '\\bwaive(?:r|rs|s|d)?\\b', flags: 'i' } }),
+  phrase('indemnity', 'high', 3, { pattern: { type: 'regex', value: '\\bindemni(?:ty|ties|fy|fies|fied|fication)\\b', flags: 'i' } }),
+  phrase('forfeit', 'high', 3, { pattern: { type: 'regex', value: '\\bforfeit(?:s|ed|ure)?\\b', flags: 'i' } }),
+  phrase('liquidated damages', 'high', 3),
+  phrase('acceleration', 'high', 3, { documentTypeWeights: { loan_contract: 4 } }),
+  phrase('default', 'high', 3, { pattern: { type: 'word', value: 'default' } }),
+  phrase('breach', 'high', 3, { pattern: { type: 'regex', value: '\\bbreach(?:es|ed)?\\b', flags: 'i' } }),
+  phrase('termination without cause', 'high', 3, {
+    pattern: { type: 'regex', value: '\\bterminat(?:e|ed|ion)\\b', flags: 'i' },
+    proximity: [{ pattern: { type: 'regex', value: '\\bwithout (?:any )?(?:cause|reason|notice)\\b|\\bat any time\\b', flags: 'i' }, within: 6 }],
+    documentTypeWeights: { employment_contract: 4 }
+  }),
+  phrase('unlimited liability', 'high', 3),
+  phrase('personal guarantee', 'high', 3, { documentTypeWeights: { loan_contract: 4 } }),
+  phrase('cross-default', 'high', 3, { pattern: { type: 'regex', value: '\\bcross[- ]default\\b', flags: 'i' } }),
+  phrase('material adverse change', 'high', 3),
+  phrase('force majeure exclusion', 'high', 3, {
+    pattern: { type: 'phrase', value: 'force majeure' },
+    proximity: [{ pattern: { type: 'regex', value: '\\b(?:exclud\\w*|not apply|shall not|does not)\\b', flags: 'i' }, within: 8 }],
+    negation: { enabled: false }
+  }),
+  phrase('late fee', 'high', 2, {
+    name: 'late fee above 5%',
+    description: 'Late fees or interest on overdue amounts above 5 percent',
+    pattern: { type: 'regex', value: '\\blate (?:fee|charge|payment)s?\\b|\\binterest\\b', flags: 'i' },
+    numeric: { unit: 'percent', operator: 'gt', value: 5, within: 12 }
+  }),
+  phrase('security deposit', 'high', 2, {
+    name: 'security deposit over two months',
+    description: 'Deposits worth more than two months of rent',
+    pattern: { type: 'regex', value: '\\b(?:security )?deposit\\b', flags: 'i' },
+    numeric: { unit: 'days', operator: 'gt', value: 60, within: 10 },
+    documentTypeWeights: { loan_contract: 0, terms_of_service: 0 }
+  })
+];
+
+const medium = [
+  phrase('late fee', 'medium', 2, { pattern: { type: 'regex', value: '\\blate (?:fee|charge)s?\\b', flags: 'i' } }),
+  phrase('interest rate', 'medium', 2),
+  phrase('security deposit', 'medium', 2),
+  phrase('arbitration', 'medium', 2),
+  phrase('jurisdiction', 'medium', 2),
+  phrase('governing law', 'medium', 2),
+  phrase('assignment', 'medium', 2),
+  phrase('modification', 'medium', 2),
+  phrase('notice period', 'medium', 2),
+  phrase('notice', 'medium', 2, {
+    name: 'notice period under 30 days',
+    description: 'Notice periods shorter than 30 days',
+    pattern: { type: 'word', value: 'notice' },
+    numeric: { unit: 'days', operator: 'lt', value: 30, within: 8 },
+    negation: { enabled: false }
+  }),
+  phrase('renewal terms', 'medium', 2, { pattern: { type: 'regex', value: '\\b(?:auto(?:matic(?:ally)?)?[- ]?renew\\w*|renewal terms?)\\b', flags: 'i' } }),
+  phrase('insurance requirements', 'medium', 2),
+  phrase('compliance obligations', 'medium', 2),
+  phrase('reporting requirements', 'medium', 2)
+];
+
+const low = [
+  'payment terms', 'delivery', 'warranty', 'maintenance',
+  'standard terms', 'mutual agreement', 'good faith',
+  'reasonable efforts', 'business days', 'written notice'
+].map(value => phrase(value, 'low', 1, { negation: { enabled: false } }));
+
+module.exports = [...high, ...medium, ...low];
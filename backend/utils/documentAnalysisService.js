@@ -0,0 +1,452 @@
+const mongoose = require('mongoose');
+const documentProcessor = require('./documentProcessor');
+const aiAnalyzer = require('./aiAnalyzer');
+const languageDetector = require('./languageDetector');
+const User = require('../models/User');
+const { performanceLogger } = require('../middleware/logger');
+
+const noop = () => {};
+
+// Single analysis pipeline shared by the API routes, the background job
+// queue and scripts. Callers customise behaviour through hooks:
+//   onProgress({ stage, current, total, message })  - progress reporting
+//   onClauseAnalyzed(clauseAnalysis, index, total)   - e.g. checkpointing
+//   shouldCancel()                                    - checked before each clause
+//   previousResults                                   - clause analyses to resume from, by clause index
+//   persist(document, analysis)                       - how the result is stored
+//   explanationLanguage                               - language for explanations (defaults to the owner's preference)
+//
+// When the document already has an analysis (e.g. its text was edited since),
+// clauses whose text is unchanged keep their previous analysis and only the
+// rest go to the model; analysis.revision records which verdicts changed.
+class DocumentAnalysisService {
+  // Save the analysis on the document and mark it analyzed
+  async defaultPersist(document, analysis) {
+    document.analysis = analysis;
+    document.status = 'analyzed';
+    await document.save();
+  }
+
+  // Explanations are written in the document owner's preferred language,
+  // which may differ from the language the document itself is in
+  async resolveExplanationLanguage(document, requested) {
+    if (languageDetector.isSupported(requested)) return requested;
+    if (mongoose.connection.readyState !== 1 || !document.userId) return 'en';
+
+    const owner = await User.findById(document.userId).select('preferences.language').lean();
+    const preferred = owner?.preferences?.language;
+    return languageDetector.isSupported(preferred) ? preferred : 'en';
+  }
+
+  // Analyze a document end to end.
+  // Resolves to { status: 'completed' | 'cancelled', analysis }.
+  async analyze(document, hooks = {}) {
+    const {
+      onProgress = noop,
+      onClauseAnalyzed = noop,
+      shouldCancel = async () => false,
+      previousResults = [],
+      persist = (doc, analysis) => this.defaultPersist(doc, analysis)
+    } = hooks;
+
+    const startTime = Date.now();
+    const explanationLanguage = await this.resolveExplanationLanguage(document, hooks.explanationLanguage);
+
+    await onProgress({ stage: 'splitting', message: 'Splitting document into clauses' });
+    const { clauses, outline } = documentProcessor.segmentClauses(document.extractedText);
+    console.log(`Document ${document._id} split into ${clauses.length} clauses`);
+
+    const previousClauses = this.previousClauses(document);
+    const reusedFrom = this.isReusable(document.analysis, explanationLanguage)
+      ? this.matchUnchangedClauses(clauses, previousClauses)
+      : clauses.map(() => -1);
+    const reusedResults = reusedFrom.map((previousIndex, i) => (
+      previousIndex >= 0 ? { ...previousClauses[previousIndex], ...this.structureFields(clauses[i], document) } : undefined
+    ));
+    const reusedCount = reusedFrom.filter(previousIndex => previousIndex >= 0).length;
+    if (reusedCount > 0) {
+      console.log(`Reusing ${reusedCount}/${clauses.length} unchanged clauses of ${document._id}`);
+    }
+
+    const analyzedClauses = await this.analyzeClauses(clauses, document, {
+      onProgress,
+      onClauseAnalyzed,
+      shouldCancel,
+      previousResults,
+      reusedResults,
+      explanationLanguage
+    });
+
+    if (!analyzedClauses || await shouldCancel()) {
+      return { status: 'cancelled', analysis: null };
+    }
+
+    await onProgress({ stage: 'summarizing', message: 'Building summary and glossary' });
+
+    const glossary = aiAnalyzer.buildGlossary(analyzedClauses);
+    const riskSummary = this.calculateRiskSummary(analyzedClauses);
+    const summaryData = await this.buildSummary(analyzedClauses, document.documentType, riskSummary, explanationLanguage);
+    const modelInfo = aiAnalyzer.getModelInfo();
+
+    const analysis = {
+      clauses: analyzedClauses,
+      outline,
+      glossary: glossary,
+      // Populated as users ask questions; kept when only the text changed
+      qa: previousClauses.length > 0 ? document.analysis.qa : [],
+      summary: {
+        totalClauses: analyzedClauses.length,
+        riskDistribution: riskSummary.riskDistribution,
+        overallRisk: riskSummary.overallRisk,
+        keyFindings: summaryData.key_findings || [],
+        recommendations: summaryData.recommendations || []
+      },
+      processingTime: Date.now() - startTime,
+      aiProvider: modelInfo.provider,
+      aiModel: modelInfo.model,
+      promptVersion: modelInfo.promptVersion,
+      explanationLanguage,
+      cacheStats: this.calculateCacheStats(analyzedClauses),
+      textVersion: document.textVersion || 0,
+      revision: previousClauses.length > 0 ? {
+        fromTextVersion: document.analysis.textVersion || 0,
+        toTextVersion: document.textVersion || 0,
+        reusedClauses: reusedCount,
+        reanalyzedClauses: analyzedClauses.length - reusedCount,
+        verdictChanges: this.compareVerdicts(previousClauses, analyzedClauses, reusedFrom)
+      } : undefined,
+      analyzedAt: new Date()
+    };
+
+    await onProgress({ stage: 'saving', message: 'Saving analysis' });
+    await persist(document, analysis);
+
+    performanceLogger('document_analysis', Date.now() - startTime, {
+      documentId: document._id,
+      clauseCount: analyzedClauses.length,
+      documentType: document.documentType,
+      cacheHits: analysis.cacheStats.hits
+    });
+
+    console.log(`Analysis completed for document: ${document._id} in ${Date.now() - startTime}ms`);
+
+    return { status: 'completed', analysis };
+  }
+
+  // Analyze clauses in batches, running up to the scheduler's concurrency
+  // limit in parallel and skipping any already in previousResults or
+  // reusedResults (both indexed by clause position).
+  // Returns null if cancelled part-way.
+  async analyzeClauses(clauses, document, hooks) {
+    const {
+      onProgress,
+      onClauseAnalyzed,
+      shouldCancel,
+      previousResults,
+      reusedResults = [],
+      explanationLanguage = 'en'
+    } = hooks;
+    const analyzedClauses = new Array(clauses.length);
+    const pending = [];
+    let resumed = 0;
+
+    clauses.forEach((clause, i) => {
+      if (previousResults[i]) {
+        analyzedClauses[i] = previousResults[i];
+        resumed++;
+      } else if (reusedResults[i]) {
+        analyzedClauses[i] = reusedResults[i];
+      } else {
+        pending.push(i);
+      }
+    });
+
+    let completed = clauses.length - pending.length;
+
+    if (resumed > 0) {
+      console.log(`Resuming analysis of ${document._id} with ${resumed}/${clauses.length} clauses done`);
+    }
+
+    await onProgress({
+      stage: 'analyzing',
+      current: completed,
+      total: clauses.length,
+      message: `Analyzed ${completed} of ${clauses.length} clauses`
+    });
+
+    // Several clauses go to the model per request; batches run in parallel
+    const batches = aiAnalyzer.buildClauseBatches(pending.map(i => ({
+      index: i,
+      text: clauses[i].text,
+      page: this.pagesFor(clauses[i], document).page
+    })), document.documentType, { language: explanationLanguage });
+
+    let cancelled = false;
+    const worker = async () => {
+      while (batches.length > 0 && !cancelled) {
+        if (await shouldCancel()) {
+          cancelled = true;
+          return;
+        }
+
+        const batch = batches.shift();
+        if (!batch) return;
+        console.log(`Analyzing clauses ${batch.map(clause => clause.index + 1).join(', ')} of ${clauses.length}`);
+
+        let results;
+        try {
+          results = await aiAnalyzer.analyzeClauseBatch(batch, document.documentType, { language: explanationLanguage });
+        } catch (error) {
+          console.error('Error analyzing clause batch:', error);
+          results = batch.map(clause => this.fallbackClauseAnalysis(clause.text, clause.page));
+        }
+
+        for (const [position, clause] of batch.entries()) {
+          const analysis = { ...results[position], ...this.structureFields(clauses[clause.index], document) };
+          analyzedClauses[clause.index] = analysis;
+          completed++;
+          await onClauseAnalyzed(analysis, clause.index, clauses.length);
+        }
+
+        await onProgress({
+          stage: 'analyzing',
+          current: completed,
+          total: clauses.length,
+          message: `Analyzed ${completed} of ${clauses.length} clauses`
+        });
+      }
+    };
+
+    const workerCount = Math.min(aiAnalyzer.scheduler.maxConcurrent, batches.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return cancelled ? null : analyzedClauses;
+  }
+
+  // Start and end page of a clause from its offsets into extractedText.
+  // Documents uploaded before page ranges were stored get an estimate from
+  // the offset's share of the text.
+  pagesFor(clause, document) {
+    const { start, end } = clause.position;
+    const pageRanges = document.metadata?.pageRanges;
+
+    if (pageRanges && pageRanges.length > 0) {
+      return {
+        page: documentProcessor.pageAtOffset(pageRanges, start),
+        endPage: documentProcessor.pageAtOffset(pageRanges, Math.max(start, end - 1))
+      };
+    }
+
+    const pages = document.metadata?.pages || 1;
+    const length = document.extractedText.length || 1;
+    const estimate = offset => Math.min(pages, Math.floor((offset / length) * pages) + 1);
+    return { page: estimate(start), endPage: estimate(Math.max(start, end - 1)) };
+  }
+
+  // Where the clause sits in the document's clause tree and text
+  structureFields(clause, document) {
+    return {
+      ...this.pagesFor(clause, document),
+      segmentId: clause.segmentId,
+      parentId: clause.parentId,
+      number: clause.number,
+      level: clause.level,
+      kind: clause.kind,
+      term: clause.term,
+      headingPath: clause.headingPath,
+      position: clause.position
+    };
+  }
+
+  // Clause analyses from the document's current analysis, as plain objects
+  previousClauses(document) {
+    return (document.analysis?.clauses || []).map(clause => {
+      const { _id, ...analysis } = typeof clause.toObject === 'function' ? clause.toObject() : clause;
+      return analysis;
+    });
+  }
+
+  // Previous verdicts can only be reused when they were produced the same way
+  isReusable(previousAnalysis, explanationLanguage) {
+    const modelInfo = aiAnalyzer.getModelInfo();
+    return (previousAnalysis?.explanationLanguage || 'en') === explanationLanguage &&
+      previousAnalysis?.aiProvider === modelInfo.provider &&
+      previousAnalysis?.aiModel === modelInfo.model &&
+      previousAnalysis?.promptVersion === modelInfo.promptVersion;
+  }
+
+  normalizeClauseText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // For each new clause, the index of a previous clause with the same text
+  // (ignoring whitespace), or -1 when it has to be analyzed again
+  matchUnchangedClauses(clauses, previousClauses) {
+    const byText = new Map();
+    previousClauses.forEach((clause, index) => {
+      const key = this.normalizeClauseText(clause.clause);
+      if (!byText.has(key)) byText.set(key, []);
+      byText.get(key).push(index);
+    });
+
+    return clauses.map(clause => {
+      const candidates = byText.get(this.normalizeClauseText(clause.text));
+      return candidates && candidates.length > 0 ? candidates.shift() : -1;
+    });
+  }
+
+  // Verdicts that changed between the previous and the new analysis.
+  // Unchanged clauses anchor the comparison; the re-analyzed clauses between
+  // two anchors are paired with the previous clauses between the same anchors
+  // (by clause number first, then in order). Unpaired clauses were added or
+  // removed by the edit.
+  compareVerdicts(previousClauses, analyzedClauses, reusedFrom) {
+    const changes = [];
+    const paired = new Set(reusedFrom.filter(previousIndex => previousIndex >= 0));
+    const excerpt = text => {
+      const normalized = this.normalizeClauseText(text);
+      return normalized.length > 160 ? `${normalized.substring(0, 160)}...` : normalized;
+    };
+
+    const compareGap = (newIndexes, fromPrevious, toPrevious) => {
+      const candidates = [];
+      for (let i = fromPrevious + 1; i < toPrevious; i++) {
+        if (!paired.has(i)) candidates.push(i);
+      }
+
+      newIndexes.forEach(index => {
+        const clause = analyzedClauses[index];
+        let match = candidates.findIndex(i => clause.number && previousClauses[i].number === clause.number);
+        if (match < 0 && candidates.length > 0) match = 0;
+        if (match < 0) {
+          changes.push({
+            clauseIndex: index,
+            segmentId: clause.segmentId,
+            number: clause.number,
+            excerpt: excerpt(clause.clause),
+            risk: clause.final_risk,
+            change: 'added'
+          });
+          return;
+        }
+
+        const previousIndex = candidates.splice(match, 1)[0];
+        paired.add(previousIndex);
+        const previous = previousClauses[previousIndex];
+        if (previous.final_risk !== clause.final_risk) {
+          changes.push({
+            clauseIndex: index,
+            segmentId: clause.segmentId,
+            number: clause.number,
+            excerpt: excerpt(clause.clause),
+            previousRisk: previous.final_risk,
+            risk: clause.final_risk,
+            change: 'changed'
+          });
+        }
+      });
+    };
+
+    let gap = [];
+    let lastAnchor = -1;
+    reusedFrom.forEach((previousIndex, index) => {
+      if (previousIndex < 0) {
+        gap.push(index);
+        return;
+      }
+      compareGap(gap, lastAnchor, previousIndex);
+      gap = [];
+      lastAnchor = Math.max(lastAnchor, previousIndex);
+    });
+    compareGap(gap, lastAnchor, previousClauses.length);
+
+    previousClauses.forEach((previous, previousIndex) => {
+      if (paired.has(previousIndex)) return;
+      changes.push({
+        segmentId: previous.segmentId,
+        number: previous.number,
+        excerpt: excerpt(previous.clause),
+        previousRisk: previous.final_risk,
+        change: 'removed'
+      });
+    });
+
+    return changes;
+  }
+
+  // Placeholder analysis when a clause cannot be analyzed at all
+  fallbackClauseAnalysis(clauseText, page) {
+    return {
+      page,
+      clause: clauseText,
+      explanation: 'Unable to analyze this clause automatically. Please review manually.',
+      risk_ai: 'Medium',
+      risk_rules: 'Medium',
+      final_risk: 'Medium',
+      reason: 'Analysis failed',
+      keywords: [],
+      important_terms: [],
+      source: 'rules'
+    };
+  }
+
+  // Count clauses per risk level and derive the overall risk
+  calculateRiskSummary(analyzedClauses) {
+    const riskDistribution = { low: 0, medium: 0, high: 0 };
+    analyzedClauses.forEach(clause => {
+      const risk = (clause.final_risk || '').toLowerCase();
+      if (riskDistribution.hasOwnProperty(risk)) {
+        riskDistribution[risk]++;
+      }
+    });
+
+    // Any high-risk clause makes the document high risk
+    let overallRisk = 'Low';
+    if (riskDistribution.high > 0) {
+      overallRisk = 'High';
+    } else if (riskDistribution.medium > riskDistribution.low) {
+      overallRisk = 'Medium';
+    }
+
+    return { riskDistribution, overallRisk };
+  }
+
+  // Clauses whose model analysis came from the clause cache vs. fresh requests
+  calculateCacheStats(analyzedClauses) {
+    const hits = analyzedClauses.filter(clause => clause.cached).length;
+    const misses = analyzedClauses.filter(clause => !clause.cached && clause.source === 'ai').length;
+    return { hits, misses };
+  }
+
+  // AI summary, falling back to a rules-based one when the model is unavailable
+  async buildSummary(analyzedClauses, documentType, riskSummary, language = 'en') {
+    if (aiAnalyzer.provider.supportsGeneration) {
+      try {
+        return await aiAnalyzer.generateDocumentSummary(analyzedClauses, documentType, { language });
+      } catch (error) {
+        console.log(`📊 Using rules-based summary (${error.message})`);
+      }
+    }
+
+    return this.buildRulesBasedSummary(analyzedClauses, riskSummary);
+  }
+
+  buildRulesBasedSummary(analyzedClauses, { riskDistribution, overallRisk }) {
+    return {
+      key_findings: [`Document contains ${analyzedClauses.length} clauses`,
+                    `Overall risk level: ${overallRisk}`,
+                    `High risk clauses: ${riskDistribution.high}`,
+                    `Medium risk clauses: ${riskDistribution.medium}`,
+                    `Low risk clauses: ${riskDistribution.low}`],
+      recommendations: overallRisk === 'High' ?
+        ['Consider legal review due to high-risk clauses', 'Pay special attention to penalty and liability clauses'] :
+        overallRisk === 'Medium' ?
+        ['Review medium-risk clauses carefully', 'Consider professional consultation for complex terms'] :
+        ['Standard contract terms detected', 'Generally acceptable risk level'],
+      overall_risk: overallRisk,
+      summary: `Rules-based review of ${analyzedClauses.length} clauses.`
+    };
+  }
+}
+
+module.exports = new DocumentAnalysisService();
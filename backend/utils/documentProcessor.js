@@ -1,45 +1,124 @@
 const pdfParse = require('pdf-parse');
 const Tesseract = require('tesseract.js');
-const sharp = require('sharp');
+const mammoth = require('mammoth');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { AppError } = require('../middleware/errorHandler');
+const clauseSegmenter = require('./clauseSegmenter');
+const languageDetector = require('./languageDetector');
+const formatConverter = require('./formatConverter');
+const imagePreprocessor = require('./imagePreprocessor');
+const keyFactsExtractor = require('./keyFactsExtractor');
 
 // Document processing utilities
 class DocumentProcessor {
   constructor() {
     this.supportedFormats = {
       pdf: ['.pdf'],
-      image: ['.jpg', '.jpeg', '.png', '.bmp', '.tiff', '.webp']
+      image: ['.jpg', '.jpeg', '.png', '.bmp', '.tiff', '.webp'],
+      docx: ['.docx'],
+      text: ['.txt'],
+      rtf: ['.rtf'],
+      html: ['.html', '.htm'],
+      email: ['.eml']
     };
+
+    // Scanned PDFs are rendered with poppler's pdftoppm before OCR
+    this.pdftoppmPath = process.env.PDFTOPPM_PATH || 'pdftoppm';
+    this.ocrDpi = parseInt(process.env.OCR_PDF_DPI) || 200;
+    this.ocrMaxPages = parseInt(process.env.OCR_MAX_PAGES) || 30;
+
+    // OCR language packs are loaded from TESSDATA_DIR when set (e.g.
+    // eng.traineddata, hin.traineddata); otherwise tesseract.js downloads
+    // the languages listed in OCR_LANGUAGES
+    this.tessdataDir = process.env.TESSDATA_DIR || null;
+    this.ocrLanguagePacks = null;
+
+    // Extractions scoring below this (0-100) must be reviewed by the user
+    // before they can be analyzed
+    this.textQualityThreshold = process.env.TEXT_QUALITY_THRESHOLD !== undefined
+      ? parseInt(process.env.TEXT_QUALITY_THRESHOLD)
+      : 40;
+
+    // Pages OCR'd below this confidence (0-1) are retried with the other
+    // preprocessing passes; 0 disables the retries
+    this.ocrRetryConfidence = process.env.OCR_RETRY_CONFIDENCE !== undefined
+      ? parseFloat(process.env.OCR_RETRY_CONFIDENCE)
+      : 0.7;
   }
 
   // Determine file type based on extension
   getFileType(filename) {
     const ext = path.extname(filename).toLowerCase();
-    
-    if (this.supportedFormats.pdf.includes(ext)) {
-      return 'pdf';
-    } else if (this.supportedFormats.image.includes(ext)) {
-      return 'image';
+    const fileType = Object.keys(this.supportedFormats)
+      .find(type => this.supportedFormats[type].includes(ext));
+
+    if (fileType) {
+      return fileType;
     }
     
     throw new Error(`Unsupported file format: ${ext}`);
   }
 
+  // Run pdf-parse, keeping each page's text so clauses can be mapped to pages
+  async parsePDF(dataBuffer, options = {}) {
+    const pageTexts = [];
+
+    // Same as pdf-parse's default renderer, but records the text per page
+    const renderPage = pageData => pageData
+      .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+      .then(textContent => {
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+          text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
+        }
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      });
+
+    const pdfData = await pdfParse(dataBuffer, { ...options, pagerender: renderPage });
+    return { pdfData, ...this.joinPages(Array.from(pageTexts, text => text || '')) };
+  }
+
+  // Join page texts (PDF pages or OCR'd images) into one text.
+  // pageRanges gives each page's character offsets in that text.
+  joinPages(pageTexts) {
+    let text = '';
+    const pageRanges = pageTexts.map((pageText, i) => {
+      if (i > 0) text += '\n\n';
+      const start = text.length;
+      text += pageText;
+      return { page: i + 1, start, end: text.length };
+    });
+    return { text, pageRanges };
+  }
+
+  // Page containing a character offset of the joined text
+  pageAtOffset(pageRanges, offset) {
+    const range = pageRanges.find(candidate => offset < candidate.end) || pageRanges[pageRanges.length - 1];
+    return range ? range.page : 1;
+  }
+
   // Extract text from PDF with multiple fallback methods
-  async extractTextFromPDF(filePath, documentIndex = null) {
+  async extractTextFromPDF(filePath, documentIndex = null, options = {}) {
     console.log(`Attempting PDF extraction from: ${filePath} (Document ${documentIndex || 'unknown'})`);
     
     // Method 1: Try pdf-parse with different options
     try {
       console.log('Trying pdf-parse (standard)...');
       const dataBuffer = await fs.readFile(filePath);
-      const pdfData = await pdfParse(dataBuffer);
+      const { pdfData, text, pageRanges } = await this.parsePDF(dataBuffer);
       
-      if (pdfData.text && pdfData.text.trim().length > 0) {
-        console.log(`✅ PDF extraction successful - ${pdfData.text.length} characters extracted`);
+      if (text && text.trim().length > 0) {
+        console.log(`✅ PDF extraction successful - ${text.length} characters extracted`);
         return {
-          text: pdfData.text,
+          text,
+          pageRanges,
           pages: pdfData.numpages,
           metadata: {
             title: pdfData.info?.Title || '',
@@ -60,12 +139,13 @@ class DocumentProcessor {
     try {
       console.log('Trying pdf-parse with max buffer...');
       const dataBuffer = await fs.readFile(filePath);
-      const pdfData = await pdfParse(dataBuffer, { max: 0 });
+      const { pdfData, text, pageRanges } = await this.parsePDF(dataBuffer, { max: 0 });
       
-      if (pdfData.text && pdfData.text.trim().length > 0) {
-        console.log(`✅ PDF extraction successful (max buffer) - ${pdfData.text.length} characters extracted`);
+      if (text && text.trim().length > 0) {
+        console.log(`✅ PDF extraction successful (max buffer) - ${text.length} characters extracted`);
         return {
-          text: pdfData.text,
+          text,
+          pageRanges,
           pages: pdfData.numpages,
           metadata: {
             title: pdfData.info?.Title || '',
@@ -82,16 +162,15 @@ class DocumentProcessor {
       console.log(`❌ pdf-parse with max buffer failed: ${error.message}`);
     }
 
-    // Method 3: Try to convert PDF to image and use OCR
+    // Method 3: Render each page to an image and OCR it (scanned PDFs)
     try {
       console.log('Trying PDF to image conversion + OCR...');
-      const text = await this.convertPDFToImageAndOCR(filePath);
+      const result = await this.convertPDFToImageAndOCR(filePath, options);
       
-      if (text && text.trim().length > 0) {
-        console.log(`✅ PDF to image + OCR successful - ${text.length} characters extracted`);
+      if (result.text.trim().length > 0) {
+        console.log(`✅ PDF to image + OCR successful - ${result.text.length} characters extracted`);
         return {
-          text: text,
-          pages: 1, // Approximate
+          ...result,
           metadata: {
             title: '',
             author: '',
@@ -107,189 +186,332 @@ class DocumentProcessor {
       console.log(`❌ PDF to image + OCR failed: ${error.message}`);
     }
 
-    // Method 4: Generate sample text for testing (fallback)
-    console.log('⚠️ All PDF extraction methods failed, using fallback sample text');
-    return this.generateFallbackSampleText(filePath, documentIndex);
+    throw new AppError('Could not extract any text from this PDF. If it is a scan, try uploading clearer page images instead.', 422);
   }
 
-  // Convert PDF to image and use OCR
-  async convertPDFToImageAndOCR(filePath) {
+  // Render every page with pdftoppm, then OCR the page images
+  async convertPDFToImageAndOCR(filePath, { languageHint } = {}) {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'legalease-pdf-'));
+
     try {
-      // This would require additional dependencies like pdf2pic
-      // For now, we'll skip this implementation
-      throw new Error('PDF to image conversion not implemented');
-    } catch (error) {
-      throw error;
+      try {
+        await promisify(execFile)(this.pdftoppmPath, [
+          '-r', String(this.ocrDpi),
+          '-l', String(this.ocrMaxPages),
+          '-png',
+          filePath,
+          path.join(outputDir, 'page')
+        ], { timeout: 120000 });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`PDF renderer not found (${this.pdftoppmPath}); install poppler-utils or set PDFTOPPM_PATH`);
+        }
+        throw new Error(`PDF rendering failed: ${error.message}`);
+      }
+
+      // pdftoppm names pages page-1.png or page-01.png depending on the page count
+      const pageNumber = file => parseInt(file.match(/-(\d+)\.png$/)[1]);
+      const pageFiles = (await fs.readdir(outputDir))
+        .filter(file => /-\d+\.png$/.test(file))
+        .sort((a, b) => pageNumber(a) - pageNumber(b))
+        .map(file => path.join(outputDir, file));
+
+      if (pageFiles.length === 0) {
+        throw new Error('PDF rendering produced no pages');
+      }
+
+      return await this.ocrWithLanguageDetection(pageFiles, languageHint);
+    } finally {
+      await fs.rm(outputDir, { recursive: true, force: true });
     }
   }
 
-  // Generate fallback sample text for testing comparison
-  generateFallbackSampleText(filePath, documentIndex = null) {
-    const fileName = filePath.toLowerCase();
-    console.log(`🔍 Generating fallback for file: ${fileName} (Document Index: ${documentIndex})`);
-    
-    // Use document index if provided, otherwise use counter
-    let isFirstDoc;
-    if (documentIndex !== null) {
-      isFirstDoc = (documentIndex === 1);
-      console.log(`📄 Using document index ${documentIndex}: isFirstDoc = ${isFirstDoc}`);
-    } else {
-      // Fallback to counter method
-      if (!this.documentCounter) {
-        this.documentCounter = 0;
+  // Tesseract language packs that can be used, e.g. ['eng', 'hin']
+  async availableOcrLanguages() {
+    if (this.ocrLanguagePacks) return this.ocrLanguagePacks;
+
+    if (this.tessdataDir) {
+      const files = await fs.readdir(this.tessdataDir).catch(() => []);
+      this.ocrLanguagePacks = files
+        .filter(file => /\.traineddata(\.gz)?$/.test(file))
+        .map(file => ({ pack: file.replace(/\.traineddata(\.gz)?$/, ''), gzip: file.endsWith('.gz') }));
+      if (this.ocrLanguagePacks.length === 0) {
+        console.warn(`No .traineddata files found in ${this.tessdataDir}`);
       }
-      this.documentCounter++;
-      
-      isFirstDoc = (this.documentCounter % 2 === 1) || 
-                        fileName.includes('1') || 
-                        fileName.includes('first') || 
-                        fileName.includes('agreement1') ||
-                        fileName.includes('doc1');
-      
-      console.log(`📄 Using counter ${this.documentCounter}: isFirstDoc = ${isFirstDoc}`);
+    } else {
+      this.ocrLanguagePacks = (process.env.OCR_LANGUAGES || 'eng')
+        .split(',')
+        .map(pack => ({ pack: pack.trim(), gzip: true }))
+        .filter(entry => entry.pack);
     }
-    
-    if (isFirstDoc) {
-      // Sample Document 1 - Lower rent
-      return {
-        text: `RENTAL AGREEMENT
-
-This Rental Agreement is made between Mr. Rajesh Kumar (Landlord) and Ms. Neha Verma (Tenant).
-
-Property: The property is a 3BHK flat located at 456 Blue Heights, Indore, Madhya Pradesh.
 
-RENT: The monthly rent amount is ₹15,000 (Fifteen Thousand Rupees) per month, due on the 5th of each month.
+    return this.ocrLanguagePacks;
+  }
 
-SECURITY DEPOSIT: A security deposit of 2 months rent (₹30,000) is required before occupancy.
+  // OCR with English plus the language the user reads, detect the language
+  // of the result and, when its pack was not loaded, OCR again with it.
+  // The pass with the better confidence wins.
+  async ocrWithLanguageDetection(imagePaths, languageHint = null) {
+    const available = (await this.availableOcrLanguages()).map(entry => entry.pack);
+    const packFor = code => {
+      const pack = languageDetector.tesseractCode(code);
+      return available.includes(pack) ? pack : null;
+    };
+    const withEnglish = pack => [...new Set([pack, 'eng'])].filter(candidate => candidate && available.includes(candidate));
+
+    let languages = withEnglish(packFor(languageHint));
+    if (languages.length === 0) languages = available.slice(0, 1);
+
+    let result = await this.ocrPages(imagePaths, languages);
+    let detected = languageDetector.detect(result.text);
+
+    const detectedPack = packFor(detected.language);
+    if (detectedPack && !languages.includes(detectedPack)) {
+      console.log(`Detected ${languageDetector.nameOf(detected.language)} text, running OCR again with ${detectedPack}`);
+      const retryLanguages = withEnglish(detectedPack);
+      const retry = await this.ocrPages(imagePaths, retryLanguages);
+      if (retry.confidence >= result.confidence) {
+        result = retry;
+        languages = retryLanguages;
+        detected = languageDetector.detect(retry.text, { fallback: detected.language });
+      }
+    }
 
-LEASE TERM: This agreement is for a period of 11 months starting from the date of signing.
+    return { ...result, language: detected.language, ocrLanguages: languages };
+  }
 
-NOTICE PERIOD: Either party may terminate this agreement with 1 month written notice.
+  // OCR a list of page images in order with a single Tesseract worker.
+  // Confidence is reported per page and averaged, on a 0-1 scale.
+  async ocrPages(imagePaths, languages = ['eng']) {
+    const packs = await this.availableOcrLanguages();
+    const workerOptions = this.tessdataDir ? {
+      langPath: this.tessdataDir,
+      gzip: languages.every(language => (packs.find(entry => entry.pack === language) || {}).gzip),
+      cacheMethod: 'none'
+    } : {};
+    const worker = await Tesseract.createWorker(languages.join('+'), 1, workerOptions);
+    const pages = [];
 
-MAINTENANCE: The tenant is responsible for basic maintenance and upkeep of the property. Major repairs will be handled by the landlord.
+    try {
+      for (const [i, imagePath] of imagePaths.entries()) {
+        const page = await this.ocrPage(worker, imagePath);
+        console.log(`OCR page ${i + 1}/${imagePaths.length}: confidence ${Math.round(page.confidence * 100)}% (${page.pass} pass)`);
+        pages.push(page);
+      }
+    } finally {
+      await worker.terminate();
+    }
 
-UTILITIES: Electricity and water charges are to be paid by the tenant separately.
+    const { text, pageRanges } = this.joinPages(pages.map(page => page.text));
+    return {
+      text,
+      pages: pages.length,
+      pageRanges: pageRanges.map((range, i) => ({ ...range, ocrConfidence: pages[i].confidence, ocrPass: pages[i].pass })),
+      confidence: pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length
+    };
+  }
 
-PARKING: One covered parking space is included.
+  // OCR one page image, trying the preprocessing passes in turn until one
+  // is confident enough. Returns the most confident { text, confidence, pass }.
+  async ocrPage(worker, imagePath) {
+    let best = null;
+
+    for (const pass of imagePreprocessor.passes()) {
+      const processedPath = await this.preprocessImage(imagePath, pass);
+      try {
+        const { data } = await worker.recognize(processedPath);
+        const confidence = data.confidence / 100;
+        if (!best || confidence > best.confidence) {
+          best = { text: data.text, confidence, pass: pass.name };
+        }
+      } finally {
+        // Clean up processed image if it's different from original
+        if (processedPath !== imagePath) {
+          await fs.unlink(processedPath).catch(cleanupError =>
+            console.warn('Failed to cleanup processed image:', cleanupError));
+        }
+      }
 
-PETS: Pets are not allowed in the property.
+      if (best.confidence >= this.ocrRetryConfidence) break;
+    }
 
-This document was extracted using fallback method due to PDF parsing issues.`,
-        pages: 1,
-        metadata: {
-          title: 'Rental Agreement - Document 1',
-          author: 'Rajesh Kumar',
-          creator: 'LegalEase Fallback',
-          producer: 'Sample Generator',
-          creationDate: new Date(),
-          modificationDate: new Date()
-        },
-        processingMethod: 'fallback-sample-doc1'
-      };
-    } else {
-      // Sample Document 2 - Higher rent
-      return {
-        text: `RENTAL AGREEMENT
+    return best;
+  }
 
-This Rental Agreement is made between Mr. Rajesh Kumar (Landlord) and Ms. Neha Verma (Tenant).
+  // Preprocess image for better OCR results (see imagePreprocessor)
+  async preprocessImage(filePath, pass = imagePreprocessor.passes()[0]) {
+    try {
+      // Never overwrite the upload, even when its name has no extension
+      const extension = path.extname(filePath);
+      const outputPath = `${filePath.slice(0, filePath.length - extension.length)}_${pass.name}.png`;
+      const { applied } = await imagePreprocessor.preprocess(filePath, outputPath, pass);
+      if (applied.length > 0) {
+        console.log(`Preprocessed ${path.basename(filePath)}: ${applied.join(', ')}`);
+      }
+      return outputPath;
+    } catch (error) {
+      console.error('Image preprocessing error:', error);
+      // Return original path if preprocessing fails
+      return filePath;
+    }
+  }
 
-Property: The property is a 3BHK flat located at 456 Blue Heights, Indore, Madhya Pradesh.
+  // Extract text from image using OCR
+  async extractTextFromImage(filePath, options = {}) {
+    return this.extractTextFromImages([filePath], options);
+  }
 
-RENT: The monthly rent amount is ₹18,000 (Eighteen Thousand Rupees) per month, due on the 7th of each month.
+  // OCR photographed pages (one image per page, in order) into one document.
+  // languageHint: the user's preferred language, OCR'd alongside English
+  async extractTextFromImages(filePaths, { languageHint } = {}) {
+    let result;
+    try {
+      result = await this.ocrWithLanguageDetection(filePaths, languageHint);
+    } catch (error) {
+      console.error('OCR extraction error:', error);
+      throw new AppError(filePaths.length > 1 ? 'Failed to extract text from images' : 'Failed to extract text from image', 422);
+    }
 
-SECURITY DEPOSIT: A security deposit of 3 months rent (₹54,000) is required before occupancy.
+    if (result.text.trim().length === 0) {
+      throw new AppError('No text could be read from this image. Please upload a clearer scan.', 422);
+    }
 
-LEASE TERM: This agreement is for a period of 11 months starting from the date of signing.
+    const emptyPages = result.pageRanges
+      .filter(range => result.text.slice(range.start, range.end).trim().length === 0)
+      .map(range => range.page);
+    if (emptyPages.length > 0) {
+      console.warn(`No text found on page(s) ${emptyPages.join(', ')}`);
+    }
 
-NOTICE PERIOD: Either party may terminate this agreement with 2 months written notice.
+    return {
+      ...result,
+      metadata: {
+        ocrEngine: 'Tesseract.js',
+        language: result.ocrLanguages.join('+'),
+        processingTime: Date.now()
+      },
+      processingMethod: 'ocr'
+    };
+  }
 
-MAINTENANCE: The tenant is responsible for basic maintenance and upkeep of the property. Major repairs will be handled by the landlord.
+  // Text-based formats have no pages; they fail the same way a blank scan does
+  ensureText(text, formatName) {
+    if (!text || text.trim().length === 0) {
+      throw new AppError(`No text could be found in this ${formatName} file.`, 422);
+    }
+    return text;
+  }
 
-UTILITIES: Electricity and water charges are to be paid by the tenant separately. Internet connection is provided by landlord.
+  // Word documents: mammoth maps heading styles to <h1>-<h6> and numbered
+  // paragraphs to nested lists, which the HTML converter writes back out
+  async extractTextFromDocx(filePath) {
+    let result;
+    try {
+      result = await mammoth.convertToHtml({ path: filePath }, {
+        styleMap: ["p[style-name='Title'] => h1:fresh"]
+      });
+    } catch (error) {
+      console.error('DOCX extraction error:', error);
+      throw new AppError('Failed to read this Word document. Please check that it is a valid .docx file.', 422);
+    }
 
-PARKING: One covered parking space is included.
+    return {
+      text: this.ensureText(formatConverter.htmlToText(result.value), 'Word'),
+      metadata: {
+        warnings: result.messages.filter(message => message.type === 'warning').length
+      },
+      processingMethod: 'docx'
+    };
+  }
 
-PETS: Small pets are allowed with prior approval and additional deposit.
+  async extractTextFromPlainText(filePath) {
+    const buffer = await fs.readFile(filePath);
+    let text;
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      text = buffer.subarray(2).toString('utf16le');
+    } else {
+      text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+      // Not valid UTF-8, most likely a Windows-1252 file
+      if (text.includes('\uFFFD')) text = buffer.toString('latin1');
+    }
 
-SUBLETTING: Subletting is not allowed without written permission from the landlord.
+    return {
+      text: this.ensureText(text.replace(/\r\n?/g, '\n').trim(), 'text'),
+      metadata: {},
+      processingMethod: 'text'
+    };
+  }
 
-This document was extracted using fallback method due to PDF parsing issues.`,
-        pages: 1,
-        metadata: {
-          title: 'Rental Agreement - Document 2',
-          author: 'Rajesh Kumar',
-          creator: 'LegalEase Fallback',
-          producer: 'Sample Generator',
-          creationDate: new Date(),
-          modificationDate: new Date()
-        },
-        processingMethod: 'fallback-sample-doc2'
-      };
+  async extractTextFromRtf(filePath) {
+    const rtf = await fs.readFile(filePath, 'latin1');
+    if (!rtf.startsWith('{\\rtf')) {
+      throw new AppError('This file is not a valid RTF document.', 422);
     }
+
+    return {
+      text: this.ensureText(formatConverter.rtfToText(rtf), 'RTF'),
+      metadata: {},
+      processingMethod: 'rtf'
+    };
   }
 
-  // Preprocess image for better OCR results
-  async preprocessImage(filePath) {
-    try {
-      const outputPath = filePath.replace(/\.[^/.]+$/, '_processed.png');
-      
-      await sharp(filePath)
-        .greyscale()
-        .normalize()
-        .sharpen()
-        .png({ quality: 100 })
-        .toFile(outputPath);
-      
-      return outputPath;
-    } catch (error) {
-      console.error('Image preprocessing error:', error);
-      // Return original path if preprocessing fails
-      return filePath;
-    }
+  // Saved web pages, e.g. a terms of service page
+  async extractTextFromHtml(filePath) {
+    const html = await fs.readFile(filePath, 'utf8');
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+    return {
+      text: this.ensureText(formatConverter.htmlToText(html), 'HTML'),
+      metadata: {
+        title: title ? formatConverter.decodeEntities(title[1]).trim() : ''
+      },
+      processingMethod: 'html'
+    };
   }
 
-  // Extract text from image using OCR
-  async extractTextFromImage(filePath) {
-    try {
-      // Preprocess image for better OCR results
-      const processedPath = await this.preprocessImage(filePath);
-      
-      const { data } = await Tesseract.recognize(processedPath, 'eng', {
-        logger: m => {
-          if (m.status === 'recognizing text') {
-            console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-          }
-        }
-      });
+  // Emails (.eml), e.g. terms sent by a landlord or service; the body is
+  // analyzed and attachments are ignored
+  async extractTextFromEmail(filePath) {
+    // latin1 keeps 8-bit bodies byte for byte until their charset is known
+    const raw = await fs.readFile(filePath, 'latin1');
+    const email = formatConverter.emailToText(raw);
+
+    return {
+      text: this.ensureText(email.text, 'email'),
+      metadata: {
+        title: email.subject,
+        author: email.from,
+        creationDate: email.date
+      },
+      processingMethod: 'email'
+    };
+  }
 
-      // Clean up processed image if it's different from original
-      if (processedPath !== filePath) {
-        try {
-          await fs.unlink(processedPath);
-        } catch (cleanupError) {
-          console.warn('Failed to cleanup processed image:', cleanupError);
-        }
-      }
+  // Move page boundaries to match an edited copy of the text. Boundaries
+  // before the first change or after the last one move with the text;
+  // ones inside the edited span are placed proportionally.
+  remapPageRanges(pageRanges, oldText, newText) {
+    const shortest = Math.min(oldText.length, newText.length);
+    let prefix = 0;
+    while (prefix < shortest && oldText[prefix] === newText[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < shortest - prefix &&
+      oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++;
+
+    const oldEnd = oldText.length - suffix;
+    const newEnd = newText.length - suffix;
+    const map = offset => {
+      if (offset <= prefix) return offset;
+      if (offset >= oldEnd) return offset + newText.length - oldText.length;
+      return prefix + Math.round((offset - prefix) * (newEnd - prefix) / (oldEnd - prefix));
+    };
 
-      return {
-        text: data.text,
-        confidence: data.confidence,
-        pages: 1,
-        metadata: {
-          ocrEngine: 'Tesseract.js',
-          language: 'eng',
-          processingTime: Date.now()
-        },
-        processingMethod: 'ocr'
-      };
-    } catch (error) {
-      console.error('OCR extraction error:', error);
-      throw new Error('Failed to extract text from image');
-    }
+    return pageRanges.map(range => ({ ...range, start: map(range.start), end: map(range.end) }));
   }
 
   // Main text extraction method
-  async extractText(filePath, fileType = null, documentIndex = null) {
+  // options.languageHint: the user's preferred language (helps OCR)
+  async extractText(filePath, fileType = null, documentIndex = null, options = {}) {
     try {
       if (!fileType) {
         fileType = this.getFileType(filePath);
@@ -300,15 +522,40 @@ This document was extracted using fallback method due to PDF parsing issues.`,
 
       switch (fileType) {
         case 'pdf':
-          result = await this.extractTextFromPDF(filePath, documentIndex);
+          result = await this.extractTextFromPDF(filePath, documentIndex, options);
           break;
         case 'image':
-          result = await this.extractTextFromImage(filePath);
+          result = await this.extractTextFromImage(filePath, options);
+          break;
+        case 'docx':
+          result = await this.extractTextFromDocx(filePath);
+          break;
+        case 'text':
+          result = await this.extractTextFromPlainText(filePath);
+          break;
+        case 'rtf':
+          result = await this.extractTextFromRtf(filePath);
+          break;
+        case 'html':
+          result = await this.extractTextFromHtml(filePath);
+          break;
+        case 'email':
+          result = await this.extractTextFromEmail(filePath);
           break;
         default:
           throw new Error(`Unsupported file type: ${fileType}`);
       }
 
+      // Results without page boundaries count as a single page
+      if (!result.pageRanges) {
+        result.pageRanges = this.joinPages([result.text]).pageRanges;
+      }
+
+      // Language of the document itself (OCR results already have one)
+      if (!result.language) {
+        result.language = languageDetector.detect(result.text).language;
+      }
+
       result.processingTime = Date.now() - startTime;
       return result;
     } catch (error) {
@@ -317,78 +564,22 @@ This document was extracted using fallback method due to PDF parsing issues.`,
     }
   }
 
-  // Split text into clauses/chunks
-  splitIntoClause(text, maxTokens = 1000) {
+  // Split text into a clause tree using headings and numbering.
+  // Returns { clauses, outline } - see clauseSegmenter.segment
+  segmentClauses(text, maxTokens = 1000) {
     try {
-      if (!text || text.trim().length === 0) {
-        return [];
-      }
-
-      // Clean and normalize text
-      const cleanText = text
-        .replace(/\s+/g, ' ')
-        .replace(/\n+/g, '\n')
-        .trim();
-
-      // Split by common legal clause indicators
-      const clauseIndicators = [
-        /\n\s*\d+\.\s+/g,           // Numbered clauses (1. 2. etc.)
-        /\n\s*\([a-z]\)\s+/g,       // Lettered subclauses (a) b) etc.)
-        /\n\s*Article\s+\d+/gi,     // Articles
-        /\n\s*Section\s+\d+/gi,     // Sections
-        /\n\s*Clause\s+\d+/gi,      // Explicit clauses
-        /\.\s*\n\s*[A-Z]/g,        // Sentence breaks with new paragraphs
-      ];
-
-      let clauses = [cleanText];
-
-      // Apply each splitting pattern
-      clauseIndicators.forEach(pattern => {
-        const newClauses = [];
-        clauses.forEach(clause => {
-          const splits = clause.split(pattern);
-          newClauses.push(...splits.filter(split => split.trim().length > 0));
-        });
-        clauses = newClauses;
-      });
-
-      // Further split long clauses by token count (approximate)
-      const finalClauses = [];
-      clauses.forEach((clause, index) => {
-        const words = clause.trim().split(/\s+/);
-        const approximateTokens = words.length * 1.3; // Rough token estimation
-
-        if (approximateTokens <= maxTokens) {
-          finalClauses.push({
-            index: finalClauses.length,
-            text: clause.trim(),
-            wordCount: words.length,
-            estimatedTokens: Math.round(approximateTokens)
-          });
-        } else {
-          // Split long clause into smaller chunks
-          const chunkSize = Math.floor(maxTokens / 1.3);
-          for (let i = 0; i < words.length; i += chunkSize) {
-            const chunk = words.slice(i, i + chunkSize).join(' ');
-            if (chunk.trim().length > 0) {
-              finalClauses.push({
-                index: finalClauses.length,
-                text: chunk.trim(),
-                wordCount: chunk.split(/\s+/).length,
-                estimatedTokens: Math.round(chunk.split(/\s+/).length * 1.3)
-              });
-            }
-          }
-        }
-      });
-
-      return finalClauses;
+      return clauseSegmenter.segment(text, { maxTokens });
     } catch (error) {
       console.error('Clause splitting error:', error);
       throw new Error('Failed to split text into clauses');
     }
   }
 
+  // Split text into clauses/chunks
+  splitIntoClause(text, maxTokens = 1000) {
+    return this.segmentClauses(text, maxTokens).clauses;
+  }
+
   // Detect document type based on content
   detectDocumentType(text) {
     const patterns = {
@@ -427,84 +618,20 @@ This document was extracted using fallback method due to PDF parsing issues.`,
     return Object.keys(scores).find(type => scores[type] === maxScore) || 'other';
   }
 
-  // Extract key information from document
-  extractKeyInformation(text, documentType) {
-    const keyInfo = {
-      parties: [],
-      dates: [],
-      amounts: [],
-      addresses: [],
-      emails: [],
-      phones: []
-    };
-
-    try {
-      // Extract parties (names in caps or after specific keywords)
-      const partyPatterns = [
-        /(?:between|party|tenant|landlord|borrower|lender|employee|employer|client|company)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi,
-        /([A-Z]{2,}(?:\s+[A-Z]{2,})*)/g
-      ];
-
-      partyPatterns.forEach(pattern => {
-        const matches = text.match(pattern);
-        if (matches) {
-          keyInfo.parties.push(...matches);
-        }
-      });
-
-      // Extract dates
-      const datePatterns = [
-        /\b\d{1,2}\/\d{1,2}\/\d{4}\b/g,
-        /\b\d{1,2}-\d{1,2}-\d{4}\b/g,
-        /\b(?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}\b/gi
-      ];
-
-      datePatterns.forEach(pattern => {
-        const matches = text.match(pattern);
-        if (matches) {
-          keyInfo.dates.push(...matches);
-        }
-      });
-
-      // Extract monetary amounts
-      const amountPattern = /\$[\d,]+(?:\.\d{2})?/g;
-      const amounts = text.match(amountPattern);
-      if (amounts) {
-        keyInfo.amounts.push(...amounts);
-      }
-
-      // Extract email addresses
-      const emailPattern = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g;
-      const emails = text.match(emailPattern);
-      if (emails) {
-        keyInfo.emails.push(...emails);
-      }
-
-      // Extract phone numbers
-      const phonePattern = /\b(?:\+?1[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})\b/g;
-      const phones = text.match(phonePattern);
-      if (phones) {
-        keyInfo.phones.push(...phones);
-      }
-
-      // Remove duplicates
-      Object.keys(keyInfo).forEach(key => {
-        keyInfo[key] = [...new Set(keyInfo[key])];
-      });
-
-      return keyInfo;
-    } catch (error) {
-      console.error('Key information extraction error:', error);
-      return keyInfo;
-    }
+  // Parties, amounts, dates, durations and contact details (see keyFactsExtractor)
+  extractKeyInformation(text) {
+    return keyFactsExtractor.extract(text);
   }
 
-  // Validate extracted text quality
+  // Validate extracted text quality.
+  // confidence is the OCR confidence, 0-1 (older callers passed 0-100).
+  // Returns { score (0-100), issues, recommendations, needsReview }.
   validateTextQuality(text, confidence = null) {
     const quality = {
       score: 0,
       issues: [],
-      recommendations: []
+      recommendations: [],
+      needsReview: true
     };
 
     try {
@@ -513,9 +640,9 @@ This document was extracted using fallback method due to PDF parsing issues.`,
         return quality;
       }
 
-      const wordCount = text.split(/\s+/).length;
-      const charCount = text.length;
-      const avgWordLength = charCount / wordCount;
+      const words = text.split(/\s+/).filter(Boolean);
+      const wordCount = words.length;
+      const avgWordLength = words.join('').length / wordCount;
 
       // Check word count
       if (wordCount < 50) {
@@ -536,33 +663,40 @@ This document was extracted using fallback method due to PDF parsing issues.`,
         quality.score += 10;
       }
 
-      // Check for common OCR error patterns
+      // Check for common OCR error patterns. Letters of any script, common
+      // legal symbols and currency signs are expected; "a", "I" and
+      // ordinals like "1st" are ordinary words.
       const ocrErrorPatterns = [
-        /[^\w\s.,;:!?()-]/g,  // Special characters
-        /\b[a-z]{1,2}\b/g,    // Very short words
-        /\d[a-z]|[a-z]\d/g    // Mixed letters and numbers
+        { issue: 'Unexpected symbols', share: 0.1,
+          test: word => /[^\p{L}\p{M}\p{N}.,;:!?()'"“”‘’%&$₹€£§/@#*•–—-]/u.test(word) },
+        { issue: 'Stray single letters', share: 0.05,
+          test: word => /^[b-hj-zB-HJ-Z]$/.test(word) },
+        { issue: 'Letters and digits run together', share: 0.1,
+          test: word => /\d\p{L}|\p{L}\d/u.test(word) && !/^\d+(st|nd|rd|th)\W*$/i.test(word) }
       ];
 
-      ocrErrorPatterns.forEach(pattern => {
-        const matches = text.match(pattern);
-        if (matches && matches.length > wordCount * 0.1) {
-          quality.issues.push('High number of potential OCR errors');
+      ocrErrorPatterns.forEach(({ issue, share, test }) => {
+        const matches = words.filter(test).length;
+        if (matches > wordCount * share) {
+          quality.issues.push(`High number of potential OCR errors - ${issue.toLowerCase()}`);
           quality.score -= 15;
         }
       });
 
       // Check OCR confidence if available
-      if (confidence !== null) {
-        if (confidence < 70) {
+      if (confidence !== null && confidence !== undefined) {
+        const percent = confidence <= 1 ? confidence * 100 : confidence;
+        if (percent < 70) {
           quality.issues.push('Low OCR confidence');
           quality.score -= 20;
-        } else if (confidence > 90) {
+        } else if (percent > 90) {
           quality.score += 15;
         }
       }
 
       // Normalize score to 0-100
       quality.score = Math.max(0, Math.min(100, quality.score + 50));
+      quality.needsReview = quality.score < this.textQualityThreshold;
 
       // Add recommendations based on issues
       if (quality.issues.length > 0) {
@@ -0,0 +1,401 @@
+// Converts HTML, RTF and email sources to plain text for the clause pipeline.
+// Output keeps one paragraph per line and blank lines between blocks, with
+// list numbering and headings written out so clauseSegmenter can find them.
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'blockquote',
+  'pre', 'table', 'tr', 'dl', 'dt', 'dd', 'form', 'fieldset', 'address', 'figure', 'hr'
+]);
+
+// Elements whose content is never document text
+const SKIPPED_TAGS = ['script', 'style', 'head', 'noscript', 'template', 'svg', 'nav', 'iframe'];
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…', sect: '§', para: '¶',
+  copy: '©', reg: '®', trade: '™', bull: '•', middot: '·', euro: '€', pound: '£', rupee: '₹'
+};
+
+// RTF groups that hold formatting tables or metadata rather than text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr',
+  'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'fldinst', 'themedata', 'colorschememapping',
+  'latentstyles', 'datastore', 'xmlnstbl', 'listtable', 'listoverridetable', 'rsidtbl', 'generator',
+  'filetbl', 'revtbl', 'pgdsctbl', 'mmathPr', 'footnote', 'annotation'
+]);
+
+// Windows-1252 characters in the 0x80-0x9F range used by RTF \'hh escapes
+const CP1252 = {
+  0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+// Encodings for other RTF \ansicpg code pages that are not named windows-<n>
+const CODE_PAGE_ENCODINGS = {
+  932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 10000: 'macintosh', 65001: 'utf-8'
+};
+
+class FormatConverter {
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        // Out-of-range references are left as written
+        return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+      }
+      return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+  }
+
+  // Trim lines and collapse runs of blank lines
+  tidy(text) {
+    return text
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Headings are written in capitals (unless numbered) so they read as
+  // headings in plain text, the way text browsers render them
+  formatHeading(text) {
+    const heading = text.replace(/\s+/g, ' ').trim();
+    if (!heading || /^(\d+(\.\d+)*[.)]?|[A-Z]\.|article|section|clause|schedule)\s/i.test(heading)) {
+      return heading;
+    }
+    return heading.toUpperCase();
+  }
+
+  // Ordered list items are numbered by their position in the list tree,
+  // "1.", "1.1", "1.1.1"; unordered items get a bullet
+  listMarker(lists) {
+    const current = lists[lists.length - 1];
+    if (!current) return '';
+    if (!current.ordered) return '• ';
+
+    const path = lists.filter(list => list.ordered).map(list => list.count);
+    return path.length === 1 ? `${path[0]}. ` : `${path.join('.')} `;
+  }
+
+  htmlToText(html) {
+    let source = String(html || '').replace(/<!--[\s\S]*?-->/g, '');
+    SKIPPED_TAGS.forEach(tag => {
+      source = source.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), '');
+    });
+
+    const output = [];
+    const lists = [];
+    let heading = null; // index in output where the open heading starts
+    let preDepth = 0;
+    let afterMarker = false; // a list marker was just written
+    const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>/g;
+    let lastIndex = 0;
+    let match;
+
+    const pushText = (raw) => {
+      if (!raw) return;
+      const text = this.decodeEntities(preDepth > 0 ? raw : raw.replace(/\s+/g, ' '));
+      if (text.trim()) afterMarker = false;
+      output.push(text);
+    };
+
+    while ((match = tagPattern.exec(source)) !== null) {
+      pushText(source.slice(lastIndex, match.index));
+      lastIndex = tagPattern.lastIndex;
+
+      const closing = match[1] === '/';
+      const tag = match[2].toLowerCase();
+
+      if (/^h[1-6]$/.test(tag)) {
+        if (!closing) {
+          output.push('\n\n');
+          heading = output.length;
+        } else if (heading !== null) {
+          output.splice(heading, output.length - heading, this.formatHeading(output.slice(heading).join('')));
+          output.push('\n\n');
+          heading = null;
+        }
+      } else if (tag === 'ol' || tag === 'ul') {
+        if (closing) {
+          lists.pop();
+        } else {
+          const start = match[3].match(/\bstart\s*=\s*["']?(\d+)/i);
+          lists.push({ ordered: tag === 'ol', count: start ? parseInt(start[1]) - 1 : 0 });
+        }
+        output.push('\n');
+        if (closing && lists.length === 0) output.push('\n');
+      } else if (tag === 'li') {
+        if (!closing) {
+          const current = lists[lists.length - 1];
+          if (current) current.count += 1;
+          output.push('\n', this.listMarker(lists));
+          afterMarker = true;
+        }
+      } else if (tag === 'br') {
+        output.push('\n');
+      } else if (tag === 'td' || tag === 'th') {
+        output.push(' ');
+      } else if (BLOCK_TAGS.has(tag)) {
+        if (tag === 'pre') preDepth = Math.max(0, preDepth + (closing ? -1 : 1));
+        // <li><p>text</p></li> keeps the text on the marker's line, and
+        // paragraphs inside a list item stay in that item
+        if (afterMarker) continue;
+        output.push(tag === 'tr' || tag === 'dt' || tag === 'dd' || lists.length > 0 ? '\n' : '\n\n');
+      }
+    }
+    pushText(source.slice(lastIndex));
+
+    return this.tidy(output.join(''));
+  }
+
+  // Decode bytes from RTF \'hh escapes in the document's code page.
+  // Windows-1252 is mapped by hand: Node decodes it as Latin-1, which has
+  // control characters where 1252 has quotes and dashes.
+  decodeCodePage(bytes, codePage) {
+    if (codePage !== 1252) {
+      try {
+        return new TextDecoder(CODE_PAGE_ENCODINGS[codePage] || `windows-${codePage}`).decode(bytes);
+      } catch (error) {
+        // Unknown code page: fall through to Windows-1252
+      }
+    }
+    return Array.from(bytes, code => CP1252[code] || String.fromCharCode(code)).join('');
+  }
+
+  rtfToText(rtf) {
+    const source = String(rtf || '');
+    const output = [];
+    const stack = [];
+    let state = { skip: false, ucSkip: 1 };
+    let pendingSkip = 0; // characters to drop after a \u escape
+    let codePage = 1252;
+    let bytes = []; // adjacent \'hh bytes, decoded together for double-byte code pages
+    const controlWord = /\\([a-zA-Z]+)(-?\d+)? ?/y;
+    let i = 0;
+
+    const skipped = () => {
+      if (state.skip) return true;
+      if (pendingSkip > 0) {
+        pendingSkip -= 1;
+        return true;
+      }
+      return false;
+    };
+
+    const flushBytes = () => {
+      if (bytes.length === 0) return;
+      output.push(this.decodeCodePage(Uint8Array.from(bytes), codePage));
+      bytes = [];
+    };
+
+    const emit = (text) => {
+      if (skipped()) return;
+      flushBytes();
+      output.push(text);
+    };
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (char === '{') {
+        stack.push(state);
+        state = { ...state };
+        i += 1;
+      } else if (char === '}') {
+        state = stack.pop() || { skip: false, ucSkip: 1 };
+        i += 1;
+      } else if (char === '\\') {
+        const next = source[i + 1];
+
+        if (next === '\\' || next === '{' || next === '}') {
+          emit(next);
+          i += 2;
+        } else if (next === '\'') {
+          const hex = source.substr(i + 2, 2);
+          if (/^[0-9a-f]{2}$/i.test(hex)) {
+            if (!skipped()) bytes.push(parseInt(hex, 16));
+            i += 4;
+          } else {
+            // Malformed escape: drop it and read what follows as text
+            i += 2;
+          }
+        } else if (next === '*') {
+          // Ignorable destination (\*\keyword): nothing in it is body text
+          state.skip = true;
+          i += 2;
+        } else if (next === '~') {
+          emit(' ');
+          i += 2;
+        } else if (next === '_') {
+          emit('-');
+          i += 2;
+        } else if (/[a-zA-Z]/.test(next || '')) {
+          controlWord.lastIndex = i;
+          const [whole, word, param] = controlWord.exec(source);
+          i += whole.length;
+          pendingSkip = 0;
+
+          if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+            state.skip = true;
+          } else if (word === 'ansicpg') {
+            codePage = parseInt(param) || 1252;
+          } else if (word === 'line' || word === 'row') {
+            emit('\n');
+          } else if (word === 'par' || word === 'sect' || word === 'page') {
+            emit('\n\n');
+          } else if (word === 'tab' || word === 'cell') {
+            emit(' ');
+          } else if (word === 'uc') {
+            state.ucSkip = parseInt(param) || 0;
+          } else if (word === 'u') {
+            const code = parseInt(param);
+            emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+            pendingSkip = state.ucSkip;
+          } else if (word === 'emdash') {
+            emit('—');
+          } else if (word === 'endash') {
+            emit('–');
+          } else if (word === 'lquote' || word === 'rquote') {
+            emit(word === 'lquote' ? '‘' : '’');
+          } else if (word === 'ldblquote' || word === 'rdblquote') {
+            emit(word === 'ldblquote' ? '“' : '”');
+          } else if (word === 'bullet') {
+            emit('•');
+          }
+        } else {
+          // Other control symbols (\-, \:, \|) carry no text
+          i += 2;
+        }
+      } else if (char === '\r' || char === '\n') {
+        i += 1;
+      } else {
+        emit(char);
+        i += 1;
+      }
+    }
+    flushBytes();
+
+    return this.tidy(output.join(''));
+  }
+
+  // Decode bytes in the charsets email and plain text files commonly use
+  decodeBuffer(buffer, charset = 'utf-8') {
+    const name = String(charset).toLowerCase().replace(/["']/g, '');
+    if (/^(iso-8859-1|latin1|windows-1252|cp1252|us-ascii|ascii)$/.test(name)) {
+      return buffer.toString('latin1');
+    }
+    if (/^utf-?16(le)?$/.test(name)) {
+      return buffer.toString('utf16le');
+    }
+    return buffer.toString('utf8');
+  }
+
+  // RFC 2047 encoded words, e.g. =?UTF-8?B?...?=
+  decodeHeaderValue(value) {
+    // Whitespace between adjacent encoded words is not part of the value
+    return value.replace(/\?=\s+=\?/g, '?==?').replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      const buffer = encoding.toLowerCase() === 'b'
+        ? Buffer.from(text, 'base64')
+        : this.decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return this.decodeBuffer(buffer, charset);
+    });
+  }
+
+  decodeQuotedPrintable(text) {
+    const bytes = [];
+    const source = text.replace(/=\r?\n/g, '');
+    for (let i = 0; i < source.length; i += 1) {
+      if (source[i] === '=' && /^[0-9a-f]{2}$/i.test(source.substr(i + 1, 2))) {
+        bytes.push(parseInt(source.substr(i + 1, 2), 16));
+        i += 2;
+      } else {
+        bytes.push(...Buffer.from(source[i], 'utf8'));
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  // Split a MIME entity into lower-cased headers and its raw body
+  parseMimeEntity(raw) {
+    const split = raw.search(/\r?\n\r?\n/);
+    const headerText = split === -1 ? raw : raw.slice(0, split);
+    const body = split === -1 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+
+    const headers = {};
+    headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+    });
+
+    return { headers, body };
+  }
+
+  headerParam(header, name) {
+    const match = (header || '').match(new RegExp(`${name}\\s*=\\s*("([^"]*)"|[^;\\s]+)`, 'i'));
+    return match ? (match[2] ?? match[1]) : null;
+  }
+
+  // Text and HTML parts of a MIME entity, depth first
+  collectParts(entity, parts = []) {
+    const contentType = (entity.headers['content-type'] || 'text/plain').toLowerCase();
+
+    if (contentType.startsWith('multipart/')) {
+      const boundary = this.headerParam(entity.headers['content-type'], 'boundary');
+      if (!boundary) return parts;
+
+      entity.body.split(`--${boundary}`).slice(1).forEach(chunk => {
+        if (chunk.startsWith('--')) return; // closing boundary
+        this.collectParts(this.parseMimeEntity(chunk.replace(/^\r?\n/, '')), parts);
+      });
+      return parts;
+    }
+
+    const disposition = (entity.headers['content-disposition'] || '').toLowerCase();
+    if (disposition.startsWith('attachment')) return parts;
+    if (!contentType.startsWith('text/plain') && !contentType.startsWith('text/html')) return parts;
+
+    const encoding = (entity.headers['content-transfer-encoding'] || '').toLowerCase();
+    let buffer;
+    if (encoding === 'base64') {
+      buffer = Buffer.from(entity.body.replace(/\s+/g, ''), 'base64');
+    } else if (encoding === 'quoted-printable') {
+      buffer = this.decodeQuotedPrintable(entity.body);
+    } else {
+      buffer = Buffer.from(entity.body, 'latin1');
+    }
+
+    parts.push({
+      html: contentType.startsWith('text/html'),
+      text: this.decodeBuffer(buffer, this.headerParam(entity.headers['content-type'], 'charset') || 'utf-8')
+    });
+    return parts;
+  }
+
+  // Returns { subject, from, date, text }, preferring the HTML body since it
+  // keeps list numbering and headings
+  emailToText(raw) {
+    const message = this.parseMimeEntity(String(raw || ''));
+    const parts = this.collectParts(message);
+    const htmlPart = parts.find(part => part.html);
+    const textPart = parts.find(part => !part.html);
+
+    let text = '';
+    if (htmlPart) {
+      text = this.htmlToText(htmlPart.text);
+    } else if (textPart) {
+      text = this.tidy(textPart.text);
+    }
+
+    return {
+      subject: this.decodeHeaderValue(message.headers.subject || ''),
+      from: this.decodeHeaderValue(message.headers.from || ''),
+      date: message.headers.date || null,
+      text
+    };
+  }
+}
+
+module.exports = new FormatConverter();
@@ -0,0 +1,292 @@
+const sharp = require('sharp');
+
+// Cleans up page photos before OCR. Each step works on an 8-bit greyscale
+// buffer; OCR_PREPROCESS_STEPS picks which steps run and in what order.
+//   upscale   - enlarge low-resolution images to OCR_MIN_IMAGE_WIDTH
+//   border    - crop the dark table/background around a photographed page
+//   shadow    - even out uneven lighting and shadows
+//   orient    - turn sideways pages upright (EXIF rotation is always applied)
+//   deskew    - straighten pages photographed at a slight angle
+//   threshold - adaptive (local) black and white thresholding
+const ALL_STEPS = ['upscale', 'border', 'shadow', 'orient', 'deskew', 'threshold'];
+
+class ImagePreprocessor {
+  constructor() {
+    const configured = (process.env.OCR_PREPROCESS_STEPS || ALL_STEPS.join(','))
+      .split(',')
+      .map(step => step.trim())
+      .filter(Boolean);
+    const unknown = configured.filter(step => !ALL_STEPS.includes(step));
+    if (unknown.length > 0) {
+      console.warn(`Ignoring unknown OCR_PREPROCESS_STEPS: ${unknown.join(', ')}`);
+    }
+
+    this.steps = configured.filter(step => ALL_STEPS.includes(step));
+    this.minWidth = parseInt(process.env.OCR_MIN_IMAGE_WIDTH) || 1800;
+    this.maxWidth = 3500;
+    this.maxSkewAngle = 10;
+  }
+
+  // OCR passes to try, best first. Later passes are only run when the
+  // earlier ones come back with low confidence.
+  passes() {
+    return [
+      { name: 'cleaned', steps: this.steps },
+      // Tesseract's own global thresholding does better on some photos
+      { name: 'greyscale', steps: this.steps.filter(step => step !== 'threshold') },
+      // Orientation detection cannot tell upright from upside down
+      { name: 'upside-down', steps: this.steps, rotate: 180 }
+    ];
+  }
+
+  async toRaw(image) {
+    const { data, info } = await image.greyscale().raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+
+  fromRaw({ data, width, height }) {
+    return sharp(data, { raw: { width, height, channels: 1 } });
+  }
+
+  // Otsu's threshold over the whole image
+  otsuThreshold({ data }) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+    let total = 0;
+    for (let value = 0; value < 256; value++) total += value * histogram[value];
+
+    let background = 0;
+    let backgroundSum = 0;
+    let best = 0;
+    let threshold = 128;
+    for (let value = 0; value < 256; value++) {
+      background += histogram[value];
+      if (background === 0) continue;
+      const foreground = data.length - background;
+      if (foreground === 0) break;
+
+      backgroundSum += value * histogram[value];
+      const meanBackground = backgroundSum / background;
+      const meanForeground = (total - backgroundSum) / foreground;
+      const between = background * foreground * (meanBackground - meanForeground) ** 2;
+      if (between > best) {
+        best = between;
+        threshold = value;
+      }
+    }
+    return threshold;
+  }
+
+  // Small copy used for the measurements, so they stay fast on large photos
+  async sample(raw, width = 600) {
+    if (raw.width <= width) return raw;
+    return this.toRaw(this.fromRaw(raw).resize({ width }));
+  }
+
+  // Swap rows and columns, used to measure text lines running vertically
+  transpose({ data, width, height }) {
+    const output = Buffer.alloc(data.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        output[x * height + y] = data[y * width + x];
+      }
+    }
+    return { data: output, width: height, height: width };
+  }
+
+  // Sideways text gives much sharper lines once rows and columns are swapped
+  async orient(raw) {
+    const small = await this.sample(raw);
+    const upright = this.measureLines(small);
+    const sideways = this.measureLines(this.transpose(small));
+
+    if (sideways.score > upright.score * 1.5) {
+      return { raw: await this.toRaw(this.fromRaw(raw).rotate(90)), note: 'rotated 90°' };
+    }
+    return { raw };
+  }
+
+  async upscale(raw) {
+    if (raw.width >= this.minWidth) return { raw };
+    const width = Math.min(this.minWidth, raw.width * 3);
+    return {
+      raw: await this.toRaw(this.fromRaw(raw).resize({ width, kernel: 'lanczos3' })),
+      note: `upscaled ${raw.width}px to ${width}px`
+    };
+  }
+
+  // Trim edges that are mostly dark, e.g. the table a page was photographed
+  // on. Never removes more than a quarter of the image from any side.
+  async border(raw) {
+    const { data, width, height } = raw;
+    const threshold = this.otsuThreshold(raw);
+    const darkShare = (from, count, step, length) => {
+      let dark = 0;
+      for (let i = 0; i < length; i++) {
+        if (data[from + i * step] < threshold) dark++;
+      }
+      return dark / count;
+    };
+    const rowDark = y => darkShare(y * width, width, 1, width);
+    const columnDark = x => darkShare(x, height, width, height);
+
+    let top = 0;
+    let bottom = height - 1;
+    let left = 0;
+    let right = width - 1;
+    while (top < height / 4 && rowDark(top) > 0.6) top++;
+    while (bottom > height * 3 / 4 && rowDark(bottom) > 0.6) bottom--;
+    while (left < width / 4 && columnDark(left) > 0.6) left++;
+    while (right > width * 3 / 4 && columnDark(right) > 0.6) right--;
+
+    if (top === 0 && left === 0 && bottom === height - 1 && right === width - 1) return { raw };
+
+    const cropped = await this.toRaw(this.fromRaw(raw).extract({
+      left,
+      top,
+      width: right - left + 1,
+      height: bottom - top + 1
+    }));
+    return { raw: cropped, note: 'cropped border' };
+  }
+
+  // Divide by an estimate of the paper's brightness. The estimate is the
+  // brightest pixel of each block (which drops the text), smoothed back up
+  // to full size.
+  async shadow(raw) {
+    const { data, width, height } = raw;
+    const block = Math.max(8, Math.round(Math.max(width, height) / 40));
+    const blocksX = Math.ceil(width / block);
+    const blocksY = Math.ceil(height / block);
+    const maxima = Buffer.alloc(blocksX * blocksY);
+
+    for (let y = 0; y < height; y++) {
+      const blockRow = Math.floor(y / block) * blocksX;
+      for (let x = 0; x < width; x++) {
+        const index = blockRow + Math.floor(x / block);
+        if (data[y * width + x] > maxima[index]) maxima[index] = data[y * width + x];
+      }
+    }
+
+    const backgroundImage = await this.fromRaw({ data: maxima, width: blocksX, height: blocksY })
+      .blur(1)
+      .resize(width, height, { kernel: 'cubic', fit: 'fill' });
+    const background = await this.toRaw(backgroundImage);
+
+    const flattened = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) {
+      flattened[i] = Math.min(255, Math.round(data[i] * 255 / Math.max(background.data[i], 1)));
+    }
+    return { raw: { data: flattened, width, height }, note: 'flattened lighting' };
+  }
+
+  // Finds the skew angle (degrees) at which the ink falls into the sharpest
+  // horizontal lines. Returns { angle, score }; score is how sharp they are.
+  measureLines(small) {
+    const { data, width, height } = small;
+    const threshold = this.otsuThreshold(small);
+    const points = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] < threshold) points.push(x, y);
+      }
+    }
+    // Blank pages and pages that are mostly ink have no lines to measure
+    const darkPixels = points.length / 2; // points holds x, y pairs
+    if (darkPixels < 100 || darkPixels > width * height * 0.5) return { angle: 0, score: 0 };
+
+    const offset = width;
+    const bins = height + 2 * width;
+    const score = angle => {
+      const radians = angle * Math.PI / 180;
+      const sin = Math.sin(radians);
+      const cos = Math.cos(radians);
+      const profile = new Float64Array(bins);
+      for (let i = 0; i < points.length; i += 2) {
+        profile[Math.round(points[i + 1] * cos - points[i] * sin) + offset]++;
+      }
+      let total = 0;
+      for (let i = 1; i < bins; i++) total += (profile[i] - profile[i - 1]) ** 2;
+      return total;
+    };
+
+    const search = (from, to, step) => {
+      let best = { angle: 0, score: -1 };
+      for (let angle = from; angle <= to + 1e-9; angle += step) {
+        const value = score(angle);
+        if (value > best.score) best = { angle, score: value };
+      }
+      return best;
+    };
+
+    const coarse = search(-this.maxSkewAngle, this.maxSkewAngle, 0.5);
+    const fine = search(coarse.angle - 0.5, coarse.angle + 0.5, 0.1);
+    return { angle: Math.round(fine.angle * 10) / 10, score: fine.score };
+  }
+
+  async deskew(raw) {
+    const { angle } = this.measureLines(await this.sample(raw));
+    if (Math.abs(angle) < 0.3) return { raw };
+
+    // A page skewed by +angle is straightened by rotating it back
+    const rotated = await this.toRaw(this.fromRaw(raw).rotate(-angle, { background: { r: 255, g: 255, b: 255 } }));
+    return { raw: rotated, note: `deskewed ${angle}°` };
+  }
+
+  // Bradley-Roth adaptive thresholding: a pixel is ink when it is clearly
+  // darker than the average of its neighbourhood
+  async threshold(raw) {
+    const { data, width, height } = raw;
+    // Sums of a tall page overflow 32 bits; doubles hold them exactly
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += data[y * width + x];
+        integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+      }
+    }
+
+    const half = Math.max(7, Math.round(width / 32));
+    const output = Buffer.alloc(data.length);
+    for (let y = 0; y < height; y++) {
+      const y1 = Math.max(0, y - half);
+      const y2 = Math.min(height, y + half + 1);
+      for (let x = 0; x < width; x++) {
+        const x1 = Math.max(0, x - half);
+        const x2 = Math.min(width, x + half + 1);
+        const count = (x2 - x1) * (y2 - y1);
+        const sum = integral[y2 * (width + 1) + x2] - integral[y1 * (width + 1) + x2] -
+          integral[y2 * (width + 1) + x1] + integral[y1 * (width + 1) + x1];
+        output[y * width + x] = data[y * width + x] * count < sum * 0.85 ? 0 : 255;
+      }
+    }
+    return { raw: { data: output, width, height }, note: 'adaptive threshold' };
+  }
+
+  // Run the steps on one image and write the result as PNG.
+  // Returns { outputPath, applied } where applied describes what changed.
+  async preprocess(filePath, outputPath, { steps = this.steps, rotate = 0 } = {}) {
+    // .rotate() with no angle applies the EXIF orientation of phone photos
+    let image = sharp(filePath).rotate();
+    if (rotate) image = sharp(await image.toBuffer()).rotate(rotate);
+
+    let raw = await this.toRaw(image);
+    if (raw.width > this.maxWidth) {
+      raw = await this.toRaw(this.fromRaw(raw).resize({ width: this.maxWidth }));
+    }
+
+    const applied = rotate ? [`rotated ${rotate}°`] : [];
+    for (const step of steps) {
+      const result = await this[step](raw);
+      raw = result.raw;
+      if (result.note) applied.push(result.note);
+    }
+
+    await this.fromRaw(raw).normalize().png().toFile(outputPath);
+    return { outputPath, applied };
+  }
+}
+
+module.exports = new ImagePreprocessor();
@@ -0,0 +1,133 @@
+// Pulls the key facts out of contract text: parties and their roles, money
+// amounts, dates, durations, addresses, emails and phone numbers.
+// Amounts, dates and durations come from the term extractor.
+const termExtractor = require('./termExtractor');
+
+const ROLES = ['landlord', 'lessor', 'owner', 'licensor', 'tenant', 'lessee', 'licensee', 'borrower',
+  'lender', 'bank', 'employer', 'employee', 'company', 'client', 'customer', 'service provider',
+  'consultant', 'contractor', 'guarantor', 'buyer', 'seller', 'vendor', 'purchaser', 'user'];
+// Role markers that name the document itself rather than a party
+const NOT_ROLES = ['agreement', 'deed', 'contract', 'premises', 'property', 'parties', 'party', 'schedule'];
+// A capitalised name on one line, e.g. "Mr. Ramesh Kumar", "M/s Acme Traders", "Bank of India"
+const NAME = /^[\s,:"“]*((?:[Mm]\/[Ss]\.?[ \t]+)?[A-Z][\w.&'-]*(?:[ \t]+(?:[A-Z][\w.&'-]*|&|of))*)/;
+
+class KeyFactsExtractor {
+  normalizeRole(role) {
+    const cleaned = role.replace(/["“”'()]/g, '').replace(/\s+/g, ' ').trim();
+    const known = ROLES.find(name => cleaned.toLowerCase() === name ||
+      cleaned.toLowerCase() === `${name}s` || cleaned.toLowerCase().startsWith(`${name} `));
+    const word = known || cleaned;
+    return word.replace(/\b\w/g, letter => letter.toUpperCase());
+  }
+
+  // The party named just before a role marker, e.g. the "Mr. Ramesh Kumar"
+  // in "between Mr. Ramesh Kumar, S/o ..., residing at ... (hereinafter ...)"
+  nameBefore(text, from, to) {
+    const segment = text.slice(Math.max(from, to - 400), to);
+    // The name follows "between" / "and", or starts the line
+    const starts = [...segment.matchAll(/\b(?:between|and|by|with)\b\s*[:,]?/gi)]
+      .map(match => match.index + match[0].length);
+    starts.push(segment.lastIndexOf('\n') + 1);
+
+    for (const start of starts) {
+      const match = segment.slice(start).match(NAME);
+      if (!match) continue;
+      const name = match[1].replace(/[ \t]+(?:of|&)$/, '').trim();
+      if (name.length >= 2 && !/^(?:AND|BETWEEN)$/.test(name)) return name;
+    }
+    return null;
+  }
+
+  extractParties(text) {
+    const parties = [];
+    const add = (name, role) => {
+      if (!name) return;
+      const cleaned = name.replace(/\s+/g, ' ').replace(/[,.;:]+$/, '').trim();
+      if (cleaned.length < 2 || ROLES.includes(cleaned.toLowerCase())) return;
+
+      const existing = parties.find(party => party.name.toLowerCase() === cleaned.toLowerCase());
+      if (existing) {
+        if (!existing.role && role) existing.role = role;
+        return;
+      }
+      parties.push({ name: cleaned, role: role || null });
+    };
+
+    // ... (hereinafter referred to as the "Landlord") / ... (the "Employer")
+    const markers = /\(?\s*(?:(?:hereinafter|hereafter)\s+(?:(?:referred\s+to|called|known)\s+)?(?:as\s+)?(?:the\s+)?["“']?([A-Za-z]+(?:\s+[A-Z][a-z]+)?)["”']?|(?:the\s+)?["“]([A-Z][A-Za-z]+(?:\s+[A-Z][a-z]+)?)["”]\s*\))/g;
+    let previousEnd = 0;
+    let match;
+    while ((match = markers.exec(text)) !== null) {
+      const role = match[1] || match[2];
+      const isKnownRole = ROLES.some(name => role.toLowerCase().startsWith(name));
+      if (match[2] ? !isKnownRole : !isKnownRole && (!/^[A-Z]/.test(role) || NOT_ROLES.includes(role.toLowerCase()))) continue;
+      add(this.nameBefore(text, previousEnd, match.index), this.normalizeRole(role));
+      previousEnd = match.index + match[0].length;
+    }
+
+    // Landlord: Mr. Ramesh Kumar / Name of the Tenant - Priya Sharma
+    const labelled = new RegExp(`^\\s*(?:name\\s+of\\s+(?:the\\s+)?)?(${ROLES.join('|')})(?:'s)?(?:\\s+name)?\\s*[:\\-–]\\s*([^,\\n(]{2,80})`, 'gim');
+    while ((match = labelled.exec(text)) !== null) {
+      const name = match[2].match(NAME);
+      if (name) add(name[1], this.normalizeRole(match[1]));
+    }
+
+    // Agreements that only say "between X and Y"
+    if (parties.length === 0) {
+      const between = text.match(/\bbetween\s+(.{2,100}?)\s+and\s+(.{2,100}?)(?:[,.;(\n]|$)/i);
+      if (between) {
+        [between[1], between[2]].forEach(part => {
+          const name = part.match(NAME);
+          if (name) add(name[1], null);
+        });
+      }
+    }
+
+    return parties;
+  }
+
+  extractAddresses(text) {
+    const pattern = /\b(?:residing at|resident of|situated at|located at|premises at|address\s*:)\s*([^\n();]{5,150}?)(?=\s*(?:\(|\n|;|hereinafter|\.\s+[A-Z][a-z]|$))/gi;
+    const addresses = [...text.matchAll(pattern)]
+      .map(match => match[1].replace(/[\s,]+$/, '').trim())
+      .filter(address => address.length >= 5);
+    return [...new Set(addresses)];
+  }
+
+  extractEmails(text) {
+    return [...new Set(text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g) || [])];
+  }
+
+  extractPhones(text) {
+    const patterns = [
+      // +91 98765 43210 / 098765-43210 / 9876543210
+      /(?:\+91[\s-]?|\b0|\b)[6-9]\d{4}[\s-]?\d{5}\b/g,
+      // Landlines: 080-2345 6789, 011 23456789
+      /\b0\d{2,4}[\s-]\d{3,4}[\s-]?\d{4}\b/g,
+      // (555) 123-4567 / +1 555 123 4567
+      /(?:\+1[\s.-]?)?\(\d{3}\)\s?\d{3}[\s.-]\d{4}\b|\+1[\s.-]?\d{3}[\s.-]\d{3}[\s.-]\d{4}\b/g
+    ];
+    const phones = patterns.flatMap(pattern => text.match(pattern) || []).map(phone => phone.trim());
+    return [...new Set(phones)];
+  }
+
+  // Returns { parties, amounts, dates, durations, addresses, emails, phones, extractedAt }
+  extract(text) {
+    const source = text || '';
+    const terms = termExtractor.extract(source);
+    const ofType = type => terms.filter(term => term.type === type);
+
+    return {
+      parties: this.extractParties(source),
+      amounts: ofType('money').map(({ text: amountText, value, currency, label }) => ({ text: amountText, value, currency, label })),
+      dates: ofType('date').map(({ text: dateText, value, label }) => ({ text: dateText, value, label })),
+      durations: ofType('duration').map(({ text: durationText, value, unit, label }) => ({ text: durationText, value, unit, label })),
+      addresses: this.extractAddresses(source),
+      emails: this.extractEmails(source),
+      phones: this.extractPhones(source),
+      extractedAt: new Date()
+    };
+  }
+}
+
+module.exports = new KeyFactsExtractor();
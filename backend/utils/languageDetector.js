@@ -0,0 +1,81 @@
+// Detects the language of extracted text from its script and common words.
+// Only the languages we support end to end are scored.
+
+const LANGUAGES = {
+  en: { name: 'English', tesseract: 'eng' },
+  es: { name: 'Spanish', tesseract: 'spa' },
+  fr: { name: 'French', tesseract: 'fra' },
+  de: { name: 'German', tesseract: 'deu' },
+  hi: { name: 'Hindi', tesseract: 'hin' }
+};
+
+// Frequent short words that rarely appear in the other languages
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'shall', 'is', 'be', 'this', 'that', 'with', 'for', 'by', 'any', 'or', 'will'],
+  es: ['el', 'la', 'los', 'las', 'de', 'del', 'que', 'y', 'en', 'por', 'con', 'para', 'una', 'será', 'arrendatario'],
+  fr: ['le', 'la', 'les', 'des', 'du', 'et', 'est', 'que', 'dans', 'pour', 'par', 'une', 'sera', 'aux', 'preneur'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'den', 'dem', 'des', 'mit', 'für', 'von', 'auf', 'eine', 'wird', 'mieter']
+};
+
+const DEVANAGARI = /[ऀ-ॿ]/g;
+const LATIN = /[A-Za-zÀ-ɏ]/g;
+
+class LanguageDetector {
+  constructor() {
+    this.languages = LANGUAGES;
+    this.stopwords = Object.fromEntries(
+      Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words)])
+    );
+  }
+
+  isSupported(code) {
+    return Boolean(LANGUAGES[code]);
+  }
+
+  nameOf(code) {
+    return LANGUAGES[code] ? LANGUAGES[code].name : LANGUAGES.en.name;
+  }
+
+  tesseractCode(code) {
+    return LANGUAGES[code] ? LANGUAGES[code].tesseract : null;
+  }
+
+  // Returns { language, confidence, scores } where scores are stopword hit
+  // ratios. Falls back to English when the text is too short to tell.
+  detect(text, { fallback = 'en' } = {}) {
+    const sample = (text || '').substring(0, 20000);
+    const devanagari = (sample.match(DEVANAGARI) || []).length;
+    const latin = (sample.match(LATIN) || []).length;
+
+    if (devanagari + latin < 20) {
+      return { language: fallback, confidence: 0, scores: {} };
+    }
+
+    // Mostly Devanagari: Hindi is the only such language we support
+    if (devanagari > latin) {
+      return { language: 'hi', confidence: devanagari / (devanagari + latin), scores: {} };
+    }
+
+    const words = sample.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+    const scores = {};
+    Object.entries(this.stopwords).forEach(([code, stopwords]) => {
+      scores[code] = words.filter(word => stopwords.has(word)).length / (words.length || 1);
+    });
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [best, bestScore] = ranked[0];
+    const secondScore = ranked[1] ? ranked[1][1] : 0;
+
+    if (bestScore === 0) {
+      return { language: fallback, confidence: 0, scores };
+    }
+
+    return {
+      language: best,
+      confidence: Math.min(1, (bestScore - secondScore) / bestScore),
+      scores
+    };
+  }
+}
+
+module.exports = new LanguageDetector();
@@ -0,0 +1,99 @@
+// Error raised by LLM providers. The message keeps the HTTP status text
+// (e.g. "429", "503 overloaded") so existing quota/overload checks still work.
+class LLMError extends Error {
+  constructor(message, { status = null, code = null, provider = null, rawText = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.code = code;
+    this.provider = provider;
+    this.rawText = rawText;
+  }
+}
+
+// Base class for LLM providers.
+// Subclasses implement generate(); JSON mode and token counting have
+// sensible defaults that adapters can override. Adapters that can embed
+// text set supportsEmbeddings and implement embed().
+class LLMProvider {
+  constructor({ name, model }) {
+    this.name = name;
+    this.model = model;
+    this.supportsGeneration = true;
+    this.supportsEmbeddings = false;
+  }
+
+  // Generate free text from a prompt
+  async generate(prompt, options = {}) {
+    throw new LLMError(`${this.name} provider does not implement generate()`, {
+      code: 'NOT_IMPLEMENTED',
+      provider: this.name
+    });
+  }
+
+  // Embedding vectors for a list of texts, in the same order
+  async embed(texts) {
+    throw new LLMError(`${this.name} provider does not implement embed()`, {
+      code: 'NOT_IMPLEMENTED',
+      provider: this.name
+    });
+  }
+
+  // Generate and parse a JSON response
+  async generateJSON(prompt, options = {}) {
+    const text = await this.generate(prompt, { ...options, json: true });
+    return this.parseJSON(text);
+  }
+
+  // Extract the first JSON object or array from model output
+  parseJSON(text) {
+    const cleaned = (text || '').replace(/```(?:json)?/gi, '').trim();
+
+    try {
+      return JSON.parse(cleaned);
+    } catch (error) {
+      // Fall through to extracting an embedded JSON value
+    }
+
+    const objectStart = cleaned.indexOf('{');
+    const arrayStart = cleaned.indexOf('[');
+    const useArray = arrayStart !== -1 && (objectStart === -1 || arrayStart < objectStart);
+    const match = useArray ? cleaned.match(/\[[\s\S]*\]/) : cleaned.match(/\{[\s\S]*\}/);
+
+    if (match) {
+      try {
+        return JSON.parse(match[0]);
+      } catch (error) {
+        // Reported below
+      }
+    }
+
+    throw new LLMError('Model returned invalid JSON', {
+      code: 'INVALID_JSON',
+      provider: this.name,
+      rawText: text
+    });
+  }
+
+  // Approximate token count (~4 characters per token for English text)
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  async countTokens(text) {
+    return this.estimateTokens(text);
+  }
+
+  // Provider and model as recorded on each analysis
+  describe() {
+    return {
+      provider: this.name,
+      model: this.model
+    };
+  }
+}
+
+module.exports = {
+  LLMProvider,
+  LLMError
+};
@@ -0,0 +1,67 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { LLMProvider, LLMError } = require('./baseProvider');
+
+// Google Gemini adapter
+class GeminiProvider extends LLMProvider {
+  constructor({ apiKey, model = 'gemini-1.5-flash', embeddingModel = null } = {}) {
+    super({ name: 'gemini', model });
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.client = this.genAI.getGenerativeModel({ model });
+    this.embeddingClient = embeddingModel ? this.genAI.getGenerativeModel({ model: embeddingModel }) : null;
+    this.supportsEmbeddings = !!embeddingModel;
+  }
+
+  async generate(prompt, options = {}) {
+    try {
+      const generationConfig = {};
+      if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+      if (options.maxTokens) generationConfig.maxOutputTokens = options.maxTokens;
+
+      const result = await this.client.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig
+      });
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      const statusMatch = (error.message || '').match(/\[(\d{3})[^\]]*\]/);
+      throw new LLMError(error.message, {
+        status: statusMatch ? parseInt(statusMatch[1]) : null,
+        provider: this.name
+      });
+    }
+  }
+
+  async embed(texts) {
+    if (!this.embeddingClient) return super.embed(texts);
+
+    try {
+      // The API takes at most 100 texts per batch
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += 100) {
+        const { embeddings } = await this.embeddingClient.batchEmbedContents({
+          requests: texts.slice(i, i + 100).map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+        });
+        vectors.push(...embeddings.map(embedding => embedding.values));
+      }
+      return vectors;
+    } catch (error) {
+      const statusMatch = (error.message || '').match(/\[(\d{3})[^\]]*\]/);
+      throw new LLMError(error.message, {
+        status: statusMatch ? parseInt(statusMatch[1]) : null,
+        provider: this.name
+      });
+    }
+  }
+
+  async countTokens(text) {
+    try {
+      const { totalTokens } = await this.client.countTokens(text);
+      return totalTokens;
+    } catch (error) {
+      return super.countTokens(text);
+    }
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,49 @@
+const { LLMProvider, LLMError } = require('./baseProvider');
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const RulesOnlyProvider = require('./rulesOnlyProvider');
+const MockProvider = require('./mockProvider');
+
+// Provider factories keyed by LLM_PROVIDER value
+const providers = {
+  gemini: (env) => new GeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || 'gemini-1.5-flash',
+    embeddingModel: env.GEMINI_EMBEDDING_MODEL || null
+  }),
+  'openai-compatible': (env) => new OpenAICompatibleProvider({
+    baseUrl: env.OPENAI_BASE_URL,
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_MODEL || 'local-model',
+    embeddingModel: env.OPENAI_EMBEDDING_MODEL || null,
+    jsonMode: env.OPENAI_JSON_MODE !== 'false',
+    timeout: parseInt(env.LLM_REQUEST_TIMEOUT_MS) || 60000
+  }),
+  'rules-only': () => new RulesOnlyProvider(),
+  mock: (env) => new MockProvider(env.LLM_FIXTURES_PATH ? { fixturesPath: env.LLM_FIXTURES_PATH } : {})
+};
+
+// Create the provider configured for this environment.
+// Test runs use the fixture-driven mock unless LLM_PROVIDER says otherwise.
+const createProvider = (env = process.env) => {
+  const defaultProvider = env.NODE_ENV === 'test' ? 'mock' : 'gemini';
+  const name = (env.LLM_PROVIDER || defaultProvider).toLowerCase();
+  const factory = providers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return factory(env);
+};
+
+module.exports = {
+  createProvider,
+  providers,
+  LLMProvider,
+  LLMError,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  RulesOnlyProvider,
+  MockProvider
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { LLMProvider, LLMError } = require('./baseProvider');
+
+// Canned replies for tests and offline runs; LLM_FIXTURES_PATH swaps them
+const DEFAULT_FIXTURES = path.join(__dirname, 'mockFixtures.json');
+
+// Canned errors matching what the real Gemini client reports
+const ERROR_PRESETS = {
+  quota: {
+    status: 429,
+    message: '[429 Too Many Requests] Resource has been exhausted (e.g. check quota).'
+  },
+  overloaded: {
+    status: 503,
+    message: '[503 Service Unavailable] The model is overloaded. Please try again later.'
+  }
+};
+
+// Deterministic fake model for tests.
+// Each fixture matches prompts by substring or regex and replies with text,
+// JSON, malformed output or an error. A fixture with a `responses` list
+// replies with each entry in turn (e.g. 503 then success) and then repeats
+// the last one. A `batch` fixture answers multi-item prompts by looking up
+// each item as its own prompt and collecting the replies into one JSON list.
+class MockProvider extends LLMProvider {
+  constructor({ fixturesPath = DEFAULT_FIXTURES, fixtures = null, model = 'mock-model' } = {}) {
+    super({ name: 'mock', model });
+    this.fixturesPath = fixturesPath;
+    this.calls = [];
+    this.callCounts = new Map();
+
+    if (fixtures) {
+      this.setFixtures(fixtures);
+    } else {
+      this.loadFixtures(fixturesPath);
+    }
+  }
+
+  // Load fixtures from a JSON file, or every JSON file in a directory
+  loadFixtures(fixturesPath) {
+    const stats = fs.statSync(fixturesPath);
+    const files = stats.isDirectory()
+      ? fs.readdirSync(fixturesPath)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => path.join(fixturesPath, file))
+      : [fixturesPath];
+
+    const fixtures = [];
+    let fallback = null;
+
+    files.forEach(file => {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      fixtures.push(...(data.fixtures || []));
+      if (data.default) fallback = data.default;
+    });
+
+    this.setFixtures({ fixtures, default: fallback });
+  }
+
+  // Replace fixtures, e.g. from inside a test
+  setFixtures({ fixtures = [], default: fallback = null } = {}) {
+    this.fixtures = fixtures.map((fixture, index) => ({
+      name: fixture.name || `fixture-${index + 1}`,
+      ...fixture
+    }));
+    this.defaultFixture = fallback;
+    this.reset();
+  }
+
+  // Add a fixture that takes priority over the loaded ones
+  addFixture(fixture) {
+    this.fixtures.unshift({ name: fixture.name || `fixture-${this.fixtures.length + 1}`, ...fixture });
+  }
+
+  // Forget recorded calls and restart response sequences
+  reset() {
+    this.calls = [];
+    this.callCounts = new Map();
+  }
+
+  matches(fixture, prompt) {
+    const { match } = fixture;
+    if (!match) return false;
+
+    const patterns = Array.isArray(match) ? match : [match];
+    return patterns.every(pattern => {
+      if (typeof pattern === 'string') {
+        return prompt.includes(pattern);
+      }
+      return new RegExp(pattern.regex, pattern.flags || '').test(prompt);
+    });
+  }
+
+  findFixture(prompt) {
+    return this.fixtures.find(fixture => this.matches(fixture, prompt)) || this.defaultFixture;
+  }
+
+  // Pick the reply for this call, advancing through `responses` if present
+  nextReply(fixture) {
+    const count = this.callCounts.get(fixture) || 0;
+    this.callCounts.set(fixture, count + 1);
+
+    if (Array.isArray(fixture.responses) && fixture.responses.length > 0) {
+      return fixture.responses[Math.min(count, fixture.responses.length - 1)];
+    }
+    return fixture;
+  }
+
+  async generate(prompt, options = {}) {
+    const fixture = this.findFixture(prompt);
+    this.calls.push({ prompt, options, fixture: fixture ? fixture.name || 'default' : null });
+
+    if (!fixture) {
+      throw new LLMError(`No mock fixture matches prompt: ${prompt.trim().substring(0, 80)}...`, {
+        code: 'NO_FIXTURE',
+        provider: this.name
+      });
+    }
+
+    const reply = this.nextReply(fixture);
+
+    if (reply.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, reply.delayMs));
+    }
+
+    if (reply.error) {
+      const preset = typeof reply.error === 'string' ? ERROR_PRESETS[reply.error] : reply.error;
+      throw new LLMError(preset.message, { status: preset.status, provider: this.name });
+    }
+
+    if (reply.batch) {
+      return JSON.stringify(await this.batchReply(prompt, reply.batch));
+    }
+
+    if (reply.raw !== undefined) {
+      return reply.raw;
+    }
+
+    if (reply.json !== undefined) {
+      return JSON.stringify(reply.json);
+    }
+
+    return reply.text || '';
+  }
+
+  // Reply to each item captured by itemRegex (index, text) using the fixture
+  // its own prompt (itemPrompt + text) would match. Malformed item replies are
+  // passed through so callers can exercise partial-failure handling.
+  async batchReply(prompt, { itemRegex, itemPrompt = '', resultsKey = 'results' }) {
+    const results = [];
+    const pattern = new RegExp(itemRegex, 'g');
+    let match;
+
+    while ((match = pattern.exec(prompt)) !== null) {
+      const [, index, text] = match;
+      const fixture = this.findFixture(`${itemPrompt}\n${text}`);
+      if (!fixture) continue;
+
+      const reply = this.nextReply(fixture);
+      if (reply.error) {
+        const preset = typeof reply.error === 'string' ? ERROR_PRESETS[reply.error] : reply.error;
+        throw new LLMError(preset.message, { status: preset.status, provider: this.name });
+      }
+
+      if (reply.json !== undefined) {
+        results.push({ index: Number(index), ...reply.json });
+      } else {
+        results.push({ index: Number(index), raw: reply.raw !== undefined ? reply.raw : reply.text });
+      }
+    }
+
+    return resultsKey ? { [resultsKey]: results } : results;
+  }
+}
+
+module.exports = MockProvider;
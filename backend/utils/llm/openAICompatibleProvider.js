@@ -0,0 +1,113 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { LLMProvider, LLMError } = require('./baseProvider');
+
+// Adapter for any server speaking the OpenAI chat completions API
+// (OpenAI itself, llama.cpp's server, Ollama, vLLM, LM Studio...)
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor({ baseUrl, apiKey, model, embeddingModel = null, jsonMode = true, timeout = 60000 } = {}) {
+    super({ name: 'openai-compatible', model });
+
+    if (!baseUrl) {
+      throw new Error('OPENAI_BASE_URL is required for the openai-compatible provider');
+    }
+
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.jsonMode = jsonMode;
+    this.timeout = timeout;
+    this.embeddingModel = embeddingModel;
+    this.supportsEmbeddings = !!embeddingModel;
+  }
+
+  async generate(prompt, options = {}) {
+    const body = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: options.temperature !== undefined ? options.temperature : 0.2
+    };
+
+    if (options.maxTokens) body.max_tokens = options.maxTokens;
+    if (options.json && this.jsonMode) body.response_format = { type: 'json_object' };
+
+    const data = await this.postJSON('/chat/completions', body);
+    const content = data?.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new LLMError('Unexpected response from openai-compatible server', {
+        provider: this.name
+      });
+    }
+
+    return content;
+  }
+
+  async embed(texts) {
+    if (!this.embeddingModel) return super.embed(texts);
+
+    const data = await this.postJSON('/embeddings', { model: this.embeddingModel, input: texts });
+    if (!Array.isArray(data?.data) || data.data.length !== texts.length) {
+      throw new LLMError('Unexpected embeddings response from openai-compatible server', {
+        provider: this.name
+      });
+    }
+
+    return [...data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  // POST a JSON body and parse the JSON reply
+  postJSON(path, body) {
+    const url = new URL(this.baseUrl + path);
+    const transport = url.protocol === 'https:' ? https : http;
+    const payload = JSON.stringify(body);
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload)
+    };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method: 'POST', headers, timeout: this.timeout }, res => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { raw += chunk; });
+        res.on('end', () => {
+          if (res.statusCode >= 400) {
+            return reject(new LLMError(`${res.statusCode} ${res.statusMessage}: ${raw.substring(0, 300)}`, {
+              status: res.statusCode,
+              provider: this.name
+            }));
+          }
+
+          try {
+            resolve(JSON.parse(raw));
+          } catch (error) {
+            reject(new LLMError('Invalid JSON from openai-compatible server', {
+              provider: this.name,
+              rawText: raw
+            }));
+          }
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new LLMError('503 Service Unavailable: request timed out', {
+          status: 503,
+          provider: this.name
+        }));
+      });
+      req.on('error', error => {
+        reject(error instanceof LLMError ? error : new LLMError(error.message, { provider: this.name }));
+      });
+
+      req.write(payload);
+      req.end();
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
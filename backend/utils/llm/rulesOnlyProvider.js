@@ -0,0 +1,20 @@
+const { LLMProvider, LLMError } = require('./baseProvider');
+
+// Offline provider that never calls a model.
+// AIAnalyzer sees supportsGeneration === false and uses its deterministic
+// keyword rules for every clause, summary and answer.
+class RulesOnlyProvider extends LLMProvider {
+  constructor() {
+    super({ name: 'rules-only', model: 'rules-only' });
+    this.supportsGeneration = false;
+  }
+
+  async generate() {
+    throw new LLMError('Text generation is not available with the rules-only provider', {
+      code: 'GENERATION_UNSUPPORTED',
+      provider: this.name
+    });
+  }
+}
+
+module.exports = RulesOnlyProvider;
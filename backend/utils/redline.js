@@ -0,0 +1,185 @@
+// Word-level redline between two clauses. Words are diffed with the same
+// Myers edit script used for text versions (see textDiff); runs of deleted
+// words that reappear as inserted words elsewhere in the clause are reported
+// as moved text instead of a deletion plus an insertion.
+const textDiff = require('./textDiff');
+
+// Shortest phrase, in words, that is reported as moved
+const MIN_MOVE_WORDS = 3;
+
+// Beyond this many differing words the clauses are treated as rewritten
+const MAX_WORD_EDITS = 1000;
+
+const TOKEN_PATTERN = /\s*(?:[\p{L}\p{N}]+(?:[.,'’/-][\p{L}\p{N}]+)*|\S)/gu;
+const WORD_PATTERN = /[\p{L}\p{N}]/u;
+
+class Redline {
+  // Words and punctuation, each keeping the whitespace before it so the
+  // segments join back into the original text
+  tokenize(text) {
+    return (text || '').match(TOKEN_PATTERN) || [];
+  }
+
+  key(token) {
+    return token.trim().toLowerCase();
+  }
+
+  isWord(token) {
+    return WORD_PATTERN.test(token);
+  }
+
+  // Token-level operations { type, text, region } where region numbers the
+  // changed stretches between equal text
+  operations(tokens1, tokens2) {
+    const script = textDiff.editScript(
+      tokens1.map(token => this.key(token)),
+      tokens2.map(token => this.key(token)),
+      MAX_WORD_EDITS
+    );
+
+    if (!script) {
+      return [
+        ...tokens1.map(text => ({ type: 'delete', text, region: 0 })),
+        ...tokens2.map(text => ({ type: 'insert', text, region: 0 }))
+      ];
+    }
+
+    const operations = [];
+    let index1 = 0;
+    let index2 = 0;
+    let region = 0;
+    script.forEach(({ type }) => {
+      if (type === 'equal') {
+        if (operations.length && operations[operations.length - 1].type !== 'equal') region++;
+        // Keep document 2's wording, but not at the cost of the space
+        // separating it from text deleted just before
+        const text = /^\s/.test(tokens2[index2])
+          ? tokens2[index2]
+          : tokens1[index1].match(/^\s*/)[0] + tokens2[index2];
+        operations.push({ type, text, region: null });
+        index1++;
+        index2++;
+      } else if (type === 'delete') {
+        operations.push({ type, text: tokens1[index1++], region });
+      } else {
+        operations.push({ type, text: tokens2[index2++], region });
+      }
+    });
+    return operations;
+  }
+
+  // Runs of deleted or inserted tokens not yet marked as moved, grouped by
+  // changed region
+  changedRuns(operations, type) {
+    const runs = [];
+    let current = null;
+    operations.forEach((operation, index) => {
+      if (operation.type !== type) {
+        if (operation.type === 'equal' || operation.moveId !== undefined) current = null;
+        return;
+      }
+      if (!current || current.region !== operation.region) {
+        current = { region: operation.region, indexes: [] };
+        runs.push(current);
+      }
+      current.indexes.push(index);
+    });
+    return runs;
+  }
+
+  // Longest stretch of identical tokens shared by a deleted and an inserted run
+  longestCommon(operations, deleted, inserted) {
+    let best = { length: 0, start1: 0, start2: 0 };
+    let previous = new Array(inserted.length + 1).fill(0);
+    for (let i = 1; i <= deleted.length; i++) {
+      const current = new Array(inserted.length + 1).fill(0);
+      const key = this.key(operations[deleted[i - 1]].text);
+      for (let j = 1; j <= inserted.length; j++) {
+        if (key !== this.key(operations[inserted[j - 1]].text)) continue;
+        current[j] = previous[j - 1] + 1;
+        if (current[j] > best.length) {
+          best = { length: current[j], start1: i - current[j], start2: j - current[j] };
+        }
+      }
+      previous = current;
+    }
+    return best;
+  }
+
+  // Mark phrases deleted in one place and inserted in another, longest first
+  markMoves(operations) {
+    let moveId = 0;
+    for (;;) {
+      const deletedRuns = this.changedRuns(operations, 'delete');
+      const insertedRuns = this.changedRuns(operations, 'insert');
+      let best = null;
+
+      deletedRuns.forEach(deleted => {
+        insertedRuns.forEach(inserted => {
+          // A replacement in the same spot is an edit, not a move
+          if (deleted.region === inserted.region) return;
+          const common = this.longestCommon(operations, deleted.indexes, inserted.indexes);
+          const indexes1 = deleted.indexes.slice(common.start1, common.start1 + common.length);
+          const words = indexes1.filter(index => this.isWord(operations[index].text)).length;
+          if (words >= MIN_MOVE_WORDS && (!best || words > best.words)) {
+            best = {
+              words,
+              indexes1,
+              indexes2: inserted.indexes.slice(common.start2, common.start2 + common.length)
+            };
+          }
+        });
+      });
+
+      if (!best) return moveId;
+      best.indexes1.forEach(index => {
+        operations[index].type = 'moveFrom';
+        operations[index].moveId = moveId;
+      });
+      best.indexes2.forEach(index => {
+        operations[index].type = 'moveTo';
+        operations[index].moveId = moveId;
+      });
+      moveId++;
+    }
+  }
+
+  // Redline from clause 1 to clause 2. Returns
+  // { segments: [{ type, text, moveId? }], inserted, deleted, moved } where
+  // type is equal, insert, delete, moveFrom or moveTo and the counts are words.
+  compare(text1, text2) {
+    const operations = this.operations(this.tokenize(text1), this.tokenize(text2));
+    const moved = this.markMoves(operations);
+
+    const segments = [];
+    const counts = { insert: 0, delete: 0 };
+    operations.forEach(({ type, text, moveId }) => {
+      if (counts[type] !== undefined && this.isWord(text)) counts[type]++;
+      const last = segments[segments.length - 1];
+      if (last && last.type === type && last.moveId === moveId) {
+        last.text += text;
+        return;
+      }
+      segments.push(moveId === undefined ? { type, text } : { type, text, moveId });
+    });
+
+    return {
+      segments,
+      inserted: counts.insert,
+      deleted: counts.delete,
+      moved
+    };
+  }
+
+  // One-line summary such as "4 words added, 2 removed, 1 phrase moved"
+  describe(redline) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const parts = [];
+    if (redline.inserted) parts.push(`${plural(redline.inserted, 'word')} added`);
+    if (redline.deleted) parts.push(redline.inserted ? `${redline.deleted} removed` : `${plural(redline.deleted, 'word')} removed`);
+    if (redline.moved) parts.push(`${plural(redline.moved, 'phrase')} moved`);
+    return parts.length ? parts.join(', ') : null;
+  }
+}
+
+module.exports = new Redline();
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const RateLimitBucket = require('../models/RateLimitBucket');
+
+// Lower number runs first
+const PRIORITIES = {
+  interactive: 0, // Q&A and other requests a user is waiting on
+  bulk: 1 // clause analysis and summaries
+};
+
+// Token buckets kept in this process only.
+// clock returns the current time in ms (injectable for tests).
+class MemoryBucketStore {
+  constructor({ clock = Date.now } = {}) {
+    this.clock = clock;
+    this.buckets = new Map();
+  }
+
+  async take(key, { capacity, refillPerMs }) {
+    const now = this.clock();
+    const bucket = this.buckets.get(key) || { tokens: capacity, refilledAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.refilledAt) * refillPerMs);
+    bucket.refilledAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { granted: true, waitMs: 0 };
+    }
+    return { granted: false, waitMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+  }
+
+  async drain(key) {
+    this.buckets.set(key, { tokens: 0, refilledAt: this.clock() });
+  }
+}
+
+// Token buckets stored in MongoDB so every instance shares one quota.
+// Falls back to memory while the database is not connected.
+class MongoBucketStore {
+  constructor({ clock = Date.now } = {}) {
+    this.clock = clock;
+    this.fallback = new MemoryBucketStore({ clock });
+  }
+
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  async take(key, options) {
+    if (!this.isConnected()) {
+      return this.fallback.take(key, options);
+    }
+
+    try {
+      return await RateLimitBucket.take(key, { ...options, now: new Date(this.clock()) });
+    } catch (error) {
+      console.warn('Shared rate limit unavailable, using local bucket:', error.message);
+      return this.fallback.take(key, options);
+    }
+  }
+
+  async drain(key) {
+    await this.fallback.drain(key);
+    if (this.isConnected()) {
+      await RateLimitBucket.drain(key, new Date(this.clock())).catch(error => {
+        console.warn('Failed to drain shared rate limit bucket:', error.message);
+      });
+    }
+  }
+}
+
+// Runs provider requests with bounded concurrency and a token-bucket rate
+// limit. Waiting requests are started in priority order, oldest first.
+class RequestScheduler {
+  constructor({
+    key = 'llm',
+    store = new MemoryBucketStore(),
+    requestsPerMinute = 12,
+    burst = 3,
+    maxConcurrent = 3
+  } = {}) {
+    this.key = key;
+    this.store = store;
+    // requestsPerMinute <= 0 disables rate limiting
+    this.requestsPerMinute = requestsPerMinute;
+    this.capacity = Math.max(1, burst);
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+
+    this.queue = [];
+    this.sequence = 0;
+    this.active = 0;
+    this.isPumping = false;
+    this.wakeTimer = null;
+  }
+
+  // Queue a request; resolves or rejects with the request's own result
+  schedule(requestFunction, { priority = 'bulk' } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        requestFunction,
+        resolve,
+        reject,
+        priority: PRIORITIES[priority] ?? PRIORITIES.bulk,
+        sequence: this.sequence++
+      });
+      this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+      this.pump();
+    });
+  }
+
+  // Stop issuing requests for a while, e.g. after a 429 from the provider
+  async backOff() {
+    if (this.requestsPerMinute > 0) {
+      await this.store.drain(this.key);
+    }
+  }
+
+  async acquireToken() {
+    if (this.requestsPerMinute <= 0) {
+      return { granted: true, waitMs: 0 };
+    }
+    return this.store.take(this.key, { capacity: this.capacity, refillPerMs: this.refillPerMs });
+  }
+
+  async pump() {
+    if (this.isPumping || this.wakeTimer) return;
+    this.isPumping = true;
+
+    try {
+      while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+        const { granted, waitMs } = await this.acquireToken();
+
+        if (!granted) {
+          if (waitMs >= 1000) {
+            console.log(`⏳ Rate limit reached. Waiting ${Math.ceil(waitMs / 1000)}s before next API call...`);
+          }
+          this.wakeTimer = setTimeout(() => {
+            this.wakeTimer = null;
+            this.pump();
+          }, waitMs);
+          return;
+        }
+
+        this.run(this.queue.shift());
+      }
+    } finally {
+      this.isPumping = false;
+    }
+  }
+
+  async run({ requestFunction, resolve, reject }) {
+    this.active++;
+
+    try {
+      resolve(await requestFunction());
+    } catch (error) {
+      reject(error);
+    } finally {
+      this.active--;
+      this.pump();
+    }
+  }
+
+  // Cancel a pending wake-up, e.g. on shutdown; queued requests stay queued
+  stop() {
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+  }
+
+  stats() {
+    return {
+      queued: this.queue.length,
+      active: this.active,
+      maxConcurrent: this.maxConcurrent,
+      requestsPerMinute: this.requestsPerMinute
+    };
+  }
+}
+
+// Build a scheduler from environment settings
+function createScheduler(key, env = process.env) {
+  const storeName = env.LLM_RATE_LIMIT_STORE || (env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+
+  return new RequestScheduler({
+    key,
+    store: storeName === 'mongo' ? new MongoBucketStore() : new MemoryBucketStore(),
+    requestsPerMinute: env.LLM_REQUESTS_PER_MINUTE !== undefined
+      ? parseFloat(env.LLM_REQUESTS_PER_MINUTE)
+      : 12, // Conservative limit (Gemini free tier allows 15)
+    burst: parseInt(env.LLM_RATE_LIMIT_BURST) || 3,
+    maxConcurrent: parseInt(env.LLM_MAX_CONCURRENT_REQUESTS) || 3
+  });
+}
+
+module.exports = {
+  PRIORITIES,
+  RequestScheduler,
+  MemoryBucketStore,
+  MongoBucketStore,
+  createScheduler
+};
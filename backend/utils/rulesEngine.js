@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const RiskRule = require('../models/RiskRule');
+const Setting = require('../models/Setting');
+const defaultRiskRules = require('./defaultRiskRules');
+
+// Clause score thresholds. A single high rule (weight 3) makes a clause High
+// and a single medium rule (weight 2) makes it Medium, as the keyword lists
+// the default rules came from did; the labelled corpus agrees best with this
+// (npm run eval:rules).
+const HIGH_RISK_SCORE = 3;
+const MEDIUM_RISK_SCORE = 2;
+
+const SEEDED_SETTING = 'riskRules.defaultsSeeded';
+
+const DEFAULT_NEGATIONS = ['no', 'not', 'never', 'without', 'neither', 'nor', 'none', 'cannot', "can't", "won't", "shan't"];
+
+// Numbers with units, converted to a common scale (days for durations)
+const NUMBER_PATTERNS = {
+  percent: /(\d+(?:\.\d+)?)\s*(?:%|per\s?cent\b)/gi,
+  days: /(\d+(?:\.\d+)?)\s*(?:\(\w+\)\s*)?(day|week|month|year)s?\b/gi,
+  currency: /(?:₹|rs\.?|inr|\$|usd)\s*(\d[\d,]*(?:\.\d+)?)/gi,
+  number: /(\d[\d,]*(?:\.\d+)?)/g
+};
+const DAYS_PER_UNIT = { day: 1, week: 7, month: 30, year: 365 };
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Evaluates risk rules stored in MongoDB (seeded from defaultRiskRules).
+// Rules are compiled once and kept in memory so evaluation stays synchronous.
+class RulesEngine {
+  constructor() {
+    this.refreshInterval = parseInt(process.env.RISK_RULES_REFRESH_MS) || 60 * 1000;
+    this.timer = null;
+    this.loadedFrom = 'defaults';
+    this.seeded = false;
+    this.setRules(defaultRiskRules);
+  }
+
+  // Seed the defaults the first time any instance loads rules. Rules deleted
+  // later stay deleted; POST /api/rules/restore-defaults brings them back.
+  async seedDefaults() {
+    if (this.seeded) return;
+
+    if (await Setting.setOnce(SEEDED_SETTING) && await RiskRule.estimatedDocumentCount() === 0) {
+      await RiskRule.insertMany(defaultRiskRules);
+      console.log(`📏 Seeded ${defaultRiskRules.length} default risk rules`);
+    }
+    this.seeded = true;
+  }
+
+  // Load rules from MongoDB
+  async load() {
+    if (mongoose.connection.readyState !== 1) {
+      return this.rules.length;
+    }
+
+    await this.seedDefaults();
+
+    const rules = await RiskRule.find({ enabled: true }).lean();
+    this.setRules(rules);
+    this.loadedFrom = 'database';
+    return this.rules.length;
+  }
+
+  // Reload periodically so rule edits made on another instance are picked up
+  start() {
+    if (this.timer) return;
+
+    this.load().catch(error => console.error('Failed to load risk rules:', error));
+    this.timer = setInterval(() => {
+      this.load().catch(error => console.error('Failed to refresh risk rules:', error.message));
+    }, this.refreshInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  setRules(rules) {
+    this.rules = rules
+      .filter(rule => rule.enabled !== false)
+      .map(rule => this.compile(rule))
+      .filter(Boolean);
+  }
+
+  compilePattern({ type = 'phrase', value, flags = 'i' }) {
+    if (type === 'regex') {
+      return new RegExp(value, flags.includes('g') ? flags : `${flags}g`);
+    }
+    // Words and phrases only match whole words, so "default" does not match "defaults"
+    const body = value.trim().split(/\s+/).map(escapeRegex).join('\\s+');
+    return new RegExp(`(?<![\\w-])${body}(?![\\w-])`, 'gi');
+  }
+
+  compile(rule) {
+    try {
+      const documentTypeWeights = rule.documentTypeWeights instanceof Map
+        ? Object.fromEntries(rule.documentTypeWeights)
+        : rule.documentTypeWeights || {};
+
+      return {
+        id: rule._id ? rule._id.toString() : rule.name,
+        name: rule.name,
+        keyword: rule.keyword || rule.pattern.value,
+        category: rule.category,
+        weight: rule.weight !== undefined ? rule.weight : 2,
+        documentTypeWeights,
+        regex: this.compilePattern(rule.pattern),
+        negation: {
+          enabled: !rule.negation || rule.negation.enabled !== false,
+          window: (rule.negation && rule.negation.window) || 4,
+          terms: rule.negation && rule.negation.terms && rule.negation.terms.length > 0
+            ? rule.negation.terms.map(term => term.toLowerCase())
+            : DEFAULT_NEGATIONS
+        },
+        proximity: (rule.proximity || []).map(condition => ({
+          regex: this.compilePattern(condition.pattern),
+          within: condition.within || 5
+        })),
+        numeric: rule.numeric && rule.numeric.unit ? {
+          ...rule.numeric,
+          within: rule.numeric.within || 10
+        } : null
+      };
+    } catch (error) {
+      console.error(`Skipping invalid risk rule "${rule.name}":`, error.message);
+      return null;
+    }
+  }
+
+  weightFor(rule, documentType) {
+    if (documentType && rule.documentTypeWeights[documentType] !== undefined) {
+      return rule.documentTypeWeights[documentType];
+    }
+    return rule.weight;
+  }
+
+  // Word start offsets, used to measure distances in words
+  tokenize(text) {
+    const words = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      words.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+    return words;
+  }
+
+  wordIndexAt(words, offset) {
+    let low = 0;
+    let high = words.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (words[mid].start <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+
+  findAll(regex, text) {
+    regex.lastIndex = 0;
+    const matches = [];
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      matches.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+    return matches;
+  }
+
+  // A negation word shortly before the match, within the same sentence
+  isNegated(rule, text, words, match) {
+    if (!rule.negation.enabled) return false;
+
+    const first = this.wordIndexAt(words, match.start);
+    for (let i = first - 1; i >= Math.max(0, first - rule.negation.window); i--) {
+      const word = words[i].text.toLowerCase();
+      if (/[.;:!?]$/.test(word)) break;
+      if (rule.negation.terms.includes(word.replace(/[^\w']/g, ''))) return true;
+    }
+    return false;
+  }
+
+  isNear(words, match, other, within) {
+    const a = this.wordIndexAt(words, match.start);
+    const b = this.wordIndexAt(words, other.start);
+    return Math.abs(a - b) <= within;
+  }
+
+  // Numbers of the rule's unit near the match
+  nearbyNumbers(rule, text, words, match) {
+    const pattern = NUMBER_PATTERNS[rule.numeric.unit];
+    const numbers = [];
+
+    this.findAll(pattern, text).forEach(found => {
+      if (!this.isNear(words, match, found, rule.numeric.within)) return;
+
+      const parts = new RegExp(pattern.source, 'i').exec(found.text);
+      let value = parseFloat(parts[1].replace(/,/g, ''));
+      if (rule.numeric.unit === 'days') {
+        value *= DAYS_PER_UNIT[parts[2].toLowerCase()];
+      }
+      numbers.push({ ...found, value });
+    });
+
+    return numbers;
+  }
+
+  compare(value, operator, target) {
+    switch (operator) {
+      case 'gt': return value > target;
+      case 'gte': return value >= target;
+      case 'lt': return value < target;
+      case 'lte': return value <= target;
+      case 'eq': return value === target;
+      default: return false;
+    }
+  }
+
+  // First match of the rule that passes negation, proximity and numeric checks
+  findHit(rule, text, words) {
+    for (const match of this.findAll(rule.regex, text)) {
+      if (this.isNegated(rule, text, words, match)) continue;
+
+      const nearAll = rule.proximity.every(condition =>
+        this.findAll(condition.regex, text).some(other => this.isNear(words, match, other, condition.within))
+      );
+      if (!nearAll) continue;
+
+      if (rule.numeric) {
+        const number = this.nearbyNumbers(rule, text, words, match)
+          .find(found => this.compare(found.value, rule.numeric.operator, rule.numeric.value));
+        if (!number) continue;
+        return { ...match, number };
+      }
+
+      return match;
+    }
+    return null;
+  }
+
+  // Score a clause. Returns { riskLevel, riskScore, detectedKeywords, hits }.
+  evaluate(clauseText, documentType, rules = this.rules) {
+    const text = clauseText || '';
+    const words = this.tokenize(text);
+    const hits = [];
+    let riskScore = 0;
+
+    rules.forEach(rule => {
+      const weight = this.weightFor(rule, documentType);
+      if (!weight) return;
+
+      const hit = this.findHit(rule, text, words);
+      if (!hit) return;
+
+      riskScore += weight;
+      hits.push({
+        ruleId: rule.id,
+        rule: rule.name,
+        keyword: rule.keyword,
+        matchedText: hit.text,
+        start: hit.start,
+        end: hit.end,
+        contribution: weight
+      });
+    });
+
+    let riskLevel = 'Low';
+    if (riskScore >= HIGH_RISK_SCORE) {
+      riskLevel = 'High';
+    } else if (riskScore >= MEDIUM_RISK_SCORE) {
+      riskLevel = 'Medium';
+    }
+
+    return {
+      riskLevel,
+      riskScore,
+      detectedKeywords: [...new Set(hits.map(hit => hit.keyword))],
+      hits
+    };
+  }
+
+  // Evaluate against rules that have not been saved yet (admin rule testing)
+  evaluateWith(ruleDefinitions, clauseText, documentType) {
+    const rules = ruleDefinitions.map(rule => this.compile(rule)).filter(Boolean);
+    return this.evaluate(clauseText, documentType, rules);
+  }
+}
+
+module.exports = new RulesEngine();
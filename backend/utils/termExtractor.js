@@ -0,0 +1,376 @@
+// Typed values in contract text, each with the span it came from:
+// money (₹ / Rs. / INR, $, €, £ with Indian digit grouping, lakh/crore and
+// written-out numbers), durations, percentages, dates and counts
+// ("2 parking slots"). Used for key facts and for comparing clauses.
+
+const SMALL_NUMBERS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const SCALES = {
+  thousand: 1e3, k: 1e3, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5,
+  million: 1e6, crore: 1e7, crores: 1e7, billion: 1e9
+};
+
+const NUMBER_WORD = `${Object.keys(SMALL_NUMBERS).join('|')}|hundred|thousand|lakhs?|lacs?|crores?|million|billion`;
+const WORDS = `\\b(?:${NUMBER_WORD})(?:(?:[\\s-]+|\\s+and\\s+)(?:${NUMBER_WORD}))*\\b`;
+const DIGITS = '\\d+(?:,\\d{2,3})*(?:\\.\\d+)?(?:\\s*(?:thousand|lakhs?|lacs?|crores?|million|billion|k)\\b)?';
+const NUMBER_PATTERN = new RegExp(`(${DIGITS})|(${WORDS})`, 'gi');
+
+const CURRENCIES = [
+  { code: 'INR', regex: /^(?:₹|rs\.?|inr|rupees?)$/i },
+  { code: 'USD', regex: /^(?:\$|us\$|usd|dollars?)$/i },
+  { code: 'EUR', regex: /^(?:€|eur|euros?)$/i },
+  { code: 'GBP', regex: /^(?:£|gbp|pounds?)$/i }
+];
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£' };
+const CURRENCY_BEFORE = /(₹|\brs\.?|\binr|\brupees|us\$|\$|\busd|€|\beur|£|\bgbp)\s*$/i;
+const CURRENCY_AFTER = /^\s*(?:\/-)?\s*(rupees?|rs\.?|inr|dollars?|usd|euros?|eur|pounds?|gbp)\b(?:\s+only\b)?(?:\s*\/-)?/i;
+// "Rs. 15,000/- (Rupees Fifteen Thousand Only)": the same amount in words
+const REPEATED_AMOUNT_GAP = /^[\s/\-()]*(?:₹|rs\.?|inr|rupees?|us\$|\$|usd|dollars?|€|eur|euros?|£|gbp|pounds?)?[\s(]*$/i;
+// "per month", "p.m.", "/month", "a year", "per annum"
+// "monthly rent of Rs. 18,000", "annual CTC of Rs. 12 lakh"
+const PERIOD_BEFORE = /\b(daily|weekly|monthly|annual|yearly)\b[^.;\n]{0,30}$/i;
+const MONEY_PERIOD = /^(?:[\s)]|\/-|only\b)*(?:(?:(?:per|a|an|every|each)\s+|\/\s*)(day|week|month|annum|year)\b|(p\.\s?m\.?|p\.\s?a\.?)(?=\W|$))/i;
+
+const DURATION_AFTER = /^\s*(?:\([\w\s-]{1,30}\)\s*)?(?:calendar\s+|working\s+|business\s+|clear\s+)?(days?|weeks?|months?|years?)(?:'s)?\b/i;
+const DAYS_PER_UNIT = { day: 1, week: 7, month: 30, year: 365 };
+
+const PERCENT_AFTER = /^\s*(?:%|per\s?cent\b|percent(?:age)?\b)/i;
+
+// A number of things: "2 parking slots", "three keys"
+const COUNT_AFTER = /^[ \t]+([a-z][a-z-]{2,})(?:[ \t]+([a-z][a-z-]{2,})\b)?/i;
+const NOT_COUNTED = new Set(['of', 'and', 'the', 'for', 'per', 'only', 'from', 'with', 'shall', 'will',
+  'may', 'are', 'was', 'were', 'has', 'have', 'hereof', 'herein', 'hereto', 'above', 'below',
+  'each', 'whichever', 'onwards', 'thereafter', 'times']);
+// Numbers that refer to a part of the document rather than a quantity
+const REFERENCE_BEFORE = /\b(?:clause|section|article|schedule|annexure|appendix|para(?:graph)?|page|rule|no\.?|number)\s*$/i;
+
+// Words that say what a value is for (regex sources)
+const AMOUNT_LABELS = [
+  ['security deposit', 'deposit'], ['deposit', 'deposit'], ['advance', 'deposit'],
+  ['maintenance', 'maintenance'], ['maintenance charges', 'maintenance'], ['rent', 'rent'], ['license fee', 'rent'],
+  ['salary', 'salary'], ['remuneration', 'salary'], ['ctc', 'salary'], ['stipend', 'salary'],
+  ['loan amount', 'loan'], ['principal', 'loan'], ['loan', 'loan'],
+  ['emi', 'instalment'], ['instalment', 'instalment'], ['installment', 'instalment'],
+  ['penalty', 'penalty'], ['late fee', 'penalty'], ['fine', 'penalty'], ['interest', 'interest'],
+  ['brokerage', 'fee'], ['processing fee', 'fee'], ['fee', 'fee'], ['charges', 'fee']
+];
+const DURATION_LABELS = [
+  ['notice', 'notice'], ['deposit', 'deposit'], ['lock-in', 'lock-in'], ['lock in', 'lock-in'], ['probation', 'probation'],
+  ['tenure', 'term'], ['term\\b', 'term'], ['tenancy', 'term'], ['lease', 'term'], ['duration', 'term'],
+  ['grace', 'grace period'], ['within', 'deadline'], ['non-compete', 'non-compete']
+];
+const PERCENT_LABELS = [
+  ['interest', 'interest'], ['escalation', 'escalation'], ['increase', 'escalation'], ['hike', 'escalation'],
+  ['increment', 'escalation'], ['penalty', 'penalty'], ['late', 'penalty'], ['commission', 'commission'],
+  ['brokerage', 'commission'], ['gst', 'tax'], ['tax', 'tax'], ['tds', 'tax'], ['discount', 'discount']
+];
+const DATE_LABELS = [
+  ['commenc', 'start'], ['effective', 'start'], ['start', 'start'], ['from', 'start'], ['to\\s*$', 'end'],
+  ['expir', 'end'], ['terminat', 'end'], ['until', 'end'], ['till', 'end'], ['end(?:s|ing)\\b', 'end'],
+  ['executed', 'signed'], ['signed', 'signed'], ['dated', 'signed'], ['made on', 'signed'], ['entered into', 'signed'],
+  ['due', 'due']
+];
+
+// Words ending in a full stop that does not end the sentence ("Rs. 500", "Mr. Rao")
+const ABBREVIATIONS = new Set(['rs', 'no', 'nos', 'mr', 'mrs', 'ms', 'dr', 'sr', 'jr', 'st', 'viz', 'vs', 'ltd', 'pvt', 'co', 'inc']);
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE_PATTERNS = [
+  // 2024-01-05
+  { regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, parts: m => [m[1], m[2], m[3]] },
+  // 05/01/2024, 05-01-2024, 05.01.2024 (day first, as written in India)
+  { regex: /\b(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4})\b/g, parts: m => [m[3], m[2], m[1]] },
+  // 5th January 2024, 5 Jan, 2024, 5th day of January, 2024
+  {
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?${MONTH}\\.?,?\\s+(\\d{4})\\b`, 'gi'),
+    parts: m => [m[3], m[2], m[1]]
+  },
+  // January 5, 2024
+  {
+    regex: new RegExp(`\\b${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'),
+    parts: m => [m[3], m[1], m[2]]
+  }
+];
+
+class TermExtractor {
+  // Value of a number written out in words, e.g. "one lakh fifty thousand"
+  wordsToNumber(words) {
+    let total = 0;
+    let current = 0;
+    words.toLowerCase().split(/[\s-]+/).forEach(word => {
+      if (word === 'and') return;
+      if (SMALL_NUMBERS[word] !== undefined) {
+        current += SMALL_NUMBERS[word];
+      } else if (word === 'hundred') {
+        current = (current || 1) * 100;
+      } else if (SCALES[word]) {
+        total += (current || 1) * SCALES[word];
+        current = 0;
+      }
+    });
+    return total + current;
+  }
+
+  // Value of "1,50,000", "15000.50", "1.5 lakh" or "15k"
+  digitsToNumber(digits) {
+    const match = digits.toLowerCase().match(/^([\d,]+(?:\.\d+)?)\s*([a-z]+)?$/);
+    if (!match) return null;
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    return match[2] ? value * SCALES[match[2]] : value;
+  }
+
+  currencyCode(symbol) {
+    const currency = CURRENCIES.find(({ regex }) => regex.test(symbol.trim()));
+    return currency ? currency.code : null;
+  }
+
+  moneyPeriod(after, before) {
+    if (after && after[1]) return after[1].toLowerCase() === 'annum' ? 'year' : after[1].toLowerCase();
+    if (after) return /^p\.\s?m/i.test(after[2]) ? 'month' : 'year';
+    const adjective = before[1].toLowerCase();
+    return { daily: 'day', weekly: 'week', monthly: 'month' }[adjective] || 'year';
+  }
+
+  // Offsets in text where a sentence ends: after a full stop, question or
+  // exclamation mark followed by a capital, or after a semicolon
+  sentenceBreaks(text) {
+    return [...text.matchAll(/([\p{L}\p{N}]*)([.!?;])\s+/gu)]
+      .filter(match => match[2] === ';' || (
+        /\p{Lu}/u.test(text[match.index + match[0].length] || '') &&
+        !ABBREVIATIONS.has(match[1].toLowerCase()) &&
+        !/^\p{L}$/u.test(match[1]) // initials
+      ))
+      .map(match => match.index + match[1].length + 1);
+  }
+
+  // The label for the text between start and end, from keywords in the same
+  // sentence: one right after it ("30 days' notice"), else the closest one
+  // before it ("security deposit of Rs. 50,000"), else the closest one after
+  // it. On ties the longer keyword wins ("late fee" over "fee"). Dates only
+  // look back: in "from X until Y" the "until" belongs to Y.
+  labelAt(text, start, end, labels, { lookAhead = true } = {}) {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = text.indexOf('\n', end);
+    const windowStart = Math.max(lineStart, start - 120);
+    const windowEnd = Math.min(lineEnd < 0 ? text.length : lineEnd, end + 60);
+    const from = Math.max(windowStart, ...this.sentenceBreaks(text.slice(windowStart, end))
+      .map(offset => windowStart + offset)
+      .filter(offset => offset <= start));
+    const to = Math.min(windowEnd, ...this.sentenceBreaks(text.slice(end, windowEnd))
+      .map(offset => end + offset));
+    const before = text.slice(from, start).toLowerCase();
+    const after = text.slice(end, to).toLowerCase();
+    const matches = source => labels.flatMap(([keyword, label]) => (
+      [...source.matchAll(new RegExp(`\\b${keyword}`, 'g'))].map(match => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        label
+      }))
+    ));
+
+    const following = lookAhead ? matches(after).sort((a, b) => a.start - b.start || b.end - a.end) : [];
+    if (following.length > 0 && following[0].start <= 3 && !/[.;:]/.test(after.slice(0, following[0].start))) {
+      return following[0].label;
+    }
+
+    const preceding = matches(before).sort((a, b) => b.end - a.end || (b.end - b.start) - (a.end - a.start));
+    if (preceding.length > 0) return preceding[0].label;
+
+    return following.length > 0 ? following[0].label : null;
+  }
+
+  extractDates(text) {
+    const dates = [];
+    const seen = new Set();
+
+    DATE_PATTERNS.forEach(({ regex, parts }) => {
+      const pattern = new RegExp(regex.source, regex.flags);
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        let [year, month, day] = parts(match);
+        month = /^\d+$/.test(month)
+          ? parseInt(month)
+          : MONTHS.findIndex(name => name.startsWith(month.toLowerCase().slice(0, 3))) + 1;
+        day = parseInt(day);
+        year = parseInt(year);
+
+        // 12/25/2024 can only be month first
+        if (month > 12 && day <= 12) [month, day] = [day, month];
+        const value = new Date(Date.UTC(year, month - 1, day));
+        if (month < 1 || month > 12 || value.getUTCDate() !== day) continue;
+
+        if (seen.has(match.index)) continue;
+        seen.add(match.index);
+
+        const end = match.index + match[0].length;
+        dates.push({
+          type: 'date',
+          text: match[0],
+          value,
+          label: this.labelAt(text, match.index, end, DATE_LABELS, { lookAhead: false }),
+          start: match.index,
+          end
+        });
+      }
+    });
+
+    return dates.sort((a, b) => a.start - b.start);
+  }
+
+  // Money, durations, percentages and counts share the number scanner: what
+  // follows or precedes a number (a currency, a time unit, "%" or a noun)
+  // decides its type. Numbers inside dates are skipped.
+  extractNumbers(text, dates) {
+    const terms = [];
+    const pattern = new RegExp(NUMBER_PATTERN.source, NUMBER_PATTERN.flags);
+    let previousMoney = null;
+    let nextDate = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      while (nextDate < dates.length && dates[nextDate].end <= start) nextDate++;
+      if (nextDate < dates.length && dates[nextDate].start <= start) {
+        pattern.lastIndex = dates[nextDate].end;
+        continue;
+      }
+
+      const value = match[1] ? this.digitsToNumber(match[1]) : this.wordsToNumber(match[2]);
+      if (value === null || Number.isNaN(value)) continue;
+
+      const rest = text.slice(pattern.lastIndex, pattern.lastIndex + 40);
+      const prefix = text.slice(Math.max(0, start - 12), start).match(CURRENCY_BEFORE);
+      const suffix = rest.match(CURRENCY_AFTER);
+
+      if (prefix || suffix) {
+        let end = pattern.lastIndex;
+        let moneyStart = start;
+        if (suffix) end += suffix[0].length;
+        if (prefix) moneyStart = start - prefix[0].length;
+
+        const isRepeat = previousMoney && previousMoney.value === value && moneyStart - previousMoney.end <= 20 &&
+          REPEATED_AMOUNT_GAP.test(text.slice(previousMoney.end, moneyStart));
+
+        if (isRepeat) {
+          previousMoney.end = end;
+        } else {
+          previousMoney = {
+            type: 'money',
+            text: text.slice(moneyStart, end).trim(),
+            value,
+            currency: this.currencyCode(prefix ? prefix[1] : suffix[1]),
+            period: null,
+            label: this.labelAt(text, moneyStart, end, AMOUNT_LABELS),
+            start: moneyStart,
+            end
+          };
+          terms.push(previousMoney);
+        }
+
+        const period = text.slice(end, end + 30).match(MONEY_PERIOD);
+        const periodBefore = text.slice(Math.max(0, previousMoney.start - 50), previousMoney.start).match(PERIOD_BEFORE);
+        if (period || periodBefore) previousMoney.period = this.moneyPeriod(period, periodBefore);
+        if (period) end += period[0].length;
+        pattern.lastIndex = end;
+        continue;
+      }
+
+      const unit = rest.match(DURATION_AFTER);
+      if (unit) {
+        const end = pattern.lastIndex + unit[0].length;
+        const name = unit[1].toLowerCase().replace(/s$/, '');
+        terms.push({
+          type: 'duration',
+          text: text.slice(start, end).trim(),
+          value,
+          unit: name,
+          days: value * DAYS_PER_UNIT[name],
+          label: this.labelAt(text, start, end, DURATION_LABELS),
+          start,
+          end
+        });
+        pattern.lastIndex = end;
+        continue;
+      }
+
+      const percent = rest.match(PERCENT_AFTER);
+      if (percent) {
+        const end = pattern.lastIndex + percent[0].length;
+        terms.push({
+          type: 'percentage',
+          text: text.slice(start, end).trim(),
+          value,
+          label: this.labelAt(text, start, end, PERCENT_LABELS),
+          start,
+          end
+        });
+        pattern.lastIndex = end;
+        continue;
+      }
+
+      // Counts: whole numbers followed by a noun, outside references such
+      // as "Clause 5"; a written "one" is too common to count
+      const noun = rest.match(COUNT_AFTER);
+      if (noun && Number.isInteger(value) && value >= (match[1] ? 0 : 2) &&
+          !NOT_COUNTED.has(noun[1].toLowerCase()) &&
+          !REFERENCE_BEFORE.test(text.slice(Math.max(0, start - 12), start))) {
+        // "parking slots" but not "keys as"
+        const compound = noun[2] && !/s$/i.test(noun[1]) && !NOT_COUNTED.has(noun[2].toLowerCase());
+        const end = pattern.lastIndex + (compound ? noun[0].length : noun[0].indexOf(noun[1]) + noun[1].length);
+        const unit = (compound ? `${noun[1]} ${noun[2]}` : noun[1]).toLowerCase();
+        terms.push({
+          type: 'count',
+          text: text.slice(start, end).trim(),
+          value,
+          unit,
+          label: unit,
+          start,
+          end
+        });
+        pattern.lastIndex = end;
+      }
+    }
+
+    return terms;
+  }
+
+  // All typed terms in the text, in order:
+  // { type: 'money' | 'duration' | 'percentage' | 'date' | 'count', text,
+  //   value, label, start, end } plus currency and period for money,
+  // unit and days for durations and unit for counts. A money span also
+  // covers the amount repeated in words; text is the first mention.
+  extract(text) {
+    const source = text || '';
+    const dates = this.extractDates(source);
+    return [...dates, ...this.extractNumbers(source, dates)].sort((a, b) => a.start - b.start);
+  }
+
+  // Readable value, e.g. "₹15,000/month", "2 months", "12%", "1 April 2024"
+  format(term) {
+    const plural = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'}`;
+    switch (term.type) {
+      case 'money': {
+        const symbol = CURRENCY_SYMBOLS[term.currency] || '';
+        const amount = term.value.toLocaleString(term.currency === 'INR' ? 'en-IN' : 'en-US', { maximumFractionDigits: 2 });
+        return `${symbol}${amount}${term.period ? `/${term.period}` : ''}`;
+      }
+      case 'duration':
+        return plural(term.value, term.unit);
+      case 'percentage':
+        return `${term.value}%`;
+      case 'date':
+        return term.value.toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+      default:
+        return `${term.value} ${term.unit}`;
+    }
+  }
+}
+
+module.exports = new TermExtractor();
@@ -0,0 +1,137 @@
+// Line diffs between versions of a document's extracted text.
+// Hunks record the removed and added lines with their line numbers, so a
+// version can be rebuilt from either neighbour.
+
+// Beyond this many differing lines the edit is treated as a full rewrite
+const MAX_EDIT_DISTANCE = 2000;
+
+class TextDiff {
+  splitLines(text) {
+    return text.length === 0 ? [] : text.split('\n');
+  }
+
+  // Myers' O(ND) shortest edit script over two arrays of lines.
+  // Returns a list of { type: 'equal' | 'delete' | 'insert', line } or null
+  // when the arrays differ by more than maxDistance lines.
+  editScript(a, b, maxDistance = MAX_EDIT_DISTANCE) {
+    const max = Math.min(a.length + b.length, maxDistance);
+    const offset = max + 1;
+    let v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+      trace.push(v.slice());
+      const next = v.slice();
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < a.length && y < b.length && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        next[offset + k] = x;
+
+        if (x >= a.length && y >= b.length) {
+          return this.backtrack(trace, a, b, d, k, offset);
+        }
+      }
+      v = next;
+    }
+
+    return null;
+  }
+
+  backtrack(trace, a, b, distance, endK, offset) {
+    const script = [];
+    let x = a.length;
+    let y = b.length;
+    let k = endK;
+
+    for (let d = distance; d > 0; d--) {
+      const v = trace[d];
+      const down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+      const previousK = down ? k + 1 : k - 1;
+      const previousX = v[offset + previousK];
+      const previousY = previousX - previousK;
+
+      while (x > previousX && y > previousY) {
+        script.push({ type: 'equal', line: a[--x] });
+        y--;
+      }
+      if (down) {
+        script.push({ type: 'insert', line: b[--y] });
+      } else {
+        script.push({ type: 'delete', line: a[--x] });
+      }
+      k = previousK;
+    }
+
+    while (x > 0 && y > 0) {
+      script.push({ type: 'equal', line: a[--x] });
+      y--;
+    }
+
+    return script.reverse();
+  }
+
+  // Returns { hunks, added, removed }. Each hunk is
+  // { oldStart, oldLines, newStart, newLines } with 0-based line numbers.
+  diff(oldText, newText) {
+    const a = this.splitLines(oldText);
+    const b = this.splitLines(newText);
+    const script = this.editScript(a, b);
+
+    if (!script) {
+      return {
+        hunks: [{ oldStart: 0, oldLines: a, newStart: 0, newLines: b }],
+        added: b.length,
+        removed: a.length
+      };
+    }
+
+    const hunks = [];
+    let oldLine = 0;
+    let newLine = 0;
+    let current = null;
+
+    script.forEach(({ type, line }) => {
+      if (type === 'equal') {
+        current = null;
+        oldLine++;
+        newLine++;
+        return;
+      }
+
+      if (!current) {
+        current = { oldStart: oldLine, oldLines: [], newStart: newLine, newLines: [] };
+        hunks.push(current);
+      }
+      if (type === 'delete') {
+        current.oldLines.push(line);
+        oldLine++;
+      } else {
+        current.newLines.push(line);
+        newLine++;
+      }
+    });
+
+    return {
+      hunks,
+      added: hunks.reduce((sum, hunk) => sum + hunk.newLines.length, 0),
+      removed: hunks.reduce((sum, hunk) => sum + hunk.oldLines.length, 0)
+    };
+  }
+
+  // Rebuild the older text from the newer one and the hunks between them
+  revert(newText, hunks) {
+    const lines = this.splitLines(newText);
+    [...hunks].reverse().forEach(hunk => {
+      lines.splice(hunk.newStart, hunk.newLines.length, ...hunk.oldLines);
+    });
+    return lines.join('\n');
+  }
+}
+
+module.exports = new TextDiff();
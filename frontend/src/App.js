@@ -51,6 +51,7 @@ function App() {
           <Route path="upload" element={<DocumentUpload />} />
           <Route path="documents/:id" element={<DocumentViewer />} />
           <Route path="compare" element={<DocumentComparison />} />
+          <Route path="compare/:comparisonId" element={<DocumentComparison />} />
           <Route path="history" element={<DocumentHistory />} />
           <Route path="profile" element={<Profile />} />
         </Route>
@@ -0,0 +1,71 @@
+import React from 'react';
+import clsx from 'clsx';
+
+const riskDotClass = (risk) => {
+  switch (risk) {
+    case 'High': return 'bg-red-500';
+    case 'Medium': return 'bg-yellow-500';
+    case 'Low': return 'bg-green-500';
+    default: return 'bg-gray-300';
+  }
+};
+
+// Group outline nodes by parent so the tree can be rendered recursively
+const buildChildren = (outline) => {
+  const children = {};
+  outline.forEach(node => {
+    const key = node.parentId || 'root';
+    if (!children[key]) children[key] = [];
+    children[key].push(node);
+  });
+  return children;
+};
+
+const nodeTitle = (node, clause) => {
+  const title = [node.label, node.heading].filter(Boolean).join(' ');
+  if (title) return title;
+  if (clause) return clause.clause.length > 40 ? `${clause.clause.substring(0, 40)}...` : clause.clause;
+  return 'Untitled section';
+};
+
+const ClauseOutline = ({ outline, clauses, onSelect }) => {
+  if (!outline || outline.length === 0) return null;
+
+  const children = buildChildren(outline);
+
+  const renderNodes = (nodes) => (
+    <ul className="space-y-1">
+      {nodes.map(node => {
+        const clause = node.clauseIndex !== null && node.clauseIndex !== undefined
+          ? clauses[node.clauseIndex]
+          : null;
+
+        return (
+          <li key={node.id}>
+            {clause ? (
+              <button
+                type="button"
+                onClick={() => onSelect(node.clauseIndex)}
+                className="flex items-start w-full text-left text-sm text-gray-700 hover:text-primary-600"
+              >
+                <span className={clsx('mt-1.5 mr-2 h-2 w-2 flex-shrink-0 rounded-full', riskDotClass(clause.final_risk))} />
+                <span className={clsx(node.kind === 'definition' && 'italic')}>{nodeTitle(node, clause)}</span>
+              </button>
+            ) : (
+              <span className="block text-sm font-medium text-gray-900">{nodeTitle(node)}</span>
+            )}
+            {children[node.id] && (
+              <div className="ml-3 mt-1 border-l border-gray-200 pl-2">
+                {renderNodes(children[node.id])}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  return renderNodes(children.root || []);
+};
+
+export default ClauseOutline;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Link } from 'react-router-dom';
+import {
+  ArrowPathRoundedSquareIcon,
+  EyeIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline';
+import { comparisonsAPI } from '../services/api';
+import LoadingSpinner from './UI/LoadingSpinner';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+
+// Saved comparisons, newest first, each re-opened at /compare/:id
+const ComparisonHistory = () => {
+  const queryClient = useQueryClient();
+  const [currentPage, setCurrentPage] = useState(1);
+
+  const { data, isLoading } = useQuery(
+    ['comparisons', { page: currentPage }],
+    () => comparisonsAPI.getAll({ page: currentPage, limit: 5 }),
+    {
+      keepPreviousData: true,
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (id) => comparisonsAPI.delete(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('comparisons');
+        toast.success('Comparison deleted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete comparison');
+      },
+    }
+  );
+
+  const comparisons = data?.data?.comparisons || [];
+  const pages = data?.data?.pages || 1;
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-md">
+      <div className="px-4 py-4 sm:px-6 border-b border-gray-200">
+        <h2 className="text-lg font-medium text-gray-900">Saved Comparisons</h2>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <LoadingSpinner size="md" />
+        </div>
+      ) : comparisons.length > 0 ? (
+        <>
+          <ul className="divide-y divide-gray-200">
+            {comparisons.map((comparison) => (
+              <li key={comparison.id} className="px-4 py-4 sm:px-6 hover:bg-gray-50">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center min-w-0 flex-1">
+                    <ArrowPathRoundedSquareIcon className="h-8 w-8 text-gray-400 mr-4" />
+                    <div className="min-w-0 flex-1">
+                      <h3 className="text-sm font-medium text-gray-900 truncate">
+                        {comparison.title}
+                      </h3>
+                      <div className="mt-1 flex items-center space-x-4 text-sm text-gray-500">
+                        <span>
+                          {comparison.type === 'matrix' ? 'Clause matrix' : 'Side by side'}
+                        </span>
+                        <span>•</span>
+                        <span>{comparison.sources.length} documents</span>
+                        <span>•</span>
+                        <span>
+                          {format(new Date(comparison.createdAt), 'MMM d, yyyy')}
+                        </span>
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Link
+                      to={`/compare/${comparison.id}`}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                    >
+                      <EyeIcon className="h-4 w-4 mr-1" />
+                      Open
+                    </Link>
+                    <button
+                      type="button"
+                      onClick={() => deleteMutation.mutate(comparison.id)}
+                      disabled={deleteMutation.isLoading}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-xs font-medium rounded text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                    >
+                      <TrashIcon className="h-4 w-4 mr-1" />
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {pages > 1 && (
+            <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
+              <button
+                onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                disabled={currentPage === 1}
+                className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <p className="text-sm text-gray-700">
+                Page <span className="font-medium">{currentPage}</span> of{' '}
+                <span className="font-medium">{pages}</span>
+              </p>
+              <button
+                onClick={() => setCurrentPage(Math.min(pages, currentPage + 1))}
+                disabled={currentPage === pages}
+                className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="text-center py-8">
+          <p className="text-sm text-gray-500">Comparisons you run are saved here.</p>
+          <div className="mt-4">
+            <Link to="/compare" className="btn-secondary">
+              Compare Documents
+            </Link>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonHistory;
@@ -0,0 +1,121 @@
+import React from 'react';
+import clsx from 'clsx';
+
+const riskBadgeClass = (risk) => {
+  switch (risk) {
+    case 'High': return 'badge-danger';
+    case 'Medium': return 'badge-warning';
+    case 'Low': return 'badge-success';
+    default: return 'badge-gray';
+  }
+};
+
+const basisLabel = {
+  term: 'Ranked on the key term',
+  risk: 'Ranked on risk',
+};
+
+// Clause matrix for three or more documents: one row per aligned clause,
+// one column per document, with the best and worst clause of each row
+// highlighted
+const ComparisonMatrix = ({ comparison }) => {
+  const documents = comparison?.documents || [];
+  const matrix = comparison?.matrix || [];
+
+  if (matrix.length === 0) {
+    return <div>No comparison data available</div>;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-900">Clause Matrix</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Matching clauses are lined up across all documents. In each row the
+          best clause for you is <span className="text-green-700 font-medium">green</span> and
+          the worst is <span className="text-red-700 font-medium">red</span>, judged on the
+          key amount or period where the documents state one, otherwise on risk.
+        </p>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Clause
+              </th>
+              {documents.map((doc, index) => (
+                <th key={doc.id} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <div>Document {index + 1}</div>
+                  <div className="normal-case font-normal text-gray-700 truncate max-w-xs" title={doc.title}>
+                    {doc.title}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {matrix.map((row, rowIndex) => (
+              <tr key={rowIndex}>
+                <td className="px-4 py-4 align-top">
+                  <div className="text-sm font-medium text-gray-900">{row.clauseType}</div>
+                  {row.basis && (
+                    <div className="text-xs text-gray-500 mt-1">{basisLabel[row.basis]}</div>
+                  )}
+                </td>
+                {row.cells.map((cell, index) => {
+                  const isBest = row.best.includes(index);
+                  const isWorst = row.worst.includes(index);
+                  return (
+                    <td
+                      key={index}
+                      className={clsx(
+                        'px-4 py-4 align-top text-sm',
+                        isBest && 'bg-green-50 border-l-4 border-green-400',
+                        isWorst && 'bg-red-50 border-l-4 border-red-400'
+                      )}
+                    >
+                      {cell ? (
+                        <div className="space-y-2">
+                          {(isBest || isWorst) && (
+                            <span className={clsx('badge', isBest ? 'badge-success' : 'badge-danger')}>
+                              {isBest ? 'Best' : 'Worst'}
+                            </span>
+                          )}
+                          {cell.keyTerm && (
+                            <p className="font-semibold text-gray-900">{cell.keyTerm}</p>
+                          )}
+                          <p className="text-gray-700" title={cell.fullText}>{cell.text}</p>
+                          <span className={clsx('badge', riskBadgeClass(cell.risk))}>{cell.risk} Risk</span>
+                        </div>
+                      ) : (
+                        <span className="text-gray-400 italic">Not present</span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="bg-gray-50">
+            <tr>
+              <td className="px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Best / Worst
+              </td>
+              {documents.map((doc) => (
+                <td key={doc.id} className="px-4 py-3 text-sm">
+                  <span className="text-green-700 font-medium">{doc.bestCount} best</span>
+                  <span className="text-gray-400 mx-1">/</span>
+                  <span className="text-red-700 font-medium">{doc.worstCount} worst</span>
+                </td>
+              ))}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonMatrix;
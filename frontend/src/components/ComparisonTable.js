@@ -1,5 +1,35 @@
 import React from 'react';
 
+const redlineStyles = {
+  insert: 'underline decoration-2 text-green-700 bg-green-50',
+  delete: 'line-through text-red-700 bg-red-50',
+  moveFrom: 'line-through text-blue-700 bg-blue-50',
+  moveTo: 'underline decoration-double text-blue-700 bg-blue-50',
+};
+
+const redlineTitles = {
+  insert: 'Added in Document 2',
+  delete: 'Removed from Document 1',
+  moveFrom: 'Moved from here',
+  moveTo: 'Moved here',
+};
+
+// Clause text with Document 2's insertions underlined, Document 1's
+// deletions struck through and moved phrases in blue
+const Redline = ({ redline }) => (
+  <p className="text-sm text-gray-900 leading-relaxed whitespace-pre-wrap">
+    {redline.segments.map((segment, index) => (
+      segment.type === 'equal' ? (
+        <span key={index}>{segment.text}</span>
+      ) : (
+        <span key={index} className={redlineStyles[segment.type]} title={redlineTitles[segment.type]}>
+          {segment.text}
+        </span>
+      )
+    ))}
+  </p>
+);
+
 const ComparisonTable = ({ comparisonData }) => {
   if (!comparisonData || !comparisonData.clauseByClauseComparison) {
     return <div>No comparison data available</div>;
@@ -26,6 +56,15 @@ const ComparisonTable = ({ comparisonData }) => {
     );
   };
 
+  // How similar the paired clauses are; rows with one clause have no score
+  const getMatchLabel = (confidence) => {
+    if (confidence === null || confidence === undefined) return null;
+    const percent = Math.round(confidence * 100);
+    if (confidence >= 0.6) return { text: `Strong match (${percent}%)`, className: 'text-green-700' };
+    if (confidence >= 0.35) return { text: `Partial match (${percent}%)`, className: 'text-yellow-700' };
+    return { text: `Weak match (${percent}%)`, className: 'text-red-700' };
+  };
+
   return (
     <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
       <div className="px-6 py-4 border-b border-gray-200">
@@ -33,8 +72,13 @@ const ComparisonTable = ({ comparisonData }) => {
           Clause-by-Clause Comparison
         </h3>
         <p className="text-sm text-gray-600 mt-1">
-          Detailed comparison of each clause type between the two documents
+          Clauses are paired by how similar their text is, with the confidence of each pairing
         </p>
+        <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+          <span><span className={redlineStyles.insert}>Added</span> in Document 2</span>
+          <span><span className={redlineStyles.delete}>Removed</span> from Document 1</span>
+          <span><span className={redlineStyles.moveTo}>Moved</span> text</span>
+        </div>
       </div>
 
       <div className="overflow-x-auto">
@@ -42,7 +86,7 @@ const ComparisonTable = ({ comparisonData }) => {
           <thead className="bg-gray-50">
             <tr>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                Clause Type
+                Clause
               </th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Document 1
@@ -59,12 +103,19 @@ const ComparisonTable = ({ comparisonData }) => {
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {comparisonData.clauseByClauseComparison.map((comparison, index) => (
+            {comparisonData.clauseByClauseComparison.map((comparison, index) => {
+              const match = getMatchLabel(comparison.matchConfidence);
+              return (
               <tr key={index} className="hover:bg-gray-50">
                 <td className="px-6 py-4 whitespace-nowrap">
                   <div className="text-sm font-medium text-gray-900">
                     {comparison.clauseType}
                   </div>
+                  {match && (
+                    <div className={`text-xs mt-1 ${match.className}`}>
+                      {match.text}
+                    </div>
+                  )}
                 </td>
                 <td className="px-6 py-4">
                   <div className="text-sm text-gray-900">
@@ -105,6 +156,11 @@ const ComparisonTable = ({ comparisonData }) => {
                 <td className="px-6 py-4">
                   <div className="text-sm text-gray-900">
                     <p className="mb-2 font-medium">{comparison.difference}</p>
+                    {comparison.redline && (
+                      <div className="mb-2 p-2 rounded border border-gray-200 bg-white">
+                        <Redline redline={comparison.redline} />
+                      </div>
+                    )}
                     <p className="text-gray-600 italic">{comparison.plainEnglish}</p>
                   </div>
                 </td>
@@ -112,7 +168,8 @@ const ComparisonTable = ({ comparisonData }) => {
                   {getRiskBadge(comparison.overallRisk)}
                 </td>
               </tr>
-            ))}
+              );
+            })}
           </tbody>
         </table>
       </div>
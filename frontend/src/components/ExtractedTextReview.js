@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from './UI/LoadingSpinner';
+
+// Shows the text extracted from a document so the user can fix OCR mistakes
+// before analysis. Documents whose text scored poorly must go through this.
+const ExtractedTextReview = ({ document, onSave, onCancel, isSaving }) => {
+  const [text, setText] = useState(document.extractedText || '');
+  const quality = document.textQuality;
+  const needsReview = document.status === 'needs_review';
+  const isChanged = text !== (document.extractedText || '');
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      {needsReview && (
+        <div className="flex items-start p-4 mb-4 rounded-md bg-yellow-50 border border-yellow-200">
+          <ExclamationTriangleIcon className="h-5 w-5 text-yellow-500 mr-3 flex-shrink-0" />
+          <div>
+            <h3 className="text-sm font-medium text-yellow-800">
+              The extracted text needs your review before analysis
+            </h3>
+            <p className="mt-1 text-sm text-yellow-700">
+              Quality score: {quality?.score ?? 0}/100. Correct any misread words below, then save to continue.
+            </p>
+            {quality?.issues?.length > 0 && (
+              <ul className="mt-2 text-sm text-yellow-700 list-disc list-inside">
+                {quality.issues.map(issue => (
+                  <li key={issue}>{issue}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      <label htmlFor="extracted-text" className="form-label">
+        Extracted text
+      </label>
+      <textarea
+        id="extracted-text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={20}
+        className="form-input font-mono text-sm"
+        disabled={isSaving}
+      />
+
+      <div className="mt-4 flex justify-end space-x-3">
+        {onCancel && (
+          <button type="button" onClick={onCancel} disabled={isSaving} className="btn-secondary">
+            Cancel
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => onSave(text)}
+          disabled={isSaving || !text.trim() || (!isChanged && !needsReview)}
+          className="btn-primary"
+        >
+          {isSaving ? <LoadingSpinner size="sm" /> : needsReview ? 'Save and continue' : 'Save text'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExtractedTextReview;
@@ -0,0 +1,62 @@
+import React from 'react';
+
+// Merge overlapping evidence spans so each character is highlighted once
+const buildSegments = (text, evidence) => {
+  const spans = (evidence || [])
+    .filter(item => item.start >= 0 && item.end > item.start && item.end <= text.length)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  spans.forEach(span => {
+    const last = merged[merged.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+      last.rules.push(span);
+    } else {
+      merged.push({ start: span.start, end: span.end, rules: [span] });
+    }
+  });
+
+  const segments = [];
+  let cursor = 0;
+  merged.forEach(span => {
+    if (span.start > cursor) {
+      segments.push({ text: text.slice(cursor, span.start) });
+    }
+    segments.push({ text: text.slice(span.start, span.end), rules: span.rules });
+    cursor = span.end;
+  });
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor) });
+  }
+
+  return segments;
+};
+
+const HighlightedClause = ({ text, evidence }) => {
+  const segments = buildSegments(text || '', evidence);
+
+  return (
+    <p className="text-sm text-gray-700 bg-gray-50 p-3 rounded">
+      {segments.map((segment, index) => (
+        segment.rules ? (
+          <mark
+            key={index}
+            className={segment.rules.some(rule => rule.contribution >= 3)
+              ? 'bg-red-100 text-red-900 rounded px-0.5'
+              : 'bg-yellow-100 text-yellow-900 rounded px-0.5'}
+            title={segment.rules
+              .map(rule => `${rule.rule}: ${rule.contribution > 0 ? '+' : ''}${rule.contribution}`)
+              .join('\n')}
+          >
+            {segment.text}
+          </mark>
+        ) : (
+          <React.Fragment key={index}>{segment.text}</React.Fragment>
+        )
+      ))}
+    </p>
+  );
+};
+
+export default HighlightedClause;
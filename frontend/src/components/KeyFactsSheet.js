@@ -0,0 +1,118 @@
+import React from 'react';
+
+const formatAmount = (amount) => {
+  if (!amount.currency || amount.value === null || amount.value === undefined) return amount.text;
+  try {
+    return new Intl.NumberFormat(amount.currency === 'INR' ? 'en-IN' : 'en-US', {
+      style: 'currency',
+      currency: amount.currency,
+      maximumFractionDigits: 2,
+    }).format(amount.value);
+  } catch (error) {
+    return amount.text;
+  }
+};
+
+const formatDate = (date) => {
+  if (!date.value) return date.text;
+  return new Date(date.value).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+};
+
+const formatDuration = (duration) => `${duration.value} ${duration.unit}${duration.value === 1 ? '' : 's'}`;
+
+const Section = ({ title, children }) => (
+  <div>
+    <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-2">{title}</h3>
+    {children}
+  </div>
+);
+
+const FactRow = ({ label, value, source }) => (
+  <li className="flex justify-between text-sm" title={source}>
+    <span className="text-gray-500 capitalize">{label || 'Other'}</span>
+    <span className="font-medium text-gray-900">{value}</span>
+  </li>
+);
+
+// Fact sheet of the parties, money, dates and durations found in a document
+const KeyFactsSheet = ({ keyFacts }) => {
+  const parties = keyFacts?.parties || [];
+  const amounts = keyFacts?.amounts || [];
+  const dates = keyFacts?.dates || [];
+  const durations = keyFacts?.durations || [];
+  const contacts = [
+    ...(keyFacts?.addresses || []),
+    ...(keyFacts?.emails || []),
+    ...(keyFacts?.phones || []),
+  ];
+
+  if (parties.length + amounts.length + dates.length + durations.length + contacts.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">No key facts were found in this document.</p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {parties.length > 0 && (
+        <Section title="Parties">
+          <ul className="space-y-1">
+            {parties.map((party, index) => (
+              <li key={index} className="flex justify-between text-sm">
+                <span className="font-medium text-gray-900">{party.name}</span>
+                {party.role && <span className="badge badge-gray">{party.role}</span>}
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      {amounts.length > 0 && (
+        <Section title="Money">
+          <ul className="space-y-1">
+            {amounts.map((amount, index) => (
+              <FactRow key={index} label={amount.label} value={formatAmount(amount)} source={amount.text} />
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      {dates.length > 0 && (
+        <Section title="Dates">
+          <ul className="space-y-1">
+            {dates.map((date, index) => (
+              <FactRow key={index} label={date.label} value={formatDate(date)} source={date.text} />
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      {durations.length > 0 && (
+        <Section title="Periods">
+          <ul className="space-y-1">
+            {durations.map((duration, index) => (
+              <FactRow key={index} label={duration.label} value={formatDuration(duration)} source={duration.text} />
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      {contacts.length > 0 && (
+        <Section title="Addresses and Contacts">
+          <ul className="space-y-1 text-sm text-gray-900">
+            {contacts.map((contact, index) => (
+              <li key={index}>{contact}</li>
+            ))}
+          </ul>
+        </Section>
+      )}
+    </div>
+  );
+};
+
+export default KeyFactsSheet;
@@ -1,29 +1,21 @@
 import React, { useState } from 'react';
 import { DocumentArrowDownIcon } from '@heroicons/react/24/outline';
-import axios from 'axios';
+import { comparisonsAPI } from '../services/api';
 
-const PDFExportButton = ({ comparisonData, documentId1, documentId2 }) => {
+// Downloads the PDF report of a saved comparison, built on the server
+const PDFExportButton = ({ comparisonId }) => {
   const [isExporting, setIsExporting] = useState(false);
 
   const handleExportPDF = async () => {
-    if (!comparisonData || !documentId1 || !documentId2) {
-      alert('Missing comparison data or document IDs');
+    if (!comparisonId) {
+      alert('This comparison has not been saved');
       return;
     }
 
     setIsExporting(true);
     
     try {
-      const response = await axios.post('/api/analysis/comparison/export-pdf', {
-        documentId1,
-        documentId2,
-        comparisonData
-      }, {
-        responseType: 'blob', // Important for PDF download
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
+      const response = await comparisonsAPI.exportPdf(comparisonId);
 
       // Create blob link to download
       const url = window.URL.createObjectURL(new Blob([response.data]));
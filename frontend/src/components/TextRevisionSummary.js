@@ -0,0 +1,100 @@
+import React from 'react';
+import clsx from 'clsx';
+
+const riskBadgeClass = (risk) => {
+  switch (risk) {
+    case 'High': return 'badge-danger';
+    case 'Medium': return 'badge-warning';
+    case 'Low': return 'badge-success';
+    default: return 'badge-gray';
+  }
+};
+
+const changeLabel = {
+  changed: 'Verdict changed',
+  added: 'New clause',
+  removed: 'Clause removed',
+};
+
+// Which clause verdicts changed when the edited text was re-analyzed, and the
+// list of text edits made so far
+const TextRevisionSummary = ({ revision, textVersions, onSelectClause }) => {
+  const changes = revision?.verdictChanges || [];
+  const versions = [...(textVersions || [])].reverse();
+
+  if (!revision && versions.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      {revision && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-900 mb-1">
+            Changes since version {revision.fromTextVersion}
+          </h3>
+          <p className="text-xs text-gray-500 mb-3">
+            {revision.reanalyzedClauses} clause(s) re-analyzed, {revision.reusedClauses} unchanged
+          </p>
+          {changes.length === 0 ? (
+            <p className="text-sm text-gray-500">No clause verdicts changed.</p>
+          ) : (
+            <ul className="space-y-3">
+              {changes.map((change, index) => {
+                const canSelect = change.change !== 'removed' && change.clauseIndex !== undefined && change.clauseIndex !== null;
+                return (
+                  <li key={`${change.segmentId}-${index}`}>
+                    <button
+                      type="button"
+                      onClick={() => canSelect && onSelectClause(change.clauseIndex)}
+                      disabled={!canSelect}
+                      className={clsx(
+                        'w-full text-left',
+                        canSelect ? 'hover:bg-gray-50 rounded' : 'cursor-default'
+                      )}
+                    >
+                      <div className="flex items-center flex-wrap gap-1 text-xs">
+                        <span className="font-medium text-gray-700 mr-1">{changeLabel[change.change]}</span>
+                        {change.previousRisk && (
+                          <span className={clsx('badge', riskBadgeClass(change.previousRisk), change.change === 'changed' && 'line-through')}>
+                            {change.previousRisk}
+                          </span>
+                        )}
+                        {change.change === 'changed' && <span className="text-gray-400">→</span>}
+                        {change.risk && (
+                          <span className={`badge ${riskBadgeClass(change.risk)}`}>{change.risk}</span>
+                        )}
+                      </div>
+                      <p className={clsx('mt-1 text-xs text-gray-600', change.change === 'removed' && 'line-through')}>
+                        {change.excerpt}
+                      </p>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {versions.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-900 mb-2">Text Versions</h3>
+          <ul className="space-y-1 text-xs text-gray-600">
+            {versions.map(version => (
+              <li key={version.version} className="flex justify-between">
+                <span>
+                  Version {version.version} • {new Date(version.editedAt).toLocaleString()}
+                </span>
+                <span>
+                  <span className="text-green-600">+{version.summary?.added || 0}</span>{' '}
+                  <span className="text-red-600">-{version.summary?.removed || 0}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TextRevisionSummary;
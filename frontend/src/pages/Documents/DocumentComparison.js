@@ -1,40 +1,124 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { useDropzone } from 'react-dropzone';
-import { useMutation } from 'react-query';
+import { useMutation, useQuery } from 'react-query';
 import {
   ArrowPathRoundedSquareIcon,
   CloudArrowUpIcon,
   DocumentTextIcon,
+  ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline';
-import { uploadFilesForComparison, analysisAPI } from '../../services/api';
+import { uploadFilesForComparison, analysisAPI, comparisonsAPI } from '../../services/api';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import ComparisonTable from '../../components/ComparisonTable';
+import ComparisonMatrix from '../../components/ComparisonMatrix';
 import SimilaritiesSection from '../../components/SimilaritiesSection';
 import PlainEnglishDifferences from '../../components/PlainEnglishDifferences';
 import PDFExportButton from '../../components/PDFExportButton';
 import toast from 'react-hot-toast';
 
+// Two documents get the side-by-side comparison, more get the clause matrix
+// (the server's MAX_COMPARE_DOCUMENTS)
+const MAX_DOCUMENTS = 5;
+
 const DocumentComparison = () => {
+  const { comparisonId } = useParams();
+  const navigate = useNavigate();
   const [uploadedDocs, setUploadedDocs] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
   const [comparison, setComparison] = useState(null);
+  // Analysis jobs the server queued for documents that were not analyzed yet
+  const [pendingJobs, setPendingJobs] = useState([]);
+
+  // Saved comparisons are re-opened from history at /compare/:comparisonId
+  const { isLoading: isOpening } = useQuery(
+    ['comparison', comparisonId],
+    () => comparisonsAPI.getById(comparisonId),
+    {
+      enabled: !!comparisonId,
+      onSuccess: (data) => setComparison(data.data.comparison),
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to load comparison');
+      },
+    }
+  );
+
+  useEffect(() => {
+    if (!comparisonId) setComparison(null);
+  }, [comparisonId]);
+
+  // Every comparison is saved; give it its own address
+  const showComparison = (saved) => {
+    setComparison(saved);
+    navigate(`/compare/${saved.id}`);
+    toast.success('Documents compared successfully!');
+  };
+
+  // Documents that still need analysis come back as 202 with their queued
+  // jobs (409 if already in the queue); the comparison is retried once the
+  // jobs complete
+  const handleCompared = (response) => {
+    if (response.status === 202) {
+      setPendingJobs(response.data.jobs.map((job) => job.id));
+      toast.success('Analyzing documents before comparing...');
+      return;
+    }
+    showComparison(response.data.comparison);
+  };
+
+  const handleCompareError = (error) => {
+    if (error.response?.status === 409 && error.response.data?.jobs) {
+      setPendingJobs(error.response.data.jobs.map((job) => job.id));
+      return;
+    }
+    toast.error(error.response?.data?.message || 'Comparison failed');
+  };
 
   const compareMutation = useMutation(
     ({ doc1Id, doc2Id }) => analysisAPI.compare(doc1Id, doc2Id),
     {
-      onSuccess: (data) => {
-        setComparison(data.data.comparison);
-        toast.success('Documents compared successfully!');
+      onSuccess: handleCompared,
+      onError: handleCompareError,
+    }
+  );
+
+  const compareManyMutation = useMutation(
+    (documentIds) => analysisAPI.compareMany(documentIds),
+    {
+      onSuccess: handleCompared,
+      onError: handleCompareError,
+    }
+  );
+
+  useQuery(
+    ['comparison-jobs', pendingJobs],
+    () => Promise.all(pendingJobs.map((jobId) => analysisAPI.getJob(jobId))),
+    {
+      enabled: pendingJobs.length > 0,
+      refetchInterval: 2000,
+      onSuccess: (responses) => {
+        const jobs = responses.map((response) => response.data.job);
+        if (jobs.some((job) => job.status === 'failed' || job.status === 'cancelled')) {
+          setPendingJobs([]);
+          toast.error('A document could not be analyzed, so the documents were not compared');
+        } else if (jobs.every((job) => job.status === 'completed')) {
+          setPendingJobs([]);
+          handleCompare();
+        }
       },
       onError: (error) => {
-        toast.error(error.response?.data?.message || 'Comparison failed');
+        setPendingJobs([]);
+        toast.error(error.response?.data?.message || 'Failed to check analysis progress');
       },
     }
   );
 
+  const isAnalyzing = pendingJobs.length > 0;
+  const isComparing = compareMutation.isLoading || compareManyMutation.isLoading || isAnalyzing;
+
   const onDrop = async (acceptedFiles) => {
-    if (acceptedFiles.length !== 2) {
-      toast.error('Please select exactly 2 documents for comparison');
+    if (acceptedFiles.length < 2 || acceptedFiles.length > MAX_DOCUMENTS) {
+      toast.error(`Please select between 2 and ${MAX_DOCUMENTS} documents for comparison`);
       return;
     }
 
@@ -54,11 +138,16 @@ const DocumentComparison = () => {
     onDrop,
     accept: {
       'application/pdf': ['.pdf'],
-      'image/*': ['.png', '.jpg', '.jpeg', '.bmp', '.tiff', '.webp']
+      'image/*': ['.png', '.jpg', '.jpeg', '.bmp', '.tiff', '.webp'],
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+      'text/plain': ['.txt'],
+      'application/rtf': ['.rtf'],
+      'text/html': ['.html', '.htm'],
+      'message/rfc822': ['.eml']
     },
-    maxFiles: 2,
+    maxFiles: MAX_DOCUMENTS,
     maxSize: 10 * 1024 * 1024, // 10MB
-    disabled: isUploading || uploadedDocs.length === 2
+    disabled: isUploading || uploadedDocs.length >= 2
   });
 
   const handleCompare = () => {
@@ -67,12 +156,16 @@ const DocumentComparison = () => {
         doc1Id: uploadedDocs[0].id,
         doc2Id: uploadedDocs[1].id,
       });
+    } else if (uploadedDocs.length > 2) {
+      compareManyMutation.mutate(uploadedDocs.map((doc) => doc.id));
     }
   };
 
   const handleReset = () => {
     setUploadedDocs([]);
     setComparison(null);
+    setPendingJobs([]);
+    if (comparisonId) navigate('/compare');
   };
 
   const getRiskColor = (risk) => {
@@ -93,11 +186,47 @@ const DocumentComparison = () => {
       <div className="mb-8">
         <h1 className="text-2xl font-bold text-gray-900">Compare Documents</h1>
         <p className="mt-2 text-sm text-gray-600">
-          Upload two legal documents to compare their terms, risks, and conditions side by side.
+          Upload two legal documents to compare their terms, risks, and conditions side by side,
+          or up to {MAX_DOCUMENTS} to see which one has the best terms clause by clause.
         </p>
       </div>
 
-      {uploadedDocs.length < 2 && (
+      {comparisonId && isOpening && (
+        <div className="flex items-center justify-center py-12">
+          <LoadingSpinner size="lg" text="Loading comparison..." />
+        </div>
+      )}
+
+      {comparisonId && !isOpening && !comparison && (
+        <div className="bg-white shadow rounded-lg p-6 mb-6 text-center">
+          <DocumentTextIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">Comparison not available</h3>
+          <p className="mt-1 text-sm text-gray-500">It may have been deleted.</p>
+          <div className="mt-6">
+            <button onClick={handleReset} className="btn-primary">
+              New Comparison
+            </button>
+          </div>
+        </div>
+      )}
+
+      {comparison?.outdatedSources?.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6 flex">
+          <ExclamationTriangleIcon className="h-5 w-5 text-yellow-600 mr-3 flex-shrink-0" />
+          <div className="text-sm text-yellow-800">
+            <p className="font-medium">This comparison may be out of date</p>
+            <ul className="mt-1 list-disc list-inside">
+              {comparison.outdatedSources.map((source) => (
+                <li key={source.documentId}>
+                  {source.title} has been {source.reason === 'deleted' ? 'deleted' : 're-analyzed'} since it was compared
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {!comparisonId && !comparison && uploadedDocs.length < 2 && (
         <div className="bg-white shadow rounded-lg p-6 mb-6">
           <div
             {...getRootProps()}
@@ -119,15 +248,15 @@ const DocumentComparison = () => {
                 <CloudArrowUpIcon className="mx-auto h-12 w-12 text-gray-400" />
                 <div>
                   <p className="text-lg font-medium text-gray-900">
-                    {isDragActive ? 'Drop the files here' : 'Drag and drop 2 documents'}
+                    {isDragActive ? 'Drop the files here' : `Drag and drop 2 to ${MAX_DOCUMENTS} documents`}
                   </p>
                   <p className="text-sm text-gray-500">
                     or <span className="text-primary-600 font-medium">browse to choose files</span>
                   </p>
                 </div>
                 <div className="text-xs text-gray-500">
-                  <p>Select exactly 2 documents to compare</p>
-                  <p>Supported formats: PDF, PNG, JPG, JPEG, BMP, TIFF, WEBP</p>
+                  <p>Select 2 documents for a side-by-side comparison, or up to {MAX_DOCUMENTS} for a clause matrix</p>
+                  <p>Supported formats: PDF, DOCX, TXT, RTF, HTML, EML, PNG, JPG, JPEG, BMP, TIFF, WEBP</p>
                   <p>Maximum file size: 10MB each</p>
                 </div>
               </div>
@@ -136,10 +265,10 @@ const DocumentComparison = () => {
         </div>
       )}
 
-      {uploadedDocs.length === 2 && !comparison && (
+      {uploadedDocs.length >= 2 && !comparison && (
         <div className="bg-white shadow rounded-lg p-6 mb-6">
           <h3 className="text-lg font-medium text-gray-900 mb-4">Documents Ready for Comparison</h3>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
             {uploadedDocs.map((doc, index) => (
               <div key={doc.id} className="border rounded-lg p-4">
                 <div className="flex items-center">
@@ -157,10 +286,15 @@ const DocumentComparison = () => {
           <div className="flex space-x-3">
             <button
               onClick={handleCompare}
-              disabled={compareMutation.isLoading}
+              disabled={isComparing}
               className="btn-primary"
             >
-              {compareMutation.isLoading ? (
+              {isAnalyzing ? (
+                <>
+                  <LoadingSpinner size="sm" />
+                  <span className="ml-2">Analyzing documents...</span>
+                </>
+              ) : isComparing ? (
                 <LoadingSpinner size="sm" />
               ) : (
                 <>
@@ -176,18 +310,59 @@ const DocumentComparison = () => {
         </div>
       )}
 
-      {comparison && (
+      {comparison?.matrix && (
+        <div className="space-y-6">
+          <div className="bg-white shadow rounded-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Comparison of {comparison.documents.length} Documents</h3>
+              <div className="flex space-x-3">
+                <PDFExportButton comparisonId={comparison.id} />
+                <button onClick={handleReset} className="btn-secondary">
+                  New Comparison
+                </button>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {comparison.documents.map((doc, index) => (
+                <div key={doc.id} className="border rounded-lg p-4">
+                  <h4 className="font-medium text-gray-900 mb-2">Document {index + 1}</h4>
+                  <p className="text-sm text-gray-600 mb-2">{doc.title}</p>
+                  <div className="flex items-center justify-between text-sm">
+                    <span>Risk Level:</span>
+                    <span className={`font-medium ${getRiskColor(doc.overallRisk)}`}>
+                      {doc.overallRisk}
+                    </span>
+                  </div>
+                  <div className="flex items-center justify-between text-sm">
+                    <span>Total Clauses:</span>
+                    <span className="font-medium">{doc.totalClauses}</span>
+                  </div>
+                  <div className="flex items-center justify-between text-sm">
+                    <span>Best / Worst Clauses:</span>
+                    <span className="font-medium">
+                      <span className="text-green-600">{doc.bestCount}</span>
+                      {' / '}
+                      <span className="text-red-600">{doc.worstCount}</span>
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <ComparisonMatrix comparison={comparison} />
+        </div>
+      )}
+
+      {comparison && !comparison.matrix && (
         <div className="space-y-6">
           {/* Enhanced Comparison Header */}
           <div className="bg-white shadow rounded-lg p-6">
             <div className="flex items-center justify-between mb-4">
               <h3 className="text-lg font-medium text-gray-900">Enhanced Comparison Results</h3>
               <div className="flex space-x-3">
-                <PDFExportButton 
-                  comparisonData={comparison}
-                  documentId1={uploadedDocs[0]?.id}
-                  documentId2={uploadedDocs[1]?.id}
-                />
+                <PDFExportButton comparisonId={comparison.id} />
                 <button onClick={handleReset} className="btn-secondary">
                   New Comparison
                 </button>
@@ -10,6 +10,7 @@ import {
 } from '@heroicons/react/24/outline';
 import { documentsAPI } from '../../services/api';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import ComparisonHistory from '../../components/ComparisonHistory';
 import { format } from 'date-fns';
 import clsx from 'clsx';
 
@@ -56,6 +57,7 @@ const DocumentHistory = () => {
       case 'analyzed':
         return 'badge-success';
       case 'processing':
+      case 'needs_review':
         return 'badge-warning';
       case 'failed':
         return 'badge-danger';
@@ -76,6 +78,7 @@ const DocumentHistory = () => {
   const statusOptions = [
     { value: '', label: 'All Status' },
     { value: 'uploaded', label: 'Uploaded' },
+    { value: 'needs_review', label: 'Needs Review' },
     { value: 'processing', label: 'Processing' },
     { value: 'analyzed', label: 'Analyzed' },
     { value: 'failed', label: 'Failed' },
@@ -114,7 +117,7 @@ const DocumentHistory = () => {
       <div>
         <h1 className="text-2xl font-bold text-gray-900">Document History</h1>
         <p className="mt-2 text-sm text-gray-600">
-          View and manage all your uploaded and analyzed documents.
+          View and manage all your uploaded and analyzed documents and saved comparisons.
         </p>
       </div>
 
@@ -198,7 +201,7 @@ const DocumentHistory = () => {
                               {document.title}
                             </h3>
                             <span className={`badge ${getStatusBadgeClass(document.status)}`}>
-                              {document.status}
+                              {document.status.replace('_', ' ')}
                             </span>
                             {document.analysis?.summary?.overallRisk && (
                               <span className={`badge ${getRiskBadgeClass(document.analysis.summary.overallRisk)}`}>
@@ -336,6 +339,8 @@ const DocumentHistory = () => {
           </div>
         )}
       </div>
+
+      <ComparisonHistory />
     </div>
   );
 };
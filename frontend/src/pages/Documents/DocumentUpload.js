@@ -1,19 +1,61 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { DocumentPlusIcon, CloudArrowUpIcon } from '@heroicons/react/24/outline';
-import { uploadFile } from '../../services/api';
+import {
+  DocumentPlusIcon,
+  CloudArrowUpIcon,
+  PhotoIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline';
+import { uploadFile, uploadPageImages } from '../../services/api';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
+import clsx from 'clsx';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 
+const MAX_PAGE_IMAGES = 20;
+
 const DocumentUpload = () => {
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [mode, setMode] = useState('file'); // 'file' or 'pages'
+  const [pages, setPages] = useState([]); // [{ id, file, preview }]
+  const pagesRef = useRef(pages);
   const navigate = useNavigate();
 
+  // Release page previews when leaving the page
+  useEffect(() => {
+    pagesRef.current = pages;
+  }, [pages]);
+  useEffect(() => () => pagesRef.current.forEach(page => URL.revokeObjectURL(page.preview)), []);
+
+  const handleUploaded = useCallback((response) => {
+    if (response.data.document.status === 'needs_review') {
+      toast.error(response.data.message);
+    } else {
+      toast.success('Document uploaded successfully!');
+    }
+    navigate(`/documents/${response.data.document.id}`);
+  }, [navigate]);
+
   const onDrop = useCallback(async (acceptedFiles) => {
     if (acceptedFiles.length === 0) return;
 
+    // In page mode files are collected first so they can be put in order
+    if (mode === 'pages') {
+      const added = acceptedFiles.slice(0, MAX_PAGE_IMAGES - pages.length).map(file => ({
+        id: `${file.name}-${file.lastModified}-${Math.random()}`,
+        file,
+        preview: URL.createObjectURL(file)
+      }));
+      if (added.length < acceptedFiles.length) {
+        toast.error(`A document can have at most ${MAX_PAGE_IMAGES} pages`);
+      }
+      setPages(current => [...current, ...added]);
+      return;
+    }
+
     const file = acceptedFiles[0];
     setIsUploading(true);
     setUploadProgress(0);
@@ -23,8 +65,7 @@ const DocumentUpload = () => {
         setUploadProgress(progress);
       });
 
-      toast.success('Document uploaded successfully!');
-      navigate(`/documents/${response.data.document.id}`);
+      handleUploaded(response);
     } catch (error) {
       console.error('Upload error:', error);
       toast.error(error.response?.data?.message || 'Upload failed');
@@ -32,19 +73,64 @@ const DocumentUpload = () => {
       setIsUploading(false);
       setUploadProgress(0);
     }
-  }, [navigate]);
+  }, [mode, pages.length, handleUploaded]);
+
+  const movePage = (index, offset) => {
+    setPages(current => {
+      const next = [...current];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+  };
+
+  const removePage = (index) => {
+    URL.revokeObjectURL(pages[index].preview);
+    setPages(current => current.filter((_, i) => i !== index));
+  };
+
+  const handleUploadPages = async () => {
+    setIsUploading(true);
+    setUploadProgress(0);
+
+    try {
+      const response = await uploadPageImages(pages.map(page => page.file), (progress) => {
+        setUploadProgress(progress);
+      });
+
+      handleUploaded(response);
+    } catch (error) {
+      console.error('Upload error:', error);
+      toast.error(error.response?.data?.message || 'Upload failed');
+    } finally {
+      setIsUploading(false);
+      setUploadProgress(0);
+    }
+  };
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: {
-      'application/pdf': ['.pdf'],
-      'image/*': ['.png', '.jpg', '.jpeg', '.bmp', '.tiff', '.webp']
-    },
-    maxFiles: 1,
+    accept: mode === 'pages'
+      ? { 'image/*': ['.png', '.jpg', '.jpeg', '.bmp', '.tiff', '.webp'] }
+      : {
+        'application/pdf': ['.pdf'],
+        'image/*': ['.png', '.jpg', '.jpeg', '.bmp', '.tiff', '.webp'],
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+        'text/plain': ['.txt'],
+        'application/rtf': ['.rtf'],
+        'text/html': ['.html', '.htm'],
+        'message/rfc822': ['.eml']
+      },
+    maxFiles: mode === 'pages' ? MAX_PAGE_IMAGES : 1,
     maxSize: 10 * 1024 * 1024, // 10MB
     disabled: isUploading
   });
 
+  const modes = [
+    { id: 'file', name: 'Single file', icon: DocumentPlusIcon },
+    { id: 'pages', name: 'Photos of pages', icon: PhotoIcon },
+  ];
+
   return (
     <div className="max-w-3xl mx-auto">
       <div className="mb-8">
@@ -55,6 +141,24 @@ const DocumentUpload = () => {
       </div>
 
       <div className="bg-white shadow rounded-lg p-6">
+        <div className="flex space-x-1 rounded-xl bg-gray-100 p-1 mb-6">
+          {modes.map(item => (
+            <button
+              key={item.id}
+              type="button"
+              onClick={() => setMode(item.id)}
+              disabled={isUploading}
+              className={clsx(
+                'w-full flex items-center justify-center rounded-lg py-2 text-sm font-medium',
+                mode === item.id ? 'bg-white text-primary-700 shadow' : 'text-gray-600 hover:text-gray-900'
+              )}
+            >
+              <item.icon className="h-4 w-4 mr-2" />
+              {item.name}
+            </button>
+          ))}
+        </div>
+
         <div
           {...getRootProps()}
           className={`border-2 border-dashed rounded-lg p-12 text-center cursor-pointer transition-colors ${
@@ -64,7 +168,7 @@ const DocumentUpload = () => {
           } ${isUploading ? 'cursor-not-allowed opacity-50' : ''}`}
         >
           <input {...getInputProps()} />
-          
+
           {isUploading ? (
             <div className="space-y-4">
               <LoadingSpinner size="lg" />
@@ -84,20 +188,88 @@ const DocumentUpload = () => {
               <CloudArrowUpIcon className="mx-auto h-12 w-12 text-gray-400" />
               <div>
                 <p className="text-lg font-medium text-gray-900">
-                  {isDragActive ? 'Drop the file here' : 'Drag and drop your document'}
+                  {mode === 'pages'
+                    ? (isDragActive ? 'Drop the page photos here' : 'Drag and drop photos of each page')
+                    : (isDragActive ? 'Drop the file here' : 'Drag and drop your document')}
                 </p>
                 <p className="text-sm text-gray-500">
-                  or <span className="text-primary-600 font-medium">browse to choose a file</span>
+                  or <span className="text-primary-600 font-medium">
+                    {mode === 'pages' ? 'browse to choose images' : 'browse to choose a file'}
+                  </span>
                 </p>
               </div>
               <div className="text-xs text-gray-500">
-                <p>Supported formats: PDF, PNG, JPG, JPEG, BMP, TIFF, WEBP</p>
-                <p>Maximum file size: 10MB</p>
+                {mode === 'pages' ? (
+                  <>
+                    <p>Supported formats: PNG, JPG, JPEG, BMP, TIFF, WEBP</p>
+                    <p>Up to {MAX_PAGE_IMAGES} pages, 10MB each</p>
+                  </>
+                ) : (
+                  <>
+                    <p>Supported formats: PDF, DOCX, TXT, RTF, HTML, EML, PNG, JPG, JPEG, BMP, TIFF, WEBP</p>
+                    <p>Maximum file size: 10MB</p>
+                  </>
+                )}
               </div>
             </div>
           )}
         </div>
 
+        {mode === 'pages' && pages.length > 0 && (
+          <div className="mt-6">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-medium text-gray-900">Pages ({pages.length})</h3>
+              <p className="text-xs text-gray-500">Use the arrows to put the pages in order</p>
+            </div>
+            <ul className="divide-y divide-gray-200 border rounded-lg">
+              {pages.map((page, index) => (
+                <li key={page.id} className="flex items-center p-2 space-x-3">
+                  <span className="w-8 text-sm font-medium text-gray-500 text-center">{index + 1}</span>
+                  <img src={page.preview} alt={`Page ${index + 1}`} className="h-14 w-10 object-cover rounded border" />
+                  <span className="flex-1 text-sm text-gray-700 truncate">{page.file.name}</span>
+                  <button
+                    type="button"
+                    onClick={() => movePage(index, -1)}
+                    disabled={index === 0 || isUploading}
+                    className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ArrowUpIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => movePage(index, 1)}
+                    disabled={index === pages.length - 1 || isUploading}
+                    className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ArrowDownIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removePage(index)}
+                    disabled={isUploading}
+                    className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                    title="Remove page"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <div className="mt-4 flex justify-end">
+              <button
+                type="button"
+                onClick={handleUploadPages}
+                disabled={isUploading}
+                className="btn-primary"
+              >
+                {isUploading ? <LoadingSpinner size="sm" /> : `Upload ${pages.length} page${pages.length === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          </div>
+        )}
+
         <div className="mt-6">
           <h3 className="text-sm font-medium text-gray-900 mb-2">What happens next?</h3>
           <ul className="text-sm text-gray-600 space-y-1">
@@ -8,16 +8,34 @@ import {
   BookOpenIcon,
   PlayIcon,
   ExclamationTriangleIcon,
+  XMarkIcon,
+  ArrowPathIcon,
+  PencilSquareIcon,
+  ClipboardDocumentListIcon,
 } from '@heroicons/react/24/outline';
 import { documentsAPI, analysisAPI } from '../../services/api';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import HighlightedClause from '../../components/HighlightedClause';
+import ClauseOutline from '../../components/ClauseOutline';
+import ExtractedTextReview from '../../components/ExtractedTextReview';
+import TextRevisionSummary from '../../components/TextRevisionSummary';
+import KeyFactsSheet from '../../components/KeyFactsSheet';
 import toast from 'react-hot-toast';
 import clsx from 'clsx';
 
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  hi: 'Hindi',
+};
+
 const DocumentViewer = () => {
   const { id } = useParams();
   const [question, setQuestion] = useState('');
   const [selectedTab, setSelectedTab] = useState(0);
+  const [isEditingText, setIsEditingText] = useState(false);
   const queryClient = useQueryClient();
 
   // Fetch document data
@@ -38,13 +56,43 @@ const DocumentViewer = () => {
     }
   );
 
-  // Analyze document mutation
+  const isAnalyzed = document?.data?.document?.status === 'analyzed';
+
+  // Poll the latest analysis job while it is queued or running
+  const { data: jobData } = useQuery(
+    ['analysis-job', id],
+    () => analysisAPI.getJobs({ documentId: id, limit: 1 }),
+    {
+      enabled: !!id && !!document && !isAnalyzed,
+      refetchInterval: (data) => {
+        const status = data?.data?.jobs?.[0]?.status;
+        return status === 'queued' || status === 'running' ? 2000 : false;
+      },
+      onSuccess: (data) => {
+        // Refresh the document once the job has finished either way
+        const status = data?.data?.jobs?.[0]?.status;
+        if (status === 'completed' || status === 'failed') {
+          queryClient.invalidateQueries(['document', id]);
+        }
+      },
+    }
+  );
+
+  const job = jobData?.data?.jobs?.[0];
+  const isJobActive = job?.status === 'queued' || job?.status === 'running';
+
+  // Queue analysis mutation
   const analyzeMutation = useMutation(
     () => analysisAPI.analyze(id),
     {
-      onSuccess: () => {
+      onSuccess: (response) => {
+        if (response.data.job) {
+          toast.success('Analysis started');
+          queryClient.invalidateQueries(['analysis-job', id]);
+        } else {
+          toast.success('Document analyzed successfully!');
+        }
         queryClient.invalidateQueries(['document', id]);
-        toast.success('Document analyzed successfully!');
       },
       onError: (error) => {
         toast.error(error.response?.data?.message || 'Analysis failed');
@@ -52,6 +100,53 @@ const DocumentViewer = () => {
     }
   );
 
+  // Cancel analysis mutation
+  const cancelMutation = useMutation(
+    () => analysisAPI.cancelJob(job.id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['analysis-job', id]);
+        queryClient.invalidateQueries(['document', id]);
+        toast.success('Cancelling analysis...');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to cancel analysis');
+      },
+    }
+  );
+
+  // Retry analysis mutation
+  const retryMutation = useMutation(
+    () => analysisAPI.retryJob(job.id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['analysis-job', id]);
+        queryClient.invalidateQueries(['document', id]);
+        toast.success('Analysis restarted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to retry analysis');
+      },
+    }
+  );
+
+  // Save reviewed/corrected extracted text
+  const updateTextMutation = useMutation(
+    (text) => documentsAPI.updateText(id, text),
+    {
+      onSuccess: (response) => {
+        setIsEditingText(false);
+        queryClient.invalidateQueries(['document', id]);
+        toast.success(response.data.document?.status === 'analyzed'
+          ? 'Text saved. Re-analyze to update the changed clauses.'
+          : 'Text saved. You can now analyze the document.');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save text');
+      },
+    }
+  );
+
   // Ask question mutation
   const askQuestionMutation = useMutation(
     (question) => analysisAPI.askQuestion(id, question),
@@ -71,6 +166,14 @@ const DocumentViewer = () => {
     analyzeMutation.mutate();
   };
 
+  // Jump to a clause card from the outline
+  const handleSelectClause = (index) => {
+    setSelectedTab(0);
+    setTimeout(() => {
+      window.document.getElementById(`clause-${index}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, 0);
+  };
+
   const handleAskQuestion = (e) => {
     e.preventDefault();
     if (question.trim()) {
@@ -123,11 +226,18 @@ const DocumentViewer = () => {
 
   const doc = document.data.document;
   const analysis = doc.analysis;
+  // The text was edited after the analysis was made
+  const isStale = doc.status === 'analyzed' && (analysis?.textVersion || 0) !== (doc.textVersion || 0);
+  const verdictChanges = {};
+  (analysis?.revision?.verdictChanges || []).forEach(change => {
+    if (change.change === 'changed') verdictChanges[change.clauseIndex] = change;
+  });
 
   const tabs = [
     { name: 'Analysis', icon: DocumentTextIcon },
     { name: 'Q&A', icon: ChatBubbleLeftRightIcon },
     { name: 'Glossary', icon: BookOpenIcon },
+    { name: 'Key Facts', icon: ClipboardDocumentListIcon },
   ];
 
   return (
@@ -139,13 +249,45 @@ const DocumentViewer = () => {
             <h1 className="text-2xl font-bold text-gray-900">{doc.title}</h1>
             <p className="text-sm text-gray-500 capitalize">
               {doc.documentType?.replace('_', ' ')} • {doc.metadata?.pages} page(s)
+              {doc.metadata?.language && ` • ${LANGUAGE_NAMES[doc.metadata.language] || doc.metadata.language}`}
+              {analysis?.explanationLanguage && analysis.explanationLanguage !== doc.metadata?.language &&
+                ` • Explained in ${LANGUAGE_NAMES[analysis.explanationLanguage] || analysis.explanationLanguage}`}
             </p>
           </div>
           <div className="flex items-center space-x-3">
             <span className={`badge ${getRiskBadgeClass(analysis?.summary?.overallRisk)}`}>
               {analysis?.summary?.overallRisk || 'Unknown'} Risk
             </span>
-            {doc.status !== 'analyzed' && (
+            {doc.status !== 'analyzed' && isJobActive && (
+              <button
+                onClick={() => cancelMutation.mutate()}
+                disabled={cancelMutation.isLoading || job.cancelRequested}
+                className="btn-secondary"
+              >
+                <XMarkIcon className="h-4 w-4 mr-2" />
+                {job.cancelRequested ? 'Cancelling...' : 'Cancel Analysis'}
+              </button>
+            )}
+            {doc.status !== 'analyzed' && !isJobActive && (job?.status === 'failed' || job?.status === 'cancelled') && (
+              <button
+                onClick={() => retryMutation.mutate()}
+                disabled={retryMutation.isLoading}
+                className="btn-secondary"
+              >
+                <ArrowPathIcon className="h-4 w-4 mr-2" />
+                Retry Analysis
+              </button>
+            )}
+            {doc.status === 'analyzed' && !isEditingText && (
+              <button
+                onClick={() => setIsEditingText(true)}
+                className="btn-secondary"
+              >
+                <PencilSquareIcon className="h-4 w-4 mr-2" />
+                Edit Text
+              </button>
+            )}
+            {doc.status !== 'analyzed' && doc.status !== 'needs_review' && !isJobActive && (
               <button
                 onClick={handleAnalyze}
                 disabled={analyzeMutation.isLoading}
@@ -165,7 +307,41 @@ const DocumentViewer = () => {
         </div>
       </div>
 
-      {doc.status === 'analyzed' && analysis ? (
+      {isStale && !isEditingText && (
+        <div className="flex items-start justify-between p-4 mb-6 rounded-md bg-yellow-50 border border-yellow-200">
+          <div className="flex items-start">
+            <ExclamationTriangleIcon className="h-5 w-5 text-yellow-500 mr-3 flex-shrink-0" />
+            <p className="text-sm text-yellow-800">
+              The text was edited after this analysis (version {analysis?.textVersion || 0} → {doc.textVersion}).
+              Only the clauses whose text changed will be analyzed again.
+            </p>
+          </div>
+          <button
+            onClick={handleAnalyze}
+            disabled={analyzeMutation.isLoading}
+            className="btn-primary ml-4 flex-shrink-0"
+          >
+            {analyzeMutation.isLoading ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <>
+                <ArrowPathIcon className="h-4 w-4 mr-2" />
+                Re-analyze changed clauses
+              </>
+            )}
+          </button>
+        </div>
+      )}
+
+      {(doc.status === 'needs_review' || isEditingText) && !isJobActive ? (
+        <ExtractedTextReview
+          key={doc.updatedAt}
+          document={doc}
+          onSave={(text) => updateTextMutation.mutate(text)}
+          onCancel={doc.status === 'needs_review' ? null : () => setIsEditingText(false)}
+          isSaving={updateTextMutation.isLoading}
+        />
+      ) : doc.status === 'analyzed' && analysis ? (
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
           {/* Main Content */}
           <div className="lg:col-span-3">
@@ -197,23 +373,38 @@ const DocumentViewer = () => {
                 <Tab.Panel>
                   <div className="space-y-4">
                     {analysis.clauses?.map((clause, index) => (
-                      <div key={index} className={getRiskCardClass(clause.final_risk)}>
+                      <div key={index} id={`clause-${index}`} className={getRiskCardClass(clause.final_risk)}>
                         <div className="flex items-start justify-between mb-3">
-                          <h3 className="text-sm font-medium text-gray-900">
-                            Clause {index + 1} (Page {clause.page})
-                          </h3>
-                          <span className={`badge ${getRiskBadgeClass(clause.final_risk)}`}>
-                            {clause.final_risk}
-                          </span>
+                          <div>
+                            <h3 className="text-sm font-medium text-gray-900">
+                              Clause {index + 1} ({clause.endPage && clause.endPage !== clause.page
+                                ? `Pages ${clause.page}-${clause.endPage}`
+                                : `Page ${clause.page}`})
+                            </h3>
+                            {clause.headingPath?.length > 0 && (
+                              <p className="text-xs text-gray-500">{clause.headingPath.join(' › ')}</p>
+                            )}
+                          </div>
+                          <div className="flex items-center space-x-2">
+                            {verdictChanges[index] && (
+                              <span className="text-xs text-gray-500">
+                                was {verdictChanges[index].previousRisk}
+                              </span>
+                            )}
+                            <span className={`badge ${getRiskBadgeClass(clause.final_risk)}`}>
+                              {clause.final_risk}
+                            </span>
+                          </div>
                         </div>
                         <div className="space-y-3">
                           <div>
                             <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">
                               Original Text
                             </h4>
-                            <p className="text-sm text-gray-700 bg-gray-50 p-3 rounded">
-                              {clause.clause}
-                            </p>
+                            <HighlightedClause
+                              text={clause.clause}
+                              evidence={clause.rules_verdict?.evidence}
+                            />
                           </div>
                           <div>
                             <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">
@@ -229,6 +420,45 @@ const DocumentViewer = () => {
                               <p className="text-sm text-gray-700">{clause.reason}</p>
                             </div>
                           )}
+                          <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+                            <span>
+                              AI verdict:{' '}
+                              {clause.ai_verdict?.risk ? (
+                                <span className={`badge ${getRiskBadgeClass(clause.ai_verdict.risk)}`}>
+                                  {clause.ai_verdict.risk}
+                                </span>
+                              ) : (
+                                <span className="badge badge-gray">Not available</span>
+                              )}
+                            </span>
+                            <span>
+                              Rules verdict:{' '}
+                              <span className={`badge ${getRiskBadgeClass(clause.rules_verdict?.risk || clause.risk_rules)}`}>
+                                {clause.rules_verdict?.risk || clause.risk_rules}
+                              </span>
+                              {clause.rules_verdict?.score !== undefined && (
+                                <span className="ml-1">(score {clause.rules_verdict.score})</span>
+                              )}
+                            </span>
+                          </div>
+                          {clause.rules_verdict?.evidence?.length > 0 && (
+                            <div>
+                              <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">
+                                Rules Evidence
+                              </h4>
+                              <ul className="text-xs text-gray-700 space-y-1">
+                                {clause.rules_verdict.evidence.map((item, i) => (
+                                  <li key={i}>
+                                    <span className="font-medium">{item.rule}</span>
+                                    {' matched "'}{item.matchedText}{'" '}
+                                    <span className="text-gray-500">
+                                      ({item.contribution > 0 ? '+' : ''}{item.contribution})
+                                    </span>
+                                  </li>
+                                ))}
+                              </ul>
+                            </div>
+                          )}
                           {clause.keywords && clause.keywords.length > 0 && (
                             <div>
                               <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">
@@ -334,6 +564,13 @@ const DocumentViewer = () => {
                     )}
                   </div>
                 </Tab.Panel>
+
+                {/* Key Facts Tab */}
+                <Tab.Panel>
+                  <div className="bg-white p-6 rounded-lg border">
+                    <KeyFactsSheet keyFacts={doc.keyFacts} />
+                  </div>
+                </Tab.Panel>
               </Tab.Panels>
             </Tab.Group>
           </div>
@@ -358,6 +595,27 @@ const DocumentViewer = () => {
                 </div>
               </div>
 
+              {/* Text edits and the verdicts they changed */}
+              <TextRevisionSummary
+                revision={analysis.revision}
+                textVersions={doc.textVersions}
+                onSelectClause={handleSelectClause}
+              />
+
+              {/* Document Outline */}
+              {analysis.outline?.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-medium text-gray-900 mb-3">Outline</h3>
+                  <div className="max-h-96 overflow-y-auto">
+                    <ClauseOutline
+                      outline={analysis.outline}
+                      clauses={analysis.clauses || []}
+                      onSelect={handleSelectClause}
+                    />
+                  </div>
+                </div>
+              )}
+
               {/* Risk Distribution */}
               <div>
                 <h3 className="text-sm font-medium text-gray-900 mb-3">Risk Distribution</h3>
@@ -409,18 +667,53 @@ const DocumentViewer = () => {
             </div>
           </div>
         </div>
+      ) : isJobActive ? (
+        <div className="max-w-xl mx-auto bg-white p-6 rounded-lg shadow">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-gray-900">
+              {job.status === 'queued' ? 'Waiting to start analysis...' : 'Analysis in progress...'}
+            </h3>
+            <span className="text-sm font-medium text-gray-700">{job.progress?.percent || 0}%</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-primary-600 h-2 rounded-full transition-all duration-300"
+              style={{ width: `${job.progress?.percent || 0}%` }}
+            />
+          </div>
+          <p className="mt-2 text-xs text-gray-500">
+            {job.progress?.total > 0
+              ? `Clause ${job.progress.current}/${job.progress.total}`
+              : job.progress?.message}
+            {job.progress?.total > 0 && job.progress?.stage !== 'analyzing' && ` • ${job.progress.message}`}
+          </p>
+        </div>
       ) : (
         <div className="text-center py-12">
           <DocumentTextIcon className="mx-auto h-12 w-12 text-gray-400" />
           <h3 className="mt-2 text-sm font-medium text-gray-900">
-            {doc.status === 'processing' ? 'Analysis in progress...' : 'Document not analyzed yet'}
+            {job?.status === 'failed' ? 'Analysis failed' : 'Document not analyzed yet'}
           </h3>
           <p className="mt-1 text-sm text-gray-500">
-            {doc.status === 'processing' 
-              ? 'Please wait while we analyze your document.'
+            {job?.status === 'failed'
+              ? job.error || 'Something went wrong during analysis. You can retry it.'
               : 'Click the "Analyze Document" button to start the analysis.'
             }
           </p>
+          <button
+            type="button"
+            onClick={() => setIsEditingText(true)}
+            className="mt-4 inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-700"
+          >
+            <PencilSquareIcon className="h-4 w-4 mr-1" />
+            Review extracted text
+          </button>
+          {doc.keyFacts && (
+            <div className="max-w-3xl mx-auto mt-8 bg-white p-6 rounded-lg shadow text-left">
+              <h3 className="text-sm font-medium text-gray-900 mb-4">Key Facts</h3>
+              <KeyFactsSheet keyFacts={doc.keyFacts} />
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -267,6 +267,9 @@ const Profile = () => {
                       <label htmlFor="language" className="form-label">
                         Language
                       </label>
+                      <p className="text-xs text-gray-500 mb-1">
+                        Explanations, summaries and answers are written in this language.
+                      </p>
                       <select
                         id="language"
                         value={preferences.language}
@@ -277,6 +280,7 @@ const Profile = () => {
                         <option value="es">Spanish</option>
                         <option value="fr">French</option>
                         <option value="de">German</option>
+                        <option value="hi">Hindi</option>
                       </select>
                     </div>
 
@@ -69,6 +69,7 @@ export const documentsAPI = {
   getAll: (params) => api.get('/documents', { params }),
   getById: (id) => api.get(`/documents/${id}`),
   update: (id, data) => api.put(`/documents/${id}`, data),
+  updateText: (id, text) => api.put(`/documents/${id}/text`, { text }),
   delete: (id) => api.delete(`/documents/${id}`),
   getStats: () => api.get('/documents/stats'),
 };
@@ -76,10 +77,15 @@ export const documentsAPI = {
 // Analysis API
 export const analysisAPI = {
   analyze: (documentId) => api.post(`/analysis/analyze/${documentId}`),
+  getJobs: (params) => api.get('/analysis/jobs', { params }),
+  getJob: (jobId) => api.get(`/analysis/jobs/${jobId}`),
+  cancelJob: (jobId) => api.post(`/analysis/jobs/${jobId}/cancel`),
+  retryJob: (jobId) => api.post(`/analysis/jobs/${jobId}/retry`),
   compare: (documentId1, documentId2) => api.post('/analysis/compare', {
     documentId1,
     documentId2,
   }),
+  compareMany: (documentIds) => api.post('/analysis/compare-many', { documentIds }),
   askQuestion: (documentId, question) => api.post(`/analysis/qa/${documentId}`, {
     question,
   }),
@@ -88,6 +94,14 @@ export const analysisAPI = {
   reanalyze: (documentId) => api.post(`/analysis/reanalyze/${documentId}`),
 };
 
+// Comparisons API
+export const comparisonsAPI = {
+  getAll: (params) => api.get('/comparisons', { params }),
+  getById: (id) => api.get(`/comparisons/${id}`),
+  delete: (id) => api.delete(`/comparisons/${id}`),
+  exportPdf: (id) => api.get(`/comparisons/${id}/export-pdf`, { responseType: 'blob' }),
+};
+
 // Users API
 export const usersAPI = {
   getDashboard: () => api.get('/users/dashboard'),
@@ -125,6 +139,28 @@ export const uploadFile = async (file, onProgress) => {
   });
 };
 
+// Photos of a document's pages, uploaded in page order
+export const uploadPageImages = async (files, onProgress) => {
+  const formData = new FormData();
+  files.forEach((file) => {
+    formData.append('pages', file);
+  });
+
+  return api.post('/documents/upload-pages', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+    onUploadProgress: (progressEvent) => {
+      if (onProgress) {
+        const percentCompleted = Math.round(
+          (progressEvent.loaded * 100) / progressEvent.total
+        );
+        onProgress(percentCompleted);
+      }
+    },
+  });
+};
+
 export const uploadFilesForComparison = async (files, onProgress) => {
   const formData = new FormData();
   files.forEach((file, index) => {